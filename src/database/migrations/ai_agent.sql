@@ -0,0 +1,88 @@
+-- AI Receptionist Migration
+-- Adds the tenant knowledge base and the messages and appointments the agent takes
+
+-- 1. Create ai_knowledge_entries table
+CREATE TABLE IF NOT EXISTS ai_knowledge_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('faq', 'hours', 'staff', 'info')),
+    title VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    metadata JSONB DEFAULT '{}',
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Create ai_messages table
+CREATE TABLE IF NOT EXISTS ai_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    call_id VARCHAR(255),
+    caller_name VARCHAR(255),
+    callback_number VARCHAR(20),
+    recipient VARCHAR(255),
+    message TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'new' CHECK (status IN ('new', 'read', 'handled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Create ai_appointments table
+CREATE TABLE IF NOT EXISTS ai_appointments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    call_id VARCHAR(255),
+    caller_name VARCHAR(255),
+    callback_number VARCHAR(20),
+    requested_time TIMESTAMP WITH TIME ZONE,
+    requested_time_text TEXT,
+    reason TEXT,
+    status VARCHAR(20) DEFAULT 'requested' CHECK (status IN ('requested', 'confirmed', 'declined', 'cancelled')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_ai_knowledge_entries_tenant_id ON ai_knowledge_entries(tenant_id, type);
+CREATE INDEX IF NOT EXISTS idx_ai_messages_tenant_id ON ai_messages(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ai_appointments_tenant_id ON ai_appointments(tenant_id, created_at DESC);
+
+-- 5. Add AI permissions
+INSERT INTO permissions (name, description) VALUES
+('ai:read', 'View the AI knowledge base, messages and appointments'),
+('ai:update', 'Manage the AI knowledge base, messages and appointments')
+ON CONFLICT (name) DO NOTHING;
+
+-- 6. Create trigger to update updated_at timestamp
+CREATE TRIGGER update_ai_knowledge_entries_updated_at
+    BEFORE UPDATE ON ai_knowledge_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 7. Add RLS policies
+ALTER TABLE ai_knowledge_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ai_appointments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage the knowledge base for their tenant" ON ai_knowledge_entries
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage AI messages for their tenant" ON ai_messages
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage AI appointments for their tenant" ON ai_appointments
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 8. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON ai_knowledge_entries TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON ai_messages TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON ai_appointments TO authenticated;
+
+-- Migration completed successfully
+SELECT 'AI receptionist migration completed successfully' as status;
@@ -0,0 +1,92 @@
+-- Business Hours Migration
+-- Adds weekly schedules, holiday/closure calendars and after-hours policies
+
+-- 1. Create business_schedules table
+CREATE TABLE IF NOT EXISTS business_schedules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    weekly_hours JSONB NOT NULL DEFAULT '{}',
+    after_hours_policy VARCHAR(50) CHECK (after_hours_policy IN ('send_to_vm', 'follow_normal_flow', 'play_closed_message')),
+    closed_message TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One active schedule per tenant and per department
+CREATE UNIQUE INDEX IF NOT EXISTS idx_business_schedules_active_tenant
+    ON business_schedules(tenant_id) WHERE department_id IS NULL AND is_active = true;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_business_schedules_active_department
+    ON business_schedules(department_id) WHERE department_id IS NOT NULL AND is_active = true;
+
+-- 2. Create schedule_exceptions table
+CREATE TABLE IF NOT EXISTS schedule_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    schedule_id UUID REFERENCES business_schedules(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('holiday', 'closure', 'special_hours')),
+    date DATE,
+    end_date DATE,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    hours JSONB,
+    recurring BOOLEAN DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Add default after-hours policy to clients table
+ALTER TABLE clients
+ADD COLUMN IF NOT EXISTS after_hours_policy VARCHAR(50) DEFAULT 'send_to_vm';
+
+-- 4. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_business_schedules_tenant_id ON business_schedules(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_schedule_id ON schedule_exceptions(schedule_id);
+CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_tenant_id ON schedule_exceptions(tenant_id);
+
+-- 5. Add schedule permissions
+INSERT INTO permissions (name, description) VALUES
+('schedules:create', 'Create business-hours schedules'),
+('schedules:read', 'View business-hours schedules'),
+('schedules:update', 'Update schedules and holiday calendars'),
+('schedules:delete', 'Delete business-hours schedules')
+ON CONFLICT (name) DO NOTHING;
+
+-- 6. Create trigger to update updated_at timestamp
+CREATE TRIGGER update_business_schedules_updated_at
+    BEFORE UPDATE ON business_schedules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 7. Add RLS policies
+ALTER TABLE business_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE schedule_exceptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view schedules for their tenant" ON business_schedules
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage schedules for their tenant" ON business_schedules
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can view schedule exceptions for their tenant" ON schedule_exceptions
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage schedule exceptions for their tenant" ON schedule_exceptions
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 8. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON business_schedules TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON schedule_exceptions TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Business hours migration completed successfully' as status;
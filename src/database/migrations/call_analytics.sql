@@ -0,0 +1,47 @@
+-- Call Analytics Migration
+-- Adds hourly call aggregates, precomputed from call_sessions on a schedule
+
+-- 1. Create call_analytics_hourly table
+-- menu_choices is { nodeId: { option: calls } }; extensions is
+-- { extension: { offered, answered, handleSeconds } }
+CREATE TABLE IF NOT EXISTS call_analytics_hourly (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    hour_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    total_calls INTEGER DEFAULT 0,
+    inbound_calls INTEGER DEFAULT 0,
+    outbound_calls INTEGER DEFAULT 0,
+    offered_calls INTEGER DEFAULT 0,
+    answered_calls INTEGER DEFAULT 0,
+    abandoned_calls INTEGER DEFAULT 0,
+    voicemail_calls INTEGER DEFAULT 0,
+    failed_calls INTEGER DEFAULT 0,
+    ai_calls INTEGER DEFAULT 0,
+    ai_contained_calls INTEGER DEFAULT 0,
+    total_duration_seconds INTEGER DEFAULT 0,
+    handle_seconds INTEGER DEFAULT 0,
+    wait_seconds INTEGER DEFAULT 0,
+    waited_calls INTEGER DEFAULT 0,
+    menu_choices JSONB DEFAULT '{}',
+    extensions JSONB DEFAULT '{}',
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, hour_start)
+);
+
+-- 2. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_call_analytics_hourly_tenant_hour ON call_analytics_hourly(tenant_id, hour_start);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_started_at ON call_sessions(started_at);
+
+-- 3. Add RLS policies
+ALTER TABLE call_analytics_hourly ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view call analytics for their tenant" ON call_analytics_hourly
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 4. Grant necessary permissions
+GRANT SELECT ON call_analytics_hourly TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Call analytics migration completed successfully' as status;
@@ -0,0 +1,11 @@
+-- Call Control Migration
+-- Adds the permissions for live call control and supervisor monitoring
+
+-- 1. Add call control permissions
+INSERT INTO permissions (name, description) VALUES
+('calls:control', 'Transfer, hold, mute and hang up live calls'),
+('calls:monitor', 'Listen to, whisper on and barge into live calls')
+ON CONFLICT (name) DO NOTHING;
+
+-- Migration completed successfully
+SELECT 'Call control migration completed successfully' as status;
@@ -0,0 +1,41 @@
+-- Call Events Migration
+-- Adds the call event log that live dashboards stream from and replay after reconnecting
+
+-- 1. Create call_events table
+-- The sequential id is the stream cursor
+CREATE TABLE IF NOT EXISTS call_events (
+    id BIGSERIAL PRIMARY KEY,
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    call_id VARCHAR(255) NOT NULL,
+    type VARCHAR(30) NOT NULL CHECK (type IN (
+        'call_started', 'menu_choice', 'transfer', 'answered', 'voicemail', 'ended'
+    )),
+    department VARCHAR(255),
+    extension VARCHAR(20),
+    data JSONB DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_call_events_tenant_id ON call_events(tenant_id, id);
+CREATE INDEX IF NOT EXISTS idx_call_events_call_id ON call_events(call_id);
+CREATE INDEX IF NOT EXISTS idx_call_events_created_at ON call_events(created_at);
+
+-- 3. Add call permissions
+INSERT INTO permissions (name, description) VALUES
+('calls:read', 'View live call events')
+ON CONFLICT (name) DO NOTHING;
+
+-- 4. Add RLS policies
+ALTER TABLE call_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view call events for their tenant" ON call_events
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 5. Grant necessary permissions
+GRANT SELECT ON call_events TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Call events migration completed successfully' as status;
@@ -0,0 +1,19 @@
+-- Call History Migration
+-- Supports searching call sessions by date, number, outcome, tag, direction and path
+
+-- 1. Record the direction of inbound calls created before it was stored
+UPDATE call_sessions SET direction = 'inbound' WHERE direction IS NULL;
+
+-- 2. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_call_sessions_tenant_started_at ON call_sessions(tenant_id, started_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_tenant_duration ON call_sessions(tenant_id, duration_seconds, id);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_outcome ON call_sessions(tenant_id, outcome);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_path ON call_sessions USING GIN (path jsonb_path_ops);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_tags ON call_sessions USING GIN (tags);
+
+-- 3. Widen the call read permission to the call history
+UPDATE permissions SET description = 'View call details, call history and live call events'
+WHERE name = 'calls:read';
+
+-- Migration completed successfully
+SELECT 'Call history migration completed successfully' as status;
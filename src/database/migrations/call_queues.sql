@@ -0,0 +1,134 @@
+-- Call Queues Migration
+-- Adds ACD call queues, queue agents with presence, and the callers waiting in each queue
+
+-- 1. Create call_queues table
+CREATE TABLE IF NOT EXISTS call_queues (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    greeting TEXT,
+    hold_audio_url TEXT,
+    max_wait_seconds INTEGER DEFAULT 600 CHECK (max_wait_seconds BETWEEN 30 AND 7200),
+    announce_interval_seconds INTEGER DEFAULT 60 CHECK (announce_interval_seconds BETWEEN 15 AND 600),
+    announce_position BOOLEAN DEFAULT true,
+    announce_eta BOOLEAN DEFAULT true,
+    callback_enabled BOOLEAN DEFAULT false,
+    callback_offer_after_seconds INTEGER DEFAULT 60,
+    agent_ring_timeout INTEGER DEFAULT 20,
+    wrap_up_seconds INTEGER DEFAULT 30 CHECK (wrap_up_seconds BETWEEN 0 AND 900),
+    overflow JSONB,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, name)
+);
+
+-- 2. Create queue_agents table
+CREATE TABLE IF NOT EXISTS queue_agents (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    queue_id UUID REFERENCES call_queues(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    extension_id UUID REFERENCES extensions(id) ON DELETE CASCADE,
+    priority INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (queue_id, user_id)
+);
+
+-- 3. Create agent_presence table
+CREATE TABLE IF NOT EXISTS agent_presence (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'offline' CHECK (status IN ('offline', 'available', 'on_call', 'wrap_up', 'break')),
+    reason VARCHAR(255),
+    wrap_up_seconds INTEGER CHECK (wrap_up_seconds BETWEEN 0 AND 900),
+    wrap_up_until TIMESTAMP WITH TIME ZONE,
+    last_call_ended_at TIMESTAMP WITH TIME ZONE,
+    status_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, user_id)
+);
+
+-- 4. Create queue_entries table
+CREATE TABLE IF NOT EXISTS queue_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    queue_id UUID REFERENCES call_queues(id) ON DELETE CASCADE,
+    call_id VARCHAR(255) NOT NULL,
+    caller_number VARCHAR(20),
+    status VARCHAR(30) DEFAULT 'waiting' CHECK (status IN (
+        'waiting', 'offered', 'connected', 'completed', 'abandoned', 'timed_out',
+        'callback_requested', 'callback_completed'
+    )),
+    agent_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    offers INTEGER DEFAULT 0,
+    enqueued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_announced_at TIMESTAMP WITH TIME ZONE,
+    connected_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    talk_seconds INTEGER,
+    callback_number VARCHAR(20),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 5. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_call_queues_department_id ON call_queues(department_id);
+CREATE INDEX IF NOT EXISTS idx_queue_agents_queue_id ON queue_agents(queue_id, priority);
+CREATE INDEX IF NOT EXISTS idx_queue_agents_user_id ON queue_agents(user_id);
+CREATE INDEX IF NOT EXISTS idx_queue_entries_queue_status ON queue_entries(queue_id, status, enqueued_at);
+CREATE INDEX IF NOT EXISTS idx_queue_entries_call_id ON queue_entries(call_id);
+
+-- 6. Add queue permissions
+INSERT INTO permissions (name, description) VALUES
+('queues:create', 'Create call queues'),
+('queues:read', 'View call queues, live queue state and agent presence, and set your own presence'),
+('queues:update', 'Update call queues, their agents and other agents'' presence'),
+('queues:delete', 'Delete call queues')
+ON CONFLICT (name) DO NOTHING;
+
+-- 7. Create triggers to update updated_at timestamp
+CREATE TRIGGER update_call_queues_updated_at
+    BEFORE UPDATE ON call_queues
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_agent_presence_updated_at
+    BEFORE UPDATE ON agent_presence
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 8. Add RLS policies
+ALTER TABLE call_queues ENABLE ROW LEVEL SECURITY;
+ALTER TABLE queue_agents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_presence ENABLE ROW LEVEL SECURITY;
+ALTER TABLE queue_entries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage call queues for their tenant" ON call_queues
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage queue agents for their tenant" ON queue_agents
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage agent presence for their tenant" ON agent_presence
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can view queue entries for their tenant" ON queue_entries
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 9. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON call_queues TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON queue_agents TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON agent_presence TO authenticated;
+GRANT SELECT, INSERT, UPDATE ON queue_entries TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Call queues migration completed successfully' as status;
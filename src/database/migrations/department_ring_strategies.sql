@@ -0,0 +1,53 @@
+-- Department Ring Strategies Migration
+-- Adds department members with per-member ring settings, ring strategies and overflow
+
+-- 1. Add ring settings to departments
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS settings JSONB DEFAULT '{}';
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS ring_strategy VARCHAR(30) DEFAULT 'simultaneous'
+    CHECK (ring_strategy IN ('simultaneous', 'sequential', 'round_robin', 'least_recently_called', 'weighted'));
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS ring_timeout INTEGER DEFAULT 20;
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS overflow JSONB;
+ALTER TABLE departments ADD COLUMN IF NOT EXISTS round_robin_position INTEGER DEFAULT 0;
+
+-- 2. Create department_members table
+CREATE TABLE IF NOT EXISTS department_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    department_id UUID REFERENCES departments(id) ON DELETE CASCADE,
+    extension_id UUID REFERENCES extensions(id) ON DELETE CASCADE,
+    position INTEGER DEFAULT 0,
+    weight INTEGER DEFAULT 1 CHECK (weight BETWEEN 1 AND 100),
+    ring_timeout INTEGER,
+    last_called_at TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (department_id, extension_id)
+);
+
+-- 3. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_department_members_department_id ON department_members(department_id, position);
+CREATE INDEX IF NOT EXISTS idx_department_members_extension_id ON department_members(extension_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_departments_tenant_name ON departments(tenant_id, name);
+
+-- 4. Seed members from extensions already assigned to a department
+INSERT INTO department_members (tenant_id, department_id, extension_id, position)
+SELECT tenant_id, department_id, id,
+       ROW_NUMBER() OVER (PARTITION BY department_id ORDER BY extension_number) - 1
+FROM extensions
+WHERE department_id IS NOT NULL
+ON CONFLICT (department_id, extension_id) DO NOTHING;
+
+-- 5. Add RLS policies
+ALTER TABLE department_members ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage department members for their tenant" ON department_members
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 6. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON department_members TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Department ring strategies migration completed successfully' as status;
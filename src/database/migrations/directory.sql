@@ -0,0 +1,12 @@
+-- Dial-by-name Directory Migration
+-- Lets extensions opt out of the caller-facing company directory
+
+-- 1. Add directory opt-out to extensions
+ALTER TABLE extensions ADD COLUMN IF NOT EXISTS directory_listed BOOLEAN DEFAULT true;
+
+-- 2. Create index for directory lookups
+CREATE INDEX IF NOT EXISTS idx_extensions_directory ON extensions(tenant_id)
+    WHERE directory_listed = true AND status = 'active';
+
+-- Migration completed successfully
+SELECT 'Directory migration completed successfully' as status;
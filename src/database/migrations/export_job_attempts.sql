@@ -0,0 +1,12 @@
+-- Export Job Attempts Migration
+-- Counts the runs of each export so a job abandoned by a stopped worker is retried a limited number of times
+
+-- 1. Add attempts column
+ALTER TABLE export_jobs
+ADD COLUMN IF NOT EXISTS attempts INTEGER DEFAULT 0;
+
+-- 2. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_export_jobs_processing ON export_jobs(started_at) WHERE status = 'processing';
+
+-- Migration completed successfully
+SELECT 'Export job attempts migration completed successfully' as status;
@@ -0,0 +1,51 @@
+-- Export Jobs Migration
+-- Adds the export job queue for CSV, XLSX and JSON downloads of calls, SMS logs, users and extensions
+
+-- 1. Create export_jobs table
+CREATE TABLE IF NOT EXISTS export_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resource VARCHAR(50) NOT NULL CHECK (resource IN ('call_sessions', 'sms_logs', 'users', 'extensions')),
+    format VARCHAR(10) NOT NULL CHECK (format IN ('csv', 'xlsx', 'json')),
+    filters JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed', 'expired')),
+    row_count INTEGER DEFAULT 0,
+    truncated BOOLEAN DEFAULT false,
+    file_name VARCHAR(255),
+    file_path TEXT,
+    file_size BIGINT,
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE
+);
+
+-- 2. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_export_jobs_status ON export_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_export_jobs_tenant_created_by ON export_jobs(tenant_id, created_by, created_at);
+CREATE INDEX IF NOT EXISTS idx_export_jobs_expires_at ON export_jobs(expires_at) WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS idx_sms_logs_tenant_sent_at ON sms_logs(tenant_id, sent_at);
+
+-- 3. Add export permissions
+-- sms:read is needed to export SMS logs
+INSERT INTO permissions (name, description) VALUES
+('exports:create', 'Start data exports'),
+('exports:read', 'View and download own data exports'),
+('sms:read', 'View SMS logs')
+ON CONFLICT (name) DO NOTHING;
+
+-- 4. Add RLS policies
+ALTER TABLE export_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view their own export jobs" ON export_jobs
+    FOR SELECT USING (created_by = auth.uid() AND tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 5. Grant necessary permissions
+GRANT SELECT ON export_jobs TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Export jobs migration completed successfully' as status;
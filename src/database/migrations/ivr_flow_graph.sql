@@ -0,0 +1,10 @@
+-- IVR Flow Graph Migration
+-- Tracks each caller's position in a multi-level IVR flow graph
+
+-- 1. Add flow position columns to call_sessions table
+ALTER TABLE call_sessions
+ADD COLUMN IF NOT EXISTS current_node_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS flow_state JSONB DEFAULT '{}'::jsonb;
+
+-- Migration completed successfully
+SELECT 'IVR flow graph migration completed successfully' as status;
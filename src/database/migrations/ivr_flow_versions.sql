@@ -0,0 +1,75 @@
+-- IVR Flow Versioning Migration
+-- Adds drafts, immutable published versions and per-call version tracking
+
+-- 1. Add draft and active version columns to ivr_flows table
+ALTER TABLE ivr_flows
+ADD COLUMN IF NOT EXISTS name VARCHAR(255),
+ADD COLUMN IF NOT EXISTS description TEXT,
+ADD COLUMN IF NOT EXISTS draft_config JSONB,
+ADD COLUMN IF NOT EXISTS active_version_id UUID,
+ADD COLUMN IF NOT EXISTS active_version INTEGER,
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id),
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- 2. Create ivr_flow_versions table
+CREATE TABLE IF NOT EXISTS ivr_flow_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    flow_id UUID REFERENCES ivr_flows(id) ON DELETE CASCADE,
+    version INTEGER NOT NULL,
+    flow_config JSONB NOT NULL,
+    notes TEXT,
+    published_by UUID REFERENCES users(id),
+    published_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (flow_id, version)
+);
+
+ALTER TABLE ivr_flows
+ADD CONSTRAINT fk_ivr_flows_active_version
+FOREIGN KEY (active_version_id) REFERENCES ivr_flow_versions(id) ON DELETE SET NULL;
+
+-- 3. Record which flow version each call ran
+ALTER TABLE call_sessions
+ADD COLUMN IF NOT EXISTS ivr_flow_id UUID REFERENCES ivr_flows(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS ivr_flow_version_id UUID REFERENCES ivr_flow_versions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS ivr_flow_version INTEGER;
+
+-- 4. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_ivr_flow_versions_flow_id ON ivr_flow_versions(flow_id);
+CREATE INDEX IF NOT EXISTS idx_ivr_flow_versions_tenant_id ON ivr_flow_versions(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_ivr_flow_version_id ON call_sessions(ivr_flow_version_id);
+
+-- 5. Published versions are immutable
+CREATE OR REPLACE FUNCTION prevent_ivr_flow_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'Published IVR flow versions cannot be modified';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER ivr_flow_versions_immutable
+    BEFORE UPDATE ON ivr_flow_versions
+    FOR EACH ROW EXECUTE FUNCTION prevent_ivr_flow_version_update();
+
+CREATE TRIGGER update_ivr_flows_updated_at
+    BEFORE UPDATE ON ivr_flows
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 6. Add RLS policies for ivr_flow_versions table
+ALTER TABLE ivr_flow_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view IVR flow versions for their tenant" ON ivr_flow_versions
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can publish IVR flow versions for their tenant" ON ivr_flow_versions
+    FOR INSERT WITH CHECK (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 7. Grant necessary permissions
+GRANT SELECT, INSERT ON ivr_flow_versions TO authenticated;
+
+-- Migration completed successfully
+SELECT 'IVR flow versions migration completed successfully' as status;
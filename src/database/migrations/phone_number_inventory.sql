@@ -0,0 +1,48 @@
+-- Phone Number Inventory Migration
+-- phone_numbers becomes the inventory of the SignalWire project's numbers: which tenant and
+-- IVR flow each number belongs to, its label and caller ID use, kept in sync with SignalWire
+
+-- 1. Add inventory columns
+ALTER TABLE phone_numbers
+ADD COLUMN IF NOT EXISTS ivr_flow_id UUID REFERENCES ivr_flows(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS is_default_caller_id BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS capabilities JSONB DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS last_synced_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS released_at TIMESTAMP WITH TIME ZONE;
+
+-- 2. active: assigned to a tenant; available: owned but unassigned;
+-- missing: no longer on the SignalWire project; released: given back
+UPDATE phone_numbers SET status = 'available' WHERE status = 'active' AND tenant_id IS NULL;
+
+-- Numbers stored twice keep their newest row
+UPDATE phone_numbers older SET status = 'released', released_at = NOW()
+FROM phone_numbers newer
+WHERE older.phone_number = newer.phone_number
+    AND older.created_at < newer.created_at
+    AND older.status <> 'released'
+    AND newer.status <> 'released';
+
+ALTER TABLE phone_numbers DROP CONSTRAINT IF EXISTS phone_numbers_status_check;
+ALTER TABLE phone_numbers
+ADD CONSTRAINT phone_numbers_status_check
+    CHECK (status IN ('active', 'available', 'missing', 'released'));
+
+-- 3. Create indexes for better performance
+-- A number is held once; released numbers stay for history and can be bought again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_phone_numbers_held_number ON phone_numbers(phone_number)
+    WHERE status <> 'released';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_phone_numbers_default_caller_id ON phone_numbers(tenant_id)
+    WHERE is_default_caller_id;
+CREATE INDEX IF NOT EXISTS idx_phone_numbers_status ON phone_numbers(status);
+
+-- 4. Add phone number management permissions
+INSERT INTO permissions (name, description) VALUES
+('phone_numbers:update', 'Label phone numbers and choose their IVR flow and caller ID use'),
+('phone_numbers:delete', 'Release phone numbers')
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE permissions SET description = 'Search for and buy phone numbers'
+WHERE name = 'phone_numbers:create';
+
+-- Migration completed successfully
+SELECT 'Phone number inventory migration completed successfully' as status;
@@ -0,0 +1,79 @@
+-- SMS Auto-Replies Migration
+-- Per-tenant auto-reply rules and the STOP/START opt-out list for each tenant number
+
+-- 1. Create sms_opt_outs table
+-- One row per tenant number and contact; START flips it back to opted_in so the history is kept
+CREATE TABLE IF NOT EXISTS sms_opt_outs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    tenant_number VARCHAR(20) NOT NULL,
+    contact_number VARCHAR(20) NOT NULL,
+    status VARCHAR(20) DEFAULT 'opted_out' CHECK (status IN ('opted_out', 'opted_in')),
+    source VARCHAR(20) DEFAULT 'keyword' CHECK (source IN ('keyword', 'manual')),
+    keyword VARCHAR(20),
+    opted_out_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    opted_in_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, tenant_number, contact_number)
+);
+
+-- 2. Create sms_auto_reply_rules table
+-- Rules without a tenant_number apply to every number of the tenant
+CREATE TABLE IF NOT EXISTS sms_auto_reply_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('keyword', 'after_hours', 'first_contact')),
+    tenant_number VARCHAR(20),
+    keywords TEXT[] DEFAULT '{}',
+    match_type VARCHAR(20) DEFAULT 'exact' CHECK (match_type IN ('exact', 'contains')),
+    department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+    reply_body TEXT NOT NULL,
+    cooldown_minutes INTEGER DEFAULT 60 CHECK (cooldown_minutes >= 0),
+    priority INTEGER DEFAULT 100,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Remember which rule sent an auto-reply, for its cooldown
+ALTER TABLE sms_logs
+ADD COLUMN IF NOT EXISTS auto_reply_rule_id UUID REFERENCES sms_auto_reply_rules(id) ON DELETE SET NULL;
+
+-- 4. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_sms_opt_outs_tenant_status ON sms_opt_outs(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_sms_auto_reply_rules_tenant ON sms_auto_reply_rules(tenant_id, is_active, priority);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_auto_reply_rule_id ON sms_logs(conversation_id, auto_reply_rule_id, sent_at);
+
+-- 5. Create triggers to update updated_at timestamp
+CREATE TRIGGER update_sms_opt_outs_updated_at
+    BEFORE UPDATE ON sms_opt_outs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sms_auto_reply_rules_updated_at
+    BEFORE UPDATE ON sms_auto_reply_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 6. Add RLS policies
+ALTER TABLE sms_opt_outs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_auto_reply_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage SMS opt-outs for their tenant" ON sms_opt_outs
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage SMS auto-reply rules for their tenant" ON sms_auto_reply_rules
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 7. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_opt_outs TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_auto_reply_rules TO authenticated;
+
+-- Migration completed successfully
+SELECT 'SMS auto-replies migration completed successfully' as status;
@@ -0,0 +1,108 @@
+-- SMS Campaigns Migration
+-- Message templates with variables, and scheduled, throttled sends to a recipient list
+
+-- 1. Create sms_templates table
+-- Variables are written as {{name}} in the body
+CREATE TABLE IF NOT EXISTS sms_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, name)
+);
+
+-- 2. Create sms_campaigns table
+-- body is copied from the template so editing a template does not change a campaign in flight
+CREATE TABLE IF NOT EXISTS sms_campaigns (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    tenant_number VARCHAR(20) NOT NULL,
+    template_id UUID REFERENCES sms_templates(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'sending', 'paused', 'completed', 'cancelled')),
+    scheduled_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    rate_per_minute INTEGER CHECK (rate_per_minute > 0),
+    total_recipients INTEGER DEFAULT 0,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Create sms_campaign_recipients table
+CREATE TABLE IF NOT EXISTS sms_campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    campaign_id UUID REFERENCES sms_campaigns(id) ON DELETE CASCADE,
+    phone_number VARCHAR(20) NOT NULL,
+    variables JSONB DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled')),
+    message_body TEXT,
+    message_sid VARCHAR(100),
+    error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (campaign_id, phone_number)
+);
+
+-- 4. Link campaign messages to their campaign
+ALTER TABLE sms_logs
+ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES sms_campaigns(id) ON DELETE SET NULL;
+
+-- 5. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_sms_campaigns_tenant_created ON sms_campaigns(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sms_campaigns_status_scheduled ON sms_campaigns(status, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_sms_campaign_recipients_campaign_status ON sms_campaign_recipients(campaign_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_campaign_recipients_message_sid ON sms_campaign_recipients(message_sid);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_from_sent_at ON sms_logs(from_number, sent_at) WHERE direction = 'outbound';
+
+-- 6. Create triggers to update updated_at timestamp
+CREATE TRIGGER update_sms_templates_updated_at
+    BEFORE UPDATE ON sms_templates
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sms_campaigns_updated_at
+    BEFORE UPDATE ON sms_campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_sms_campaign_recipients_updated_at
+    BEFORE UPDATE ON sms_campaign_recipients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 7. Add RLS policies
+ALTER TABLE sms_templates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_campaign_recipients ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage SMS templates for their tenant" ON sms_templates
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage SMS campaigns for their tenant" ON sms_campaigns
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage SMS campaign recipients for their tenant" ON sms_campaign_recipients
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 8. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_templates TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_campaigns TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_campaign_recipients TO authenticated;
+
+-- Migration completed successfully
+SELECT 'SMS campaigns migration completed successfully' as status;
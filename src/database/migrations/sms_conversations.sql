@@ -0,0 +1,96 @@
+-- SMS Conversations Migration
+-- Threads sms_logs into conversations per tenant number and contact, with assignment, status and notes
+
+-- 1. Create sms_conversations table
+CREATE TABLE IF NOT EXISTS sms_conversations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    tenant_number VARCHAR(20) NOT NULL,
+    contact_number VARCHAR(20) NOT NULL,
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'closed')),
+    assigned_to UUID REFERENCES users(id) ON DELETE SET NULL,
+    unread_count INTEGER DEFAULT 0,
+    last_read_at TIMESTAMP WITH TIME ZONE,
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    last_message_preview TEXT,
+    last_direction VARCHAR(20),
+    closed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (tenant_id, tenant_number, contact_number)
+);
+
+-- 2. Create sms_conversation_notes table
+-- Internal notes are never sent to the contact
+CREATE TABLE IF NOT EXISTS sms_conversation_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    conversation_id UUID REFERENCES sms_conversations(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Link messages to their conversation
+ALTER TABLE sms_logs
+ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES sms_conversations(id) ON DELETE SET NULL;
+
+-- 4. Thread existing messages
+-- Inbound messages were sent to the tenant number, outbound ones from it
+INSERT INTO sms_conversations (tenant_id, tenant_number, contact_number, last_message_at, last_read_at)
+SELECT
+    tenant_id,
+    CASE WHEN direction = 'inbound' THEN to_number ELSE from_number END,
+    CASE WHEN direction = 'inbound' THEN from_number ELSE to_number END,
+    MAX(COALESCE(received_at, sent_at)),
+    MAX(COALESCE(received_at, sent_at))
+FROM sms_logs
+WHERE tenant_id IS NOT NULL
+GROUP BY 1, 2, 3
+ON CONFLICT (tenant_id, tenant_number, contact_number) DO NOTHING;
+
+UPDATE sms_logs sl
+SET conversation_id = sc.id
+FROM sms_conversations sc
+WHERE sl.conversation_id IS NULL
+  AND sc.tenant_id = sl.tenant_id
+  AND sc.tenant_number = CASE WHEN sl.direction = 'inbound' THEN sl.to_number ELSE sl.from_number END
+  AND sc.contact_number = CASE WHEN sl.direction = 'inbound' THEN sl.from_number ELSE sl.to_number END;
+
+-- 5. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_sms_conversations_tenant_last_message ON sms_conversations(tenant_id, last_message_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sms_conversations_assigned_to ON sms_conversations(assigned_to);
+CREATE INDEX IF NOT EXISTS idx_sms_conversation_notes_conversation_id ON sms_conversation_notes(conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_sms_logs_conversation_id ON sms_logs(conversation_id, sent_at);
+
+-- 6. Create trigger to update updated_at timestamp
+CREATE TRIGGER update_sms_conversations_updated_at
+    BEFORE UPDATE ON sms_conversations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 7. Add SMS conversation permissions
+INSERT INTO permissions (name, description) VALUES
+('sms:read', 'View SMS logs'),
+('sms:update', 'Assign, close and add notes to SMS conversations')
+ON CONFLICT (name) DO NOTHING;
+
+-- 8. Add RLS policies
+ALTER TABLE sms_conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sms_conversation_notes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage SMS conversations for their tenant" ON sms_conversations
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage SMS conversation notes for their tenant" ON sms_conversation_notes
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 9. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_conversations TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON sms_conversation_notes TO authenticated;
+
+-- Migration completed successfully
+SELECT 'SMS conversations migration completed successfully' as status;
@@ -0,0 +1,58 @@
+-- SMS Delivery Status Migration
+-- Status callbacks move messages through queued, sent, delivered, undelivered and failed,
+-- with carrier error codes, a status history and retries of transient failures
+
+-- 1. Add delivery columns to sms_logs
+ALTER TABLE sms_logs
+ADD COLUMN IF NOT EXISTS error_code VARCHAR(20),
+ADD COLUMN IF NOT EXISTS error_message TEXT,
+ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS retry_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMP WITH TIME ZONE;
+
+-- 2. Create sms_status_events table
+-- One row per callback; sms_log_id stays empty until the message it belongs to is logged
+CREATE TABLE IF NOT EXISTS sms_status_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    sms_log_id UUID REFERENCES sms_logs(id) ON DELETE CASCADE,
+    message_sid VARCHAR(255) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    error_code VARCHAR(20),
+    error_message TEXT,
+    occurred_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Track delivery on campaign recipients
+ALTER TABLE sms_campaign_recipients DROP CONSTRAINT IF EXISTS sms_campaign_recipients_status_check;
+ALTER TABLE sms_campaign_recipients
+ADD CONSTRAINT sms_campaign_recipients_status_check
+    CHECK (status IN ('pending', 'sending', 'sent', 'delivered', 'failed', 'skipped', 'cancelled'));
+
+ALTER TABLE sms_campaign_recipients
+ADD COLUMN IF NOT EXISTS error_code VARCHAR(20),
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE sms_campaigns
+ADD COLUMN IF NOT EXISTS delivered_count INTEGER DEFAULT 0;
+
+-- 4. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_sms_status_events_sms_log_id ON sms_status_events(sms_log_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_sms_status_events_message_sid ON sms_status_events(message_sid);
+CREATE INDEX IF NOT EXISTS idx_sms_status_events_unmatched ON sms_status_events(occurred_at) WHERE sms_log_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_sms_logs_next_retry_at ON sms_logs(next_retry_at) WHERE next_retry_at IS NOT NULL;
+
+-- 5. Add RLS policies
+ALTER TABLE sms_status_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view SMS status events for their tenant" ON sms_status_events
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 6. Grant necessary permissions
+GRANT SELECT ON sms_status_events TO authenticated;
+
+-- Migration completed successfully
+SELECT 'SMS delivery status migration completed successfully' as status;
@@ -0,0 +1,19 @@
+-- SMS Missed-Call Text-Back Migration
+-- missed_call auto-reply rules text inbound callers who hung up or left a voicemail
+
+-- 1. Allow missed_call rules
+ALTER TABLE sms_auto_reply_rules DROP CONSTRAINT IF EXISTS sms_auto_reply_rules_type_check;
+ALTER TABLE sms_auto_reply_rules
+ADD CONSTRAINT sms_auto_reply_rules_type_check
+    CHECK (type IN ('keyword', 'after_hours', 'first_contact', 'missed_call'));
+
+-- 2. Call outcomes a missed_call rule texts back on
+ALTER TABLE sms_auto_reply_rules
+ADD COLUMN IF NOT EXISTS call_outcomes TEXT[] DEFAULT '{}';
+
+-- 3. Create indexes for better performance
+-- The missed-call cooldown is per caller across all of the tenant's numbers
+CREATE INDEX IF NOT EXISTS idx_sms_logs_auto_reply_rule_to_number ON sms_logs(auto_reply_rule_id, to_number, sent_at);
+
+-- Migration completed successfully
+SELECT 'SMS missed-call text-back migration completed successfully' as status;
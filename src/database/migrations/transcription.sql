@@ -0,0 +1,66 @@
+-- Transcription Migration
+-- Adds the transcription job queue and searchable transcripts on calls and voicemail
+
+-- 1. Create transcription_jobs table
+CREATE TABLE IF NOT EXISTS transcription_jobs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    call_id VARCHAR(255),
+    voicemail_message_id UUID REFERENCES voicemail_messages(id) ON DELETE CASCADE,
+    recording_url TEXT NOT NULL,
+    recording_sid VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'queued' CHECK (status IN ('queued', 'processing', 'completed', 'failed')),
+    provider VARCHAR(50),
+    attempts INTEGER DEFAULT 0,
+    transcript TEXT,
+    language VARCHAR(10),
+    summary TEXT,
+    intent_tags JSONB DEFAULT '[]',
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (tenant_id, recording_sid)
+);
+
+-- 2. Store transcripts against call sessions
+ALTER TABLE call_sessions
+ADD COLUMN IF NOT EXISTS transcript TEXT,
+ADD COLUMN IF NOT EXISTS summary TEXT,
+ADD COLUMN IF NOT EXISTS intent_tags JSONB DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS transcribed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS transcript_search TSVECTOR
+    GENERATED ALWAYS AS (to_tsvector('english', coalesce(transcript, '') || ' ' || coalesce(summary, ''))) STORED;
+
+-- 3. Store transcripts against voicemail messages
+ALTER TABLE voicemail_messages
+ADD COLUMN IF NOT EXISTS transcript TEXT,
+ADD COLUMN IF NOT EXISTS summary TEXT,
+ADD COLUMN IF NOT EXISTS intent_tags JSONB DEFAULT '[]';
+
+-- 4. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_status ON transcription_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_tenant_id ON transcription_jobs(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_transcription_jobs_call_id ON transcription_jobs(call_id);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_transcript_search ON call_sessions USING GIN (transcript_search);
+CREATE INDEX IF NOT EXISTS idx_call_sessions_intent_tags ON call_sessions USING GIN (intent_tags);
+
+-- 5. Add transcription permissions
+INSERT INTO permissions (name, description) VALUES
+('transcriptions:create', 'Queue call recordings for transcription'),
+('transcriptions:read', 'Read and search call transcripts')
+ON CONFLICT (name) DO NOTHING;
+
+-- 6. Add RLS policies
+ALTER TABLE transcription_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view transcription jobs for their tenant" ON transcription_jobs
+    FOR SELECT USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 7. Grant necessary permissions
+GRANT SELECT ON transcription_jobs TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Transcription migration completed successfully' as status;
@@ -0,0 +1,81 @@
+-- Voicemail Migration
+-- Adds mailboxes for extensions, departments and tenants, and recorded messages
+
+-- 1. Create voicemail_mailboxes table
+CREATE TABLE IF NOT EXISTS voicemail_mailboxes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    extension_id UUID REFERENCES extensions(id) ON DELETE SET NULL,
+    department_id UUID REFERENCES departments(id) ON DELETE SET NULL,
+    greeting_text TEXT,
+    greeting_url TEXT,
+    pin_hash VARCHAR(255),
+    retention_days INTEGER DEFAULT 30,
+    max_message_seconds INTEGER DEFAULT 120,
+    notify_sms VARCHAR(20),
+    notify_email VARCHAR(255),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (extension_id IS NULL OR department_id IS NULL)
+);
+
+-- 2. Create voicemail_messages table
+CREATE TABLE IF NOT EXISTS voicemail_messages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE,
+    mailbox_id UUID REFERENCES voicemail_mailboxes(id) ON DELETE CASCADE,
+    call_id VARCHAR(255),
+    from_number VARCHAR(20),
+    recording_url TEXT NOT NULL,
+    recording_sid VARCHAR(255),
+    duration_seconds INTEGER DEFAULT 0,
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP WITH TIME ZONE,
+    read_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_voicemail_mailboxes_tenant_id ON voicemail_mailboxes(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_voicemail_mailboxes_extension_id ON voicemail_mailboxes(extension_id);
+CREATE INDEX IF NOT EXISTS idx_voicemail_mailboxes_department_id ON voicemail_mailboxes(department_id);
+CREATE INDEX IF NOT EXISTS idx_voicemail_messages_tenant_id ON voicemail_messages(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_voicemail_messages_mailbox_id ON voicemail_messages(mailbox_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_voicemail_messages_expires_at ON voicemail_messages(expires_at);
+
+-- 4. Add voicemail permissions
+INSERT INTO permissions (name, description) VALUES
+('voicemail:create', 'Create voicemail mailboxes'),
+('voicemail:read', 'View mailboxes and listen to messages'),
+('voicemail:update', 'Update mailboxes and mark messages read'),
+('voicemail:delete', 'Delete mailboxes and messages')
+ON CONFLICT (name) DO NOTHING;
+
+-- 5. Create trigger to update updated_at timestamp
+CREATE TRIGGER update_voicemail_mailboxes_updated_at
+    BEFORE UPDATE ON voicemail_mailboxes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- 6. Add RLS policies
+ALTER TABLE voicemail_mailboxes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE voicemail_messages ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can manage mailboxes for their tenant" ON voicemail_mailboxes
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+CREATE POLICY "Users can manage voicemail for their tenant" ON voicemail_messages
+    FOR ALL USING (tenant_id IN (
+        SELECT tenant_id FROM user_tenants WHERE user_id = auth.uid()
+    ));
+
+-- 7. Grant necessary permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON voicemail_mailboxes TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON voicemail_messages TO authenticated;
+
+-- Migration completed successfully
+SELECT 'Voicemail migration completed successfully' as status;
@@ -0,0 +1,127 @@
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const bulkImportService = require('../services/bulkImport');
+const { IMPORT_MODES } = require('../services/bulkImport');
+const logger = require('../utils/logger');
+
+// Largest CSV accepted for bulk import
+const MAX_CSV_BYTES = 2 * 1024 * 1024;
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_CSV_BYTES, files: 1 },
+    fileFilter: (req, file, callback) => {
+        const isCsv = /\.csv$/i.test(file.originalname) ||
+            ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'].includes(file.mimetype);
+
+        callback(isCsv ? null : new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname), isCsv);
+    }
+}).single('file');
+
+// Accept one CSV in the `file` field of a multipart form
+// Upload problems are answered as validation errors instead of reaching the
+// global error handler.
+const csvUpload = (req, res, next) => {
+    upload(req, res, (error) => {
+        if (!error && !req.file) {
+            error = { message: 'A CSV file is required in the "file" field' };
+        }
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid upload',
+                details: [{
+                    field: 'file',
+                    message: error.code === 'LIMIT_FILE_SIZE'
+                        ? `CSV files must be ${MAX_CSV_BYTES / 1024 / 1024} MB or smaller`
+                        : error.code === 'LIMIT_UNEXPECTED_FILE'
+                            ? 'Upload a single .csv file in the "file" field'
+                            : error.message
+                }]
+            });
+        }
+
+        next();
+    });
+};
+
+// Handle a CSV import of one resource (`users` or `extensions`)
+// Returns the upload, its form validators and the handler, ready to mount
+// after the route's permission check.
+const csvImport = (resource) => [
+    csvUpload,
+    body('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+    body('mode').optional().isIn(IMPORT_MODES).withMessage(`mode must be one of: ${IMPORT_MODES.join(', ')}`),
+    body('mapping').optional().isJSON().withMessage('mapping must be a JSON object of field to column header'),
+    async (req, res) => {
+        try {
+            // Check for validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: errors.array()
+                });
+            }
+
+            const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : {};
+            if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Validation error',
+                    details: [{ field: 'mapping', message: 'mapping must be a JSON object of field to column header' }]
+                });
+            }
+
+            const dryRun = ['true', '1'].includes(req.body.dryRun);
+            const result = await bulkImportService.run(resource, {
+                tenantId: req.user.tenantId,
+                actorId: req.user.id,
+                csv: req.file.buffer.toString('utf8'),
+                mapping,
+                dryRun,
+                mode: req.body.mode || 'atomic'
+            });
+
+            if (result.fileErrors) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid import file',
+                    details: result.fileErrors
+                });
+            }
+
+            if (!dryRun && result.mode === 'atomic' && result.invalidRows > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid import',
+                    message: `No ${resource} were imported: ${result.invalidRows} of ${result.totalRows} rows have errors`,
+                    details: result.errors
+                });
+            }
+
+            res.status(result.imported > 0 ? 201 : 200).json({
+                success: true,
+                message: dryRun
+                    ? `Dry run: ${result.validRows} of ${result.totalRows} rows are valid`
+                    : `${result.imported} of ${result.totalRows} ${resource} imported`,
+                data: result
+            });
+
+        } catch (error) {
+            logger.error(`Import ${resource} error:`, error);
+            res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: `An error occurred while importing ${resource}`
+            });
+        }
+    }
+];
+
+module.exports = {
+    csvUpload,
+    csvImport
+};
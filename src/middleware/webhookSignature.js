@@ -0,0 +1,48 @@
+const signalwireService = require('../services/signalwire');
+const logger = require('../utils/logger');
+
+// Validation can only be switched off for local development
+const isBypassed = () => process.env.NODE_ENV === 'development' &&
+    process.env.SIGNALWIRE_SKIP_WEBHOOK_VALIDATION === 'true';
+
+// Rebuild the URL SignalWire signed
+// Behind a proxy the request host differs from the public one, so prefer the
+// API_BASE_URL the webhooks were registered with.
+const getWebhookUrl = (req) => {
+    const baseUrl = process.env.API_BASE_URL
+        ? process.env.API_BASE_URL.replace(/\/+$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+
+    return `${baseUrl}${req.originalUrl}`;
+};
+
+const validateSignalWireWebhook = (req, res, next) => {
+    if (isBypassed()) {
+        return next();
+    }
+
+    const signature = req.get('X-SignalWire-Signature');
+    const url = getWebhookUrl(req);
+    const payload = req.is('application/json') ? (req.rawBody || '') : req.body;
+
+    if (!signalwireService.validateWebhookSignature(signature, url, payload)) {
+        logger.warn('Rejected webhook with invalid signature', {
+            url,
+            ip: req.ip,
+            hasSignature: !!signature,
+            userAgent: req.get('User-Agent')
+        });
+
+        return res.status(403).json({
+            success: false,
+            error: 'Invalid signature',
+            message: 'Webhook signature validation failed'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    validateSignalWireWebhook
+};
@@ -0,0 +1,616 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const aiAgentService = require('../services/aiAgent');
+const { KNOWLEDGE_TYPES } = require('../services/aiAgent');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const MESSAGE_STATUSES = ['new', 'read', 'handled'];
+const APPOINTMENT_STATUSES = ['requested', 'confirmed', 'declined', 'cancelled'];
+
+// Transform an ai_knowledge_entries row to match expected format
+const formatEntry = (entry) => ({
+    id: entry.id,
+    type: entry.type,
+    title: entry.title,
+    content: entry.content,
+    metadata: entry.metadata || {},
+    sortOrder: entry.sort_order,
+    isActive: entry.is_active,
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at
+});
+
+// Transform an ai_messages row to match expected format
+const formatMessage = (message) => ({
+    id: message.id,
+    callId: message.call_id,
+    callerName: message.caller_name,
+    callbackNumber: message.callback_number,
+    recipient: message.recipient,
+    message: message.message,
+    status: message.status,
+    createdAt: message.created_at
+});
+
+// Transform an ai_appointments row to match expected format
+const formatAppointment = (appointment) => ({
+    id: appointment.id,
+    callId: appointment.call_id,
+    callerName: appointment.caller_name,
+    callbackNumber: appointment.callback_number,
+    requestedTime: appointment.requested_time,
+    requestedTimeText: appointment.requested_time_text,
+    reason: appointment.reason,
+    status: appointment.status,
+    createdAt: appointment.created_at
+});
+
+/**
+ * @swagger
+ * /api/ai/knowledge:
+ *   get:
+ *     summary: Get the AI receptionist knowledge base
+ *     description: List the FAQs, hours, staff directory and general information the AI receptionist answers from
+ *     tags: [AI]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [faq, hours, staff, info]
+ *         description: Filter by entry type
+ *     responses:
+ *       200:
+ *         description: Knowledge base entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *             example:
+ *               success: true
+ *               data:
+ *                 entries:
+ *                   - id: "5b1c7c2e-2f0c-4f5e-9a59-0d1e6b9f2a11"
+ *                     type: "faq"
+ *                     title: "Do you offer free parking?"
+ *                     content: "Yes, there is free parking behind the building."
+ *                     metadata: {}
+ *                     sortOrder: 0
+ *                     isActive: true
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/knowledge', requirePermission('ai:read'), async (req, res) => {
+    try {
+        let query = supabase
+            .from('ai_knowledge_entries')
+            .select('*')
+            .eq('tenant_id', req.user.tenantId);
+
+        if (req.query.type) {
+            query = query.eq('type', req.query.type);
+        }
+
+        const { data: entries, error: entriesError } = await query
+            .order('type', { ascending: true })
+            .order('sort_order', { ascending: true });
+
+        if (entriesError) {
+            logger.error('Error fetching knowledge base:', entriesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch knowledge base'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                entries: entries.map(formatEntry)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get knowledge base error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the knowledge base'
+        });
+    }
+});
+
+// @route   POST /api/ai/knowledge
+// @desc    Add a knowledge base entry
+// @access  Private (requires ai:update permission)
+router.post('/knowledge', [
+    requirePermission('ai:update'),
+    body('type').isIn(KNOWLEDGE_TYPES).withMessage(`type must be one of: ${KNOWLEDGE_TYPES.join(', ')}`),
+    body('title', 'Title is required').notEmpty().isLength({ max: 255 }),
+    body('content', 'Content is required').notEmpty(),
+    body('metadata').optional().isObject(),
+    body('sortOrder').optional().isInt()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { type, title, content, metadata = {}, sortOrder = 0 } = req.body;
+
+        const { data: newEntry, error: newEntryError } = await supabase
+            .from('ai_knowledge_entries')
+            .insert({
+                tenant_id: req.user.tenantId,
+                type,
+                title,
+                content,
+                metadata,
+                sort_order: sortOrder,
+                is_active: true,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+
+        if (newEntryError) {
+            logger.error('Error creating knowledge entry:', newEntryError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create knowledge entry'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Knowledge entry created successfully',
+            data: {
+                entry: formatEntry(newEntry)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Create knowledge entry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the knowledge entry'
+        });
+    }
+});
+
+// @route   PUT /api/ai/knowledge/:id
+// @desc    Update a knowledge base entry
+// @access  Private (requires ai:update permission)
+router.put('/knowledge/:id', [
+    requirePermission('ai:update'),
+    body('type').optional().isIn(KNOWLEDGE_TYPES).withMessage(`type must be one of: ${KNOWLEDGE_TYPES.join(', ')}`),
+    body('title').optional().notEmpty().isLength({ max: 255 }),
+    body('content').optional().notEmpty(),
+    body('metadata').optional().isObject(),
+    body('sortOrder').optional().isInt(),
+    body('isActive').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const fields = {
+            type: 'type',
+            title: 'title',
+            content: 'content',
+            metadata: 'metadata',
+            sortOrder: 'sort_order',
+            isActive: 'is_active'
+        };
+
+        const updateData = { updated_at: new Date().toISOString() };
+        Object.entries(fields).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                updateData[column] = req.body[field];
+            }
+        });
+
+        const { data: updatedEntry, error: updateError } = await supabase
+            .from('ai_knowledge_entries')
+            .update(updateData)
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error updating knowledge entry:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update knowledge entry'
+            });
+        }
+
+        if (!updatedEntry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entry not found',
+                message: 'The requested knowledge entry does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Knowledge entry updated successfully',
+            data: {
+                entry: formatEntry(updatedEntry)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update knowledge entry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the knowledge entry'
+        });
+    }
+});
+
+// @route   DELETE /api/ai/knowledge/:id
+// @desc    Delete a knowledge base entry
+// @access  Private (requires ai:update permission)
+router.delete('/knowledge/:id', requirePermission('ai:update'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('ai_knowledge_entries')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting knowledge entry:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete knowledge entry'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entry not found',
+                message: 'The requested knowledge entry does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Knowledge entry deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Delete knowledge entry error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the knowledge entry'
+        });
+    }
+});
+
+// @route   POST /api/ai/test
+// @desc    Try the AI receptionist without a call; tools are not carried out
+// @access  Private (requires ai:read permission)
+router.post('/test', [
+    requirePermission('ai:read'),
+    body('message', 'message is required').notEmpty(),
+    body('history').optional().isArray()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { message, history = [] } = req.body;
+
+        const turn = await aiAgentService.respond({
+            tenantId: req.user.tenantId,
+            input: message,
+            history
+        });
+
+        res.json({
+            success: true,
+            data: {
+                reply: turn.reply,
+                action: turn.action,
+                params: turn.params,
+                toolCalls: turn.toolCalls,
+                history: turn.history,
+                provider: turn.provider
+            }
+        });
+
+    } catch (error) {
+        logger.error('AI test error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while running the AI receptionist'
+        });
+    }
+});
+
+// @route   GET /api/ai/messages
+// @desc    Get messages taken by the AI receptionist
+// @access  Private (requires ai:read permission)
+router.get('/messages', requirePermission('ai:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('ai_messages')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data: messages, error: messagesError, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (messagesError) {
+            logger.error('Error fetching AI messages:', messagesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch messages'
+            });
+        }
+
+        const total = count || 0;
+
+        res.json({
+            success: true,
+            data: {
+                messages: messages.map(formatMessage),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get AI messages error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching messages'
+        });
+    }
+});
+
+// @route   PUT /api/ai/messages/:id
+// @desc    Update a taken message's status
+// @access  Private (requires ai:update permission)
+router.put('/messages/:id', [
+    requirePermission('ai:update'),
+    body('status').isIn(MESSAGE_STATUSES).withMessage(`status must be one of: ${MESSAGE_STATUSES.join(', ')}`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { data: updatedMessage, error: updateError } = await supabase
+            .from('ai_messages')
+            .update({ status: req.body.status })
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError || !updatedMessage) {
+            return res.status(404).json({
+                success: false,
+                error: 'Message not found',
+                message: 'The requested message does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Message updated successfully',
+            data: {
+                message: formatMessage(updatedMessage)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update AI message error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the message'
+        });
+    }
+});
+
+// @route   GET /api/ai/appointments
+// @desc    Get appointments requested through the AI receptionist
+// @access  Private (requires ai:read permission)
+router.get('/appointments', requirePermission('ai:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('ai_appointments')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data: appointments, error: appointmentsError, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (appointmentsError) {
+            logger.error('Error fetching AI appointments:', appointmentsError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch appointments'
+            });
+        }
+
+        const total = count || 0;
+
+        res.json({
+            success: true,
+            data: {
+                appointments: appointments.map(formatAppointment),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get AI appointments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching appointments'
+        });
+    }
+});
+
+// @route   PUT /api/ai/appointments/:id
+// @desc    Confirm, decline or cancel a requested appointment
+// @access  Private (requires ai:update permission)
+router.put('/appointments/:id', [
+    requirePermission('ai:update'),
+    body('status').isIn(APPOINTMENT_STATUSES).withMessage(`status must be one of: ${APPOINTMENT_STATUSES.join(', ')}`),
+    body('requestedTime').optional().isISO8601().withMessage('requestedTime must be a valid ISO date')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const updateData = { status: req.body.status };
+        if (req.body.requestedTime) {
+            updateData.requested_time = req.body.requestedTime;
+        }
+
+        const { data: updatedAppointment, error: updateError } = await supabase
+            .from('ai_appointments')
+            .update(updateData)
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError || !updatedAppointment) {
+            return res.status(404).json({
+                success: false,
+                error: 'Appointment not found',
+                message: 'The requested appointment does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Appointment updated successfully',
+            data: {
+                appointment: formatAppointment(updatedAppointment)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update AI appointment error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the appointment'
+        });
+    }
+});
+
+module.exports = router;
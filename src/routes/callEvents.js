@@ -0,0 +1,222 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const callEventService = require('../services/callEvents');
+const { CALL_EVENT_TYPES, REPLAY_LIMIT } = require('../services/callEvents');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Seconds between keep-alive comments on an idle stream
+const HEARTBEAT_SECONDS = 25;
+
+// Browsers' EventSource cannot set headers, so the stream also takes ?token=
+router.use((req, res, next) => {
+    if (!req.headers['authorization'] && req.query.token) {
+        req.headers['authorization'] = `Bearer ${req.query.token}`;
+    }
+    next();
+});
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Validation shared by the stream and replay
+const filterValidators = [
+    query('cursor').optional().isInt({ min: 0 }).withMessage('cursor must be an event cursor'),
+    query('types').optional().custom(value => String(value).split(',').every(type => CALL_EVENT_TYPES.includes(type)))
+        .withMessage(`types must be a comma-separated list of: ${CALL_EVENT_TYPES.join(', ')}`)
+];
+
+// Read the department, extension and type filters from the query string
+const getFilters = (req) => ({
+    department: req.query.department || null,
+    extension: req.query.extension || null,
+    types: req.query.types ? String(req.query.types).split(',') : []
+});
+
+/**
+ * @swagger
+ * /api/call-events/stream:
+ *   get:
+ *     summary: Stream live call events
+ *     description: |
+ *       Server-Sent Events stream of the tenant's call events: `call_started`, `menu_choice`,
+ *       `transfer`, `answered`, `voicemail` and `ended`. Each message's `id` is its cursor;
+ *       reconnecting with `Last-Event-ID` (sent automatically by EventSource) or `?cursor=`
+ *       replays the events missed in between. Pass the access token as `?token=` when the
+ *       client cannot set an Authorization header.
+ *     tags: [Call Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Only events for this department name
+ *       - in: query
+ *         name: extension
+ *         schema:
+ *           type: string
+ *         description: Only events for this extension number
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Replay events after this cursor before streaming
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             example: |
+ *               id: 1042
+ *               event: transfer
+ *               data: {"cursor":"1042","callId":"t1_1718900000000_ab12cd34e","type":"transfer","department":"Sales","extension":null,"data":{"action":"dept"},"at":"2024-06-20T16:13:20.000Z"}
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/stream', [
+    requirePermission('calls:read'),
+    ...filterValidators
+], async (req, res) => {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            error: 'Validation error',
+            details: errors.array()
+        });
+    }
+
+    const tenantId = req.user.tenantId;
+    const filters = getFilters(req);
+    const cursor = parseInt(req.headers['last-event-id'] || req.query.cursor, 10);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    // Without a cursor the stream starts with new events only
+    let replaying = !Number.isNaN(cursor);
+    let lastSent = replaying ? cursor : 0;
+    const pending = [];
+
+    const send = (event) => {
+        if (Number(event.cursor) <= lastSent) {
+            return;
+        }
+        lastSent = Number(event.cursor);
+        res.write(`id: ${event.cursor}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Subscribe before replaying so nothing published during the replay is lost
+    const unsubscribe = callEventService.subscribe(tenantId, filters, (event) => {
+        if (replaying) {
+            pending.push(event);
+        } else {
+            send(event);
+        }
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_SECONDS * 1000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    logger.info('Call event stream opened', { tenantId, userId: req.user.id, cursor: lastSent, filters });
+
+    if (replaying) {
+        try {
+            // Replay in pages until caught up
+            let page;
+            do {
+                page = await callEventService.replay(tenantId, { cursor: lastSent, filters });
+                page.forEach(send);
+            } while (page.length >= REPLAY_LIMIT && !req.destroyed);
+        } catch (error) {
+            logger.error('Call event replay error:', error);
+            res.write(`event: error\ndata: ${JSON.stringify({ message: 'Replay failed; showing live events only' })}\n\n`);
+        }
+
+        replaying = false;
+        pending.splice(0).forEach(send);
+    }
+});
+
+// @route   GET /api/call-events
+// @desc    Get call events after a cursor (for clients that poll instead of streaming)
+// @access  Private (requires calls:read permission)
+router.get('/', [
+    requirePermission('calls:read'),
+    ...filterValidators,
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { cursor = 0, limit = 100 } = req.query;
+
+        const events = await callEventService.replay(req.user.tenantId, {
+            cursor,
+            filters: getFilters(req),
+            limit: parseInt(limit)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                cursor: events.length > 0 ? events[events.length - 1].cursor : String(cursor)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get call events error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching call events'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,218 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const callHistoryService = require('../services/callHistory');
+const { SORT_FIELDS, DIRECTIONS } = require('../services/callHistory');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/calls:
+ *   get:
+ *     summary: Search call history
+ *     description: |
+ *       Lists the tenant's calls, newest first by default. Filters are combined; `extension` and
+ *       `department` match calls whose path reached them. Pages are fetched with the
+ *       `nextCursor` of the previous response, keeping the same filters and sort.
+ *     tags: [Calls]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: number
+ *         schema:
+ *           type: string
+ *         description: Digits in the calling or called number
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *         example: voicemail
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Call tag or transcript intent tag
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [inbound, outbound]
+ *       - in: query
+ *         name: extension
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [startedAt, duration]
+ *           default: startedAt
+ *         description: Sorting by duration lists finished calls only
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 25
+ *     responses:
+ *       200:
+ *         description: Calls
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 calls:
+ *                   - callId: "tenant-123_1718900000000_ab12cd34e"
+ *                     callSid: "CA1234567890abcdef"
+ *                     fromNumber: "+19876543210"
+ *                     toNumber: "+12345678900"
+ *                     direction: inbound
+ *                     status: completed
+ *                     outcome: extension_answered
+ *                     tags: ["extension"]
+ *                     extension: "101"
+ *                     department: null
+ *                     startedAt: "2024-06-20T16:13:20.000Z"
+ *                     durationSeconds: 184
+ *                 nextCursor: "WyIyMDI0LTA2LTIwVDE2OjEzOjIwLjAwMFoiLCI5ZjEifQ"
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+    requirePermission('calls:read'),
+    query('startDate').optional().isISO8601().withMessage('startDate must be a valid ISO date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be a valid ISO date'),
+    query('number').optional().matches(/^\+?\d{2,15}$/).withMessage('number must be digits, optionally starting with +'),
+    query('outcome').optional().notEmpty().withMessage('outcome must not be empty'),
+    query('tag').optional().notEmpty().withMessage('tag must not be empty'),
+    query('direction').optional().isIn(DIRECTIONS).withMessage(`direction must be one of: ${DIRECTIONS.join(', ')}`),
+    query('extension').optional().notEmpty().withMessage('extension must not be empty'),
+    query('department').optional().notEmpty().withMessage('department must not be empty'),
+    query('sort').optional().isIn(Object.keys(SORT_FIELDS)).withMessage(`sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const {
+            startDate, endDate, number, outcome, tag, direction, extension, department,
+            sort, order, cursor, limit = 25
+        } = req.query;
+
+        const result = await callHistoryService.search(
+            req.user.tenantId,
+            { startDate, endDate, number, outcome, tag, direction, extension, department },
+            { cursor, limit: parseInt(limit), sort, order }
+        );
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor',
+                details: [result.error]
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('Get call history error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching call history'
+        });
+    }
+});
+
+// @route   GET /api/calls/:callId
+// @desc    Get a call with its step-by-step timeline
+// @access  Private (requires calls:read permission)
+router.get('/:callId', requirePermission('calls:read'), async (req, res) => {
+    try {
+        const call = await callHistoryService.getCall(req.user.tenantId, req.params.callId);
+
+        if (!call) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call not found',
+                message: 'Call session not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: call
+        });
+
+    } catch (error) {
+        logger.error('Get call error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the call'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,828 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const departmentService = require('../services/departments');
+const { RING_STRATEGIES } = require('../services/departments');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const MEMBER_SELECT = `
+    id, extension_id, position, weight, ring_timeout, last_called_at, is_active,
+    extensions(extension_number, name, dial_plan, status)
+`;
+
+// Transform a department_members row to match expected format
+const formatMember = (member) => ({
+    id: member.id,
+    extensionId: member.extension_id,
+    extensionNumber: member.extensions ? member.extensions.extension_number : null,
+    extensionName: member.extensions ? member.extensions.name : null,
+    position: member.position,
+    weight: member.weight,
+    ringTimeout: member.ring_timeout,
+    lastCalledAt: member.last_called_at,
+    isActive: member.is_active
+});
+
+// Transform a departments row to match expected format
+const formatDepartment = (department) => ({
+    id: department.id,
+    name: department.name,
+    description: department.description,
+    ringStrategy: department.ring_strategy,
+    ringTimeout: department.ring_timeout,
+    overflow: department.overflow,
+    settings: department.settings || {},
+    createdAt: department.created_at,
+    updatedAt: department.updated_at
+});
+
+// Get a department belonging to the tenant, with its members
+const getTenantDepartment = async (id, tenantId) => {
+    const { data: department, error: departmentError } = await supabase
+        .from('departments')
+        .select(`*, department_members(${MEMBER_SELECT})`)
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    if (departmentError && departmentError.code !== 'PGRST116') {
+        return { error: departmentError };
+    }
+
+    return { department: department || null };
+};
+
+const departmentNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Department not found',
+    message: 'The requested department does not exist'
+});
+
+// Validation shared by member create and update
+const memberValidators = [
+    body('position').optional().isInt({ min: 0 }),
+    body('weight').optional().isInt({ min: 1, max: 100 }).withMessage('weight must be between 1 and 100'),
+    body('ringTimeout').optional({ nullable: true }).isInt({ min: 5, max: 300 })
+        .withMessage('ringTimeout must be between 5 and 300 seconds'),
+    body('isActive').optional().isBoolean()
+];
+
+// Check that extensions belong to the tenant
+const findTenantExtensions = async (tenantId, extensionIds) => {
+    const { data: extensions, error: extensionsError } = await supabase
+        .from('extensions')
+        .select('id')
+        .eq('tenant_id', tenantId)
+        .in('id', extensionIds);
+
+    if (extensionsError) {
+        return { error: extensionsError };
+    }
+
+    const found = new Set(extensions.map(extension => extension.id));
+    return { missing: extensionIds.filter(id => !found.has(id)) };
+};
+
+/**
+ * @swagger
+ * /api/departments:
+ *   get:
+ *     summary: Get all departments for tenant
+ *     description: Retrieve the tenant's departments with their ring strategy and member count
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of departments per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by department name
+ *     responses:
+ *       200:
+ *         description: Departments retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *             example:
+ *               success: true
+ *               data:
+ *                 departments:
+ *                   - id: "2f1b7a52-9c3e-4d8e-a1f0-6b2d3c4e5f60"
+ *                     name: "Sales"
+ *                     description: "New business"
+ *                     ringStrategy: "round_robin"
+ *                     ringTimeout: 20
+ *                     overflow:
+ *                       type: "voicemail"
+ *                     settings: {}
+ *                     memberCount: 4
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 10
+ *                   total: 1
+ *                   totalPages: 1
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('departments:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, search } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('departments')
+            .select('*, department_members(count)', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (search) {
+            query = query.ilike('name', `%${search}%`);
+        }
+
+        const { data: departments, error: departmentsError, count } = await query
+            .order('name', { ascending: true })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (departmentsError) {
+            logger.error('Error fetching departments:', departmentsError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch departments'
+            });
+        }
+
+        const total = count || 0;
+
+        res.json({
+            success: true,
+            data: {
+                departments: departments.map(department => ({
+                    ...formatDepartment(department),
+                    memberCount: department.department_members?.[0]?.count || 0
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get departments error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching departments'
+        });
+    }
+});
+
+// @route   GET /api/departments/:id
+// @desc    Get department by ID with its members
+// @access  Private (requires departments:read permission)
+router.get('/:id', requirePermission('departments:read'), async (req, res) => {
+    try {
+        const { department, error } = await getTenantDepartment(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching department by ID:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch department'
+            });
+        }
+
+        if (!department) {
+            return departmentNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                department: {
+                    ...formatDepartment(department),
+                    members: (department.department_members || [])
+                        .sort((a, b) => (a.position || 0) - (b.position || 0))
+                        .map(formatMember)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get department error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the department'
+        });
+    }
+});
+
+// @route   GET /api/departments/:id/dial-list
+// @desc    Preview the order members would be rung in for the next call
+// @access  Private (requires departments:read permission)
+router.get('/:id/dial-list', requirePermission('departments:read'), async (req, res) => {
+    try {
+        const { department, error } = await getTenantDepartment(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching department for dial list:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch department'
+            });
+        }
+
+        if (!department) {
+            return departmentNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                ringStrategy: department.ring_strategy,
+                dialList: departmentService.buildDialList(department),
+                overflow: department.overflow
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get department dial list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while building the dial list'
+        });
+    }
+});
+
+// @route   POST /api/departments
+// @desc    Create a department, optionally with its member extensions
+// @access  Private (requires departments:create permission)
+router.post('/', [
+    requirePermission('departments:create'),
+    body('name', 'Department name is required').notEmpty().isLength({ min: 2, max: 255 }),
+    body('ringStrategy').optional().isIn(RING_STRATEGIES)
+        .withMessage(`ringStrategy must be one of: ${RING_STRATEGIES.join(', ')}`),
+    body('ringTimeout').optional().isInt({ min: 5, max: 300 }).withMessage('ringTimeout must be between 5 and 300 seconds'),
+    body('settings').optional().isObject(),
+    body('members').optional().isArray(),
+    body('members.*.extensionId', 'Each member needs an extensionId').optional().notEmpty()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const {
+            name, description, ringStrategy = 'simultaneous', ringTimeout = 20,
+            overflow = null, settings = {}, members = []
+        } = req.body;
+
+        const overflowErrors = departmentService.validateOverflow(overflow);
+        if (overflowErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid overflow',
+                details: overflowErrors
+            });
+        }
+
+        if (members.length > 0) {
+            const { missing, error } = await findTenantExtensions(
+                req.user.tenantId,
+                members.map(member => member.extensionId)
+            );
+
+            if (error) {
+                logger.error('Error checking department member extensions:', error);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Server error',
+                    message: 'Failed to check member extensions'
+                });
+            }
+
+            if (missing.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid members',
+                    message: `Unknown extensions: ${missing.join(', ')}`
+                });
+            }
+        }
+
+        const { data: newDepartment, error: newDepartmentError } = await supabase
+            .from('departments')
+            .insert({
+                tenant_id: req.user.tenantId,
+                name,
+                description: description || null,
+                ring_strategy: ringStrategy,
+                ring_timeout: ringTimeout,
+                overflow,
+                settings
+            })
+            .select()
+            .single();
+
+        if (newDepartmentError) {
+            logger.error('Error creating department:', newDepartmentError);
+
+            if (newDepartmentError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Department already exists',
+                    message: 'A department with this name already exists in your organization'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create department'
+            });
+        }
+
+        let newMembers = [];
+        if (members.length > 0) {
+            const { data: insertedMembers, error: membersError } = await supabase
+                .from('department_members')
+                .insert(members.map((member, index) => ({
+                    tenant_id: req.user.tenantId,
+                    department_id: newDepartment.id,
+                    extension_id: member.extensionId,
+                    position: member.position ?? index,
+                    weight: member.weight || 1,
+                    ring_timeout: member.ringTimeout || null,
+                    is_active: member.isActive !== false
+                })))
+                .select(MEMBER_SELECT);
+
+            if (membersError) {
+                logger.error('Error adding department members:', membersError);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Server error',
+                    message: 'Department created but its members could not be added'
+                });
+            }
+
+            newMembers = insertedMembers;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Department created successfully',
+            data: {
+                department: {
+                    ...formatDepartment(newDepartment),
+                    members: newMembers.map(formatMember)
+                }
+            }
+        });
+
+        logger.info('Department created successfully', {
+            departmentId: newDepartment.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create department error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the department'
+        });
+    }
+});
+
+// @route   PUT /api/departments/:id
+// @desc    Update a department's details, ring strategy or overflow
+// @access  Private (requires departments:update permission)
+router.put('/:id', [
+    requirePermission('departments:update'),
+    body('name').optional().notEmpty().isLength({ min: 2, max: 255 }),
+    body('ringStrategy').optional().isIn(RING_STRATEGIES)
+        .withMessage(`ringStrategy must be one of: ${RING_STRATEGIES.join(', ')}`),
+    body('ringTimeout').optional().isInt({ min: 5, max: 300 }).withMessage('ringTimeout must be between 5 and 300 seconds'),
+    body('settings').optional().isObject()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+
+        if (req.body.overflow !== undefined) {
+            const overflowErrors = departmentService.validateOverflow(req.body.overflow);
+            if (overflowErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid overflow',
+                    details: overflowErrors
+                });
+            }
+        }
+
+        const fields = {
+            name: 'name',
+            description: 'description',
+            ringStrategy: 'ring_strategy',
+            ringTimeout: 'ring_timeout',
+            overflow: 'overflow',
+            settings: 'settings'
+        };
+
+        const updateData = { updated_at: new Date().toISOString() };
+        Object.entries(fields).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                updateData[column] = req.body[field];
+            }
+        });
+
+        // Start a new rotation when the strategy changes
+        if (req.body.ringStrategy !== undefined) {
+            updateData.round_robin_position = 0;
+        }
+
+        const { data: updatedDepartment, error: updateError } = await supabase
+            .from('departments')
+            .update(updateData)
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error updating department:', updateError);
+
+            if (updateError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Department already exists',
+                    message: 'A department with this name already exists in your organization'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update department'
+            });
+        }
+
+        if (!updatedDepartment) {
+            return departmentNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Department updated successfully',
+            data: {
+                department: formatDepartment(updatedDepartment)
+            }
+        });
+
+        logger.info('Department updated successfully', {
+            departmentId: id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update department error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the department'
+        });
+    }
+});
+
+// @route   DELETE /api/departments/:id
+// @desc    Delete a department and its memberships
+// @access  Private (requires departments:delete permission)
+router.delete('/:id', requirePermission('departments:delete'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('departments')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting department:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete department'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return departmentNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Department deleted successfully'
+        });
+
+        logger.info('Department deleted successfully', {
+            departmentId: req.params.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete department error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the department'
+        });
+    }
+});
+
+// @route   POST /api/departments/:id/members
+// @desc    Add an extension to a department
+// @access  Private (requires departments:update permission)
+router.post('/:id/members', [
+    requirePermission('departments:update'),
+    body('extensionId', 'extensionId is required').notEmpty(),
+    ...memberValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { extensionId, position, weight = 1, ringTimeout, isActive = true } = req.body;
+
+        const { department, error } = await getTenantDepartment(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching department for member:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch department'
+            });
+        }
+
+        if (!department) {
+            return departmentNotFound(res);
+        }
+
+        const { missing, error: extensionError } = await findTenantExtensions(req.user.tenantId, [extensionId]);
+
+        if (extensionError) {
+            logger.error('Error checking member extension:', extensionError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check member extension'
+            });
+        }
+
+        if (missing.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid member',
+                message: 'The extension does not exist'
+            });
+        }
+
+        const { data: newMember, error: newMemberError } = await supabase
+            .from('department_members')
+            .insert({
+                tenant_id: req.user.tenantId,
+                department_id: id,
+                extension_id: extensionId,
+                position: position ?? (department.department_members || []).length,
+                weight,
+                ring_timeout: ringTimeout || null,
+                is_active: isActive
+            })
+            .select(MEMBER_SELECT)
+            .single();
+
+        if (newMemberError) {
+            logger.error('Error adding department member:', newMemberError);
+
+            if (newMemberError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Member already exists',
+                    message: 'This extension is already a member of the department'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to add department member'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Department member added successfully',
+            data: {
+                member: formatMember(newMember)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Add department member error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while adding the department member'
+        });
+    }
+});
+
+// @route   PUT /api/departments/:id/members/:memberId
+// @desc    Update a member's position, weight, ring timeout or status
+// @access  Private (requires departments:update permission)
+router.put('/:id/members/:memberId', [
+    requirePermission('departments:update'),
+    ...memberValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id, memberId } = req.params;
+
+        const fields = {
+            position: 'position',
+            weight: 'weight',
+            ringTimeout: 'ring_timeout',
+            isActive: 'is_active'
+        };
+
+        const updateData = {};
+        Object.entries(fields).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                updateData[column] = req.body[field];
+            }
+        });
+
+        const { data: updatedMember, error: updateError } = await supabase
+            .from('department_members')
+            .update(updateData)
+            .eq('id', memberId)
+            .eq('department_id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select(MEMBER_SELECT)
+            .single();
+
+        if (updateError || !updatedMember) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member not found',
+                message: 'The requested department member does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Department member updated successfully',
+            data: {
+                member: formatMember(updatedMember)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update department member error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the department member'
+        });
+    }
+});
+
+// @route   DELETE /api/departments/:id/members/:memberId
+// @desc    Remove an extension from a department
+// @access  Private (requires departments:update permission)
+router.delete('/:id/members/:memberId', requirePermission('departments:update'), async (req, res) => {
+    try {
+        const { id, memberId } = req.params;
+
+        const { data: deleted, error: deleteError } = await supabase
+            .from('department_members')
+            .delete()
+            .eq('id', memberId)
+            .eq('department_id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error removing department member:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to remove department member'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Member not found',
+                message: 'The requested department member does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Department member removed successfully'
+        });
+
+    } catch (error) {
+        logger.error('Remove department member error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while removing the department member'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,331 @@
+const express = require('express');
+const fs = require('fs');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const exportService = require('../services/exports');
+const { RESOURCES, FORMATS } = require('../services/exports');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const jobNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Export not found',
+    message: 'Export job not found'
+});
+
+// @route   GET /api/exports/:id/download
+// @desc    Download a finished export with the signed link from its job
+// @access  Public (signed, expiring token in the query string)
+router.get('/:id/download', query('token', 'token is required').notEmpty(), async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const job = await exportService.verifyDownload(req.params.id, req.query.token);
+
+        if (!job) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid download link',
+                message: 'This download link is invalid or has expired'
+            });
+        }
+
+        let stat;
+        try {
+            stat = await fs.promises.stat(job.file_path);
+        } catch (error) {
+            return res.status(410).json({
+                success: false,
+                error: 'Export expired',
+                message: 'The export file is no longer available'
+            });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': exportService.contentType(job),
+            'Content-Length': stat.size,
+            'Content-Disposition': `attachment; filename="${job.file_name}"`,
+            'Cache-Control': 'no-store'
+        });
+
+        fs.createReadStream(job.file_path)
+            .on('error', (error) => {
+                logger.error('Export download stream error:', error);
+                res.destroy(error);
+            })
+            .pipe(res);
+
+    } catch (error) {
+        logger.error('Download export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while downloading the export'
+        });
+    }
+});
+
+// Apply authentication to all other routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/exports:
+ *   post:
+ *     summary: Start an export
+ *     description: |
+ *       Queues an export of the tenant's call sessions, SMS logs, users or extensions as CSV, XLSX
+ *       or JSON. Exporting also needs read permission on the resource (`calls:read`, `sms:read`,
+ *       `users:read` or `extensions:read`). Poll `GET /api/exports/{id}` until the job is
+ *       `completed`, then fetch its `downloadUrl`. Exports stop at `EXPORT_MAX_ROWS` rows.
+ *     tags: [Exports]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [resource, format]
+ *             properties:
+ *               resource:
+ *                 type: string
+ *                 enum: [call_sessions, sms_logs, users, extensions]
+ *               format:
+ *                 type: string
+ *                 enum: [csv, xlsx, json]
+ *               filters:
+ *                 type: object
+ *                 description: |
+ *                   call_sessions: startDate, endDate, number, outcome, tag, direction, extension, department.
+ *                   sms_logs: startDate, endDate, number, direction, status.
+ *                   users and extensions: status.
+ *           example:
+ *             resource: call_sessions
+ *             format: csv
+ *             filters:
+ *               startDate: "2024-06-01T00:00:00Z"
+ *               outcome: voicemail
+ *     responses:
+ *       202:
+ *         description: Export queued
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: Export queued
+ *               data:
+ *                 export:
+ *                   id: "5b1f0c2e-8d0a-4c1e-9a57-0f3c2b7d9e11"
+ *                   resource: call_sessions
+ *                   format: csv
+ *                   filters:
+ *                     startDate: "2024-06-01T00:00:00Z"
+ *                     outcome: voicemail
+ *                   status: queued
+ *                   rowCount: 0
+ *                   downloadUrl: null
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+    requirePermission('exports:create'),
+    body('resource').isIn(Object.keys(RESOURCES)).withMessage(`resource must be one of: ${Object.keys(RESOURCES).join(', ')}`),
+    body('format').isIn(Object.keys(FORMATS)).withMessage(`format must be one of: ${Object.keys(FORMATS).join(', ')}`),
+    body('filters').optional().isObject().withMessage('filters must be an object')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { resource, format, filters = {} } = req.body;
+        const { permission } = RESOURCES[resource];
+
+        if (!req.user.permissions.includes(permission)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                message: `Permission '${permission}' is required to export ${resource}`
+            });
+        }
+
+        const filterErrors = exportService.validateFilters(resource, filters);
+        if (filterErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid filters',
+                details: filterErrors
+            });
+        }
+
+        const job = await exportService.create({
+            tenantId: req.user.tenantId,
+            userId: req.user.id,
+            resource,
+            format,
+            filters
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Export queued',
+            data: {
+                export: exportService.formatJob(job)
+            }
+        });
+
+        logger.info('Export requested', {
+            jobId: job.id,
+            resource,
+            format,
+            requestedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while starting the export'
+        });
+    }
+});
+
+// @route   GET /api/exports
+// @desc    List the current user's exports, newest first
+// @access  Private (requires exports:read permission)
+router.get('/', [
+    requirePermission('exports:read'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const exports = await exportService.listJobs(req.user.tenantId, req.user.id, parseInt(req.query.limit) || 25);
+
+        res.json({
+            success: true,
+            data: { exports }
+        });
+
+    } catch (error) {
+        logger.error('Get exports error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching exports'
+        });
+    }
+});
+
+// @route   GET /api/exports/:id
+// @desc    Get an export's status, with a fresh download link once it has completed
+// @access  Private (requires exports:read permission)
+router.get('/:id', requirePermission('exports:read'), async (req, res) => {
+    try {
+        const job = await exportService.getJob(req.user.tenantId, req.user.id, req.params.id);
+
+        if (!job) {
+            return jobNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                export: exportService.formatJob(job)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the export'
+        });
+    }
+});
+
+// @route   DELETE /api/exports/:id
+// @desc    Delete an export and its file
+// @access  Private (requires exports:create permission)
+router.delete('/:id', requirePermission('exports:create'), async (req, res) => {
+    try {
+        const job = await exportService.getJob(req.user.tenantId, req.user.id, req.params.id);
+
+        if (!job) {
+            return jobNotFound(res);
+        }
+
+        if (job.status === 'processing') {
+            return res.status(409).json({
+                success: false,
+                error: 'Export in progress',
+                message: 'An export cannot be deleted while it is being written'
+            });
+        }
+
+        await exportService.deleteJob(job);
+
+        res.json({
+            success: true,
+            message: 'Export deleted successfully'
+        });
+
+        logger.info('Export deleted successfully', {
+            jobId: job.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the export'
+        });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../database/connection');
 const { authenticateToken, requirePermission } = require('../middleware/auth');
+const { csvImport } = require('../middleware/csvUpload');
+const directoryService = require('../services/directory');
+const dialPlanService = require('../services/dialPlan');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -108,7 +111,7 @@ router.get('/', requirePermission('extensions:read'), async (req, res) => {
         let query = supabase
             .from('extensions')
             .select(`
-                id, extension_number, name, description, dial_plan, status,
+                id, extension_number, name, description, dial_plan, status, directory_listed,
                 created_at, updated_at,
                 departments!left(id, name),
                 users!left(id, email, first_name, last_name)
@@ -166,6 +169,7 @@ router.get('/', requirePermission('extensions:read'), async (req, res) => {
             description: extension.description,
             dialPlan: extension.dial_plan,
             status: extension.status,
+            directoryListed: extension.directory_listed,
             createdAt: extension.created_at,
             updatedAt: extension.updated_at,
             departmentId: extension.departments ? extension.departments.id : null,
@@ -201,6 +205,100 @@ router.get('/', requirePermission('extensions:read'), async (req, res) => {
     }
 });
 
+// @route   GET /api/extensions/directory
+// @desc    Preview the dial-by-name directory, optionally as a caller would search it
+// @access  Private (requires extensions:read permission)
+router.get('/directory', requirePermission('extensions:read'), async (req, res) => {
+    try {
+        const { digits, speech } = req.query;
+        const entries = await directoryService.getEntries(req.user.tenantId);
+
+        let matches = null;
+        if (digits) {
+            matches = directoryService.matchDigits(entries, digits);
+        } else if (speech) {
+            matches = directoryService.matchSpeech(entries, speech);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                entries: matches || entries,
+                total: entries.length,
+                matched: matches ? matches.length : null
+            }
+        });
+
+    } catch (error) {
+        logger.error('Directory preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while previewing the directory'
+        });
+    }
+});
+
+// @route   POST /api/extensions/dial-plan/preview
+// @desc    Validate a dial plan and show the steps it would take at a given time
+// @access  Private (requires extensions:read permission)
+router.post('/dial-plan/preview', [
+    requirePermission('extensions:read'),
+    body('dialPlan', 'Dial plan is required').isObject(),
+    body('at').optional().isISO8601().withMessage('at must be a valid ISO date')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { dialPlan } = req.body;
+        const at = req.body.at ? new Date(req.body.at) : new Date();
+
+        const dialPlanErrors = dialPlanService.validate(dialPlan);
+        if (dialPlanErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid dial plan',
+                details: dialPlanErrors
+            });
+        }
+
+        // Walk the attempts until the plan stops ringing
+        const steps = [];
+        for (let attempt = 0; ; attempt++) {
+            const step = dialPlanService.evaluate(dialPlan, { at, attempt });
+            steps.push(step);
+            if (step.type !== 'ring') {
+                break;
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                at: at.toISOString(),
+                rule: steps[0].rule,
+                steps
+            }
+        });
+
+    } catch (error) {
+        logger.error('Dial plan preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while previewing the dial plan'
+        });
+    }
+});
+
 // @route   GET /api/extensions/:id
 // @desc    Get extension by ID
 // @access  Private (requires extensions:read permission)
@@ -211,7 +309,7 @@ router.get('/:id', requirePermission('extensions:read'), async (req, res) => {
         const { data: extension, error: extensionError } = await supabase
             .from('extensions')
             .select(`
-                id, extension_number, name, description, dial_plan, status,
+                id, extension_number, name, description, dial_plan, status, directory_listed,
                 created_at, updated_at,
                 departments!left(id, name),
                 users!left(id, email, first_name, last_name)
@@ -254,6 +352,7 @@ router.get('/:id', requirePermission('extensions:read'), async (req, res) => {
                     description: extension.description,
                     dialPlan: extension.dial_plan,
                     status: extension.status,
+                    directoryListed: extension.directory_listed,
                     createdAt: extension.created_at,
                     updatedAt: extension.updated_at,
                     departmentId: extension.departments ? extension.departments.id : null,
@@ -283,7 +382,8 @@ router.post('/', [
     requirePermission('extensions:create'),
     body('extensionNumber', 'Extension number is required').notEmpty().isLength({ min: 1, max: 20 }),
     body('name', 'Extension name is required').notEmpty().isLength({ min: 2, max: 255 }),
-    body('dialPlan', 'Dial plan is required').isObject()
+    body('dialPlan', 'Dial plan is required').isObject(),
+    body('directoryListed').optional().isBoolean()
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -296,7 +396,7 @@ router.post('/', [
             });
         }
 
-        const { extensionNumber, name, description, userId, departmentId, dialPlan, status = 'active' } = req.body;
+        const { extensionNumber, name, description, userId, departmentId, dialPlan, status = 'active', directoryListed = true } = req.body;
 
         // Check if extension number already exists in the same tenant
         const { data: existingExtension, error: existingExtensionError } = await supabase
@@ -324,19 +424,12 @@ router.post('/', [
         }
 
         // Validate dial plan
-        if (!dialPlan.type || !['simultaneous', 'sequential'].includes(dialPlan.type)) {
+        const dialPlanErrors = dialPlanService.validate(dialPlan);
+        if (dialPlanErrors.length > 0) {
             return res.status(400).json({
                 success: false,
                 error: 'Invalid dial plan',
-                message: 'Dial plan type must be either "simultaneous" or "sequential"'
-            });
-        }
-
-        if (!dialPlan.destinations || !Array.isArray(dialPlan.destinations) || dialPlan.destinations.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'Invalid dial plan',
-                message: 'Dial plan must have at least one destination'
+                details: dialPlanErrors
             });
         }
 
@@ -352,7 +445,8 @@ router.post('/', [
                 user_id: userId || null,
                 department_id: departmentId || null,
                 dial_plan: JSON.stringify(dialPlan),
-                status: status
+                status: status,
+                directory_listed: directoryListed
             }])
             .select()
             .single();
@@ -390,13 +484,19 @@ router.post('/', [
     }
 });
 
+// @route   POST /api/extensions/import
+// @desc    Import extensions from a CSV file, or validate it with dryRun
+// @access  Private (requires extensions:create permission)
+router.post('/import', requirePermission('extensions:create'), csvImport('extensions'));
+
 // @route   PUT /api/extensions/:id
 // @desc    Update extension
 // @access  Private (requires extensions:update permission)
 router.put('/:id', [
     requirePermission('extensions:update'),
     body('name').optional().notEmpty().isLength({ min: 2, max: 255 }),
-    body('dialPlan').optional().isObject()
+    body('dialPlan').optional().isObject(),
+    body('directoryListed').optional().isBoolean()
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -410,7 +510,7 @@ router.put('/:id', [
         }
 
         const { id } = req.params;
-        const { name, description, userId, departmentId, dialPlan, status } = req.body;
+        const { name, description, userId, departmentId, dialPlan, status, directoryListed } = req.body;
 
         // Check if extension exists and belongs to tenant
         const { data: existingExtension, error: existingExtensionError } = await supabase
@@ -446,19 +546,12 @@ router.put('/:id', [
 
         // Validate dial plan if provided
         if (dialPlan) {
-            if (!dialPlan.type || !['simultaneous', 'sequential'].includes(dialPlan.type)) {
+            const dialPlanErrors = dialPlanService.validate(dialPlan);
+            if (dialPlanErrors.length > 0) {
                 return res.status(400).json({
                     success: false,
                     error: 'Invalid dial plan',
-                    message: 'Dial plan type must be either "simultaneous" or "sequential"'
-                });
-            }
-
-            if (!dialPlan.destinations || !Array.isArray(dialPlan.destinations) || dialPlan.destinations.length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Invalid dial plan',
-                    message: 'Dial plan must have at least one destination'
+                    details: dialPlanErrors
                 });
             }
         }
@@ -504,6 +597,12 @@ router.put('/:id', [
             updateParams.push(status);
         }
 
+        if (directoryListed !== undefined) {
+            paramCount++;
+            updateFields.push(`directory_listed = $${paramCount}`);
+            updateParams.push(directoryListed);
+        }
+
         // Update extension
         if (updateFields.length > 0) {
             paramCount++;
@@ -533,7 +632,7 @@ router.put('/:id', [
         const { data: updatedExtension, error: updatedExtensionError } = await supabase
             .from('extensions')
             .select(`
-                id, extension_number, name, description, dial_plan, status,
+                id, extension_number, name, description, dial_plan, status, directory_listed,
                 created_at, updated_at,
                 departments!left(id, name),
                 users!left(id, email, first_name, last_name)
@@ -570,6 +669,7 @@ router.put('/:id', [
                     description: updatedExtension.description,
                     dialPlan: updatedExtension.dial_plan,
                     status: updatedExtension.status,
+                    directoryListed: updatedExtension.directory_listed,
                     createdAt: updatedExtension.created_at,
                     updatedAt: updatedExtension.updated_at,
                     departmentId: updatedExtension.departments ? updatedExtension.departments.id : null,
@@ -684,7 +784,7 @@ router.get('/search/:number', requirePermission('extensions:read'), async (req,
         const { data: extension, error: extensionError } = await supabase
             .from('extensions')
             .select(`
-                id, extension_number, name, description, dial_plan, status,
+                id, extension_number, name, description, dial_plan, status, directory_listed,
                 departments!left(id, name),
                 users!left(id, email, first_name, last_name)
             `)
@@ -727,6 +827,7 @@ router.get('/search/:number', requirePermission('extensions:read'), async (req,
                     description: extension.description,
                     dialPlan: extension.dial_plan,
                     status: extension.status,
+                    directoryListed: extension.directory_listed,
                     departmentId: extension.departments ? extension.departments.id : null,
                     departmentName: extension.departments ? extension.departments.name : null,
                     userId: extension.users ? extension.users.id : null,
@@ -1,16 +1,431 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { supabase } = require('../database/connection');
+const ivrFlowEngine = require('../services/ivrFlowEngine');
+const businessHoursService = require('../services/businessHours');
+const lamlService = require('../services/laml');
+const voicemailService = require('../services/voicemail');
+const transcriptionService = require('../services/transcription');
+const aiAgentService = require('../services/aiAgent');
+const directoryService = require('../services/directory');
+const departmentService = require('../services/departments');
+const dialPlanService = require('../services/dialPlan');
+const callQueueService = require('../services/callQueues');
+const callEventService = require('../services/callEvents');
+const callHistoryService = require('../services/callHistory');
+const smsAutoReplyService = require('../services/smsAutoReply');
+const phoneNumberService = require('../services/phoneNumbers');
+const { validateSignalWireWebhook } = require('../middleware/webhookSignature');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Every IVR route is a SignalWire webhook
+router.use(validateSignalWireWebhook);
+
+// Default IVR flow if none configured
+const DEFAULT_FLOW = {
+    name: 'Default',
+    greeting: 'Welcome. Please press 1 for Sales, 2 for Support, 3 for Billing, or dial an extension.',
+    timeout: 10,
+    max_digits: 4,
+    retries: 3,
+    options: {
+        '1': { action: 'dept', params: { department: 'Sales' } },
+        '2': { action: 'dept', params: { department: 'Support' } },
+        '3': { action: 'dept', params: { department: 'Billing' } },
+        'default': { action: 'ai', params: { prompt: 'I can help you connect to the right department. What can I assist you with?' } }
+    },
+    fallback: { action: 'voicemail', params: { message: 'Please leave a message and we\'ll get back to you.' } }
+};
+
+// Call events that may be routed by an edge leaving the current node
+const FLOW_EVENTS = ['answered', 'no_answer', 'busy', 'failed', 'timeout'];
+
+// Dial outcomes posted when live call control moves the bridged leg into a conference
+const CONTROL_REJOIN_EVENTS = ['answered', 'queue_dial'];
+
+// Query parameters on our webhook URLs that are not event data
+// (calls started before webhooks stopped carrying tenantId still send it)
+const WEBHOOK_QUERY_KEYS = ['tenantId', 'callId', 'event', 'format'];
+
+// Build the URL SignalWire posts the next IVR event to
+const buildEventUrl = (callId) => (event, data = {}) => {
+    const query = new URLSearchParams({ callId, event });
+    Object.entries(data).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            query.append(key, value);
+        }
+    });
+
+    return `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/event?${query}`;
+};
+
+// Translate a SignalWire voice webhook into the IVR request format
+// SignalWire posts form fields (`CallSid`, `From`, `To`, `Digits`...) and
+// expects LaML back; our own webhook URLs carry callId and event in the query
+// string, and loadCallSession takes the tenant from the call. Any other webhook
+// belongs to the tenant the dialed number is assigned to. JSON clients can also
+// ask for LaML with ?format=laml.
+const parseSignalWireWebhook = async (req, res, next) => {
+    if (req.query.format === 'laml') {
+        res.locals.laml = true;
+    }
+
+    if (!req.body || !req.body.CallSid) {
+        return next();
+    }
+
+    try {
+        const {
+            CallSid, From, To, CallStatus, CallDuration, Digits, SpeechResult, Confidence,
+            DialCallStatus, DialCallDuration, RecordingUrl, RecordingSid, RecordingDuration, QueueResult
+        } = req.body;
+        res.locals.laml = true;
+
+        let tenantId;
+
+        if (!req.query.callId && To) {
+            res.locals.phoneNumber = await phoneNumberService.findByNumber(To);
+            tenantId = res.locals.phoneNumber?.tenant_id;
+        }
+
+        const data = {};
+        Object.entries(req.query)
+            .filter(([key]) => !WEBHOOK_QUERY_KEYS.includes(key))
+            .forEach(([key, value]) => { data[key] = value; });
+
+        Object.entries({
+            digits: Digits,
+            speech: SpeechResult,
+            confidence: Confidence,
+            dialCallStatus: DialCallStatus,
+            dialCallDuration: DialCallDuration,
+            queueResult: QueueResult,
+            recordingUrl: RecordingUrl,
+            recordingSid: RecordingSid,
+            recordingDuration: RecordingDuration,
+            callStatus: CallStatus,
+            duration: CallDuration
+        }).forEach(([key, value]) => {
+            if (value !== undefined && value !== '') {
+                data[key] = value;
+            }
+        });
+
+        let event = req.query.event;
+        if (event === 'dial_result' && data.entry !== undefined) {
+            // An agent rung for a queued caller
+            event = 'queue_dial';
+        } else if (event === 'dial_result') {
+            event = lamlService.dialStatusEvent(DialCallStatus);
+
+            // Sequential dial plans and department ring strategies ring the
+            // next destination before giving up
+            if (event !== 'answered' && data.attempt !== undefined) {
+                event = data.department ? 'dept_dial' : 'extension_dial';
+            }
+        }
+
+        req.body = {
+            ...req.body,
+            tenantId,
+            callId: req.query.callId || req.body.callId,
+            callSid: CallSid,
+            event,
+            did: To,
+            from: From,
+            to: To,
+            data
+        };
+
+        next();
+    } catch (error) {
+        logger.error('SignalWire webhook parsing error:', error);
+        res.type('text/xml').send(lamlService.error());
+    }
+};
+
+// Send an IVR decision as JSON, or as LaML for SignalWire
+const sendIvrResponse = (res, { callId, nodeId, action, params }) => {
+    if (res.locals.laml) {
+        return res.type('text/xml').send(lamlService.render(action, params, {
+            eventUrl: buildEventUrl(callId)
+        }));
+    }
+
+    res.json({
+        success: true,
+        callId,
+        nodeId,
+        action,
+        params
+    });
+};
+
+const callNotFound = (res) => {
+    if (res.locals.laml) {
+        return res.type('text/xml').send(lamlService.error());
+    }
+
+    return res.status(404).json({
+        success: false,
+        error: 'Call not found',
+        message: 'Call session not found'
+    });
+};
+
+// Find the call a follow-up webhook is about, by our callId or SignalWire's CallSid
+// The tenant always comes from the call session; a tenantId in the request is ignored.
+const loadCallSession = async (req, res, next) => {
+    const { callId } = req.body;
+    const callSid = req.body.callSid || req.body.CallSid;
+
+    try {
+        let session = null;
+
+        if (callId || callSid) {
+            let query = supabase.from('call_sessions').select('*');
+            query = callId ? query.eq('call_id', callId) : query.eq('signalwire_sid', callSid);
+
+            const { data: sessionResult, error: sessionError } = await query.maybeSingle();
+
+            if (sessionError) {
+                throw sessionError;
+            }
+            session = sessionResult;
+        }
+
+        res.locals.callSession = session;
+        req.body = { ...req.body, tenantId: session?.tenant_id };
+
+        next();
+    } catch (error) {
+        logger.error('Error loading call session:', error);
+        if (res.locals.laml) {
+            return res.type('text/xml').send(lamlService.error());
+        }
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred loading the call session'
+        });
+    }
+};
+
+// Get the IVR flow graph for a call
+// Sessions pinned to a published version keep running that version, so
+// publishing or rolling back mid-call does not move callers to another graph.
+// New calls run the dialed number's flow, or the tenant's newest active flow.
+const getFlow = async (tenantId, versionId, flowId) => {
+    if (versionId) {
+        const { data: versionResult } = await supabase
+            .from('ivr_flow_versions')
+            .select('id, flow_id, version, flow_config')
+            .eq('id', versionId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (versionResult) {
+            return {
+                graph: ivrFlowEngine.normalize(versionResult.flow_config),
+                flowId: versionResult.flow_id,
+                versionId: versionResult.id,
+                version: versionResult.version
+            };
+        }
+    }
+
+    let flowQuery = supabase
+        .from('ivr_flows')
+        .select('id, flow_config, active_version_id, active_version')
+        .eq('tenant_id', tenantId)
+        .eq('is_active', true);
+
+    flowQuery = flowId
+        ? flowQuery.eq('id', flowId)
+        : flowQuery.order('created_at', { ascending: false }).limit(1);
+
+    const { data: flowResult, error: flowError } = await flowQuery.single();
+
+    // A number's flow that was switched off falls back to the tenant's
+    if (flowId && (flowError || !flowResult)) {
+        return getFlow(tenantId);
+    }
+
+    if (flowError || !flowResult || !flowResult.flow_config) {
+        return {
+            graph: ivrFlowEngine.normalize(DEFAULT_FLOW),
+            flowId: null,
+            versionId: null,
+            version: null
+        };
+    }
+
+    return {
+        graph: ivrFlowEngine.normalize(flowResult.flow_config),
+        flowId: flowResult.id,
+        versionId: flowResult.active_version_id,
+        version: flowResult.active_version
+    };
+};
+
+// Look up an active extension by number
+const findActiveExtension = async (tenantId, extensionNumber) => {
+    const { data: extensionResult, error: extensionError } = await supabase
+        .from('extensions')
+        .select('extension_number, name, dial_plan')
+        .eq('tenant_id', tenantId)
+        .eq('extension_number', extensionNumber)
+        .eq('status', 'active')
+        .single();
+
+    if (extensionError || !extensionResult) {
+        return null;
+    }
+
+    return extensionResult;
+};
+
+// Resolve an `enqueue` action into the call queue's hold, and an `extension`
+// action into the next step of the extension's dial plan
+const resolveFlowAction = async (tenantId, result) => {
+    let { action, params } = result;
+
+    if (action === 'enqueue') {
+        ({ action, params } = await callQueueService.enqueueAction(tenantId, params));
+    }
+
+    if (action !== 'extension') {
+        return { action, params };
+    }
+
+    const extension = await findActiveExtension(tenantId, params.extension);
+    if (!extension) {
+        return {
+            action: 'ai',
+            params: { prompt: 'Extension not found. How can I help you?' }
+        };
+    }
+
+    return dialPlanService.nextAction(extension);
+};
+
+// Actions that hand the caller to a person, department or queue
+const TRANSFER_ACTIONS = ['extension', 'dept', 'forward', 'enqueue', 'queue_agent'];
+
+// Push a transfer to live call dashboards
+// Later attempts of the same dial plan or department are not new transfers,
+// and a department from the flow is reported once dept_dial has resolved it.
+const publishTransfer = async (tenantId, callId, action, params = {}) => {
+    if (!TRANSFER_ACTIONS.includes(action) || Number(params.attempt) > 0) {
+        return;
+    }
+    if (action === 'dept' && params.greeting === undefined) {
+        return;
+    }
+
+    await callEventService.publish(tenantId, {
+        callId,
+        type: 'transfer',
+        department: params.department,
+        extension: params.extension,
+        data: { action, queue: params.queue, number: params.number, agent: params.agent }
+    });
+};
+
+// Save the AI conversation and record the turn in the call's path
+const recordAiTurn = async (callId, flowState, input, turn) => {
+    const { error: updateError } = await supabase
+        .from('call_sessions')
+        .update({
+            flow_state: JSON.stringify({ ...flowState, ai: { messages: turn.history } }),
+            path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                nodeId: 'ai',
+                action: 'ai_turn',
+                at: new Date().toISOString(),
+                data: {
+                    input,
+                    reply: turn.reply,
+                    toolCalls: turn.toolCalls,
+                    result: turn.action,
+                    provider: turn.provider
+                }
+            })}::jsonb)`
+        })
+        .eq('call_id', callId);
+
+    if (updateError) {
+        logger.error('Error recording AI turn:', updateError);
+    }
+};
+
+// Save the caller's place in the directory and record the lookup in the call's path
+const recordDirectoryStep = async (callId, flowState, directoryState, input, action, params) => {
+    const { error: updateError } = await supabase
+        .from('call_sessions')
+        .update({
+            flow_state: JSON.stringify({ ...flowState, directory: directoryState }),
+            path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                nodeId: 'directory',
+                action: action === 'extension' ? 'extension' : 'directory_lookup',
+                at: new Date().toISOString(),
+                data: { ...input, ...params }
+            })}::jsonb)`
+        })
+        .eq('call_id', callId);
+
+    if (updateError) {
+        logger.error('Error recording directory lookup:', updateError);
+    }
+};
+
+// Record the option the caller picked on a menu, for the IVR heatmap
+const recordMenuChoice = async (callId, menuChoice) => {
+    const { error: updateError } = await supabase
+        .from('call_sessions')
+        .update({
+            path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                nodeId: menuChoice.nodeId,
+                action: 'menu_choice',
+                at: new Date().toISOString(),
+                data: menuChoice
+            })}::jsonb)`
+        })
+        .eq('call_id', callId);
+
+    if (updateError) {
+        logger.error('Error recording menu choice:', updateError);
+    }
+};
+
+// Move the call session to a flow node and record the step in its path
+const advanceSession = async (callId, result, action, params) => {
+    const { error: updateError } = await supabase
+        .from('call_sessions')
+        .update({
+            current_node_id: result.nodeId,
+            flow_state: JSON.stringify(result.state || {}),
+            path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                nodeId: result.nodeId,
+                action: action,
+                at: new Date().toISOString(),
+                data: params
+            })}::jsonb)`
+        })
+        .eq('call_id', callId);
+
+    if (updateError) {
+        logger.error('Error advancing call session:', updateError);
+    }
+};
+
 /**
  * @swagger
  * /api/mcp/ivr/entry:
  *   post:
  *     summary: Handle inbound call entry from SignalWire
- *     description: Process inbound calls and return IVR flow configuration
+ *     description: Process inbound calls, start the IVR flow graph of the tenant the dialed number is assigned to (or the number's own flow) and return the action for its first node
  *     tags: [IVR]
  *     requestBody:
  *       required: true
@@ -19,7 +434,6 @@ const router = express.Router();
  *           schema:
  *             $ref: '#/components/schemas/IVREntry'
  *           example:
- *             tenantId: "tenant-123"
  *             did: "+12345678900"
  *             from: "+19876543210"
  *             to: "+12345678900"
@@ -34,6 +448,7 @@ const router = express.Router();
  *             example:
  *               success: true
  *               callId: "tenant-123_1234567890_abc123"
+ *               nodeId: "root"
  *               action: "gather"
  *               params:
  *                 greeting: "Welcome. Please press 1 for Sales, 2 for Support, 3 for Billing, or dial an extension."
@@ -42,19 +457,23 @@ const router = express.Router();
  *                 retries: 3
  *                 options:
  *                   "1":
- *                     action: "dept"
- *                     params:
- *                       department: "Sales"
+ *                     nodeId: "option_1"
+ *                     label: "Sales"
  *                   "2":
- *                     action: "dept"
- *                     params:
- *                       department: "Support"
+ *                     nodeId: "option_2"
+ *                     label: "Support"
  *       400:
  *         description: Validation error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Dialed number is not assigned to a tenant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -63,7 +482,7 @@ const router = express.Router();
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/entry', [
-    body('tenantId').notEmpty().withMessage('tenantId is required'),
+    parseSignalWireWebhook,
     body('did').notEmpty().withMessage('did is required'),
     body('from').notEmpty().withMessage('from is required'),
     body('to').notEmpty().withMessage('to is required'),
@@ -80,11 +499,31 @@ router.post('/entry', [
             });
         }
 
-        const { tenantId, did, from, to, ts } = req.body;
+        const { did, from, to, ts, callSid } = req.body;
+
+        // The dialed number decides the tenant and flow, never a field of the request
+        const phoneNumber = res.locals.phoneNumber || await phoneNumberService.findByNumber(did);
+
+        if (!phoneNumber) {
+            logger.warn('IVR Entry for a number not assigned to a tenant', { did, from });
+            if (res.locals.laml) {
+                return res.type('text/xml').send(lamlService.error());
+            }
+            return res.status(404).json({
+                success: false,
+                error: 'Phone number not found',
+                message: 'The dialed number is not assigned to a tenant'
+            });
+        }
+
+        const tenantId = phoneNumber.tenant_id;
         const callId = `${tenantId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
         logger.info('IVR Entry received', { tenantId, did, from, to, callId });
 
+        // Get the flow this call will run
+        const flow = await getFlow(tenantId, null, phoneNumber.ivr_flow_id);
+
         // Create call session
         const { error: sessionError } = await supabase
             .from('call_sessions')
@@ -95,8 +534,13 @@ router.post('/entry', [
                 from_number: from,
                 to_number: to,
                 did: did,
+                signalwire_sid: callSid || null,
+                direction: 'inbound',
                 started_at: ts || new Date().toISOString(),
                 status: 'active',
+                ivr_flow_id: flow.flowId,
+                ivr_flow_version_id: flow.versionId,
+                ivr_flow_version: flow.version,
                 path: JSON.stringify([{
                     nodeId: 'entry',
                     action: 'call_received',
@@ -114,80 +558,54 @@ router.post('/entry', [
             });
         }
 
-        // Get IVR flow configuration
-        const { data: flowResult, error: flowError } = await supabase
-            .from('ivr_flows')
-            .select('flow_config')
-            .eq('tenant_id', tenantId)
-            .eq('is_active', true)
-            .order('created_at', { ascending: false })
-            .limit(1)
-            .single();
+        await callEventService.publish(tenantId, {
+            callId,
+            type: 'call_started',
+            data: { direction: 'inbound', from, to, did }
+        });
 
-        if (flowError || !flowResult) {
-            // Default IVR flow if none configured
-            const defaultFlow = {
-                greeting: 'Welcome. Please press 1 for Sales, 2 for Support, 3 for Billing, or dial an extension.',
-                timeout: 10,
-                max_digits: 4,
-                retries: 3,
-                options: {
-                    '1': { action: 'dept', params: { department: 'Sales' } },
-                    '2': { action: 'dept', params: { department: 'Support' } },
-                    '3': { action: 'dept', params: { department: 'Billing' } },
-                    'default': { action: 'ai', params: { prompt: 'I can help you connect to the right department. What can I assist you with?' } }
-                },
-                fallback: { action: 'voicemail', params: { message: 'Please leave a message and we\'ll get back to you.' } }
-            };
+        // Choose the open or closed path from the call's timestamp
+        const hours = await businessHoursService.getStatus(tenantId, {
+            at: ts ? new Date(ts) : new Date(),
+            did
+        });
+        const flowContext = { from, to, did, ts, state: { variables: { is_open: hours.open } } };
+        const closedAction = businessHoursService.closedAction(hours);
 
-            return res.json({
-                success: true,
-                callId,
-                action: 'gather',
-                params: {
-                    greeting: defaultFlow.greeting,
-                    timeout: defaultFlow.timeout,
-                    max_digits: defaultFlow.max_digits,
-                    retries: defaultFlow.retries,
-                    options: defaultFlow.options
-                }
-            });
+        let result;
+        if (!hours.open && flow.graph.closedStart) {
+            result = ivrFlowEngine.enter(flow.graph, flow.graph.closedStart, flowContext);
+        } else if (closedAction) {
+            result = { nodeId: 'after_hours', ...closedAction, state: flowContext.state };
+        } else {
+            result = ivrFlowEngine.start(flow.graph, flowContext);
         }
 
-        const flowConfig = flowResult.flow_config;
-
-        // Log the entry step
-        const { error: updateError } = await supabase
-            .from('call_sessions')
-            .update({
-                path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
-                    nodeId: 'ivr_entry',
-                    action: 'ivr_greeting',
-                    at: new Date().toISOString(),
-                    data: { flow: flowConfig.name }
-                })}::jsonb)`
-            })
-            .eq('call_id', callId);
+        const { action, params: flowParams } = await resolveFlowAction(tenantId, result);
+        const params = action === 'voicemail'
+            ? await voicemailService.prepareAction(tenantId, flowParams)
+            : flowParams;
 
-        if (updateError) {
-            logger.error('Error updating call session path:', updateError);
-        }
+        await advanceSession(callId, result, action, {
+            flow: flow.graph.name,
+            flowVersion: flow.version,
+            hours: { open: hours.open, reason: hours.reason },
+            ...params
+        });
+        await publishTransfer(tenantId, callId, action, params);
 
-        res.json({
-            success: true,
+        sendIvrResponse(res, {
             callId,
-            action: 'gather',
-            params: {
-                greeting: flowConfig.greeting || 'Welcome. How may I help you?',
-                timeout: flowConfig.timeout || 10,
-                max_digits: flowConfig.max_digits || 4,
-                retries: flowConfig.retries || 3,
-                options: flowConfig.options || {}
-            }
+            nodeId: result.nodeId,
+            action,
+            params
         });
 
     } catch (error) {
         logger.error('IVR Entry error:', error);
+        if (res.locals.laml) {
+            return res.type('text/xml').send(lamlService.error());
+        }
         res.status(500).json({
             success: false,
             error: 'Server error',
@@ -197,11 +615,12 @@ router.post('/entry', [
 });
 
 // @route   POST /api/mcp/ivr/event
-// @desc    Handle IVR events from SignalWire
+// @desc    Handle IVR events from SignalWire and move the call through the flow graph
 // @access  Public (SignalWire webhook)
 router.post('/event', [
-    body('tenantId').notEmpty().withMessage('tenantId is required'),
+    parseSignalWireWebhook,
     body('callId').notEmpty().withMessage('callId is required'),
+    loadCallSession,
     body('event').notEmpty().withMessage('event is required'),
     body('data').optional().isObject().withMessage('data must be an object')
 ], async (req, res) => {
@@ -216,6 +635,10 @@ router.post('/event', [
             });
         }
 
+        if (!res.locals.callSession) {
+            return callNotFound(res);
+        }
+
         const { tenantId, callId, event, data } = req.body;
 
         logger.info('IVR Event received', { tenantId, callId, event, data });
@@ -237,170 +660,370 @@ router.post('/event', [
             logger.error('Error updating call session path:', updateError);
         }
 
+        // Get the caller's position in the flow
+        const { data: session } = await supabase
+            .from('call_sessions')
+            .select('from_number, to_number, did, path, current_node_id, flow_state, ivr_flow_id, ivr_flow_version_id')
+            .eq('call_id', callId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        const { graph } = await getFlow(tenantId, session?.ivr_flow_version_id, session?.ivr_flow_id);
+        const currentNodeId = session?.current_node_id && graph.nodes[session.current_node_id]
+            ? session.current_node_id
+            : graph.start;
+        const flowContext = {
+            from: session?.from_number,
+            to: session?.to_number,
+            did: session?.did,
+            state: typeof session?.flow_state === 'string'
+                ? JSON.parse(session.flow_state)
+                : (session?.flow_state || {})
+        };
+
         let action = 'hangup';
         let params = { reason: 'call_ended' };
+        let flowResult = null;
+        let menuChoice = null;
 
-        switch (event) {
-            case 'dtmf_menu':
-                // Handle DTMF menu selection
-                const digit = data?.digit;
-                if (digit) {
-                    const { data: flowResult, error: flowError } = await supabase
-                        .from('ivr_flows')
-                        .select('flow_config')
-                        .eq('tenant_id', tenantId)
-                        .eq('is_active', true)
-                        .order('created_at', { ascending: false })
-                        .limit(1)
-                        .single();
-
-                    if (flowError || !flowResult) {
-                        action = 'ai';
-                        params = { prompt: 'I didn\'t recognize that option. How can I help you?' };
-                    } else {
-                        const flowConfig = flowResult.flow_config;
-                        const option = flowConfig.options[digit];
+        // A call under live call control goes back to its conference when its
+        // bridged leg is moved there, rather than on through the flow
+        const controlRoom = flowContext.state.control?.room;
+        const rejoinConference = controlRoom && CONTROL_REJOIN_EVENTS.includes(event);
 
-                        if (option) {
-                            action = option.action;
-                            params = option.params;
-                        } else {
+        // Let the flow route call events when the current node has an edge for them
+        if (FLOW_EVENTS.includes(event) && !rejoinConference) {
+            flowResult = ivrFlowEngine.follow(graph, currentNodeId, event, flowContext);
+        }
+
+        if (flowResult) {
+            ({ action, params } = await resolveFlowAction(tenantId, flowResult));
+        } else {
+            switch (event) {
+                case 'dtmf_menu':
+                    // Handle DTMF or spoken input on the current menu or gather node
+                    const digit = data?.digits ?? data?.digit;
+                    const hasDigit = digit !== undefined && digit !== null && digit !== '';
+                    if (hasDigit || data?.speech) {
+                        let result = ivrFlowEngine.handleInput(graph, currentNodeId, data, flowContext);
+                        const matched = !result.unmatched;
+                        let extension = null;
+
+                        if (result.unmatched) {
                             // Handle extension dialing
-                            const { data: extensionResult, error: extensionError } = await supabase
-                                .from('extensions')
-                                .select('extension_number, name, dial_plan')
-                                .eq('tenant_id', tenantId)
-                                .eq('extension_number', digit)
-                                .eq('status', 'active')
-                                .single();
-
-                            if (extensionError || !extensionResult) {
-                                action = 'ai';
-                                params = { prompt: 'I didn\'t recognize that option. How can I help you?' };
-                            } else {
-                                const extension = extensionResult;
-                                action = 'extension';
-                                params = {
-                                    extension: extension.extension_number,
-                                    name: extension.name,
-                                    dialPlan: extension.dial_plan
-                                };
+                            const node = graph.nodes[currentNodeId];
+                            if (hasDigit && node?.type === 'menu' && node.allow_extensions !== false) {
+                                extension = await findActiveExtension(tenantId, String(digit));
                             }
+
+                            result = extension ? null : ivrFlowEngine.handleNoMatch(graph, currentNodeId, flowContext, {
+                                lowConfidence: result.lowConfidence
+                            });
+                        }
+
+                        if (extension) {
+                            ({ action, params } = dialPlanService.nextAction(extension));
+                        } else if (result) {
+                            flowResult = result;
+                            ({ action, params } = await resolveFlowAction(tenantId, result));
+                        } else {
+                            action = 'ai';
+                            params = { prompt: 'I didn\'t recognize that option. How can I help you?' };
+                        }
+
+                        if (matched || extension) {
+                            menuChoice = {
+                                nodeId: currentNodeId,
+                                digits: hasDigit ? String(digit) : undefined,
+                                speech: hasDigit ? undefined : data.speech,
+                                next: result ? result.nodeId : undefined,
+                                extension: extension ? extension.extension_number : undefined
+                            };
                         }
                     }
-                }
-                break;
-
-            case 'extension_dial':
-                // Handle extension dialing
-                const extensionNumber = data?.extension;
-                if (extensionNumber) {
-                    const { data: extensionResult, error: extensionError } = await supabase
-                        .from('extensions')
-                        .select('extension_number, name, dial_plan')
-                        .eq('tenant_id', tenantId)
-                        .eq('extension_number', extensionNumber)
-                        .eq('status', 'active')
-                        .single();
-
-                    if (extensionError || !extensionResult) {
-                        action = 'ai';
-                        params = { prompt: 'Extension not found. How can I help you?' };
+                    break;
+
+                case 'play_complete':
+                    // Playback finished - continue to the next node
+                    flowResult = ivrFlowEngine.follow(graph, currentNodeId, 'next', flowContext);
+                    if (flowResult) {
+                        ({ action, params } = await resolveFlowAction(tenantId, flowResult));
                     } else {
-                        const extension = extensionResult;
-                        action = 'extension';
-                        params = {
-                            extension: extension.extension_number,
-                            name: extension.name,
-                            dialPlan: extension.dial_plan
-                        };
+                        action = 'hangup';
+                        params = { reason: 'flow_complete' };
                     }
-                }
-                break;
-
-            case 'ai_handoff':
-                // Handle AI handoff
-                action = 'ai';
-                params = {
-                    prompt: data?.prompt || 'How can I assist you today?',
-                    model: data?.model || 'default'
-                };
-                break;
-
-            case 'dept_dial':
-                // Handle department dialing
-                const departmentName = data?.department;
-                if (departmentName) {
-                    const { data: deptResult, error: deptError } = await supabase
-                        .from('departments')
-                        .select('name, settings, extensions')
-                        .eq('tenant_id', tenantId)
-                        .eq('name', departmentName)
-                        .single();
-
-                    if (deptError || !deptResult) {
-                        action = 'voicemail';
-                        params = { message: 'Department not available. Please leave a message.' };
-                    } else {
-                        const department = deptResult;
-                        action = 'dept';
-                        params = {
-                            department: department.name,
-                            greeting: department.settings?.greeting || `Connecting you to ${department.name}`,
-                            extensions: department.extensions || []
-                        };
+                    break;
+
+                case 'extension_dial':
+                    // Handle extension dialing
+                    const extensionNumber = data?.extension;
+                    if (extensionNumber) {
+                        const extension = await findActiveExtension(tenantId, extensionNumber);
+
+                        if (!extension) {
+                            action = 'ai';
+                            params = { prompt: 'Extension not found. How can I help you?' };
+                        } else {
+                            // Ring the dial plan's next step, or apply its no-answer handling
+                            ({ action, params } = dialPlanService.nextAction(extension, {
+                                attempt: Number(data?.attempt) || 0
+                            }));
+                        }
                     }
-                }
-                break;
-
-            case 'answered':
-                // Call was answered
-                action = 'answered';
-                params = {
-                    duration: data?.duration || 0,
-                    answeredBy: data?.answeredBy || 'unknown'
-                };
-                break;
-
-            case 'no_answer':
-                // No answer - try fallback
-                action = 'voicemail';
-                params = { message: 'No one is available to take your call. Please leave a message.' };
-                break;
-
-            case 'busy':
-                // Line busy - try fallback
-                action = 'voicemail';
-                params = { message: 'The line is busy. Please leave a message.' };
-                break;
-
-            case 'failed':
-                // Call failed - try fallback
-                action = 'voicemail';
-                params = { message: 'Unable to complete your call. Please leave a message.' };
-                break;
-
-            case 'timeout':
-                // Timeout - try fallback
-                action = 'voicemail';
-                params = { message: 'No response received. Please leave a message.' };
-                break;
-
-            default:
-                // Unknown event - end call
-                action = 'hangup';
-                params = { reason: 'unknown_event' };
+                    break;
+
+                case 'recording_complete':
+                    // Voicemail recorded - store it and end the call
+                    if (data?.recordingUrl) {
+                        await voicemailService.saveMessage({
+                            tenantId,
+                            mailboxId: data.mailboxId,
+                            callId,
+                            from: session?.from_number,
+                            did: session?.did,
+                            recordingUrl: data.recordingUrl,
+                            recordingSid: data.recordingSid,
+                            duration: data.recordingDuration
+                        });
+                    }
+                    action = 'hangup';
+                    params = { reason: 'voicemail_recorded', message: 'Thank you. Goodbye.' };
+                    break;
+
+                case 'directory_lookup':
+                    // Caller spelled or said a name, or answered a directory prompt
+                    const directoryInput = { digits: data?.digits, speech: data?.speech };
+                    const lookup = await directoryService.handleInput(tenantId, directoryInput, flowContext.state.directory);
+
+                    ({ action, params } = await resolveFlowAction(tenantId, lookup));
+                    await recordDirectoryStep(callId, flowContext.state, lookup.state, directoryInput, action, params);
+                    break;
+
+                case 'ai_input':
+                    // Caller spoke to the AI receptionist
+                    const aiInput = data?.speech ?? data?.text ?? data?.digits ?? '';
+                    const turn = await aiAgentService.respond({
+                        tenantId,
+                        callId,
+                        input: aiInput,
+                        history: flowContext.state.ai?.messages || [],
+                        caller: { from: session?.from_number },
+                        model: data?.model
+                    });
+
+                    ({ action, params } = await resolveFlowAction(tenantId, turn));
+                    await recordAiTurn(callId, flowContext.state, aiInput, turn);
+                    break;
+
+                case 'ai_handoff':
+                    // Handle AI handoff
+                    action = 'ai';
+                    params = {
+                        prompt: data?.prompt || 'How can I assist you today?',
+                        model: data?.model || 'default'
+                    };
+                    break;
+
+                case 'dept_dial':
+                    // Handle department dialing
+                    const departmentName = data?.department;
+                    if (departmentName) {
+                        const department = await departmentService.getByName(tenantId, departmentName);
+                        const firstAttempt = !Number(data?.attempt);
+
+                        // Check the department's hours before ringing anyone
+                        const deptHours = department && firstAttempt
+                            ? await businessHoursService.getStatus(tenantId, {
+                                departmentId: department.id,
+                                at: data?.ts ? new Date(data.ts) : new Date(),
+                                did: session?.did
+                            })
+                            : null;
+                        const deptClosedAction = deptHours
+                            ? businessHoursService.closedAction(deptHours, department.name)
+                            : null;
+
+                        if (!department) {
+                            action = 'voicemail';
+                            params = { message: 'Department not available. Please leave a message.' };
+                        } else if (deptClosedAction) {
+                            ({ action, params } = deptClosedAction);
+                        } else {
+                            // Ring members in the order of the department's strategy,
+                            // then hold callers in the department's queue if it has one
+                            const deptQueue = await callQueueService.getForDepartment(tenantId, department.id);
+                            const dialAction = await departmentService.dialAction(department, {
+                                attempt: data?.attempt,
+                                order: data?.order,
+                                member: data?.member,
+                                visited: data?.visited,
+                                queue: deptQueue?.name
+                            });
+                            ({ action, params } = await resolveFlowAction(tenantId, dialAction));
+                        }
+                    }
+                    break;
+
+                case 'queue_wait':
+                    // SignalWire polls the queue while the caller holds
+                    ({ action, params } = await callQueueService.waitAction(tenantId, data?.queue, {
+                        callId,
+                        from: session?.from_number,
+                        digits: data?.digits
+                    }));
+                    break;
+
+                case 'queue_result':
+                    // Caller left the queue - ring the reserved agent, confirm the callback or overflow
+                    const queueResult = await callQueueService.resultAction(tenantId, data?.queue, {
+                        callId,
+                        queueResult: data?.queueResult
+                    });
+                    ({ action, params } = await resolveFlowAction(tenantId, queueResult));
+                    break;
+
+                case 'queue_dial':
+                    // The agent answered, or the caller goes back in line
+                    const queueDial = await callQueueService.dialResult(tenantId, data?.queue, {
+                        entryId: data?.entry,
+                        answered: lamlService.dialStatusEvent(data?.dialCallStatus) === 'answered',
+                        talkSeconds: data?.dialCallDuration
+                    });
+                    ({ action, params } = await resolveFlowAction(tenantId, queueDial));
+                    break;
+
+                case 'conference':
+                    // A leg moved or dialed into the call's conference by live call control
+                    action = 'conference';
+                    params = {
+                        room: `call-${callId}`,
+                        role: data?.role,
+                        muted: data?.muted === 'true' || data?.muted === true,
+                        coach: data?.coach
+                    };
+                    break;
+
+                case 'control_transfer':
+                    // Blind transfer from live call control - route like a transfer node
+                    const transfer = ivrFlowEngine.render(graph, {
+                        id: 'call_control',
+                        type: 'transfer',
+                        extension: data?.extension,
+                        department: data?.department,
+                        queue: data?.queue,
+                        number: data?.number
+                    }, flowContext.state);
+                    ({ action, params } = await resolveFlowAction(tenantId, transfer));
+                    break;
+
+                case 'leg_answered':
+                    // A dialed phone picked up; the caller stays where they are in the flow
+                    action = 'answered';
+                    params = { answeredBy: data?.extension || data?.number || 'unknown' };
+                    break;
+
+                case 'answered':
+                    // Call was answered
+                    action = 'answered';
+                    params = {
+                        duration: data?.duration || 0,
+                        answeredBy: data?.answeredBy || 'unknown'
+                    };
+                    break;
+
+                case 'no_answer':
+                    // No answer - try fallback
+                    action = 'voicemail';
+                    params = { message: 'No one is available to take your call. Please leave a message.' };
+                    break;
+
+                case 'busy':
+                    // Line busy - try fallback
+                    action = 'voicemail';
+                    params = { message: 'The line is busy. Please leave a message.' };
+                    break;
+
+                case 'failed':
+                    // Call failed - try fallback
+                    action = 'voicemail';
+                    params = { message: 'Unable to complete your call. Please leave a message.' };
+                    break;
+
+                case 'timeout':
+                    // Timeout - try fallback
+                    action = 'voicemail';
+                    params = { message: 'No response received. Please leave a message.' };
+                    break;
+
+                default:
+                    // Unknown event - end call
+                    action = 'hangup';
+                    params = { reason: 'unknown_event' };
+            }
         }
 
-        res.json({
-            success: true,
+        if (rejoinConference) {
+            action = 'conference';
+            params = { room: controlRoom, role: 'caller' };
+        }
+
+        // Leave the message in the mailbox of whoever the caller was trying to reach
+        if (action === 'voicemail') {
+            params = await voicemailService.prepareAction(tenantId, params, callHistoryService.dialTarget(session?.path));
+        }
+
+        // Record the menu pick before the node it leads to
+        if (menuChoice) {
+            await recordMenuChoice(callId, menuChoice);
+        }
+
+        // Track the caller's new position in the flow
+        if (flowResult) {
+            await advanceSession(callId, flowResult, action, params);
+        }
+
+        // Push what happened to live call dashboards
+        if (menuChoice) {
+            await callEventService.publish(tenantId, {
+                callId,
+                type: 'menu_choice',
+                extension: menuChoice.extension,
+                data: menuChoice
+            });
+        }
+        await publishTransfer(tenantId, callId, action, params);
+        if (event === 'leg_answered') {
+            await callEventService.publish(tenantId, {
+                callId,
+                type: 'answered',
+                department: data?.department,
+                extension: data?.extension,
+                data: { queue: data?.queue, number: data?.number }
+            });
+        }
+        if (event === 'recording_complete' && data?.recordingUrl) {
+            const target = callHistoryService.dialTarget(session?.path);
+            await callEventService.publish(tenantId, {
+                callId,
+                type: 'voicemail',
+                department: target.department,
+                extension: target.extension,
+                data: { mailboxId: data.mailboxId, duration: data.recordingDuration }
+            });
+        }
+
+        sendIvrResponse(res, {
             callId,
+            nodeId: flowResult ? flowResult.nodeId : currentNodeId,
             action,
             params
         });
 
     } catch (error) {
         logger.error('IVR Event error:', error);
+        if (res.locals.laml) {
+            return res.type('text/xml').send(lamlService.error());
+        }
         res.status(500).json({
             success: false,
             error: 'Server error',
@@ -409,13 +1032,13 @@ router.post('/event', [
     }
 });
 
-// @route   POST /api/mcp/ivr/log
-// @desc    Log call completion data
+// @route   POST /api/mcp/ivr/outbound
+// @desc    Start the IVR flow when an outbound call is answered
 // @access  Public (SignalWire webhook)
-router.post('/log', [
-    body('tenantId').notEmpty().withMessage('tenantId is required'),
+router.post('/outbound', [
+    parseSignalWireWebhook,
     body('callId').notEmpty().withMessage('callId is required'),
-    body('cdr').optional().isObject().withMessage('cdr must be an object')
+    loadCallSession
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -428,64 +1051,222 @@ router.post('/log', [
             });
         }
 
-        const { tenantId, callId, cdr } = req.body;
+        res.locals.laml = true;
 
-        logger.info('IVR Log received', { tenantId, callId, cdr });
+        if (!res.locals.callSession) {
+            return callNotFound(res);
+        }
 
-        // Get call session
-        const { data: callResult, error: callError } = await supabase
+        const { tenantId, callId, callSid, from, to } = req.body;
+
+        logger.info('IVR Outbound answered', { tenantId, callId, callSid });
+
+        const flow = await getFlow(tenantId);
+
+        const { error: sessionError } = await supabase
             .from('call_sessions')
-            .select('*')
+            .update({
+                signalwire_sid: callSid,
+                status: 'active',
+                ivr_flow_id: flow.flowId,
+                ivr_flow_version_id: flow.versionId,
+                ivr_flow_version: flow.version,
+                path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                    nodeId: 'outbound_answered',
+                    action: 'answered',
+                    at: new Date().toISOString(),
+                    data: { callSid }
+                })}::jsonb)`
+            })
             .eq('call_id', callId)
-            .eq('tenant_id', tenantId)
-            .single();
+            .eq('tenant_id', tenantId);
 
-        if (callError || !callResult) {
-            return res.status(404).json({
+        if (sessionError) {
+            logger.error('Error updating outbound call session:', sessionError);
+        }
+
+        await callEventService.publish(tenantId, {
+            callId,
+            type: 'call_started',
+            data: { direction: 'outbound', from, to }
+        });
+
+        const result = ivrFlowEngine.start(flow.graph, { from, to });
+        const { action, params: flowParams } = await resolveFlowAction(tenantId, result);
+        const params = action === 'voicemail'
+            ? await voicemailService.prepareAction(tenantId, flowParams)
+            : flowParams;
+
+        await advanceSession(callId, result, action, {
+            flow: flow.graph.name,
+            flowVersion: flow.version,
+            ...params
+        });
+        await publishTransfer(tenantId, callId, action, params);
+
+        sendIvrResponse(res, {
+            callId,
+            nodeId: result.nodeId,
+            action,
+            params
+        });
+
+    } catch (error) {
+        logger.error('IVR Outbound error:', error);
+        res.type('text/xml').send(lamlService.error());
+    }
+});
+
+// Map SignalWire CallStatus values onto call session statuses
+const CALL_STATUSES = {
+    'queued': 'initiating',
+    'initiated': 'initiating',
+    'ringing': 'initiating',
+    'in-progress': 'active',
+    'answered': 'active',
+    'completed': 'completed',
+    'busy': 'failed',
+    'no-answer': 'failed',
+    'failed': 'failed',
+    'canceled': 'failed'
+};
+
+// @route   POST /api/mcp/ivr/status
+// @desc    Record call status callbacks from SignalWire
+// @access  Public (SignalWire webhook)
+router.post('/status', [
+    parseSignalWireWebhook,
+    body('CallSid').notEmpty().withMessage('CallSid is required'),
+    body('CallStatus').notEmpty().withMessage('CallStatus is required'),
+    loadCallSession
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                error: 'Call not found',
-                message: 'Call session not found'
+                error: 'Validation error',
+                details: errors.array()
             });
         }
 
-        const callSession = callResult;
-        const path = JSON.parse(callSession.path || '[]');
+        const { callId, callSid, CallStatus, CallDuration, RecordingUrl, RecordingSid } = req.body;
+        const status = CALL_STATUSES[CallStatus] || 'active';
 
-        // Determine outcome based on path
-        let outcome = 'unknown';
-        let tags = [];
+        logger.info('IVR Status received', { callId, callSid, callStatus: CallStatus });
 
-        // Analyze path to determine outcome
-        const lastEvent = path[path.length - 1];
-        if (lastEvent) {
-            switch (lastEvent.action) {
-                case 'answered':
-                    outcome = 'answered';
-                    break;
-                case 'voicemail':
-                    outcome = 'voicemail';
-                    tags.push('voicemail');
-                    break;
-                case 'extension':
-                    outcome = 'extension_answered';
-                    tags.push('extension');
-                    break;
-                case 'dept':
-                    outcome = 'dept_answered';
-                    tags.push('department');
-                    break;
-                case 'ai':
-                    outcome = 'ai_handled';
-                    tags.push('ai');
-                    break;
-                case 'hangup':
-                    outcome = 'caller_hung_up';
-                    break;
-                default:
-                    outcome = 'unknown';
+        const updateData = {
+            status: status,
+            path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                nodeId: 'call_status',
+                action: CallStatus,
+                at: new Date().toISOString(),
+                data: { callSid, duration: CallDuration }
+            })}::jsonb)`
+        };
+
+        if (status === 'completed' || status === 'failed') {
+            updateData.ended_at = new Date().toISOString();
+        }
+        if (status === 'failed') {
+            updateData.outcome = CallStatus.replace('-', '_');
+        }
+        if (CallDuration !== undefined) {
+            updateData.duration_seconds = parseInt(CallDuration, 10);
+        }
+
+        let query = supabase.from('call_sessions').update(updateData);
+        query = callId ? query.eq('call_id', callId) : query.eq('signalwire_sid', callSid);
+
+        const { data: sessions, error: updateError } = await query.select('tenant_id, call_id, path');
+
+        if (updateError) {
+            logger.error('Error updating call status:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update call status'
+            });
+        }
+
+        // Tell live call dashboards the call is over
+        if (status === 'completed' || status === 'failed') {
+            for (const session of sessions || []) {
+                const target = callHistoryService.dialTarget(session.path);
+                await callEventService.publish(session.tenant_id, {
+                    callId: session.call_id,
+                    type: 'ended',
+                    department: target.department,
+                    extension: target.extension,
+                    data: { status: CallStatus, duration: CallDuration !== undefined ? parseInt(CallDuration, 10) : null }
+                });
             }
         }
 
+        // Calls recorded with record=true report the recording on completion
+        // Status callbacks set on the number carry no callId, so the call comes from the session
+        const callSession = res.locals.callSession;
+        if (RecordingUrl && callSession) {
+            await transcriptionService.enqueue({
+                tenantId: callSession.tenant_id,
+                callId: callSession.call_id,
+                recordingUrl: RecordingUrl,
+                recordingSid: RecordingSid
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Call status recorded'
+        });
+
+    } catch (error) {
+        logger.error('IVR Status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred recording the call status'
+        });
+    }
+});
+
+// @route   POST /api/mcp/ivr/log
+// @desc    Log call completion data
+// @access  Public (SignalWire webhook)
+router.post('/log', [
+    body('callId').notEmpty().withMessage('callId is required'),
+    body('cdr').optional().isObject().withMessage('cdr must be an object'),
+    loadCallSession
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { tenantId, callId, cdr } = req.body;
+
+        logger.info('IVR Log received', { tenantId, callId, cdr });
+
+        const callSession = res.locals.callSession;
+
+        if (!callSession) {
+            return callNotFound(res);
+        }
+
+        const path = typeof callSession.path === 'string'
+            ? JSON.parse(callSession.path || '[]')
+            : (callSession.path || []);
+
+        // Determine outcome based on path
+        const { outcome, tags } = callHistoryService.callOutcome(path);
+
         // Calculate metrics
         const totalSteps = path.length;
         const aiSteps = path.filter(step => step.action.includes('ai')).length;
@@ -517,6 +1298,13 @@ router.post('/log', [
             logger.error('Error updating call session:', updateError);
         }
 
+        // Text back inbound callers who hung up or left a voicemail
+        try {
+            await smsAutoReplyService.handleCallCompleted(callSession, outcome);
+        } catch (textBackError) {
+            logger.error('Error sending missed-call text-back:', textBackError);
+        }
+
         res.json({
             success: true,
             message: 'Call logged successfully',
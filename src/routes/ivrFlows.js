@@ -0,0 +1,940 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const ivrFlowEngine = require('../services/ivrFlowEngine');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Transform an ivr_flows row to match expected format
+const formatFlow = (flow) => ({
+    id: flow.id,
+    name: flow.name,
+    description: flow.description,
+    draftConfig: flow.draft_config,
+    publishedConfig: flow.flow_config,
+    activeVersionId: flow.active_version_id,
+    activeVersion: flow.active_version,
+    isActive: flow.is_active,
+    createdBy: flow.created_by,
+    createdAt: flow.created_at,
+    updatedAt: flow.updated_at
+});
+
+// Transform an ivr_flow_versions row to match expected format
+const formatVersion = (version) => ({
+    id: version.id,
+    flowId: version.flow_id,
+    version: version.version,
+    flowConfig: version.flow_config,
+    notes: version.notes,
+    publishedBy: version.published_by,
+    publishedAt: version.published_at
+});
+
+// Get a flow belonging to the tenant
+const getTenantFlow = async (id, tenantId) => {
+    const { data: flow, error: flowError } = await supabase
+        .from('ivr_flows')
+        .select('*')
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    if (flowError && flowError.code !== 'PGRST116') {
+        return { error: flowError };
+    }
+
+    return { flow: flow || null };
+};
+
+// Get a published version of a flow by version number
+const getFlowVersion = async (flowId, version) => {
+    const { data: flowVersion, error: versionError } = await supabase
+        .from('ivr_flow_versions')
+        .select('*')
+        .eq('flow_id', flowId)
+        .eq('version', parseInt(version))
+        .single();
+
+    if (versionError && versionError.code !== 'PGRST116') {
+        return { error: versionError };
+    }
+
+    return { flowVersion: flowVersion || null };
+};
+
+const flowNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Flow not found',
+    message: 'The requested IVR flow does not exist'
+});
+
+const versionNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Version not found',
+    message: 'The requested IVR flow version does not exist'
+});
+
+/**
+ * @swagger
+ * /api/ivr/flows:
+ *   get:
+ *     summary: Get all IVR flows for tenant
+ *     description: Retrieve a paginated list of IVR flows with their draft and active published version
+ *     tags: [IVR]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of flows per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search term for flow name
+ *     responses:
+ *       200:
+ *         description: Flows retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     flows:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     pagination:
+ *                       $ref: '#/components/schemas/Pagination'
+ *             example:
+ *               success: true
+ *               data:
+ *                 flows:
+ *                   - id: "flow-123"
+ *                     name: "Main menu"
+ *                     activeVersion: 3
+ *                     isActive: true
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 10
+ *                   total: 1
+ *                   totalPages: 1
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('ivr:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, search } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('ivr_flows')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (search) {
+            query = query.ilike('name', `%${search}%`);
+        }
+
+        query = query.range(offset, offset + limit - 1);
+        query = query.order('created_at', { ascending: false });
+
+        const { data: flows, count: total, error: flowsError } = await query;
+
+        if (flowsError) {
+            logger.error('Error fetching IVR flows:', flowsError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flows'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                flows: flows.map(formatFlow),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get IVR flows error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching IVR flows'
+        });
+    }
+});
+
+// @route   GET /api/ivr/flows/:id
+// @desc    Get IVR flow by ID
+// @access  Private (requires ivr:read permission)
+router.get('/:id', requirePermission('ivr:read'), async (req, res) => {
+    try {
+        const { flow, error } = await getTenantFlow(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow by ID:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                flow: formatFlow(flow)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the IVR flow'
+        });
+    }
+});
+
+// @route   POST /api/ivr/flows
+// @desc    Create a new IVR flow draft
+// @access  Private (requires ivr:create permission)
+router.post('/', [
+    requirePermission('ivr:create'),
+    body('name', 'Flow name is required').notEmpty().isLength({ min: 2, max: 255 }),
+    body('flowConfig', 'Flow configuration must be an object').isObject()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { name, description, flowConfig } = req.body;
+
+        const { data: newFlow, error: newFlowError } = await supabase
+            .from('ivr_flows')
+            .insert({
+                tenant_id: req.user.tenantId,
+                name: name,
+                description: description || null,
+                draft_config: flowConfig,
+                is_active: false,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+
+        if (newFlowError) {
+            logger.error('Error creating IVR flow:', newFlowError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create IVR flow'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'IVR flow draft created successfully',
+            data: {
+                flow: formatFlow(newFlow),
+                validationErrors: ivrFlowEngine.validate(flowConfig)
+            }
+        });
+
+        logger.info('IVR flow created successfully', {
+            flowId: newFlow.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the IVR flow'
+        });
+    }
+});
+
+// @route   PUT /api/ivr/flows/:id
+// @desc    Update an IVR flow draft
+// @access  Private (requires ivr:update permission)
+router.put('/:id', [
+    requirePermission('ivr:update'),
+    body('name').optional().notEmpty().isLength({ min: 2, max: 255 }),
+    body('flowConfig').optional().isObject().withMessage('Flow configuration must be an object')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, description, flowConfig } = req.body;
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error checking for existing IVR flow:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check for existing IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (name) {
+            updateData.name = name;
+        }
+        if (description !== undefined) {
+            updateData.description = description;
+        }
+        if (flowConfig) {
+            updateData.draft_config = flowConfig;
+        }
+
+        const { data: updatedFlow, error: updateError } = await supabase
+            .from('ivr_flows')
+            .update(updateData)
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error updating IVR flow:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update IVR flow'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'IVR flow draft updated successfully',
+            data: {
+                flow: formatFlow(updatedFlow),
+                validationErrors: ivrFlowEngine.validate(updatedFlow.draft_config)
+            }
+        });
+
+        logger.info('IVR flow updated successfully', {
+            flowId: id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the IVR flow'
+        });
+    }
+});
+
+// @route   DELETE /api/ivr/flows/:id
+// @desc    Delete an IVR flow and all its versions
+// @access  Private (requires ivr:delete permission)
+router.delete('/:id', requirePermission('ivr:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error checking for existing IVR flow:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check for existing IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        const { error: deleteError } = await supabase
+            .from('ivr_flows')
+            .delete()
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId);
+
+        if (deleteError) {
+            logger.error('Error deleting IVR flow:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete IVR flow'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'IVR flow deleted successfully'
+        });
+
+        logger.info('IVR flow deleted successfully', {
+            flowId: id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the IVR flow'
+        });
+    }
+});
+
+// @route   POST /api/ivr/flows/:id/validate
+// @desc    Validate a flow configuration (the request body, or the saved draft)
+// @access  Private (requires ivr:read permission)
+router.post('/:id/validate', [
+    requirePermission('ivr:read'),
+    body('flowConfig').optional().isObject().withMessage('Flow configuration must be an object')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { flow, error } = await getTenantFlow(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow for validation:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        const validationErrors = ivrFlowEngine.validate(req.body.flowConfig || flow.draft_config);
+
+        res.json({
+            success: true,
+            data: {
+                valid: validationErrors.length === 0,
+                errors: validationErrors
+            }
+        });
+
+    } catch (error) {
+        logger.error('Validate IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while validating the IVR flow'
+        });
+    }
+});
+
+// @route   POST /api/ivr/flows/:id/publish
+// @desc    Publish the draft as a new immutable version and make it live
+// @access  Private (requires ivr:update permission)
+router.post('/:id/publish', requirePermission('ivr:update'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { notes } = req.body;
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow for publish:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        if (!flow.draft_config) {
+            return res.status(400).json({
+                success: false,
+                error: 'No draft',
+                message: 'This flow has no draft to publish'
+            });
+        }
+
+        const validationErrors = ivrFlowEngine.validate(flow.draft_config);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid flow',
+                message: 'The draft has validation errors and cannot be published',
+                details: validationErrors
+            });
+        }
+
+        // Get the latest version number
+        const { data: latestVersion, error: latestError } = await supabase
+            .from('ivr_flow_versions')
+            .select('version')
+            .eq('flow_id', id)
+            .order('version', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (latestError) {
+            logger.error('Error fetching latest IVR flow version:', latestError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to determine next version number'
+            });
+        }
+
+        const nextVersion = latestVersion ? latestVersion.version + 1 : 1;
+
+        const { data: newVersion, error: newVersionError } = await supabase
+            .from('ivr_flow_versions')
+            .insert({
+                tenant_id: req.user.tenantId,
+                flow_id: id,
+                version: nextVersion,
+                flow_config: flow.draft_config,
+                notes: notes || null,
+                published_by: req.user.id,
+                published_at: new Date().toISOString()
+            })
+            .select()
+            .single();
+
+        if (newVersionError) {
+            logger.error('Error creating IVR flow version:', newVersionError);
+            return res.status(newVersionError.code === '23505' ? 409 : 500).json({
+                success: false,
+                error: newVersionError.code === '23505' ? 'Version conflict' : 'Server error',
+                message: 'Failed to publish IVR flow version'
+            });
+        }
+
+        const { data: updatedFlow, error: updateError } = await supabase
+            .from('ivr_flows')
+            .update({
+                flow_config: newVersion.flow_config,
+                active_version_id: newVersion.id,
+                active_version: newVersion.version,
+                is_active: true,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error activating IVR flow version:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Version was created but could not be made live'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `IVR flow version ${newVersion.version} published successfully`,
+            data: {
+                flow: formatFlow(updatedFlow),
+                version: formatVersion(newVersion)
+            }
+        });
+
+        logger.info('IVR flow published successfully', {
+            flowId: id,
+            version: newVersion.version,
+            publishedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Publish IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while publishing the IVR flow'
+        });
+    }
+});
+
+// @route   GET /api/ivr/flows/:id/versions
+// @desc    List published versions of a flow
+// @access  Private (requires ivr:read permission)
+router.get('/:id/versions', requirePermission('ivr:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow for versions:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        const { data: versions, error: versionsError } = await supabase
+            .from('ivr_flow_versions')
+            .select('id, flow_id, version, notes, published_by, published_at')
+            .eq('flow_id', id)
+            .order('version', { ascending: false });
+
+        if (versionsError) {
+            logger.error('Error fetching IVR flow versions:', versionsError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow versions'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                activeVersion: flow.active_version,
+                versions: versions.map(version => ({
+                    ...formatVersion(version),
+                    isActive: version.id === flow.active_version_id
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get IVR flow versions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching IVR flow versions'
+        });
+    }
+});
+
+// @route   GET /api/ivr/flows/:id/versions/:version
+// @desc    Get a single published version of a flow
+// @access  Private (requires ivr:read permission)
+router.get('/:id/versions/:version', requirePermission('ivr:read'), async (req, res) => {
+    try {
+        const { id, version } = req.params;
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow for version:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        const { flowVersion, error: versionError } = await getFlowVersion(id, version);
+
+        if (versionError) {
+            logger.error('Error fetching IVR flow version:', versionError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow version'
+            });
+        }
+
+        if (!flowVersion) {
+            return versionNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                version: formatVersion(flowVersion)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get IVR flow version error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the IVR flow version'
+        });
+    }
+});
+
+// @route   GET /api/ivr/flows/:id/diff?from=1&to=2
+// @desc    Diff two versions of a flow (`to` may be `draft`)
+// @access  Private (requires ivr:read permission)
+router.get('/:id/diff', requirePermission('ivr:read'), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { from, to = 'draft' } = req.query;
+
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing parameter',
+                message: 'from is required'
+            });
+        }
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow for diff:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        // Resolve each side to a flow configuration
+        const configs = {};
+        for (const side of [from, to]) {
+            if (side === 'draft') {
+                configs[side] = flow.draft_config;
+                continue;
+            }
+
+            const { flowVersion, error: versionError } = await getFlowVersion(id, side);
+            if (versionError) {
+                logger.error('Error fetching IVR flow version for diff:', versionError);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Server error',
+                    message: 'Failed to fetch IVR flow version'
+                });
+            }
+            if (!flowVersion) {
+                return versionNotFound(res);
+            }
+            configs[side] = flowVersion.flow_config;
+        }
+
+        if (!configs[from] || !configs[to]) {
+            return res.status(400).json({
+                success: false,
+                error: 'No draft',
+                message: 'This flow has no draft to compare'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                from,
+                to,
+                diff: ivrFlowEngine.diff(configs[from], configs[to])
+            }
+        });
+
+    } catch (error) {
+        logger.error('Diff IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while comparing IVR flow versions'
+        });
+    }
+});
+
+// @route   POST /api/ivr/flows/:id/rollback
+// @desc    Make an earlier published version live again
+// @access  Private (requires ivr:update permission)
+router.post('/:id/rollback', [
+    requirePermission('ivr:update'),
+    body('version', 'Version number is required').isInt({ min: 1 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { version } = req.body;
+
+        const { flow, error } = await getTenantFlow(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching IVR flow for rollback:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow'
+            });
+        }
+
+        if (!flow) {
+            return flowNotFound(res);
+        }
+
+        const { flowVersion, error: versionError } = await getFlowVersion(id, version);
+
+        if (versionError) {
+            logger.error('Error fetching IVR flow version for rollback:', versionError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch IVR flow version'
+            });
+        }
+
+        if (!flowVersion) {
+            return versionNotFound(res);
+        }
+
+        const { data: updatedFlow, error: updateError } = await supabase
+            .from('ivr_flows')
+            .update({
+                flow_config: flowVersion.flow_config,
+                active_version_id: flowVersion.id,
+                active_version: flowVersion.version,
+                is_active: true,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error rolling back IVR flow:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to roll back IVR flow'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `IVR flow rolled back to version ${flowVersion.version}`,
+            data: {
+                flow: formatFlow(updatedFlow)
+            }
+        });
+
+        logger.info('IVR flow rolled back successfully', {
+            flowId: id,
+            fromVersion: flow.active_version,
+            toVersion: flowVersion.version,
+            rolledBackBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Rollback IVR flow error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while rolling back the IVR flow'
+        });
+    }
+});
+
+module.exports = router;
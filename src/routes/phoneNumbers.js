@@ -0,0 +1,616 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission, requireSuperAdmin } = require('../middleware/auth');
+const phoneNumberService = require('../services/phoneNumbers');
+const signalwireService = require('../services/signalwire');
+const { PHONE_NUMBER_STATUSES, NUMBER_TYPES } = require('../services/phoneNumbers');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const phoneNumberNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Phone number not found',
+    message: 'The requested phone number does not exist'
+});
+
+const phoneNumberReleased = (res) => res.status(409).json({
+    success: false,
+    error: 'Phone number released',
+    message: 'This phone number has been released and can no longer be changed'
+});
+
+// Super admins manage every tenant's numbers and the unassigned pool
+const isSuperAdmin = (user) => user.permissions.includes('system:admin');
+
+// Get a number the user may manage
+const getAccessibleNumber = (req) => phoneNumberService.get(
+    req.params.id,
+    isSuperAdmin(req.user) ? null : req.user.tenantId
+);
+
+// Check that an IVR flow belongs to the tenant
+const isTenantFlow = async (flowId, tenantId) => {
+    const { data: flow } = await supabase
+        .from('ivr_flows')
+        .select('id')
+        .eq('id', flowId)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    return !!flow;
+};
+
+/**
+ * @swagger
+ * /api/phone-numbers:
+ *   get:
+ *     summary: List phone numbers
+ *     description: |
+ *       Lists the tenant's numbers from the phone number inventory. Inbound calls and texts are
+ *       matched to a tenant by the number dialed, and run the number's IVR flow (or the tenant's
+ *       active flow when none is set). The default caller ID is used by outbound calls and texts
+ *       sent without a `from` number. Super admins can pass `tenantId` for another tenant's numbers,
+ *       or `unassigned=true` for numbers not given to any tenant yet. Released numbers are only
+ *       listed with `status=released`.
+ *     tags: [Phone Numbers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, available, missing, released]
+ *       - in: query
+ *         name: number
+ *         schema:
+ *           type: string
+ *         description: Digits in the phone number
+ *       - in: query
+ *         name: tenantId
+ *         schema:
+ *           type: string
+ *         description: Another tenant's numbers (super admin only)
+ *       - in: query
+ *         name: unassigned
+ *         schema:
+ *           type: boolean
+ *         description: Numbers not assigned to a tenant (super admin only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Phone numbers
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 phoneNumbers:
+ *                   - id: "9d8c7b6a-5f4e-4d3c-8b2a-1f0e9d8c7b6a"
+ *                     phoneNumber: "+12345678900"
+ *                     label: "Main line"
+ *                     tenantId: "1a2b3c4d-5e6f-4a8b-9c0d-1e2f3a4b5c6d"
+ *                     status: active
+ *                     ivrFlowId: "2b3c4d5e-6f7a-4b9c-8d1e-2f3a4b5c6d7e"
+ *                     isDefaultCallerId: true
+ *                     capabilities:
+ *                       voice: true
+ *                       sms: true
+ *                     phoneNumberSid: "PN1234567890abcdef"
+ *                     lastSyncedAt: "2024-06-20T16:30:00.000Z"
+ *                     releasedAt: null
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 50
+ *                   total: 1
+ *                   totalPages: 1
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+    requirePermission('phone_numbers:read'),
+    query('status').optional().isIn(PHONE_NUMBER_STATUSES).withMessage(`status must be one of: ${PHONE_NUMBER_STATUSES.join(', ')}`),
+    query('number').optional().matches(/^\+?\d{1,15}$/).withMessage('number must be digits, optionally starting with +'),
+    query('tenantId').optional().isUUID().withMessage('tenantId must be a tenant id'),
+    query('unassigned').optional().isBoolean(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { status, number, page = 1, limit = 50 } = req.query;
+        const unassigned = req.query.unassigned === 'true';
+        const tenantId = unassigned ? null : (req.query.tenantId || req.user.tenantId);
+
+        if (tenantId !== req.user.tenantId && !isSuperAdmin(req.user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                message: 'You can only view phone numbers for your own tenant'
+            });
+        }
+
+        const { phoneNumbers, total } = await phoneNumberService.list(
+            tenantId,
+            { status, number },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                phoneNumbers,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get phone numbers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching phone numbers'
+        });
+    }
+});
+
+// @route   GET /api/phone-numbers/available
+// @desc    Search SignalWire for numbers to buy (`?country=&type=&areaCode=&contains=&limit=`)
+// @access  Private (requires phone_numbers:create permission)
+router.get('/available', [
+    requirePermission('phone_numbers:create'),
+    query('country').optional().matches(/^[A-Z]{2}$/).withMessage('country must be a two-letter ISO country code'),
+    query('type').optional().isIn(NUMBER_TYPES).withMessage(`type must be one of: ${NUMBER_TYPES.join(', ')}`),
+    query('areaCode').optional().matches(/^\d{2,5}$/).withMessage('areaCode must be 2-5 digits'),
+    query('contains').optional().matches(/^[0-9A-Za-z*]{1,10}$/).withMessage('contains must be up to 10 digits, letters or *'),
+    query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('limit must be between 1 and 50')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { country, type, areaCode, contains, limit = 20 } = req.query;
+
+        const searchResult = await signalwireService.searchAvailableNumbers({
+            country,
+            type,
+            areaCode,
+            contains,
+            limit: parseInt(limit)
+        });
+
+        if (!searchResult.success) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: searchResult.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                numbers: searchResult.numbers
+            }
+        });
+
+    } catch (error) {
+        logger.error('Search available phone numbers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while searching for phone numbers'
+        });
+    }
+});
+
+// @route   POST /api/phone-numbers/sync
+// @desc    Reconcile the inventory with SignalWire now instead of waiting for the sync job
+// @access  Private (super admin only)
+router.post('/sync', requireSuperAdmin, async (req, res) => {
+    try {
+        const syncResult = await phoneNumberService.sync();
+
+        if (syncResult.error) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: syncResult.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Phone number inventory synced successfully',
+            data: syncResult
+        });
+
+        logger.info('Phone number inventory sync requested', {
+            requestedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Sync phone numbers error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while syncing phone numbers'
+        });
+    }
+});
+
+// @route   GET /api/phone-numbers/:id
+// @desc    Get a phone number
+// @access  Private (requires phone_numbers:read permission)
+router.get('/:id', requirePermission('phone_numbers:read'), async (req, res) => {
+    try {
+        const phoneNumber = await getAccessibleNumber(req);
+
+        if (!phoneNumber) {
+            return phoneNumberNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                phoneNumber: phoneNumberService.formatPhoneNumber(phoneNumber)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get phone number error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the phone number'
+        });
+    }
+});
+
+// @route   POST /api/phone-numbers
+// @desc    Buy a number and add it to the inventory; super admins can buy for another tenant,
+//          or pass `tenantId: null` to keep it unassigned
+// @access  Private (requires phone_numbers:create permission)
+router.post('/', [
+    requirePermission('phone_numbers:create'),
+    body('phoneNumber').matches(/^\+\d{7,15}$/).withMessage('phoneNumber must be an E.164 number'),
+    body('label').optional({ nullable: true }).isString().trim().isLength({ max: 255 }).withMessage('label must be at most 255 characters'),
+    body('tenantId').optional({ nullable: true }).isUUID().withMessage('tenantId must be a tenant id or null'),
+    body('ivrFlowId').optional({ nullable: true }).isUUID().withMessage('ivrFlowId must be an IVR flow id or null'),
+    body('isDefaultCallerId').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { phoneNumber, label, ivrFlowId, isDefaultCallerId } = req.body;
+        const tenantId = req.body.tenantId !== undefined ? req.body.tenantId : req.user.tenantId;
+
+        if (tenantId !== req.user.tenantId && !isSuperAdmin(req.user)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                message: 'You can only buy phone numbers for your own tenant'
+            });
+        }
+
+        if (ivrFlowId && (!tenantId || !await isTenantFlow(ivrFlowId, tenantId))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid phone number',
+                details: [{ field: 'ivrFlowId', message: 'ivrFlowId must be an IVR flow of the tenant the number is for' }]
+            });
+        }
+
+        if (await phoneNumberService.findHeld(phoneNumber)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Phone number already in inventory',
+                message: `${phoneNumber} is already in the phone number inventory`
+            });
+        }
+
+        const purchaseResult = await phoneNumberService.purchase({
+            phoneNumber,
+            tenantId,
+            label,
+            ivrFlowId,
+            isDefaultCallerId: isDefaultCallerId === true,
+            createdBy: req.user.id
+        });
+
+        if (purchaseResult.error) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: purchaseResult.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Phone number purchased successfully',
+            data: {
+                phoneNumber: phoneNumberService.formatPhoneNumber(purchaseResult.phoneNumber)
+            }
+        });
+
+        logger.info('Phone number purchased', {
+            phoneNumberId: purchaseResult.phoneNumber.id,
+            tenantId,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Purchase phone number error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while purchasing the phone number'
+        });
+    }
+});
+
+// @route   PUT /api/phone-numbers/:id
+// @desc    Update a number's label, IVR flow or default caller ID setting
+// @access  Private (requires phone_numbers:update permission)
+router.put('/:id', [
+    requirePermission('phone_numbers:update'),
+    body('label').optional({ nullable: true }).isString().trim().isLength({ max: 255 }).withMessage('label must be at most 255 characters'),
+    body('ivrFlowId').optional({ nullable: true }).isUUID().withMessage('ivrFlowId must be an IVR flow id or null'),
+    body('isDefaultCallerId').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const phoneNumber = await getAccessibleNumber(req);
+
+        if (!phoneNumber) {
+            return phoneNumberNotFound(res);
+        }
+
+        if (phoneNumber.status === 'released') {
+            return phoneNumberReleased(res);
+        }
+
+        const { label, ivrFlowId, isDefaultCallerId } = req.body;
+
+        // Flows and caller ID belong to a tenant
+        if (!phoneNumber.tenant_id && (ivrFlowId || isDefaultCallerId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid phone number',
+                details: [{
+                    field: ivrFlowId ? 'ivrFlowId' : 'isDefaultCallerId',
+                    message: 'Assign the number to a tenant first'
+                }]
+            });
+        }
+
+        if (ivrFlowId && !await isTenantFlow(ivrFlowId, phoneNumber.tenant_id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid phone number',
+                details: [{ field: 'ivrFlowId', message: 'ivrFlowId must be an IVR flow in the number\'s tenant' }]
+            });
+        }
+
+        const updateData = {};
+        if (label !== undefined) {
+            updateData.friendly_name = label || null;
+        }
+        if (ivrFlowId !== undefined) {
+            updateData.ivr_flow_id = ivrFlowId || null;
+        }
+        if (isDefaultCallerId !== undefined) {
+            updateData.is_default_caller_id = isDefaultCallerId;
+        }
+
+        const updated = await phoneNumberService.update(phoneNumber, updateData);
+
+        res.json({
+            success: true,
+            message: 'Phone number updated successfully',
+            data: {
+                phoneNumber: phoneNumberService.formatPhoneNumber(updated)
+            }
+        });
+
+        logger.info('Phone number updated', {
+            phoneNumberId: phoneNumber.id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update phone number error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the phone number'
+        });
+    }
+});
+
+// @route   POST /api/phone-numbers/:id/assign
+// @desc    Assign a number to a tenant, or pass `tenantId: null` to return it to the unassigned pool
+// @access  Private (super admin only)
+router.post('/:id/assign', [
+    requireSuperAdmin,
+    body('tenantId').exists().withMessage('tenantId is required'),
+    body('tenantId').optional({ nullable: true }).isUUID().withMessage('tenantId must be a tenant id or null')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const phoneNumber = await phoneNumberService.get(req.params.id, null);
+
+        if (!phoneNumber) {
+            return phoneNumberNotFound(res);
+        }
+
+        if (phoneNumber.status === 'released') {
+            return phoneNumberReleased(res);
+        }
+
+        const { tenantId } = req.body;
+
+        if (tenantId) {
+            const { data: tenant } = await supabase
+                .from('tenants')
+                .select('id')
+                .eq('id', tenantId)
+                .single();
+
+            if (!tenant) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid phone number',
+                    details: [{ field: 'tenantId', message: 'tenantId must be an existing tenant' }]
+                });
+            }
+        }
+
+        const updated = await phoneNumberService.assign(phoneNumber, tenantId);
+
+        res.json({
+            success: true,
+            message: tenantId ? 'Phone number assigned successfully' : 'Phone number unassigned successfully',
+            data: {
+                phoneNumber: phoneNumberService.formatPhoneNumber(updated)
+            }
+        });
+
+        logger.info('Phone number assigned', {
+            phoneNumberId: phoneNumber.id,
+            fromTenantId: phoneNumber.tenant_id,
+            toTenantId: tenantId || null,
+            assignedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Assign phone number error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while assigning the phone number'
+        });
+    }
+});
+
+// @route   DELETE /api/phone-numbers/:id
+// @desc    Release a number back to SignalWire; it stops receiving calls and texts
+// @access  Private (requires phone_numbers:delete permission)
+router.delete('/:id', requirePermission('phone_numbers:delete'), async (req, res) => {
+    try {
+        const phoneNumber = await getAccessibleNumber(req);
+
+        if (!phoneNumber) {
+            return phoneNumberNotFound(res);
+        }
+
+        if (phoneNumber.status === 'released') {
+            return phoneNumberReleased(res);
+        }
+
+        const releaseResult = await phoneNumberService.release(phoneNumber);
+
+        if (releaseResult.error) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: releaseResult.error
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Phone number released successfully',
+            data: {
+                phoneNumber: phoneNumberService.formatPhoneNumber(releaseResult.phoneNumber)
+            }
+        });
+
+        logger.info('Phone number released', {
+            phoneNumberId: phoneNumber.id,
+            releasedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Release phone number error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while releasing the phone number'
+        });
+    }
+});
+
+module.exports = router;
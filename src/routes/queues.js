@@ -0,0 +1,1090 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const callQueueService = require('../services/callQueues');
+const { AGENT_SETTABLE_STATUSES } = require('../services/callQueues');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const AGENT_SELECT = `
+    id, user_id, extension_id, priority,
+    users(first_name, last_name),
+    extensions(extension_number, name, dial_plan, status)
+`;
+
+// Transform a queue_agents row to match expected format
+const formatAgent = (agent) => ({
+    id: agent.id,
+    userId: agent.user_id,
+    name: agent.users ? `${agent.users.first_name || ''} ${agent.users.last_name || ''}`.trim() : null,
+    extensionId: agent.extension_id,
+    extensionNumber: agent.extensions ? agent.extensions.extension_number : null,
+    priority: agent.priority
+});
+
+// Transform a call_queues row to match expected format
+const formatQueue = (queue) => ({
+    id: queue.id,
+    name: queue.name,
+    description: queue.description,
+    departmentId: queue.department_id,
+    greeting: queue.greeting,
+    holdAudioUrl: queue.hold_audio_url,
+    maxWaitSeconds: queue.max_wait_seconds,
+    announceIntervalSeconds: queue.announce_interval_seconds,
+    announcePosition: queue.announce_position,
+    announceEta: queue.announce_eta,
+    callbackEnabled: queue.callback_enabled,
+    callbackOfferAfterSeconds: queue.callback_offer_after_seconds,
+    agentRingTimeout: queue.agent_ring_timeout,
+    wrapUpSeconds: queue.wrap_up_seconds,
+    overflow: queue.overflow,
+    isActive: queue.is_active,
+    createdAt: queue.created_at,
+    updatedAt: queue.updated_at
+});
+
+// Transform an agent_presence row to match expected format
+const formatPresence = (presence) => ({
+    userId: presence.user_id,
+    name: presence.users ? `${presence.users.first_name || ''} ${presence.users.last_name || ''}`.trim() : null,
+    status: callQueueService.effectiveStatus(presence),
+    reason: presence.reason,
+    wrapUpSeconds: presence.wrap_up_seconds,
+    wrapUpUntil: presence.wrap_up_until,
+    lastCallEndedAt: presence.last_call_ended_at,
+    statusChangedAt: presence.status_changed_at
+});
+
+// Request fields and the call_queues columns they update
+const QUEUE_FIELDS = {
+    name: 'name',
+    description: 'description',
+    departmentId: 'department_id',
+    greeting: 'greeting',
+    holdAudioUrl: 'hold_audio_url',
+    maxWaitSeconds: 'max_wait_seconds',
+    announceIntervalSeconds: 'announce_interval_seconds',
+    announcePosition: 'announce_position',
+    announceEta: 'announce_eta',
+    callbackEnabled: 'callback_enabled',
+    callbackOfferAfterSeconds: 'callback_offer_after_seconds',
+    agentRingTimeout: 'agent_ring_timeout',
+    wrapUpSeconds: 'wrap_up_seconds',
+    overflow: 'overflow',
+    isActive: 'is_active'
+};
+
+// Validation shared by queue create and update
+const queueValidators = [
+    body('departmentId').optional({ nullable: true }).isUUID().withMessage('departmentId must be a UUID'),
+    body('holdAudioUrl').optional({ nullable: true }).isURL().withMessage('holdAudioUrl must be a URL'),
+    body('maxWaitSeconds').optional().isInt({ min: 30, max: 7200 })
+        .withMessage('maxWaitSeconds must be between 30 and 7200'),
+    body('announceIntervalSeconds').optional().isInt({ min: 15, max: 600 })
+        .withMessage('announceIntervalSeconds must be between 15 and 600'),
+    body('announcePosition').optional().isBoolean(),
+    body('announceEta').optional().isBoolean(),
+    body('callbackEnabled').optional().isBoolean(),
+    body('callbackOfferAfterSeconds').optional().isInt({ min: 0 }),
+    body('agentRingTimeout').optional().isInt({ min: 5, max: 300 })
+        .withMessage('agentRingTimeout must be between 5 and 300 seconds'),
+    body('wrapUpSeconds').optional().isInt({ min: 0, max: 900 }).withMessage('wrapUpSeconds must be between 0 and 900'),
+    body('isActive').optional().isBoolean()
+];
+
+// Get a queue belonging to the tenant, with its agents
+const getTenantQueue = async (id, tenantId) => {
+    const { data: queue, error: queueError } = await supabase
+        .from('call_queues')
+        .select(`*, queue_agents(${AGENT_SELECT})`)
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    if (queueError && queueError.code !== 'PGRST116') {
+        return { error: queueError };
+    }
+
+    return { queue: queue || null };
+};
+
+const queueNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Queue not found',
+    message: 'The requested call queue does not exist'
+});
+
+// Check a queue's overflow and department before saving it
+const validateQueueReferences = async (tenantId, { overflow, departmentId }) => {
+    const details = callQueueService.validateOverflow(overflow);
+
+    if (departmentId) {
+        const { data: department, error: departmentError } = await supabase
+            .from('departments')
+            .select('id')
+            .eq('id', departmentId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (departmentError && departmentError.code !== 'PGRST116') {
+            return { error: departmentError };
+        }
+
+        if (!department) {
+            details.push({ field: 'departmentId', message: 'The department does not exist' });
+        }
+    }
+
+    return { details };
+};
+
+// Find the agent's extension: the one given, or the first active extension assigned to them
+const findAgentExtension = async (tenantId, userId, extensionId) => {
+    let query = supabase
+        .from('extensions')
+        .select('id')
+        .eq('tenant_id', tenantId);
+
+    query = extensionId
+        ? query.eq('id', extensionId)
+        : query.eq('user_id', userId).eq('status', 'active').order('extension_number', { ascending: true });
+
+    const { data: extensions, error: extensionsError } = await query.limit(1);
+
+    if (extensionsError) {
+        return { error: extensionsError };
+    }
+
+    return { extension: extensions?.[0] || null };
+};
+
+/**
+ * @swagger
+ * /api/queues:
+ *   get:
+ *     summary: Get all call queues for tenant
+ *     description: Retrieve the tenant's ACD call queues with their agent count
+ *     tags: [Call Queues]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *         description: Number of queues per page
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by queue name
+ *     responses:
+ *       200:
+ *         description: Call queues retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *             example:
+ *               success: true
+ *               data:
+ *                 queues:
+ *                   - id: "8c1e4d2a-5b6f-4a7c-9d0e-1f2a3b4c5d6e"
+ *                     name: "support"
+ *                     departmentId: "2f1b7a52-9c3e-4d8e-a1f0-6b2d3c4e5f60"
+ *                     greeting: "Thanks for calling support. Please hold for the next available agent."
+ *                     holdAudioUrl: "https://example.com/hold.mp3"
+ *                     maxWaitSeconds: 600
+ *                     announceIntervalSeconds: 60
+ *                     announcePosition: true
+ *                     announceEta: true
+ *                     callbackEnabled: true
+ *                     callbackOfferAfterSeconds: 120
+ *                     agentRingTimeout: 20
+ *                     wrapUpSeconds: 30
+ *                     overflow:
+ *                       type: "voicemail"
+ *                     isActive: true
+ *                     agentCount: 5
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 10
+ *                   total: 1
+ *                   totalPages: 1
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('queues:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, search } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('call_queues')
+            .select('*, queue_agents(count)', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (search) {
+            query = query.ilike('name', `%${search}%`);
+        }
+
+        const { data: queues, error: queuesError, count } = await query
+            .order('name', { ascending: true })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (queuesError) {
+            logger.error('Error fetching call queues:', queuesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch call queues'
+            });
+        }
+
+        const total = count || 0;
+
+        res.json({
+            success: true,
+            data: {
+                queues: queues.map(queue => ({
+                    ...formatQueue(queue),
+                    agentCount: queue.queue_agents?.[0]?.count || 0
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get call queues error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching call queues'
+        });
+    }
+});
+
+// @route   GET /api/queues/agents
+// @desc    Get the presence of every agent in the tenant
+// @access  Private (requires queues:read permission)
+router.get('/agents', requirePermission('queues:read'), async (req, res) => {
+    try {
+        const { data: presence, error: presenceError } = await supabase
+            .from('agent_presence')
+            .select('*, users(first_name, last_name)')
+            .eq('tenant_id', req.user.tenantId)
+            .order('status_changed_at', { ascending: false });
+
+        if (presenceError) {
+            logger.error('Error fetching agent presence:', presenceError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch agent presence'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                agents: presence.map(formatPresence)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get agent presence error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching agent presence'
+        });
+    }
+});
+
+// @route   PUT /api/queues/agents/:userId/presence
+// @desc    Log an agent in or out, put them on break or set their wrap-up time (`me` for yourself)
+// @access  Private (requires queues:read for yourself, queues:update for other agents)
+router.put('/agents/:userId/presence', [
+    requirePermission('queues:read'),
+    body('status').optional().isIn(AGENT_SETTABLE_STATUSES)
+        .withMessage(`status must be one of: ${AGENT_SETTABLE_STATUSES.join(', ')}`),
+    body('reason').optional({ nullable: true }).isString().isLength({ max: 255 }),
+    body('wrapUpSeconds').optional({ nullable: true }).isInt({ min: 0, max: 900 })
+        .withMessage('wrapUpSeconds must be between 0 and 900')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const userId = req.params.userId === 'me' ? req.user.id : req.params.userId;
+        const { status, reason, wrapUpSeconds } = req.body;
+
+        if (userId !== req.user.id && !req.user.permissions.includes('queues:update')) {
+            return res.status(403).json({
+                error: 'Insufficient permissions',
+                message: 'Permission \'queues:update\' is required to change another agent\'s presence'
+            });
+        }
+
+        if (status === undefined && wrapUpSeconds === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                message: 'Provide a status or wrapUpSeconds'
+            });
+        }
+
+        if (userId !== req.user.id) {
+            const { data: agentUser, error: userError } = await supabase
+                .from('users')
+                .select('id')
+                .eq('id', userId)
+                .eq('tenant_id', req.user.tenantId)
+                .single();
+
+            if (userError && userError.code !== 'PGRST116') {
+                logger.error('Error fetching agent user:', userError);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Server error',
+                    message: 'Failed to fetch agent'
+                });
+            }
+
+            if (!agentUser) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Agent not found',
+                    message: 'The requested user does not exist'
+                });
+            }
+        }
+
+        const { presence, error } = await callQueueService.setPresence(req.user.tenantId, userId, {
+            status,
+            reason,
+            wrapUpSeconds
+        });
+
+        if (error) {
+            logger.error('Error updating agent presence:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update agent presence'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Agent presence updated successfully',
+            data: {
+                presence: formatPresence(presence)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update agent presence error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating agent presence'
+        });
+    }
+});
+
+// @route   GET /api/queues/:id
+// @desc    Get call queue by ID with its agents
+// @access  Private (requires queues:read permission)
+router.get('/:id', requirePermission('queues:read'), async (req, res) => {
+    try {
+        const { queue, error } = await getTenantQueue(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching call queue by ID:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch call queue'
+            });
+        }
+
+        if (!queue) {
+            return queueNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                queue: {
+                    ...formatQueue(queue),
+                    agents: (queue.queue_agents || [])
+                        .sort((a, b) => (a.priority || 0) - (b.priority || 0))
+                        .map(formatAgent)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get call queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the call queue'
+        });
+    }
+});
+
+// @route   GET /api/queues/:id/state
+// @desc    Get live queue state: callers in line, pending callbacks and agent presence
+// @access  Private (requires queues:read permission)
+router.get('/:id/state', requirePermission('queues:read'), async (req, res) => {
+    try {
+        const { queue, error } = await getTenantQueue(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching call queue for state:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch call queue'
+            });
+        }
+
+        if (!queue) {
+            return queueNotFound(res);
+        }
+
+        const state = await callQueueService.getState(queue);
+
+        res.json({
+            success: true,
+            data: {
+                queue: { id: queue.id, name: queue.name, isActive: queue.is_active },
+                ...state
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get call queue state error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the queue state'
+        });
+    }
+});
+
+// @route   POST /api/queues
+// @desc    Create a call queue
+// @access  Private (requires queues:create permission)
+router.post('/', [
+    requirePermission('queues:create'),
+    body('name', 'Queue name is required').notEmpty().isLength({ min: 2, max: 255 }),
+    ...queueValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { details, error } = await validateQueueReferences(req.user.tenantId, req.body);
+
+        if (error) {
+            logger.error('Error checking queue department:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check queue department'
+            });
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid queue',
+                details
+            });
+        }
+
+        const insertData = { tenant_id: req.user.tenantId };
+        Object.entries(QUEUE_FIELDS).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                insertData[column] = req.body[field];
+            }
+        });
+
+        const { data: newQueue, error: newQueueError } = await supabase
+            .from('call_queues')
+            .insert(insertData)
+            .select()
+            .single();
+
+        if (newQueueError) {
+            logger.error('Error creating call queue:', newQueueError);
+
+            if (newQueueError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Queue already exists',
+                    message: 'A call queue with this name already exists in your organization'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create call queue'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Call queue created successfully',
+            data: {
+                queue: { ...formatQueue(newQueue), agents: [] }
+            }
+        });
+
+        logger.info('Call queue created successfully', {
+            queueId: newQueue.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create call queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the call queue'
+        });
+    }
+});
+
+// @route   PUT /api/queues/:id
+// @desc    Update a call queue's settings
+// @access  Private (requires queues:update permission)
+router.put('/:id', [
+    requirePermission('queues:update'),
+    body('name').optional().notEmpty().isLength({ min: 2, max: 255 }),
+    ...queueValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+
+        const { details, error } = await validateQueueReferences(req.user.tenantId, req.body);
+
+        if (error) {
+            logger.error('Error checking queue department:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check queue department'
+            });
+        }
+
+        if (details.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid queue',
+                details
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        Object.entries(QUEUE_FIELDS).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                updateData[column] = req.body[field];
+            }
+        });
+
+        const { data: updatedQueue, error: updateError } = await supabase
+            .from('call_queues')
+            .update(updateData)
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error updating call queue:', updateError);
+
+            if (updateError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Queue already exists',
+                    message: 'A call queue with this name already exists in your organization'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update call queue'
+            });
+        }
+
+        if (!updatedQueue) {
+            return queueNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Call queue updated successfully',
+            data: {
+                queue: formatQueue(updatedQueue)
+            }
+        });
+
+        logger.info('Call queue updated successfully', {
+            queueId: id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update call queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the call queue'
+        });
+    }
+});
+
+// @route   DELETE /api/queues/:id
+// @desc    Delete a call queue, its agents and its history
+// @access  Private (requires queues:delete permission)
+router.delete('/:id', requirePermission('queues:delete'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('call_queues')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting call queue:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete call queue'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return queueNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Call queue deleted successfully'
+        });
+
+        logger.info('Call queue deleted successfully', {
+            queueId: req.params.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete call queue error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the call queue'
+        });
+    }
+});
+
+// @route   POST /api/queues/:id/agents
+// @desc    Add an agent to a queue, ringing their own extension unless one is given
+// @access  Private (requires queues:update permission)
+router.post('/:id/agents', [
+    requirePermission('queues:update'),
+    body('userId', 'userId is required').notEmpty(),
+    body('extensionId').optional().notEmpty(),
+    body('priority').optional().isInt({ min: 0 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { userId, extensionId, priority = 0 } = req.body;
+
+        const { queue, error } = await getTenantQueue(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching call queue for agent:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch call queue'
+            });
+        }
+
+        if (!queue) {
+            return queueNotFound(res);
+        }
+
+        const { data: agentUser, error: userError } = await supabase
+            .from('users')
+            .select('id')
+            .eq('id', userId)
+            .eq('tenant_id', req.user.tenantId)
+            .single();
+
+        if (userError && userError.code !== 'PGRST116') {
+            logger.error('Error fetching agent user:', userError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch agent'
+            });
+        }
+
+        if (!agentUser) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid agent',
+                message: 'The user does not exist'
+            });
+        }
+
+        const { extension, error: extensionError } = await findAgentExtension(req.user.tenantId, userId, extensionId);
+
+        if (extensionError) {
+            logger.error('Error fetching agent extension:', extensionError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch agent extension'
+            });
+        }
+
+        if (!extension) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid agent',
+                message: extensionId
+                    ? 'The extension does not exist'
+                    : 'The user has no active extension; provide an extensionId'
+            });
+        }
+
+        const { data: newAgent, error: newAgentError } = await supabase
+            .from('queue_agents')
+            .insert({
+                tenant_id: req.user.tenantId,
+                queue_id: id,
+                user_id: userId,
+                extension_id: extension.id,
+                priority
+            })
+            .select(AGENT_SELECT)
+            .single();
+
+        if (newAgentError) {
+            logger.error('Error adding queue agent:', newAgentError);
+
+            if (newAgentError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Agent already exists',
+                    message: 'This user is already an agent of the queue'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to add queue agent'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Queue agent added successfully',
+            data: {
+                agent: formatAgent(newAgent)
+            }
+        });
+
+        logger.info('Queue agent added successfully', {
+            queueId: id,
+            userId,
+            addedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Add queue agent error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while adding the queue agent'
+        });
+    }
+});
+
+// @route   PUT /api/queues/:id/agents/:agentId
+// @desc    Update an agent's priority or extension
+// @access  Private (requires queues:update permission)
+router.put('/:id/agents/:agentId', [
+    requirePermission('queues:update'),
+    body('extensionId').optional().notEmpty(),
+    body('priority').optional().isInt({ min: 0 })
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id, agentId } = req.params;
+        const { extensionId, priority } = req.body;
+
+        const updateData = {};
+        if (priority !== undefined) {
+            updateData.priority = priority;
+        }
+
+        if (extensionId !== undefined) {
+            const { extension, error: extensionError } = await findAgentExtension(req.user.tenantId, null, extensionId);
+
+            if (extensionError) {
+                logger.error('Error fetching agent extension:', extensionError);
+                return res.status(500).json({
+                    success: false,
+                    error: 'Server error',
+                    message: 'Failed to fetch agent extension'
+                });
+            }
+
+            if (!extension) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid agent',
+                    message: 'The extension does not exist'
+                });
+            }
+
+            updateData.extension_id = extension.id;
+        }
+
+        const { data: updatedAgent, error: updateError } = await supabase
+            .from('queue_agents')
+            .update(updateData)
+            .eq('id', agentId)
+            .eq('queue_id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select(AGENT_SELECT)
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error updating queue agent:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update queue agent'
+            });
+        }
+
+        if (!updatedAgent) {
+            return res.status(404).json({
+                success: false,
+                error: 'Agent not found',
+                message: 'The requested queue agent does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Queue agent updated successfully',
+            data: {
+                agent: formatAgent(updatedAgent)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update queue agent error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the queue agent'
+        });
+    }
+});
+
+// @route   DELETE /api/queues/:id/agents/:agentId
+// @desc    Remove an agent from a queue
+// @access  Private (requires queues:update permission)
+router.delete('/:id/agents/:agentId', requirePermission('queues:update'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('queue_agents')
+            .delete()
+            .eq('id', req.params.agentId)
+            .eq('queue_id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error removing queue agent:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to remove queue agent'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Agent not found',
+                message: 'The requested queue agent does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Queue agent removed successfully'
+        });
+
+    } catch (error) {
+        logger.error('Remove queue agent error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while removing the queue agent'
+        });
+    }
+});
+
+// @route   PUT /api/queues/:id/callbacks/:entryId
+// @desc    Mark a requested callback as done
+// @access  Private (requires queues:update permission)
+router.put('/:id/callbacks/:entryId', requirePermission('queues:update'), async (req, res) => {
+    try {
+        const { data: entry, error: updateError } = await supabase
+            .from('queue_entries')
+            .update({ status: 'callback_completed' })
+            .eq('id', req.params.entryId)
+            .eq('queue_id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .eq('status', 'callback_requested')
+            .select()
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error completing queue callback:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to complete callback'
+            });
+        }
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Callback not found',
+                message: 'No pending callback exists for this queue entry'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Callback marked as completed'
+        });
+
+        logger.info('Queue callback completed', {
+            entryId: entry.id,
+            completedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Complete queue callback error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while completing the callback'
+        });
+    }
+});
+
+module.exports = router;
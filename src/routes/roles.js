@@ -795,6 +795,52 @@ router.get('/permissions/available', requirePermission('roles:read'), async (req
                 'ivr:update',
                 'ivr:delete'
             ],
+            schedules: [
+                'schedules:create',
+                'schedules:read',
+                'schedules:update',
+                'schedules:delete'
+            ],
+            voicemail: [
+                'voicemail:create',
+                'voicemail:read',
+                'voicemail:update',
+                'voicemail:delete'
+            ],
+            transcriptions: [
+                'transcriptions:create',
+                'transcriptions:read'
+            ],
+            ai: [
+                'ai:read',
+                'ai:update'
+            ],
+            queues: [
+                'queues:create',
+                'queues:read',
+                'queues:update',
+                'queues:delete'
+            ],
+            calls: [
+                'calls:read',
+                'calls:control',
+                'calls:monitor'
+            ],
+            sms: [
+                'sms:create',
+                'sms:read',
+                'sms:update'
+            ],
+            exports: [
+                'exports:create',
+                'exports:read'
+            ],
+            phone_numbers: [
+                'phone_numbers:create',
+                'phone_numbers:read',
+                'phone_numbers:update',
+                'phone_numbers:delete'
+            ],
             system: [
                 'system:admin'
             ]
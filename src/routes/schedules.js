@@ -0,0 +1,773 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const businessHoursService = require('../services/businessHours');
+const { AFTER_HOURS_POLICIES } = require('../services/businessHours');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Transform a business_schedules row to match expected format
+const formatSchedule = (schedule) => ({
+    id: schedule.id,
+    name: schedule.name,
+    departmentId: schedule.department_id,
+    timezone: schedule.timezone,
+    weeklyHours: schedule.weekly_hours,
+    afterHoursPolicy: schedule.after_hours_policy,
+    closedMessage: schedule.closed_message,
+    isActive: schedule.is_active,
+    createdAt: schedule.created_at,
+    updatedAt: schedule.updated_at
+});
+
+// Transform a schedule_exceptions row to match expected format
+const formatException = (exception) => ({
+    id: exception.id,
+    scheduleId: exception.schedule_id,
+    name: exception.name,
+    type: exception.type,
+    date: exception.date,
+    endDate: exception.end_date,
+    startsAt: exception.starts_at,
+    endsAt: exception.ends_at,
+    hours: exception.hours,
+    recurring: exception.recurring
+});
+
+// Get a schedule belonging to the tenant
+const getTenantSchedule = async (id, tenantId) => {
+    const { data: schedule, error: scheduleError } = await supabase
+        .from('business_schedules')
+        .select('*')
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    if (scheduleError && scheduleError.code !== 'PGRST116') {
+        return { error: scheduleError };
+    }
+
+    return { schedule: schedule || null };
+};
+
+const scheduleNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Schedule not found',
+    message: 'The requested schedule does not exist'
+});
+
+// Map request fields onto schedule_exceptions columns
+const exceptionColumns = ({ name, type, date, endDate, startsAt, endsAt, hours, recurring }) => ({
+    name,
+    type,
+    date: type === 'closure' ? null : date,
+    end_date: type === 'closure' ? null : (endDate || null),
+    starts_at: type === 'closure' ? startsAt : null,
+    ends_at: type === 'closure' ? endsAt : null,
+    hours: type === 'special_hours' ? hours : null,
+    recurring: type === 'holiday' ? !!recurring : false
+});
+
+/**
+ * @swagger
+ * /api/schedules/preview:
+ *   get:
+ *     summary: Preview routing at a given time
+ *     description: Show whether the tenant (or a department) is open at time T and what the IVR would do with a call arriving then
+ *     tags: [Schedules]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Instant to evaluate (defaults to now)
+ *       - in: query
+ *         name: departmentId
+ *         schema:
+ *           type: string
+ *         description: Evaluate this department's schedule instead of the tenant-wide one
+ *       - in: query
+ *         name: did
+ *         schema:
+ *           type: string
+ *         description: Dialed number, used to find the client's after-hours policy
+ *     responses:
+ *       200:
+ *         description: Preview returned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *             example:
+ *               success: true
+ *               data:
+ *                 at: "2024-12-25T15:00:00.000Z"
+ *                 status:
+ *                   open: false
+ *                   reason: "holiday"
+ *                   exception: "Christmas Day"
+ *                   timezone: "America/New_York"
+ *                   localDate: "2024-12-25"
+ *                   localTime: "10:00"
+ *                 outcome:
+ *                   path: "closed"
+ *                   action: "voicemail"
+ *                   params:
+ *                     message: "We are currently closed. Please leave a message."
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/preview', requirePermission('schedules:read'), async (req, res) => {
+    try {
+        const { departmentId, did } = req.query;
+        const at = req.query.at ? new Date(req.query.at) : new Date();
+
+        if (isNaN(at)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                message: 'at must be a valid ISO date'
+            });
+        }
+
+        const status = await businessHoursService.getStatus(req.user.tenantId, { departmentId, at, did });
+        const closedAction = businessHoursService.closedAction(status);
+
+        let outcome;
+        if (status.open) {
+            outcome = { path: 'open', action: 'flow' };
+        } else if (closedAction) {
+            outcome = { path: 'closed', ...closedAction };
+        } else {
+            outcome = { path: 'closed', action: 'flow', note: 'Policy is follow_normal_flow' };
+        }
+
+        res.json({
+            success: true,
+            data: {
+                at: at.toISOString(),
+                status,
+                outcome
+            }
+        });
+
+    } catch (error) {
+        logger.error('Schedule preview error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while previewing the schedule'
+        });
+    }
+});
+
+// @route   GET /api/schedules
+// @desc    Get all business-hours schedules for tenant
+// @access  Private (requires schedules:read permission)
+router.get('/', requirePermission('schedules:read'), async (req, res) => {
+    try {
+        const { departmentId } = req.query;
+
+        let query = supabase
+            .from('business_schedules')
+            .select('*')
+            .eq('tenant_id', req.user.tenantId);
+
+        if (departmentId) {
+            query = query.eq('department_id', departmentId);
+        }
+
+        const { data: schedules, error: schedulesError } = await query.order('created_at', { ascending: true });
+
+        if (schedulesError) {
+            logger.error('Error fetching schedules:', schedulesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch schedules'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                schedules: schedules.map(formatSchedule)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get schedules error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching schedules'
+        });
+    }
+});
+
+// @route   GET /api/schedules/:id
+// @desc    Get schedule by ID with its exceptions
+// @access  Private (requires schedules:read permission)
+router.get('/:id', requirePermission('schedules:read'), async (req, res) => {
+    try {
+        const { schedule, error } = await getTenantSchedule(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching schedule by ID:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch schedule'
+            });
+        }
+
+        if (!schedule) {
+            return scheduleNotFound(res);
+        }
+
+        const { data: exceptions, error: exceptionsError } = await supabase
+            .from('schedule_exceptions')
+            .select('*')
+            .eq('schedule_id', schedule.id)
+            .order('date', { ascending: true });
+
+        if (exceptionsError) {
+            logger.error('Error fetching schedule exceptions:', exceptionsError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch schedule exceptions'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                schedule: {
+                    ...formatSchedule(schedule),
+                    exceptions: exceptions.map(formatException)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the schedule'
+        });
+    }
+});
+
+// @route   POST /api/schedules
+// @desc    Create a business-hours schedule for the tenant or a department
+// @access  Private (requires schedules:create permission)
+router.post('/', [
+    requirePermission('schedules:create'),
+    body('name', 'Schedule name is required').notEmpty().isLength({ min: 2, max: 255 }),
+    body('timezone', 'Timezone is required').notEmpty(),
+    body('weeklyHours', 'Weekly hours must be an object').isObject(),
+    body('afterHoursPolicy').optional().isIn(AFTER_HOURS_POLICIES)
+        .withMessage(`afterHoursPolicy must be one of: ${AFTER_HOURS_POLICIES.join(', ')}`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { name, departmentId, timezone, weeklyHours, afterHoursPolicy, closedMessage } = req.body;
+
+        if (!businessHoursService.isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid timezone',
+                message: `'${timezone}' is not a valid IANA timezone`
+            });
+        }
+
+        const hoursErrors = businessHoursService.validateWeeklyHours(weeklyHours);
+        if (hoursErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid weekly hours',
+                details: hoursErrors
+            });
+        }
+
+        const { data: newSchedule, error: newScheduleError } = await supabase
+            .from('business_schedules')
+            .insert({
+                tenant_id: req.user.tenantId,
+                department_id: departmentId || null,
+                name: name,
+                timezone: timezone,
+                weekly_hours: weeklyHours,
+                after_hours_policy: afterHoursPolicy || null,
+                closed_message: closedMessage || null,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (newScheduleError) {
+            logger.error('Error creating schedule:', newScheduleError);
+
+            if (newScheduleError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    error: 'Schedule already exists',
+                    message: 'An active schedule already exists for this tenant or department'
+                });
+            }
+
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create schedule'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Schedule created successfully',
+            data: {
+                schedule: formatSchedule(newSchedule)
+            }
+        });
+
+        logger.info('Schedule created successfully', {
+            scheduleId: newSchedule.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the schedule'
+        });
+    }
+});
+
+// @route   PUT /api/schedules/:id
+// @desc    Update a business-hours schedule
+// @access  Private (requires schedules:update permission)
+router.put('/:id', [
+    requirePermission('schedules:update'),
+    body('name').optional().notEmpty().isLength({ min: 2, max: 255 }),
+    body('weeklyHours').optional().isObject().withMessage('Weekly hours must be an object'),
+    body('afterHoursPolicy').optional({ nullable: true }).isIn(AFTER_HOURS_POLICIES)
+        .withMessage(`afterHoursPolicy must be one of: ${AFTER_HOURS_POLICIES.join(', ')}`),
+    body('isActive').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+        const { name, timezone, weeklyHours, afterHoursPolicy, closedMessage, isActive } = req.body;
+
+        const { schedule, error } = await getTenantSchedule(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error checking for existing schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check for existing schedule'
+            });
+        }
+
+        if (!schedule) {
+            return scheduleNotFound(res);
+        }
+
+        if (timezone && !businessHoursService.isValidTimezone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid timezone',
+                message: `'${timezone}' is not a valid IANA timezone`
+            });
+        }
+
+        if (weeklyHours) {
+            const hoursErrors = businessHoursService.validateWeeklyHours(weeklyHours);
+            if (hoursErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid weekly hours',
+                    details: hoursErrors
+                });
+            }
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (name) {
+            updateData.name = name;
+        }
+        if (timezone) {
+            updateData.timezone = timezone;
+        }
+        if (weeklyHours) {
+            updateData.weekly_hours = weeklyHours;
+        }
+        if (afterHoursPolicy !== undefined) {
+            updateData.after_hours_policy = afterHoursPolicy;
+        }
+        if (closedMessage !== undefined) {
+            updateData.closed_message = closedMessage;
+        }
+        if (isActive !== undefined) {
+            updateData.is_active = isActive;
+        }
+
+        const { data: updatedSchedule, error: updateError } = await supabase
+            .from('business_schedules')
+            .update(updateData)
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error updating schedule:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update schedule'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Schedule updated successfully',
+            data: {
+                schedule: formatSchedule(updatedSchedule)
+            }
+        });
+
+        logger.info('Schedule updated successfully', {
+            scheduleId: id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the schedule'
+        });
+    }
+});
+
+// @route   DELETE /api/schedules/:id
+// @desc    Delete a schedule and its exceptions
+// @access  Private (requires schedules:delete permission)
+router.delete('/:id', requirePermission('schedules:delete'), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { schedule, error } = await getTenantSchedule(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error checking for existing schedule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check for existing schedule'
+            });
+        }
+
+        if (!schedule) {
+            return scheduleNotFound(res);
+        }
+
+        const { error: deleteError } = await supabase
+            .from('business_schedules')
+            .delete()
+            .eq('id', id)
+            .eq('tenant_id', req.user.tenantId);
+
+        if (deleteError) {
+            logger.error('Error deleting schedule:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete schedule'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Schedule deleted successfully'
+        });
+
+        logger.info('Schedule deleted successfully', {
+            scheduleId: id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete schedule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the schedule'
+        });
+    }
+});
+
+// @route   POST /api/schedules/:id/exceptions
+// @desc    Add a holiday, one-off closure or special hours to a schedule
+// @access  Private (requires schedules:update permission)
+router.post('/:id/exceptions', [
+    requirePermission('schedules:update'),
+    body('name', 'Exception name is required').notEmpty().isLength({ max: 255 }),
+    body('type', 'Exception type is required').notEmpty()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { id } = req.params;
+
+        const { schedule, error } = await getTenantSchedule(id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching schedule for exception:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch schedule'
+            });
+        }
+
+        if (!schedule) {
+            return scheduleNotFound(res);
+        }
+
+        const exceptionErrors = businessHoursService.validateException(req.body);
+        if (exceptionErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid exception',
+                details: exceptionErrors
+            });
+        }
+
+        const { data: newException, error: newExceptionError } = await supabase
+            .from('schedule_exceptions')
+            .insert({
+                tenant_id: req.user.tenantId,
+                schedule_id: id,
+                ...exceptionColumns(req.body)
+            })
+            .select()
+            .single();
+
+        if (newExceptionError) {
+            logger.error('Error creating schedule exception:', newExceptionError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create schedule exception'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Schedule exception created successfully',
+            data: {
+                exception: formatException(newException)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Create schedule exception error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the schedule exception'
+        });
+    }
+});
+
+// @route   PUT /api/schedules/:id/exceptions/:exceptionId
+// @desc    Update a schedule exception
+// @access  Private (requires schedules:update permission)
+router.put('/:id/exceptions/:exceptionId', requirePermission('schedules:update'), async (req, res) => {
+    try {
+        const { id, exceptionId } = req.params;
+
+        const { data: existingException, error: existingError } = await supabase
+            .from('schedule_exceptions')
+            .select('*')
+            .eq('id', exceptionId)
+            .eq('schedule_id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .single();
+
+        if (existingError || !existingException) {
+            return res.status(404).json({
+                success: false,
+                error: 'Exception not found',
+                message: 'The requested schedule exception does not exist'
+            });
+        }
+
+        const merged = {
+            ...formatException(existingException),
+            ...req.body
+        };
+
+        const exceptionErrors = businessHoursService.validateException(merged);
+        if (exceptionErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid exception',
+                details: exceptionErrors
+            });
+        }
+
+        const { data: updatedException, error: updateError } = await supabase
+            .from('schedule_exceptions')
+            .update(exceptionColumns(merged))
+            .eq('id', exceptionId)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error updating schedule exception:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update schedule exception'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Schedule exception updated successfully',
+            data: {
+                exception: formatException(updatedException)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update schedule exception error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the schedule exception'
+        });
+    }
+});
+
+// @route   DELETE /api/schedules/:id/exceptions/:exceptionId
+// @desc    Remove a schedule exception
+// @access  Private (requires schedules:update permission)
+router.delete('/:id/exceptions/:exceptionId', requirePermission('schedules:update'), async (req, res) => {
+    try {
+        const { id, exceptionId } = req.params;
+
+        const { data: deleted, error: deleteError } = await supabase
+            .from('schedule_exceptions')
+            .delete()
+            .eq('id', exceptionId)
+            .eq('schedule_id', id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting schedule exception:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete schedule exception'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Exception not found',
+                message: 'The requested schedule exception does not exist'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Schedule exception deleted successfully'
+        });
+
+    } catch (error) {
+        logger.error('Delete schedule exception error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the schedule exception'
+        });
+    }
+});
+
+module.exports = router;
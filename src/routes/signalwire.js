@@ -1,12 +1,26 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const { supabase } = require('../database/connection');
 const signalwireService = require('../services/signalwire');
+const callAnalyticsService = require('../services/callAnalytics');
+const businessHoursService = require('../services/businessHours');
+const callControlService = require('../services/callControl');
+const { MONITOR_MODES, TRANSFER_TARGETS } = require('../services/callControl');
+const smsConversationService = require('../services/smsConversations');
+const smsOptOutService = require('../services/smsOptOuts');
+const smsAutoReplyService = require('../services/smsAutoReply');
+const smsDeliveryService = require('../services/smsDelivery');
+const phoneNumberService = require('../services/phoneNumbers');
 const logger = require('../utils/logger');
 const { authenticateToken } = require('../middleware/auth');
+const { validateSignalWireWebhook } = require('../middleware/webhookSignature');
 
 const router = express.Router();
 
+// Analytics period when none is given, and the longest allowed
+const DEFAULT_ANALYTICS_DAYS = 7;
+const MAX_ANALYTICS_DAYS = 366;
+
 /**
  * @swagger
  * /api/signalwire/call/outbound:
@@ -82,7 +96,7 @@ const router = express.Router();
  */
 router.post('/call/outbound', [
     authenticateToken,
-    body('from').notEmpty().withMessage('from number is required'),
+    body('from').optional().notEmpty().withMessage('from number cannot be empty'),
     body('to').notEmpty().withMessage('to number is required'),
     body('tenantId').notEmpty().withMessage('tenantId is required')
 ], async (req, res) => {
@@ -97,7 +111,7 @@ router.post('/call/outbound', [
             });
         }
 
-        const { from, to, tenantId, options = {} } = req.body;
+        const { to, tenantId, options = {} } = req.body;
 
         // Verify user has permission to make outbound calls
         const user = req.user;
@@ -109,6 +123,16 @@ router.post('/call/outbound', [
             });
         }
 
+        // Calls without a from number show the tenant's default caller ID
+        const from = req.body.from || await phoneNumberService.getDefaultCallerId(tenantId);
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing parameter',
+                message: 'from is required when the tenant has no default caller ID'
+            });
+        }
+
         logger.info('Creating outbound call', { from, to, tenantId, userId: user.id });
 
         // Create call session in database
@@ -259,6 +283,12 @@ router.post('/call/outbound', [
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: The recipient replied STOP to the from number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -268,7 +298,7 @@ router.post('/call/outbound', [
  */
 router.post('/sms/send', [
     authenticateToken,
-    body('from').notEmpty().withMessage('from number is required'),
+    body('from').optional().notEmpty().withMessage('from number cannot be empty'),
     body('to').notEmpty().withMessage('to number is required'),
     body('body').notEmpty().withMessage('message body is required'),
     body('tenantId').notEmpty().withMessage('tenantId is required')
@@ -284,7 +314,7 @@ router.post('/sms/send', [
             });
         }
 
-        const { from, to, body: messageBody, tenantId } = req.body;
+        const { to, body: messageBody, tenantId } = req.body;
 
         // Verify user has permission to send SMS
         const user = req.user;
@@ -296,6 +326,25 @@ router.post('/sms/send', [
             });
         }
 
+        // Texts without a from number are sent from the tenant's default caller ID
+        const from = req.body.from || await phoneNumberService.getDefaultCallerId(tenantId);
+        if (!from) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing parameter',
+                message: 'from is required when the tenant has no default caller ID'
+            });
+        }
+
+        // Carriers block numbers that keep texting contacts who replied STOP
+        if (await smsOptOutService.isOptedOut(tenantId, from, to)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Recipient opted out',
+                message: `${to} has opted out of messages from ${from}`
+            });
+        }
+
         logger.info('Sending SMS', { from, to, tenantId, userId: user.id });
 
         // Send SMS through SignalWire
@@ -314,22 +363,19 @@ router.post('/sms/send', [
             });
         }
 
-        // Log SMS in database
-        const { error: logError } = await supabase
-            .from('sms_logs')
-            .insert({
-                id: supabase.helpers.createId(),
-                tenant_id: tenantId,
-                from_number: from,
-                to_number: to,
-                message_body: messageBody,
-                signalwire_sid: smsResult.messageSid,
+        // Log SMS in database, threaded into its conversation
+        try {
+            await smsConversationService.recordMessage({
+                tenantId,
+                direction: 'outbound',
+                from,
+                to,
+                body: messageBody,
+                messageSid: smsResult.messageSid,
                 status: smsResult.status,
-                sent_by: user.id,
-                sent_at: new Date().toISOString()
+                sentBy: user.id
             });
-
-        if (logError) {
+        } catch (logError) {
             logger.error('Error logging SMS:', logError);
         }
 
@@ -355,7 +401,9 @@ router.post('/sms/send', [
  * /api/signalwire/phone-numbers:
  *   get:
  *     summary: Get phone numbers for a tenant
- *     description: Retrieve all phone numbers associated with a specific tenant
+ *     description: |
+ *       Retrieve the active phone numbers assigned to a tenant in the phone number inventory.
+ *       Superseded by `/api/phone-numbers`, which also lists unassigned and released numbers.
  *     tags: [SignalWire]
  *     security:
  *       - bearerAuth: []
@@ -386,7 +434,7 @@ router.post('/sms/send', [
  *               data:
  *                 - id: "phone-123"
  *                   phoneNumber: "+12345678900"
- *                   friendlyName: "Main Office"
+ *                   label: "Main Office"
  *                   status: "active"
  *                   tenantId: "tenant-123"
  *       401:
@@ -432,21 +480,22 @@ router.get('/phone-numbers', [
             });
         }
 
-        logger.info('Getting phone numbers', { tenantId, userId: user.id });
-
-        const phoneNumbersResult = await signalwireService.getPhoneNumbers(tenantId);
-
-        if (!phoneNumbersResult.success) {
-            return res.status(500).json({
+        if (tenantId !== user.tenantId && !user.permissions.includes('system:admin')) {
+            return res.status(403).json({
                 success: false,
-                error: 'SignalWire error',
-                message: phoneNumbersResult.error
+                error: 'Insufficient permissions',
+                message: 'You can only view phone numbers for your own tenant'
             });
         }
 
+        logger.info('Getting phone numbers', { tenantId, userId: user.id });
+
+        // Read from the inventory; /api/phone-numbers has paging and the full settings
+        const { phoneNumbers } = await phoneNumberService.list(tenantId, { status: 'active' }, { limit: 1000 });
+
         res.json({
             success: true,
-            phoneNumbers: phoneNumbersResult.phoneNumbers
+            phoneNumbers: phoneNumbers
         });
 
     } catch (error) {
@@ -460,15 +509,13 @@ router.get('/phone-numbers', [
 });
 
 // @route   POST /api/signalwire/phone-numbers
-// @desc    Create a new phone number
-// @access  Private (auth required)
+// @desc    Buy a phone number for a tenant (superseded by POST /api/phone-numbers)
+// @access  Private (requires phone_numbers:create permission; system:admin for another tenant)
 router.post('/phone-numbers', [
     authenticateToken,
     body('phoneNumber').notEmpty().withMessage('phone number is required'),
     body('friendlyName').notEmpty().withMessage('friendly name is required'),
-    body('tenantId').notEmpty().withMessage('tenantId is required'),
-    body('voiceUrl').optional().isURL().withMessage('voice URL must be a valid URL'),
-    body('smsUrl').optional().isURL().withMessage('SMS URL must be a valid URL')
+    body('tenantId').notEmpty().withMessage('tenantId is required')
 ], async (req, res) => {
     try {
         // Check for validation errors
@@ -481,7 +528,7 @@ router.post('/phone-numbers', [
             });
         }
 
-        const { phoneNumber, friendlyName, tenantId, voiceUrl, smsUrl } = req.body;
+        const { phoneNumber, friendlyName, tenantId } = req.body;
 
         // Verify user has permission to create phone numbers
         const user = req.user;
@@ -493,55 +540,45 @@ router.post('/phone-numbers', [
             });
         }
 
-        logger.info('Creating phone number', { phoneNumber, friendlyName, tenantId, userId: user.id });
+        if (tenantId !== user.tenantId && !user.permissions.includes('system:admin')) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                message: 'You can only buy phone numbers for your own tenant'
+            });
+        }
 
-        // Set default webhook URLs if not provided
-        const defaultVoiceUrl = voiceUrl || `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/entry`;
-        const defaultSmsUrl = smsUrl || `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/signalwire/sms/webhook`;
+        if (await phoneNumberService.findHeld(phoneNumber)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Phone number already in inventory',
+                message: `${phoneNumber} is already in the phone number inventory`
+            });
+        }
+
+        logger.info('Creating phone number', { phoneNumber, friendlyName, tenantId, userId: user.id });
 
-        const phoneNumberResult = await signalwireService.createPhoneNumber({
+        // Webhooks always point at the IVR entry and SMS webhook, which find the tenant from the number
+        const purchaseResult = await phoneNumberService.purchase({
             phoneNumber,
-            friendlyName,
             tenantId,
-            voiceUrl: defaultVoiceUrl,
-            smsUrl: defaultSmsUrl
+            label: friendlyName,
+            createdBy: user.id
         });
 
-        if (!phoneNumberResult.success) {
+        if (purchaseResult.error) {
             return res.status(500).json({
                 success: false,
                 error: 'SignalWire error',
-                message: phoneNumberResult.error
+                message: purchaseResult.error
             });
         }
 
-        // Store phone number in database
-        const { error: dbError } = await supabase
-            .from('phone_numbers')
-            .insert({
-                id: supabase.helpers.createId(),
-                tenant_id: tenantId,
-                phone_number: phoneNumber,
-                friendly_name: friendlyName,
-                signalwire_sid: phoneNumberResult.phoneNumberSid,
-                voice_webhook_url: defaultVoiceUrl,
-                sms_webhook_url: defaultSmsUrl,
-                status: 'active',
-                created_by: user.id,
-                created_at: new Date().toISOString()
-            });
-
-        if (dbError) {
-            logger.error('Error storing phone number in database:', dbError);
-            // Note: Phone number was created in SignalWire but not in our DB
-            // In production, you might want to handle this differently
-        }
-
         res.json({
             success: true,
-            phoneNumberSid: phoneNumberResult.phoneNumberSid,
-            phoneNumber: phoneNumberResult.phoneNumber,
-            friendlyName: phoneNumberResult.friendlyName,
+            phoneNumberSid: purchaseResult.phoneNumber.signalwire_sid,
+            phoneNumber: purchaseResult.phoneNumber.phone_number,
+            friendlyName: purchaseResult.phoneNumber.friendly_name,
             message: 'Phone number created successfully'
         });
 
@@ -556,13 +593,26 @@ router.post('/phone-numbers', [
 });
 
 // @route   GET /api/signalwire/analytics
-// @desc    Get call analytics for a tenant
-// @access  Private (auth required)
+// @desc    Get call analytics for a tenant, from the hourly aggregates of its call sessions
+// @access  Private (requires analytics:read permission; system:admin for another tenant)
 router.get('/analytics', [
-    authenticateToken
+    authenticateToken,
+    query('startDate').optional().isISO8601().withMessage('startDate must be a valid ISO date'),
+    query('endDate').optional().isISO8601().withMessage('endDate must be a valid ISO date'),
+    query('timezone').optional().custom(value => businessHoursService.isValidTimezone(value))
+        .withMessage('timezone must be a valid IANA timezone')
 ], async (req, res) => {
     try {
-        const { tenantId, startDate, endDate } = req.query;
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
         const user = req.user;
 
         // Verify user has permission to view analytics
@@ -574,33 +624,41 @@ router.get('/analytics', [
             });
         }
 
-        if (!tenantId) {
-            return res.status(400).json({
+        const tenantId = req.query.tenantId || user.tenantId;
+        if (tenantId !== user.tenantId && !user.permissions.includes('system:admin')) {
+            return res.status(403).json({
                 success: false,
-                error: 'Missing parameter',
-                message: 'tenantId is required'
+                error: 'Insufficient permissions',
+                message: 'You can only view analytics for your own tenant'
             });
         }
 
-        logger.info('Getting analytics', { tenantId, startDate, endDate, userId: user.id });
-
-        const analyticsResult = await signalwireService.getCallAnalytics(tenantId, {
-            startDate,
-            endDate
-        });
+        const endDate = req.query.endDate ? new Date(req.query.endDate) : new Date();
+        const startDate = req.query.startDate
+            ? new Date(req.query.startDate)
+            : new Date(endDate.getTime() - DEFAULT_ANALYTICS_DAYS * 24 * 60 * 60 * 1000);
+        const timezone = req.query.timezone || 'UTC';
 
-        if (!analyticsResult.success) {
-            return res.status(500).json({
+        if (startDate > endDate || endDate - startDate > MAX_ANALYTICS_DAYS * 24 * 60 * 60 * 1000) {
+            return res.status(400).json({
                 success: false,
-                error: 'SignalWire error',
-                message: analyticsResult.error
+                error: 'Invalid period',
+                details: [{ field: 'startDate', message: `The period must run forwards and cover at most ${MAX_ANALYTICS_DAYS} days` }]
             });
         }
 
+        logger.info('Getting analytics', { tenantId, startDate, endDate, userId: user.id });
+
+        const analytics = await callAnalyticsService.getAnalytics(tenantId, { startDate, endDate, timezone });
+
         res.json({
             success: true,
-            analytics: analyticsResult.analytics,
-            period: analyticsResult.period
+            analytics,
+            period: {
+                startDate: startDate.toISOString(),
+                endDate: endDate.toISOString(),
+                timezone
+            }
         });
 
     } catch (error) {
@@ -659,6 +717,255 @@ router.get('/call/:callSid', [
     }
 });
 
+// Run a live call control action on one of the tenant's calls
+// Checks validation and the permission, finds the call by its SID, and
+// sends the service's result or failure.
+const controlCall = (permission, description, operation) => async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { callSid } = req.params;
+        const user = req.user;
+
+        // Verify user has permission to control calls
+        if (!user.permissions.includes(permission)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Insufficient permissions',
+                message: `You do not have permission to ${description}`
+            });
+        }
+
+        const lookup = await callControlService.getSession(user.tenantId, callSid);
+        if (!lookup.success) {
+            return res.status(lookup.status).json({
+                success: false,
+                error: lookup.error,
+                message: lookup.message
+            });
+        }
+
+        logger.info('Call control requested', { callSid, action: description, userId: user.id });
+
+        const { success, status, error, message, ...result } = await operation(lookup.session, req, user.id);
+
+        if (!success) {
+            return res.status(status).json({
+                success: false,
+                error,
+                message
+            });
+        }
+
+        res.json({
+            success: true,
+            callSid,
+            callId: lookup.session.call_id,
+            ...result
+        });
+
+    } catch (error) {
+        logger.error('Call control error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: `An error occurred while trying to ${description}`
+        });
+    }
+};
+
+// Exactly one transfer target in the body
+const transferTarget = (req) => {
+    const target = {};
+    TRANSFER_TARGETS.forEach(field => {
+        if (req.body[field] !== undefined && req.body[field] !== '') {
+            target[field] = String(req.body[field]);
+        }
+    });
+
+    return target;
+};
+
+/**
+ * @swagger
+ * /api/signalwire/call/{callSid}/transfer:
+ *   post:
+ *     summary: Transfer a live call
+ *     description: |
+ *       A `blind` transfer sends the caller straight to an extension, department, queue or
+ *       number and drops the agent. An `attended` transfer holds the caller and rings an
+ *       extension or number into the call so the agent can talk to them first; finish it with
+ *       `/transfer/complete` or `/transfer/cancel`. The other live call control endpoints under
+ *       `/api/signalwire/call/{callSid}/` are `hold`, `resume`, `mute`, `unmute`, `hangup`
+ *       and `monitor`. Every action is recorded in the call session's path.
+ *     tags: [SignalWire]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: callSid
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SignalWire call SID of the caller's leg
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [blind, attended]
+ *                 default: blind
+ *               extension:
+ *                 type: string
+ *               department:
+ *                 type: string
+ *               queue:
+ *                 type: string
+ *               number:
+ *                 type: string
+ *           example:
+ *             type: attended
+ *             extension: "201"
+ *     responses:
+ *       200:
+ *         description: Transfer started
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               callSid: "CA1234567890abcdef"
+ *               callId: "tenant-123_1234567890_abc123"
+ *               type: attended
+ *               target:
+ *                 extension: "201"
+ *               transferCallSid: "CAfedcba0987654321"
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - requires calls:control
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Call not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Call not in progress, or a transfer is already in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/call/:callSid/transfer', [
+    authenticateToken,
+    body('type').optional().isIn(['blind', 'attended']).withMessage('type must be blind or attended'),
+    body().custom((value, { req }) => Object.keys(transferTarget(req)).length === 1)
+        .withMessage(`Give exactly one of: ${TRANSFER_TARGETS.join(', ')}`),
+    body().custom((value, { req }) => req.body.type !== 'attended' || (!req.body.department && !req.body.queue))
+        .withMessage('An attended transfer needs an extension or number')
+], controlCall('calls:control', 'transfer calls', (session, req, userId) => {
+    const target = transferTarget(req);
+
+    return req.body.type === 'attended'
+        ? callControlService.startAttendedTransfer(session, target, { userId })
+        : callControlService.blindTransfer(session, target, { userId });
+}));
+
+// @route   POST /api/signalwire/call/:callSid/transfer/complete
+// @desc    Complete an attended transfer - drop the agent and take the caller off hold
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/transfer/complete', [
+    authenticateToken
+], controlCall('calls:control', 'transfer calls', (session, req, userId) =>
+    callControlService.finishAttendedTransfer(session, { complete: true, userId })));
+
+// @route   POST /api/signalwire/call/:callSid/transfer/cancel
+// @desc    Cancel an attended transfer - drop the target and take the caller off hold
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/transfer/cancel', [
+    authenticateToken
+], controlCall('calls:control', 'transfer calls', (session, req, userId) =>
+    callControlService.finishAttendedTransfer(session, { complete: false, userId })));
+
+// @route   POST /api/signalwire/call/:callSid/hold
+// @desc    Put the caller on hold, with optional hold music
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/hold', [
+    authenticateToken,
+    body('holdUrl').optional().isURL().withMessage('holdUrl must be a valid URL')
+], controlCall('calls:control', 'hold calls', (session, req, userId) =>
+    callControlService.setHold(session, { hold: true, holdUrl: req.body.holdUrl, userId })));
+
+// @route   POST /api/signalwire/call/:callSid/resume
+// @desc    Take the caller off hold
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/resume', [
+    authenticateToken
+], controlCall('calls:control', 'hold calls', (session, req, userId) =>
+    callControlService.setHold(session, { hold: false, userId })));
+
+// @route   POST /api/signalwire/call/:callSid/mute
+// @desc    Mute the agent (default) or the caller
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/mute', [
+    authenticateToken,
+    body('party').optional().isIn(['agent', 'caller']).withMessage('party must be agent or caller')
+], controlCall('calls:control', 'mute calls', (session, req, userId) =>
+    callControlService.setMuted(session, { muted: true, party: req.body.party, userId })));
+
+// @route   POST /api/signalwire/call/:callSid/unmute
+// @desc    Unmute the agent (default) or the caller
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/unmute', [
+    authenticateToken,
+    body('party').optional().isIn(['agent', 'caller']).withMessage('party must be agent or caller')
+], controlCall('calls:control', 'mute calls', (session, req, userId) =>
+    callControlService.setMuted(session, { muted: false, party: req.body.party, userId })));
+
+// @route   POST /api/signalwire/call/:callSid/hangup
+// @desc    Hang up a live call
+// @access  Private (requires calls:control permission)
+router.post('/call/:callSid/hangup', [
+    authenticateToken
+], controlCall('calls:control', 'hang up calls', (session, req, userId) =>
+    callControlService.hangup(session, { userId })));
+
+// @route   POST /api/signalwire/call/:callSid/monitor
+// @desc    Listen to, whisper to the agent on, or barge into a live call; repeat with another mode to switch
+// @access  Private (requires calls:monitor permission)
+router.post('/call/:callSid/monitor', [
+    authenticateToken,
+    body('mode').isIn(MONITOR_MODES).withMessage(`mode must be one of: ${MONITOR_MODES.join(', ')}`),
+    body('extension').optional().notEmpty().withMessage('extension must not be empty'),
+    body('number').optional().notEmpty().withMessage('number must not be empty')
+], controlCall('calls:monitor', 'monitor calls', (session, req, userId) =>
+    callControlService.monitor(session, {
+        mode: req.body.mode,
+        extension: req.body.extension !== undefined ? String(req.body.extension) : undefined,
+        number: req.body.number,
+        userId
+    })));
+
 // @route   GET /api/signalwire/recordings/:callSid
 // @desc    Get call recordings
 // @access  Private (auth required)
@@ -744,6 +1051,7 @@ router.get('/health', [
 // @desc    Handle SMS webhook from SignalWire
 // @access  Public (SignalWire webhook)
 router.post('/webhook/sms', [
+    validateSignalWireWebhook,
     body('From').notEmpty().withMessage('From number is required'),
     body('To').notEmpty().withMessage('To number is required'),
     body('Body').notEmpty().withMessage('Message body is required'),
@@ -761,7 +1069,7 @@ router.post('/webhook/sms', [
             });
         }
 
-        const { From, To, Body, MessageSid, ...otherParams } = req.body;
+        const { From, To, Body, MessageSid } = req.body;
 
         logger.info('SMS webhook received', { 
             from: From, 
@@ -770,22 +1078,9 @@ router.post('/webhook/sms', [
             body: Body 
         });
 
-        // Extract tenant ID from phone number or custom parameters
-        let tenantId = otherParams.tenantId;
-        
-        // If no tenant ID in custom params, try to find it by phone number
-        if (!tenantId) {
-            const { data: phoneNumberResult } = await supabase
-                .from('phone_numbers')
-                .select('tenant_id')
-                .eq('phone_number', To)
-                .eq('status', 'active')
-                .single();
-
-            if (phoneNumberResult) {
-                tenantId = phoneNumberResult.tenant_id;
-            }
-        }
+        // The number texted decides the tenant, never a field of the request
+        const phoneNumber = await phoneNumberService.findByNumber(To);
+        const tenantId = phoneNumber?.tenant_id;
 
         if (!tenantId) {
             logger.warn('No tenant ID found for SMS webhook', { to: To });
@@ -796,28 +1091,32 @@ router.post('/webhook/sms', [
             });
         }
 
-        // Log incoming SMS
-        const { error: logError } = await supabase
-            .from('sms_logs')
-            .insert({
-                id: supabase.helpers.createId(),
-                tenant_id: tenantId,
-                from_number: From,
-                to_number: To,
-                message_body: Body,
-                signalwire_sid: MessageSid,
-                status: 'received',
+        // Log incoming SMS, threaded into its conversation
+        let inbound = null;
+        try {
+            inbound = await smsConversationService.recordMessage({
+                tenantId,
                 direction: 'inbound',
-                received_at: new Date().toISOString(),
-                webhook_data: JSON.stringify(req.body)
+                from: From,
+                to: To,
+                body: Body,
+                messageSid: MessageSid,
+                status: 'received',
+                webhookData: req.body
             });
-
-        if (logError) {
+        } catch (logError) {
             logger.error('Error logging incoming SMS:', logError);
         }
 
-        // Here you could implement SMS auto-reply logic
-        // For now, just acknowledge receipt
+        // Handle STOP/START/HELP and the tenant's auto-reply rules
+        if (inbound) {
+            try {
+                await smsAutoReplyService.handleInbound(inbound);
+            } catch (autoReplyError) {
+                logger.error('Error sending SMS auto-reply:', autoReplyError);
+            }
+        }
+
         res.json({
             success: true,
             message: 'SMS webhook received and processed'
@@ -833,4 +1132,55 @@ router.post('/webhook/sms', [
     }
 });
 
+// @route   POST /api/signalwire/webhook/sms/status
+// @desc    Handle SMS status callback from SignalWire (queued, sent, delivered, undelivered, failed)
+// @access  Public (SignalWire webhook)
+router.post('/webhook/sms/status', [
+    validateSignalWireWebhook,
+    body('MessageSid').notEmpty().withMessage('Message SID is required'),
+    body('MessageStatus').notEmpty().withMessage('Message status is required')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            logger.warn('SMS status webhook validation failed:', errors.array());
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+
+        logger.info('SMS status webhook received', {
+            messageSid: MessageSid,
+            status: MessageStatus,
+            errorCode: ErrorCode
+        });
+
+        const result = await smsDeliveryService.recordStatus({
+            messageSid: MessageSid,
+            status: MessageStatus,
+            errorCode: ErrorCode,
+            errorMessage: ErrorMessage
+        });
+
+        res.json({
+            success: true,
+            message: 'SMS status webhook received and processed',
+            data: result
+        });
+
+    } catch (error) {
+        logger.error('SMS status webhook error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred processing the SMS status webhook'
+        });
+    }
+});
+
 module.exports = router;
@@ -0,0 +1,458 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const smsAutoReplyService = require('../services/smsAutoReply');
+const { RULE_TYPES, MATCH_TYPES, CALL_OUTCOMES } = require('../services/smsAutoReply');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get an auto-reply rule belonging to the tenant
+const getTenantRule = async (id, tenantId) => {
+    const { data: rule, error: ruleError } = await supabase
+        .from('sms_auto_reply_rules')
+        .select('*')
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    if (ruleError && ruleError.code !== 'PGRST116') {
+        return { error: ruleError };
+    }
+
+    return { rule: rule || null };
+};
+
+const ruleNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Auto-reply rule not found',
+    message: 'The requested auto-reply rule does not exist'
+});
+
+// Check that a department belongs to the tenant
+const isTenantDepartment = async (departmentId, tenantId) => {
+    const { data: department } = await supabase
+        .from('departments')
+        .select('id')
+        .eq('id', departmentId)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    return !!department;
+};
+
+// Validators shared by create and update
+const ruleValidators = [
+    body('name').optional().isString().trim().isLength({ min: 2, max: 255 }).withMessage('name must be 2-255 characters'),
+    body('tenantNumber').optional({ nullable: true }).matches(/^\+\d{7,15}$/).withMessage('tenantNumber must be an E.164 number'),
+    body('keywords').optional().isArray({ max: 50 }).withMessage('keywords must be an array of at most 50 words'),
+    body('matchType').optional().isIn(MATCH_TYPES).withMessage(`matchType must be one of: ${MATCH_TYPES.join(', ')}`),
+    body('departmentId').optional({ nullable: true }).isUUID().withMessage('departmentId must be a department id or null'),
+    body('callOutcomes').optional().isArray({ min: 1 }).withMessage('callOutcomes must be a non-empty array'),
+    body('callOutcomes.*').isIn(CALL_OUTCOMES).withMessage(`callOutcomes must be any of: ${CALL_OUTCOMES.join(', ')}`),
+    body('replyBody').optional().isString(),
+    body('cooldownMinutes').optional().isInt({ min: 0, max: 10080 }).withMessage('cooldownMinutes must be between 0 and 10080'),
+    body('priority').optional().isInt({ min: 0, max: 10000 }).withMessage('priority must be between 0 and 10000'),
+    body('isActive').optional().isBoolean()
+];
+
+/**
+ * @swagger
+ * /api/sms/auto-replies:
+ *   get:
+ *     summary: List SMS auto-reply rules
+ *     description: |
+ *       Lists the tenant's auto-reply rules in the order they are tried. The first active rule that
+ *       matches an inbound text replies: `keyword` when the message is (or, with `matchType: contains`,
+ *       includes) one of its keywords, `after_hours` when the tenant or department schedule is closed,
+ *       and `first_contact` on a contact's first message to the number. A rule replies to a conversation
+ *       at most once per `cooldownMinutes`. STOP, START and HELP are answered automatically; a keyword
+ *       rule for HELP or INFO replaces the default help text.
+ *
+ *       `missed_call` rules text back inbound callers when a call ends with one of its `callOutcomes`
+ *       (`caller_hung_up`, `voicemail`; both by default), at most once per caller per `cooldownMinutes`.
+ *       Their `replyBody` can use `{{callerNumber}}`, `{{tenantName}}` and `{{tenantNumber}}`. Deactivate
+ *       the rule to turn text-back off.
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Auto-reply rules
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 rules:
+ *                   - id: "3f9a7c2e-1b4d-4e8a-9c6f-0d2e1a3b4c5d"
+ *                     name: "Evenings and weekends"
+ *                     type: after_hours
+ *                     tenantNumber: null
+ *                     keywords: []
+ *                     matchType: exact
+ *                     departmentId: null
+ *                     callOutcomes: []
+ *                     replyBody: "Thanks for your message! We're closed right now and will reply when we open at 9am."
+ *                     cooldownMinutes: 720
+ *                     priority: 10
+ *                     isActive: true
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const { data: rules, error: rulesError } = await supabase
+            .from('sms_auto_reply_rules')
+            .select('*')
+            .eq('tenant_id', req.user.tenantId)
+            .order('priority', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (rulesError) {
+            logger.error('Error fetching SMS auto-reply rules:', rulesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch auto-reply rules'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                rules: rules.map(rule => smsAutoReplyService.formatRule(rule))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS auto-reply rules error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching auto-reply rules'
+        });
+    }
+});
+
+// @route   GET /api/sms/auto-replies/:id
+// @desc    Get an auto-reply rule
+// @access  Private (requires sms:read permission)
+router.get('/:id', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const { rule, error } = await getTenantRule(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching SMS auto-reply rule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch auto-reply rule'
+            });
+        }
+
+        if (!rule) {
+            return ruleNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                rule: smsAutoReplyService.formatRule(rule)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS auto-reply rule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the auto-reply rule'
+        });
+    }
+});
+
+// @route   POST /api/sms/auto-replies
+// @desc    Create an auto-reply rule
+// @access  Private (requires sms:update permission)
+router.post('/', [
+    requirePermission('sms:update'),
+    body('name', 'Rule name is required').notEmpty(),
+    body('type').isIn(RULE_TYPES).withMessage(`type must be one of: ${RULE_TYPES.join(', ')}`),
+    body('replyBody', 'replyBody is required').notEmpty(),
+    ...ruleValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const {
+            name, type, tenantNumber, keywords, matchType, departmentId, callOutcomes, replyBody, cooldownMinutes, priority, isActive
+        } = req.body;
+
+        const ruleErrors = smsAutoReplyService.validateRule({ type, keywords, replyBody });
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid auto-reply rule',
+                details: ruleErrors
+            });
+        }
+
+        if (departmentId && !await isTenantDepartment(departmentId, req.user.tenantId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid auto-reply rule',
+                details: [{ field: 'departmentId', message: 'departmentId must be a department in your organization' }]
+            });
+        }
+
+        const { data: newRule, error: newRuleError } = await supabase
+            .from('sms_auto_reply_rules')
+            .insert({
+                tenant_id: req.user.tenantId,
+                name: name,
+                type: type,
+                tenant_number: tenantNumber || null,
+                keywords: type === 'keyword' ? keywords : [],
+                match_type: matchType || 'exact',
+                department_id: type === 'after_hours' ? (departmentId || null) : null,
+                call_outcomes: type === 'missed_call' ? (callOutcomes || CALL_OUTCOMES) : [],
+                reply_body: replyBody,
+                cooldown_minutes: cooldownMinutes !== undefined ? parseInt(cooldownMinutes) : 60,
+                priority: priority !== undefined ? parseInt(priority) : 100,
+                is_active: isActive !== undefined ? isActive : true,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+
+        if (newRuleError) {
+            logger.error('Error creating SMS auto-reply rule:', newRuleError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create auto-reply rule'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Auto-reply rule created successfully',
+            data: {
+                rule: smsAutoReplyService.formatRule(newRule)
+            }
+        });
+
+        logger.info('SMS auto-reply rule created', {
+            ruleId: newRule.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create SMS auto-reply rule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the auto-reply rule'
+        });
+    }
+});
+
+// @route   PUT /api/sms/auto-replies/:id
+// @desc    Update an auto-reply rule (its type cannot change)
+// @access  Private (requires sms:update permission)
+router.put('/:id', [
+    requirePermission('sms:update'),
+    ...ruleValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { rule, error } = await getTenantRule(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error checking for existing SMS auto-reply rule:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to check for existing auto-reply rule'
+            });
+        }
+
+        if (!rule) {
+            return ruleNotFound(res);
+        }
+
+        const {
+            name, tenantNumber, keywords, matchType, departmentId, callOutcomes, replyBody, cooldownMinutes, priority, isActive
+        } = req.body;
+
+        const ruleErrors = smsAutoReplyService.validateRule({
+            type: rule.type,
+            keywords: keywords !== undefined ? keywords : rule.keywords,
+            replyBody: replyBody !== undefined ? replyBody : rule.reply_body
+        });
+        if (ruleErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid auto-reply rule',
+                details: ruleErrors
+            });
+        }
+
+        if (departmentId && !await isTenantDepartment(departmentId, req.user.tenantId)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid auto-reply rule',
+                details: [{ field: 'departmentId', message: 'departmentId must be a department in your organization' }]
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (name !== undefined) {
+            updateData.name = name;
+        }
+        if (tenantNumber !== undefined) {
+            updateData.tenant_number = tenantNumber || null;
+        }
+        if (keywords !== undefined && rule.type === 'keyword') {
+            updateData.keywords = keywords;
+        }
+        if (matchType !== undefined) {
+            updateData.match_type = matchType;
+        }
+        if (departmentId !== undefined && rule.type === 'after_hours') {
+            updateData.department_id = departmentId || null;
+        }
+        if (callOutcomes !== undefined && rule.type === 'missed_call') {
+            updateData.call_outcomes = callOutcomes;
+        }
+        if (replyBody !== undefined) {
+            updateData.reply_body = replyBody;
+        }
+        if (cooldownMinutes !== undefined) {
+            updateData.cooldown_minutes = parseInt(cooldownMinutes);
+        }
+        if (priority !== undefined) {
+            updateData.priority = parseInt(priority);
+        }
+        if (isActive !== undefined) {
+            updateData.is_active = isActive;
+        }
+
+        const { data: updatedRule, error: updateError } = await supabase
+            .from('sms_auto_reply_rules')
+            .update(updateData)
+            .eq('id', rule.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error updating SMS auto-reply rule:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update auto-reply rule'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Auto-reply rule updated successfully',
+            data: {
+                rule: smsAutoReplyService.formatRule(updatedRule)
+            }
+        });
+
+        logger.info('SMS auto-reply rule updated', {
+            ruleId: rule.id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update SMS auto-reply rule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the auto-reply rule'
+        });
+    }
+});
+
+// @route   DELETE /api/sms/auto-replies/:id
+// @desc    Delete an auto-reply rule
+// @access  Private (requires sms:update permission)
+router.delete('/:id', requirePermission('sms:update'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('sms_auto_reply_rules')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting SMS auto-reply rule:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete auto-reply rule'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return ruleNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Auto-reply rule deleted successfully'
+        });
+
+        logger.info('SMS auto-reply rule deleted', {
+            ruleId: req.params.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete SMS auto-reply rule error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the auto-reply rule'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,425 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const smsCampaignService = require('../services/smsCampaigns');
+const { CAMPAIGN_STATUSES, RECIPIENT_STATUSES, MAX_RECIPIENTS } = require('../services/smsCampaigns');
+const smsTemplateService = require('../services/smsTemplates');
+const { MAX_BODY_LENGTH } = require('../services/smsTemplates');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const campaignNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Campaign not found',
+    message: 'The requested SMS campaign does not exist'
+});
+
+/**
+ * @swagger
+ * /api/sms/campaigns:
+ *   post:
+ *     summary: Create an SMS campaign
+ *     description: |
+ *       Texts every recipient from one of the tenant's numbers, filling the template's `{{variables}}`
+ *       from each recipient's `variables`. Sending starts at `scheduledAt` (now if omitted) and is
+ *       throttled to `SMS_RATE_PER_MINUTE` messages per minute per tenant number, shared with other
+ *       campaigns and replies on that number; `ratePerMinute` lowers it for this campaign. Contacts
+ *       who texted STOP to the number are skipped. Typical uses are appointment reminders and
+ *       missed-call follow-ups.
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, tenantNumber, recipients]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               tenantNumber:
+ *                 type: string
+ *                 description: One of the tenant's active phone numbers
+ *               templateId:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Template to send; required unless `body` is given
+ *               body:
+ *                 type: string
+ *                 description: Message text with `{{variables}}`; required unless `templateId` is given
+ *               recipients:
+ *                 type: array
+ *                 maxItems: 10000
+ *                 items:
+ *                   type: object
+ *                   required: [phoneNumber]
+ *                   properties:
+ *                     phoneNumber:
+ *                       type: string
+ *                     variables:
+ *                       type: object
+ *               scheduledAt:
+ *                 type: string
+ *                 format: date-time
+ *               ratePerMinute:
+ *                 type: integer
+ *           example:
+ *             name: "Reminders for June 21"
+ *             tenantNumber: "+12345678900"
+ *             templateId: "0e4f6a8b-2c1d-4b3a-8e7f-6d5c4b3a2f1e"
+ *             scheduledAt: "2024-06-20T14:00:00.000Z"
+ *             recipients:
+ *               - phoneNumber: "+19876543210"
+ *                 variables:
+ *                   firstName: Sam
+ *                   date: "June 21"
+ *                   time: "10:30am"
+ *     responses:
+ *       201:
+ *         description: Campaign scheduled
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: SMS campaign created successfully
+ *               data:
+ *                 campaign:
+ *                   id: "7d6c5b4a-3f2e-4d1c-9b8a-0f1e2d3c4b5a"
+ *                   name: "Reminders for June 21"
+ *                   tenantNumber: "+12345678900"
+ *                   status: scheduled
+ *                   scheduledAt: "2024-06-20T14:00:00.000Z"
+ *                   totalRecipients: 1
+ *                   sentCount: 0
+ *                   failedCount: 0
+ *                   skippedCount: 0
+ *       400:
+ *         description: Validation error, unknown number or template, or missing variables
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', [
+    requirePermission('sms:create'),
+    body('name').isString().trim().isLength({ min: 2, max: 255 }).withMessage('name must be 2-255 characters'),
+    body('tenantNumber').matches(/^\+\d{7,15}$/).withMessage('tenantNumber must be an E.164 number'),
+    body('templateId').optional().isUUID().withMessage('templateId must be a template id'),
+    body('body').optional().isString().trim().notEmpty().withMessage('message body cannot be empty')
+        .isLength({ max: MAX_BODY_LENGTH }).withMessage(`message body must be at most ${MAX_BODY_LENGTH} characters`),
+    body('recipients').isArray({ min: 1, max: MAX_RECIPIENTS }).withMessage(`recipients must list 1 to ${MAX_RECIPIENTS} recipients`),
+    body('scheduledAt').optional().isISO8601().withMessage('scheduledAt must be a valid ISO date'),
+    body('ratePerMinute').optional().isInt({ min: 1 }).withMessage('ratePerMinute must be a positive integer')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { name, tenantNumber, templateId, recipients, scheduledAt, ratePerMinute } = req.body;
+        let messageBody = req.body.body;
+
+        if (!templateId === !messageBody) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid campaign',
+                details: [{ field: 'body', message: 'Provide either templateId or body' }]
+            });
+        }
+
+        if (templateId) {
+            const template = await smsTemplateService.get(req.user.tenantId, templateId);
+
+            if (!template) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid campaign',
+                    details: [{ field: 'templateId', message: 'templateId must be one of your SMS templates' }]
+                });
+            }
+            messageBody = template.body;
+        }
+
+        const { data: phoneNumber } = await supabase
+            .from('phone_numbers')
+            .select('id')
+            .eq('tenant_id', req.user.tenantId)
+            .eq('phone_number', tenantNumber)
+            .eq('status', 'active')
+            .limit(1)
+            .maybeSingle();
+
+        if (!phoneNumber) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid campaign',
+                details: [{ field: 'tenantNumber', message: 'tenantNumber must be one of your active phone numbers' }]
+            });
+        }
+
+        const recipientErrors = smsCampaignService.validateRecipients(recipients, messageBody);
+        if (recipientErrors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid recipients',
+                details: recipientErrors
+            });
+        }
+
+        const campaign = await smsCampaignService.create({
+            tenantId: req.user.tenantId,
+            userId: req.user.id,
+            name,
+            tenantNumber,
+            templateId,
+            body: messageBody,
+            recipients,
+            scheduledAt,
+            ratePerMinute: ratePerMinute ? parseInt(ratePerMinute) : null
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'SMS campaign created successfully',
+            data: {
+                campaign: smsCampaignService.formatCampaign(campaign)
+            }
+        });
+
+        logger.info('SMS campaign created', {
+            campaignId: campaign.id,
+            recipients: recipients.length,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create SMS campaign error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the SMS campaign'
+        });
+    }
+});
+
+// @route   GET /api/sms/campaigns
+// @desc    List SMS campaigns, newest first
+// @access  Private (requires sms:read permission)
+router.get('/', [
+    requirePermission('sms:read'),
+    query('status').optional().isIn(CAMPAIGN_STATUSES).withMessage(`status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { status, page = 1, limit = 25 } = req.query;
+
+        const { campaigns, total } = await smsCampaignService.list(
+            req.user.tenantId,
+            { status },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                campaigns,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS campaigns error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching SMS campaigns'
+        });
+    }
+});
+
+// @route   GET /api/sms/campaigns/:id
+// @desc    Get an SMS campaign with its delivery counts
+// @access  Private (requires sms:read permission)
+router.get('/:id', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const campaign = await smsCampaignService.get(req.user.tenantId, req.params.id);
+
+        if (!campaign) {
+            return campaignNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                campaign: smsCampaignService.formatCampaign(campaign)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS campaign error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the SMS campaign'
+        });
+    }
+});
+
+// @route   GET /api/sms/campaigns/:id/recipients
+// @desc    List a campaign's recipients with their delivery status
+// @access  Private (requires sms:read permission)
+router.get('/:id/recipients', [
+    requirePermission('sms:read'),
+    query('status').optional().isIn(RECIPIENT_STATUSES).withMessage(`status must be one of: ${RECIPIENT_STATUSES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('limit must be between 1 and 500')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const campaign = await smsCampaignService.get(req.user.tenantId, req.params.id);
+
+        if (!campaign) {
+            return campaignNotFound(res);
+        }
+
+        const { status, page = 1, limit = 50 } = req.query;
+
+        const { recipients, total } = await smsCampaignService.listRecipients(
+            campaign,
+            { status },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                recipients,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS campaign recipients error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the campaign recipients'
+        });
+    }
+});
+
+// Pause, resume or cancel one of the tenant's campaigns
+// Finds the campaign, runs the service action and answers 409 when the
+// campaign is not in a status the action accepts.
+const changeStatus = (action, allowedFrom, done) => async (req, res) => {
+    try {
+        const campaign = await smsCampaignService.get(req.user.tenantId, req.params.id);
+
+        if (!campaign) {
+            return campaignNotFound(res);
+        }
+
+        const updated = await smsCampaignService[action](campaign);
+
+        if (!updated) {
+            return res.status(409).json({
+                success: false,
+                error: 'Invalid campaign status',
+                message: `Only ${allowedFrom} campaigns can be ${done}; this one is ${campaign.status}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `SMS campaign ${done} successfully`,
+            data: {
+                campaign: smsCampaignService.formatCampaign(updated)
+            }
+        });
+
+        logger.info(`SMS campaign ${done}`, {
+            campaignId: campaign.id,
+            userId: req.user.id
+        });
+
+    } catch (error) {
+        logger.error(`SMS campaign ${action} error:`, error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the SMS campaign'
+        });
+    }
+};
+
+// @route   POST /api/sms/campaigns/:id/pause
+// @desc    Stop sending until the campaign is resumed
+// @access  Private (requires sms:create permission)
+router.post('/:id/pause', requirePermission('sms:create'), changeStatus('pause', 'scheduled or sending', 'paused'));
+
+// @route   POST /api/sms/campaigns/:id/resume
+// @desc    Continue a paused campaign
+// @access  Private (requires sms:create permission)
+router.post('/:id/resume', requirePermission('sms:create'), changeStatus('resume', 'paused', 'resumed'));
+
+// @route   POST /api/sms/campaigns/:id/cancel
+// @desc    Cancel a campaign; recipients not texted yet are never texted
+// @access  Private (requires sms:create permission)
+router.post('/:id/cancel', requirePermission('sms:create'), changeStatus('cancel', 'scheduled, sending or paused', 'cancelled'));
+
+module.exports = router;
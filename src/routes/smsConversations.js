@@ -0,0 +1,462 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const smsConversationService = require('../services/smsConversations');
+const { CONVERSATION_STATUSES } = require('../services/smsConversations');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const conversationNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Conversation not found',
+    message: 'SMS conversation not found'
+});
+
+/**
+ * @swagger
+ * /api/sms/conversations:
+ *   get:
+ *     summary: List SMS conversations
+ *     description: |
+ *       Lists the tenant's SMS threads, one per tenant number and contact, most recent message
+ *       first. Inbound texts and replies are threaded automatically.
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *         description: A user id, `me`, or `unassigned`
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: number
+ *         schema:
+ *           type: string
+ *         description: Digits in the contact number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *     responses:
+ *       200:
+ *         description: Conversations
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 conversations:
+ *                   - id: "8c1d2f0a-6b7e-4a59-9d1c-2f3e4a5b6c7d"
+ *                     tenantNumber: "+12345678900"
+ *                     contactNumber: "+19876543210"
+ *                     status: open
+ *                     assignedTo: null
+ *                     assignee: null
+ *                     unreadCount: 2
+ *                     lastMessageAt: "2024-06-20T16:13:20.000Z"
+ *                     lastMessagePreview: "Can I move my appointment to Friday?"
+ *                     lastDirection: inbound
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 25
+ *                   total: 1
+ *                   totalPages: 1
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+    requirePermission('sms:read'),
+    query('status').optional().isIn(CONVERSATION_STATUSES).withMessage(`status must be one of: ${CONVERSATION_STATUSES.join(', ')}`),
+    query('assignedTo').optional().custom(value => value === 'me' || value === 'unassigned' || /^[0-9a-f-]{36}$/i.test(value))
+        .withMessage('assignedTo must be a user id, me or unassigned'),
+    query('unread').optional().isBoolean(),
+    query('number').optional().matches(/^\+?\d{1,15}$/).withMessage('number must be digits, optionally starting with +'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { status, assignedTo, unread, number, page = 1, limit = 25 } = req.query;
+
+        const { conversations, total } = await smsConversationService.list(
+            req.user.tenantId,
+            {
+                status,
+                assignedTo: assignedTo === 'me' ? req.user.id : assignedTo,
+                unread: unread === 'true',
+                number
+            },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                conversations,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS conversations error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching SMS conversations'
+        });
+    }
+});
+
+// @route   GET /api/sms/conversations/unread
+// @desc    Unread message and conversation counts for the inbox badge
+// @access  Private (requires sms:read permission)
+router.get('/unread', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const unread = await smsConversationService.unreadSummary(req.user.tenantId, req.user.id);
+
+        res.json({
+            success: true,
+            data: { unread }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS unread counts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while counting unread messages'
+        });
+    }
+});
+
+// @route   GET /api/sms/conversations/:id
+// @desc    Get a conversation with its messages (newest first) and internal notes
+// @access  Private (requires sms:read permission)
+router.get('/:id', [
+    requirePermission('sms:read'),
+    query('before').optional().isISO8601().withMessage('before must be a valid ISO date'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const conversation = await smsConversationService.get(req.user.tenantId, req.params.id);
+
+        if (!conversation) {
+            return conversationNotFound(res);
+        }
+
+        const [messages, notes] = await Promise.all([
+            smsConversationService.getMessages(conversation, {
+                before: req.query.before,
+                limit: parseInt(req.query.limit) || 50
+            }),
+            smsConversationService.getNotes(conversation)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                conversation: smsConversationService.formatConversation(conversation),
+                messages,
+                notes
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS conversation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the SMS conversation'
+        });
+    }
+});
+
+// @route   POST /api/sms/conversations/:id/read
+// @desc    Mark a conversation read
+// @access  Private (requires sms:read permission)
+router.post('/:id/read', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const conversation = await smsConversationService.get(req.user.tenantId, req.params.id);
+
+        if (!conversation) {
+            return conversationNotFound(res);
+        }
+
+        const updated = await smsConversationService.markRead(conversation);
+
+        res.json({
+            success: true,
+            message: 'Conversation marked as read',
+            data: {
+                conversation: smsConversationService.formatConversation(updated)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Mark SMS conversation read error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the SMS conversation'
+        });
+    }
+});
+
+// @route   POST /api/sms/conversations/:id/messages
+// @desc    Reply to a conversation from the tenant number it is on
+// @access  Private (requires sms:create permission)
+router.post('/:id/messages', [
+    requirePermission('sms:create'),
+    body('body').isString().trim().notEmpty().withMessage('message body is required')
+        .isLength({ max: 1600 }).withMessage('message body must be at most 1600 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const conversation = await smsConversationService.get(req.user.tenantId, req.params.id);
+
+        if (!conversation) {
+            return conversationNotFound(res);
+        }
+
+        const result = await smsConversationService.reply(conversation, req.user.id, req.body.body);
+
+        if (result.optedOut) {
+            return res.status(409).json({
+                success: false,
+                error: 'Recipient opted out',
+                message: `${conversation.contact_number} has opted out of messages from ${conversation.tenant_number}`
+            });
+        }
+
+        if (result.error) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: result.error
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'SMS sent successfully',
+            data: {
+                conversation: smsConversationService.formatConversation(result.conversation),
+                message: {
+                    id: result.message.id,
+                    direction: result.message.direction,
+                    from: result.message.from_number,
+                    to: result.message.to_number,
+                    body: result.message.message_body,
+                    messageSid: result.message.signalwire_sid,
+                    status: result.message.status,
+                    sentBy: result.message.sent_by,
+                    sentAt: result.message.sent_at
+                }
+            }
+        });
+
+        logger.info('SMS conversation reply sent', {
+            conversationId: conversation.id,
+            sentBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Reply to SMS conversation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while sending the reply'
+        });
+    }
+});
+
+// @route   PUT /api/sms/conversations/:id
+// @desc    Assign a conversation or change its status
+// @access  Private (requires sms:update permission)
+router.put('/:id', [
+    requirePermission('sms:update'),
+    body('status').optional().isIn(CONVERSATION_STATUSES).withMessage(`status must be one of: ${CONVERSATION_STATUSES.join(', ')}`),
+    body('assignedTo').optional({ nullable: true }).isUUID().withMessage('assignedTo must be a user id or null')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { status, assignedTo } = req.body;
+        const conversation = await smsConversationService.get(req.user.tenantId, req.params.id);
+
+        if (!conversation) {
+            return conversationNotFound(res);
+        }
+
+        const updates = {};
+
+        if (assignedTo !== undefined) {
+            if (assignedTo) {
+                const { data: assignee } = await supabase
+                    .from('users')
+                    .select('id')
+                    .eq('id', assignedTo)
+                    .eq('tenant_id', req.user.tenantId)
+                    .eq('status', 'active')
+                    .single();
+
+                if (!assignee) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid assignee',
+                        details: [{ field: 'assignedTo', message: 'assignedTo must be an active user in your organization' }]
+                    });
+                }
+            }
+            updates.assigned_to = assignedTo || null;
+        }
+
+        if (status !== undefined && status !== conversation.status) {
+            updates.status = status;
+            updates.closed_at = status === 'closed' ? new Date().toISOString() : null;
+        }
+
+        const updated = Object.keys(updates).length > 0
+            ? await smsConversationService.update(conversation, updates)
+            : conversation;
+
+        res.json({
+            success: true,
+            message: 'Conversation updated successfully',
+            data: {
+                conversation: smsConversationService.formatConversation(updated)
+            }
+        });
+
+        logger.info('SMS conversation updated', {
+            conversationId: conversation.id,
+            updates,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update SMS conversation error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the SMS conversation'
+        });
+    }
+});
+
+// @route   POST /api/sms/conversations/:id/notes
+// @desc    Add an internal note to a conversation (never sent to the contact)
+// @access  Private (requires sms:update permission)
+router.post('/:id/notes', [
+    requirePermission('sms:update'),
+    body('body').isString().trim().notEmpty().withMessage('note body is required')
+        .isLength({ max: 5000 }).withMessage('note body must be at most 5000 characters')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const conversation = await smsConversationService.get(req.user.tenantId, req.params.id);
+
+        if (!conversation) {
+            return conversationNotFound(res);
+        }
+
+        const note = await smsConversationService.addNote(conversation, req.user.id, req.body.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Note added successfully',
+            data: { note }
+        });
+
+    } catch (error) {
+        logger.error('Add SMS conversation note error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while adding the note'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,243 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const smsOptOutService = require('../services/smsOptOuts');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+/**
+ * @swagger
+ * /api/sms/opt-outs:
+ *   get:
+ *     summary: List SMS opt-outs
+ *     description: |
+ *       Lists contacts who may not be texted from a tenant number. Contacts are added when they text
+ *       STOP, STOPALL, UNSUBSCRIBE, CANCEL, END or QUIT to the number, and removed when they text
+ *       START, UNSTOP or YES. `/api/signalwire/sms/send` and conversation replies refuse to text them.
+ *       Pass `status=opted_in` to see contacts who resubscribed.
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: tenantNumber
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: number
+ *         schema:
+ *           type: string
+ *         description: Digits in the contact number
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [opted_out, opted_in]
+ *           default: opted_out
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Opt-outs
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 optOuts:
+ *                   - id: "5b2c8e1f-7a3d-4c6b-9e0f-1a2b3c4d5e6f"
+ *                     tenantNumber: "+12345678900"
+ *                     contactNumber: "+19876543210"
+ *                     status: opted_out
+ *                     source: keyword
+ *                     keyword: STOP
+ *                     optedOutAt: "2024-06-20T16:13:20.000Z"
+ *                     optedInAt: null
+ *                     createdBy: null
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 50
+ *                   total: 1
+ *                   totalPages: 1
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', [
+    requirePermission('sms:read'),
+    query('tenantNumber').optional().matches(/^\+\d{7,15}$/).withMessage('tenantNumber must be an E.164 number'),
+    query('number').optional().matches(/^\+?\d{1,15}$/).withMessage('number must be digits, optionally starting with +'),
+    query('status').optional().isIn(['opted_out', 'opted_in']).withMessage('status must be one of: opted_out, opted_in'),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { tenantNumber, number, status, page = 1, limit = 50 } = req.query;
+
+        const { optOuts, total } = await smsOptOutService.list(
+            req.user.tenantId,
+            { tenantNumber, number, status },
+            { page: parseInt(page), limit: parseInt(limit) }
+        );
+
+        res.json({
+            success: true,
+            data: {
+                optOuts,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS opt-outs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching SMS opt-outs'
+        });
+    }
+});
+
+// @route   POST /api/sms/opt-outs
+// @desc    Opt a contact out of texts from a tenant number, e.g. after a request by phone
+// @access  Private (requires sms:update permission)
+router.post('/', [
+    requirePermission('sms:update'),
+    body('tenantNumber').matches(/^\+\d{7,15}$/).withMessage('tenantNumber must be an E.164 number'),
+    body('contactNumber').matches(/^\+\d{7,15}$/).withMessage('contactNumber must be an E.164 number')
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { tenantNumber, contactNumber } = req.body;
+
+        if (await smsOptOutService.isOptedOut(req.user.tenantId, tenantNumber, contactNumber)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Already opted out',
+                message: `${contactNumber} has already opted out of messages from ${tenantNumber}`
+            });
+        }
+
+        const optOut = await smsOptOutService.optOut({
+            tenantId: req.user.tenantId,
+            tenantNumber,
+            contactNumber,
+            source: 'manual',
+            createdBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Contact opted out successfully',
+            data: {
+                optOut: smsOptOutService.formatOptOut(optOut)
+            }
+        });
+
+        logger.info('SMS contact opted out manually', {
+            optOutId: optOut.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create SMS opt-out error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while adding the SMS opt-out'
+        });
+    }
+});
+
+// @route   DELETE /api/sms/opt-outs/:id
+// @desc    Remove an opt-out that was added manually
+// @access  Private (requires sms:update permission)
+router.delete('/:id', requirePermission('sms:update'), async (req, res) => {
+    try {
+        const optOut = await smsOptOutService.get(req.user.tenantId, req.params.id);
+
+        if (!optOut || optOut.status !== 'opted_out') {
+            return res.status(404).json({
+                success: false,
+                error: 'Opt-out not found',
+                message: 'The requested SMS opt-out does not exist'
+            });
+        }
+
+        // Only the contact can take back a STOP they texted
+        if (optOut.source === 'keyword') {
+            return res.status(409).json({
+                success: false,
+                error: 'Opt-out requested by contact',
+                message: `${optOut.contact_number} texted ${optOut.keyword || 'STOP'} and must text START to resubscribe`
+            });
+        }
+
+        await smsOptOutService.optIn(optOut.tenant_id, optOut.tenant_number, optOut.contact_number);
+
+        res.json({
+            success: true,
+            message: 'Opt-out removed successfully'
+        });
+
+        logger.info('SMS opt-out removed', {
+            optOutId: optOut.id,
+            removedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete SMS opt-out error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while removing the SMS opt-out'
+        });
+    }
+});
+
+module.exports = router;
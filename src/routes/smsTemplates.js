@@ -0,0 +1,312 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const smsTemplateService = require('../services/smsTemplates');
+const { MAX_BODY_LENGTH } = require('../services/smsTemplates');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+const templateNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Template not found',
+    message: 'The requested SMS template does not exist'
+});
+
+const templateExists = (res) => res.status(409).json({
+    success: false,
+    error: 'Template already exists',
+    message: 'An SMS template with this name already exists'
+});
+
+/**
+ * @swagger
+ * /api/sms/templates:
+ *   get:
+ *     summary: List SMS templates
+ *     description: |
+ *       Lists the tenant's message templates. Variables are written as `{{name}}` in the body and
+ *       filled in per recipient when a campaign sends; `variables` lists the ones a template uses.
+ *     tags: [SMS]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 templates:
+ *                   - id: "0e4f6a8b-2c1d-4b3a-8e7f-6d5c4b3a2f1e"
+ *                     name: "Appointment reminder"
+ *                     body: "Hi {{firstName}}, this is a reminder of your appointment on {{date}} at {{time}}. Reply STOP to opt out."
+ *                     variables: [firstName, date, time]
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const { data: templates, error: templatesError } = await supabase
+            .from('sms_templates')
+            .select('*')
+            .eq('tenant_id', req.user.tenantId)
+            .order('name', { ascending: true });
+
+        if (templatesError) {
+            logger.error('Error fetching SMS templates:', templatesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch SMS templates'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                templates: templates.map(template => smsTemplateService.formatTemplate(template))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS templates error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching SMS templates'
+        });
+    }
+});
+
+// @route   GET /api/sms/templates/:id
+// @desc    Get an SMS template
+// @access  Private (requires sms:read permission)
+router.get('/:id', requirePermission('sms:read'), async (req, res) => {
+    try {
+        const template = await smsTemplateService.get(req.user.tenantId, req.params.id);
+
+        if (!template) {
+            return templateNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                template: smsTemplateService.formatTemplate(template)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get SMS template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the SMS template'
+        });
+    }
+});
+
+// @route   POST /api/sms/templates
+// @desc    Create an SMS template
+// @access  Private (requires sms:update permission)
+router.post('/', [
+    requirePermission('sms:update'),
+    body('name').isString().trim().isLength({ min: 2, max: 255 }).withMessage('name must be 2-255 characters'),
+    body('body').isString().trim().notEmpty().withMessage('template body is required')
+        .isLength({ max: MAX_BODY_LENGTH }).withMessage(`template body must be at most ${MAX_BODY_LENGTH} characters`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { data: newTemplate, error: newTemplateError } = await supabase
+            .from('sms_templates')
+            .insert({
+                tenant_id: req.user.tenantId,
+                name: req.body.name,
+                body: req.body.body,
+                created_by: req.user.id
+            })
+            .select()
+            .single();
+
+        if (newTemplateError) {
+            if (newTemplateError.code === '23505') {
+                return templateExists(res);
+            }
+
+            logger.error('Error creating SMS template:', newTemplateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create SMS template'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'SMS template created successfully',
+            data: {
+                template: smsTemplateService.formatTemplate(newTemplate)
+            }
+        });
+
+        logger.info('SMS template created', {
+            templateId: newTemplate.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create SMS template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the SMS template'
+        });
+    }
+});
+
+// @route   PUT /api/sms/templates/:id
+// @desc    Update an SMS template; campaigns already created keep the text they were created with
+// @access  Private (requires sms:update permission)
+router.put('/:id', [
+    requirePermission('sms:update'),
+    body('name').optional().isString().trim().isLength({ min: 2, max: 255 }).withMessage('name must be 2-255 characters'),
+    body('body').optional().isString().trim().notEmpty().withMessage('template body cannot be empty')
+        .isLength({ max: MAX_BODY_LENGTH }).withMessage(`template body must be at most ${MAX_BODY_LENGTH} characters`)
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const updateData = { updated_at: new Date().toISOString() };
+        if (req.body.name !== undefined) {
+            updateData.name = req.body.name;
+        }
+        if (req.body.body !== undefined) {
+            updateData.body = req.body.body;
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('sms_templates')
+            .update(updateData)
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (updateError) {
+            if (updateError.code === '23505') {
+                return templateExists(res);
+            }
+
+            logger.error('Error updating SMS template:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update SMS template'
+            });
+        }
+
+        if (!updated || updated.length === 0) {
+            return templateNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'SMS template updated successfully',
+            data: {
+                template: smsTemplateService.formatTemplate(updated[0])
+            }
+        });
+
+        logger.info('SMS template updated', {
+            templateId: req.params.id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update SMS template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the SMS template'
+        });
+    }
+});
+
+// @route   DELETE /api/sms/templates/:id
+// @desc    Delete an SMS template
+// @access  Private (requires sms:update permission)
+router.delete('/:id', requirePermission('sms:update'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('sms_templates')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting SMS template:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete SMS template'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return templateNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'SMS template deleted successfully'
+        });
+
+        logger.info('SMS template deleted', {
+            templateId: req.params.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete SMS template error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the SMS template'
+        });
+    }
+});
+
+module.exports = router;
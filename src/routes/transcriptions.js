@@ -0,0 +1,414 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const transcriptionService = require('../services/transcription');
+const signalwireService = require('../services/signalwire');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Transform a transcription_jobs row to match expected format
+const formatJob = (job) => ({
+    id: job.id,
+    callId: job.call_id,
+    voicemailMessageId: job.voicemail_message_id,
+    recordingSid: job.recording_sid,
+    status: job.status,
+    provider: job.provider,
+    attempts: job.attempts,
+    error: job.error,
+    createdAt: job.created_at,
+    completedAt: job.completed_at
+});
+
+/**
+ * @swagger
+ * /api/transcriptions/search:
+ *   get:
+ *     summary: Search call transcripts
+ *     description: Full-text search over call transcripts and summaries, optionally filtered by intent tag
+ *     tags: [Transcriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search terms (web search syntax, e.g. "refund -cancel")
+ *       - in: query
+ *         name: intent
+ *         schema:
+ *           type: string
+ *         description: Only calls tagged with this intent (billing, appointment, support...)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Matching calls
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *             example:
+ *               success: true
+ *               data:
+ *                 calls:
+ *                   - callId: "tenant-123_1234567890_abc123"
+ *                     fromNumber: "+19876543210"
+ *                     startedAt: "2024-01-01T12:00:00Z"
+ *                     summary: "Caller wants a refund for a double charge on their last invoice."
+ *                     intentTags: ["billing"]
+ *                 pagination:
+ *                   page: 1
+ *                   limit: 10
+ *                   total: 1
+ *                   totalPages: 1
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/search', requirePermission('transcriptions:read'), async (req, res) => {
+    try {
+        const { q, intent, page = 1, limit = 10 } = req.query;
+        const offset = (page - 1) * limit;
+
+        if (!q && !intent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                message: 'Provide a search query (q) or an intent'
+            });
+        }
+
+        let query = supabase
+            .from('call_sessions')
+            .select('call_id, from_number, to_number, started_at, duration_seconds, outcome, summary, intent_tags', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId)
+            .not('transcribed_at', 'is', null);
+
+        if (q) {
+            query = query.textSearch('transcript_search', q, { type: 'websearch', config: 'english' });
+        }
+
+        if (intent) {
+            query = query.contains('intent_tags', [intent]);
+        }
+
+        const { data: calls, error: searchError, count } = await query
+            .order('started_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (searchError) {
+            logger.error('Error searching transcripts:', searchError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to search transcripts'
+            });
+        }
+
+        const total = count || 0;
+
+        res.json({
+            success: true,
+            data: {
+                calls: calls.map(call => ({
+                    callId: call.call_id,
+                    fromNumber: call.from_number,
+                    toNumber: call.to_number,
+                    startedAt: call.started_at,
+                    durationSeconds: call.duration_seconds,
+                    outcome: call.outcome,
+                    summary: call.summary,
+                    intentTags: call.intent_tags || []
+                })),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Search transcripts error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while searching transcripts'
+        });
+    }
+});
+
+// @route   GET /api/transcriptions/calls/:callId
+// @desc    Get a call's transcript, summary, intent tags and jobs
+// @access  Private (requires transcriptions:read permission)
+router.get('/calls/:callId', requirePermission('transcriptions:read'), async (req, res) => {
+    try {
+        const { callId } = req.params;
+
+        const { data: call, error: callError } = await supabase
+            .from('call_sessions')
+            .select('call_id, from_number, to_number, started_at, transcript, summary, intent_tags, transcribed_at')
+            .eq('call_id', callId)
+            .eq('tenant_id', req.user.tenantId)
+            .single();
+
+        if (callError || !call) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call not found',
+                message: 'Call session not found'
+            });
+        }
+
+        const { data: jobs } = await supabase
+            .from('transcription_jobs')
+            .select('*')
+            .eq('call_id', callId)
+            .eq('tenant_id', req.user.tenantId)
+            .order('created_at', { ascending: true });
+
+        res.json({
+            success: true,
+            data: {
+                callId: call.call_id,
+                fromNumber: call.from_number,
+                toNumber: call.to_number,
+                startedAt: call.started_at,
+                transcript: call.transcript,
+                summary: call.summary,
+                intentTags: call.intent_tags || [],
+                transcribedAt: call.transcribed_at,
+                jobs: (jobs || []).map(formatJob)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get call transcript error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the transcript'
+        });
+    }
+});
+
+// @route   GET /api/transcriptions/jobs
+// @desc    Get transcription jobs (filter by status)
+// @access  Private (requires transcriptions:read permission)
+router.get('/jobs', requirePermission('transcriptions:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, status } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('transcription_jobs')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data: jobs, error: jobsError, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (jobsError) {
+            logger.error('Error fetching transcription jobs:', jobsError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch transcription jobs'
+            });
+        }
+
+        const total = count || 0;
+
+        res.json({
+            success: true,
+            data: {
+                jobs: jobs.map(formatJob),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get transcription jobs error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching transcription jobs'
+        });
+    }
+});
+
+// @route   POST /api/transcriptions/jobs
+// @desc    Queue transcription for every recording of a call
+// @access  Private (requires transcriptions:create permission)
+router.post('/jobs', [
+    requirePermission('transcriptions:create'),
+    body('callId', 'callId is required').notEmpty()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const { callId } = req.body;
+
+        const { data: call, error: callError } = await supabase
+            .from('call_sessions')
+            .select('call_id, signalwire_sid')
+            .eq('call_id', callId)
+            .eq('tenant_id', req.user.tenantId)
+            .single();
+
+        if (callError || !call) {
+            return res.status(404).json({
+                success: false,
+                error: 'Call not found',
+                message: 'Call session not found'
+            });
+        }
+
+        if (!call.signalwire_sid) {
+            return res.status(400).json({
+                success: false,
+                error: 'No recordings',
+                message: 'This call has no SignalWire call SID to fetch recordings for'
+            });
+        }
+
+        const recordingsResult = await signalwireService.getCallRecordings(call.signalwire_sid);
+
+        if (!recordingsResult.success) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: recordingsResult.error
+            });
+        }
+
+        const jobs = [];
+        for (const recording of recordingsResult.recordings) {
+            const job = await transcriptionService.enqueue({
+                tenantId: req.user.tenantId,
+                callId: call.call_id,
+                recordingUrl: recording.url,
+                recordingSid: recording.recordingSid
+            });
+
+            if (job) {
+                jobs.push(formatJob(job));
+            }
+        }
+
+        res.status(202).json({
+            success: true,
+            message: `${jobs.length} recording(s) queued for transcription`,
+            data: { jobs }
+        });
+
+    } catch (error) {
+        logger.error('Queue transcription error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while queueing transcription'
+        });
+    }
+});
+
+// @route   POST /api/transcriptions/jobs/:id/retry
+// @desc    Requeue a failed transcription job
+// @access  Private (requires transcriptions:create permission)
+router.post('/jobs/:id/retry', requirePermission('transcriptions:create'), async (req, res) => {
+    try {
+        const { data: job, error: jobError } = await supabase
+            .from('transcription_jobs')
+            .update({ status: 'queued', attempts: 0, error: null })
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .eq('status', 'failed')
+            .select()
+            .single();
+
+        if (jobError || !job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found',
+                message: 'No failed transcription job with this ID'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Transcription job requeued',
+            data: { job: formatJob(job) }
+        });
+
+    } catch (error) {
+        logger.error('Retry transcription error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while retrying the transcription job'
+        });
+    }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const bcrypt = require('bcryptjs');
 const { body, validationResult, query } = require('express-validator');
 const { supabase } = require('../database/connection');
 const { authenticateToken, requirePermission, requireAnyPermission } = require('../middleware/auth');
+const { csvImport } = require('../middleware/csvUpload');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -412,6 +413,11 @@ router.post('/', [
     }
 });
 
+// @route   POST /api/users/import
+// @desc    Import users from a CSV file, or validate it with dryRun
+// @access  Private (requires users:create permission)
+router.post('/import', requirePermission('users:create'), csvImport('users'));
+
 // @route   PUT /api/users/:id
 // @desc    Update user
 // @access  Private (requires users:update permission)
@@ -0,0 +1,742 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { supabase } = require('../database/connection');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const voicemailService = require('../services/voicemail');
+const signalwireService = require('../services/signalwire');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Transform a voicemail_mailboxes row to match expected format
+const formatMailbox = (mailbox) => ({
+    id: mailbox.id,
+    name: mailbox.name,
+    extensionId: mailbox.extension_id,
+    departmentId: mailbox.department_id,
+    greetingText: mailbox.greeting_text,
+    greetingUrl: mailbox.greeting_url,
+    hasPin: !!mailbox.pin_hash,
+    retentionDays: mailbox.retention_days,
+    maxMessageSeconds: mailbox.max_message_seconds,
+    notifySms: mailbox.notify_sms,
+    notifyEmail: mailbox.notify_email,
+    isActive: mailbox.is_active,
+    createdAt: mailbox.created_at,
+    updatedAt: mailbox.updated_at
+});
+
+// Transform a voicemail_messages row to match expected format
+// Messages in a mailbox the request has not unlocked with its PIN come back without their content
+const formatMessage = (message, lockedMailboxes = new Set()) => ({
+    id: message.id,
+    mailboxId: message.mailbox_id,
+    callId: message.call_id,
+    fromNumber: message.from_number,
+    durationSeconds: message.duration_seconds,
+    locked: lockedMailboxes.has(message.mailbox_id),
+    transcript: lockedMailboxes.has(message.mailbox_id) ? null : message.transcript,
+    summary: lockedMailboxes.has(message.mailbox_id) ? null : message.summary,
+    intentTags: message.intent_tags || [],
+    isRead: message.is_read,
+    readAt: message.read_at,
+    expiresAt: message.expires_at,
+    createdAt: message.created_at
+});
+
+const mailboxNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Mailbox not found',
+    message: 'The requested mailbox does not exist'
+});
+
+const messageNotFound = (res) => res.status(404).json({
+    success: false,
+    error: 'Message not found',
+    message: 'The requested voicemail message does not exist'
+});
+
+// Get a voicemail message belonging to the tenant
+const getTenantMessage = async (id, tenantId) => {
+    const { data: message, error: messageError } = await supabase
+        .from('voicemail_messages')
+        .select('*')
+        .eq('id', id)
+        .eq('tenant_id', tenantId)
+        .single();
+
+    if (messageError && messageError.code !== 'PGRST116') {
+        return { error: messageError };
+    }
+
+    return { message: message || null };
+};
+
+const mailboxValidators = [
+    body('extensionId').optional({ nullable: true }).isUUID().withMessage('extensionId must be a UUID'),
+    body('departmentId').optional({ nullable: true }).isUUID().withMessage('departmentId must be a UUID'),
+    body('greetingUrl').optional({ nullable: true }).isURL().withMessage('greetingUrl must be a URL'),
+    body('pin').optional().custom(pin => voicemailService.isValidPin(pin)).withMessage('PIN must be 4 to 10 digits'),
+    body('retentionDays').optional().isInt({ min: 1, max: 365 }).withMessage('retentionDays must be between 1 and 365'),
+    body('maxMessageSeconds').optional().isInt({ min: 10, max: 600 }).withMessage('maxMessageSeconds must be between 10 and 600'),
+    body('notifySms').optional({ nullable: true }).matches(/^\+[1-9]\d{1,14}$/).withMessage('notifySms must be an E.164 number'),
+    body('notifyEmail').optional({ nullable: true }).isEmail().withMessage('notifyEmail must be an email address')
+];
+
+/**
+ * @swagger
+ * /api/voicemail/mailboxes:
+ *   get:
+ *     summary: Get voicemail mailboxes
+ *     description: List the tenant's voicemail mailboxes with their unread message counts
+ *     tags: [Voicemail]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Mailboxes retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     mailboxes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *             example:
+ *               success: true
+ *               data:
+ *                 mailboxes:
+ *                   - id: "7c9e6679-7425-40de-944b-e07fc1f90ae7"
+ *                     name: "Sales"
+ *                     extensionId: null
+ *                     departmentId: "3f1c2b9a-8d4e-4f6a-9b2c-1d3e5f7a9b0c"
+ *                     greetingText: "You've reached Sales. Please leave a message."
+ *                     hasPin: true
+ *                     retentionDays: 30
+ *                     notifySms: "+15551234567"
+ *                     unreadCount: 2
+ *       401:
+ *         description: Unauthorized
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Forbidden - insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/mailboxes', requirePermission('voicemail:read'), async (req, res) => {
+    try {
+        const { data: mailboxes, error: mailboxesError } = await supabase
+            .from('voicemail_mailboxes')
+            .select('*')
+            .eq('tenant_id', req.user.tenantId)
+            .order('name', { ascending: true });
+
+        if (mailboxesError) {
+            logger.error('Error fetching mailboxes:', mailboxesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch mailboxes'
+            });
+        }
+
+        const { data: unread } = await supabase
+            .from('voicemail_messages')
+            .select('mailbox_id')
+            .eq('tenant_id', req.user.tenantId)
+            .eq('is_read', false);
+
+        const unreadCounts = (unread || []).reduce((counts, message) => {
+            counts[message.mailbox_id] = (counts[message.mailbox_id] || 0) + 1;
+            return counts;
+        }, {});
+
+        res.json({
+            success: true,
+            data: {
+                mailboxes: mailboxes.map(mailbox => ({
+                    ...formatMailbox(mailbox),
+                    unreadCount: unreadCounts[mailbox.id] || 0
+                }))
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get mailboxes error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching mailboxes'
+        });
+    }
+});
+
+// @route   GET /api/voicemail/mailboxes/:id
+// @desc    Get mailbox by ID
+// @access  Private (requires voicemail:read permission)
+router.get('/mailboxes/:id', requirePermission('voicemail:read'), async (req, res) => {
+    try {
+        const { data: mailbox, error: mailboxError } = await supabase
+            .from('voicemail_mailboxes')
+            .select('*')
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .single();
+
+        if (mailboxError || !mailbox) {
+            return mailboxNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: {
+                mailbox: formatMailbox(mailbox)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get mailbox error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the mailbox'
+        });
+    }
+});
+
+// @route   POST /api/voicemail/mailboxes
+// @desc    Create a mailbox for an extension, a department or the whole tenant
+// @access  Private (requires voicemail:create permission)
+router.post('/mailboxes', [
+    requirePermission('voicemail:create'),
+    body('name', 'Mailbox name is required').notEmpty().isLength({ min: 2, max: 255 }),
+    ...mailboxValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const {
+            name, extensionId, departmentId, greetingText, greetingUrl, pin,
+            retentionDays = 30, maxMessageSeconds = 120, notifySms, notifyEmail
+        } = req.body;
+
+        if (extensionId && departmentId) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid mailbox',
+                message: 'A mailbox belongs to an extension or a department, not both'
+            });
+        }
+
+        const { data: newMailbox, error: newMailboxError } = await supabase
+            .from('voicemail_mailboxes')
+            .insert({
+                tenant_id: req.user.tenantId,
+                name: name,
+                extension_id: extensionId || null,
+                department_id: departmentId || null,
+                greeting_text: greetingText || null,
+                greeting_url: greetingUrl || null,
+                pin_hash: pin ? await voicemailService.hashPin(pin) : null,
+                retention_days: retentionDays,
+                max_message_seconds: maxMessageSeconds,
+                notify_sms: notifySms || null,
+                notify_email: notifyEmail || null,
+                is_active: true
+            })
+            .select()
+            .single();
+
+        if (newMailboxError) {
+            logger.error('Error creating mailbox:', newMailboxError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to create mailbox'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Mailbox created successfully',
+            data: {
+                mailbox: formatMailbox(newMailbox)
+            }
+        });
+
+        logger.info('Mailbox created successfully', {
+            mailboxId: newMailbox.id,
+            createdBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Create mailbox error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while creating the mailbox'
+        });
+    }
+});
+
+// @route   PUT /api/voicemail/mailboxes/:id
+// @desc    Update a mailbox's greeting, PIN, retention or notifications
+// @access  Private (requires voicemail:update permission)
+router.put('/mailboxes/:id', [
+    requirePermission('voicemail:update'),
+    body('name').optional().notEmpty().isLength({ min: 2, max: 255 }),
+    body('isActive').optional().isBoolean(),
+    ...mailboxValidators
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const fields = {
+            name: 'name',
+            extensionId: 'extension_id',
+            departmentId: 'department_id',
+            greetingText: 'greeting_text',
+            greetingUrl: 'greeting_url',
+            retentionDays: 'retention_days',
+            maxMessageSeconds: 'max_message_seconds',
+            notifySms: 'notify_sms',
+            notifyEmail: 'notify_email',
+            isActive: 'is_active'
+        };
+
+        const updateData = { updated_at: new Date().toISOString() };
+        Object.entries(fields).forEach(([field, column]) => {
+            if (req.body[field] !== undefined) {
+                updateData[column] = req.body[field];
+            }
+        });
+
+        if (req.body.pin !== undefined) {
+            updateData.pin_hash = req.body.pin ? await voicemailService.hashPin(req.body.pin) : null;
+        }
+
+        const { data: updatedMailbox, error: updateError } = await supabase
+            .from('voicemail_mailboxes')
+            .update(updateData)
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error updating mailbox:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update mailbox'
+            });
+        }
+
+        if (!updatedMailbox) {
+            return mailboxNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Mailbox updated successfully',
+            data: {
+                mailbox: formatMailbox(updatedMailbox)
+            }
+        });
+
+        logger.info('Mailbox updated successfully', {
+            mailboxId: updatedMailbox.id,
+            updatedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Update mailbox error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the mailbox'
+        });
+    }
+});
+
+// @route   DELETE /api/voicemail/mailboxes/:id
+// @desc    Delete a mailbox and its messages
+// @access  Private (requires voicemail:delete permission)
+router.delete('/mailboxes/:id', requirePermission('voicemail:delete'), async (req, res) => {
+    try {
+        const { data: deleted, error: deleteError } = await supabase
+            .from('voicemail_mailboxes')
+            .delete()
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select();
+
+        if (deleteError) {
+            logger.error('Error deleting mailbox:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete mailbox'
+            });
+        }
+
+        if (!deleted || deleted.length === 0) {
+            return mailboxNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            message: 'Mailbox deleted successfully'
+        });
+
+        logger.info('Mailbox deleted successfully', {
+            mailboxId: req.params.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete mailbox error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the mailbox'
+        });
+    }
+});
+
+// @route   GET /api/voicemail/messages
+// @desc    Get voicemail messages (filter by mailboxId, unread)
+// @access  Private (requires voicemail:read permission)
+router.get('/messages', requirePermission('voicemail:read'), async (req, res) => {
+    try {
+        const { page = 1, limit = 10, mailboxId, unread } = req.query;
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('voicemail_messages')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', req.user.tenantId);
+
+        if (mailboxId) {
+            query = query.eq('mailbox_id', mailboxId);
+        }
+
+        if (unread === 'true') {
+            query = query.eq('is_read', false);
+        }
+
+        const { data: messages, error: messagesError, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + parseInt(limit) - 1);
+
+        if (messagesError) {
+            logger.error('Error fetching voicemail messages:', messagesError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch voicemail messages'
+            });
+        }
+
+        const total = count || 0;
+        const lockedMailboxes = await voicemailService.lockedMailboxIds(
+            messages.map(message => message.mailbox_id),
+            req.get('X-Voicemail-Pin')
+        );
+
+        res.json({
+            success: true,
+            data: {
+                messages: messages.map(message => formatMessage(message, lockedMailboxes)),
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get voicemail messages error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching voicemail messages'
+        });
+    }
+});
+
+// @route   GET /api/voicemail/messages/:id
+// @desc    Get a voicemail message
+// @access  Private (requires voicemail:read permission)
+router.get('/messages/:id', requirePermission('voicemail:read'), async (req, res) => {
+    try {
+        const { message, error } = await getTenantMessage(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching voicemail message:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch voicemail message'
+            });
+        }
+
+        if (!message) {
+            return messageNotFound(res);
+        }
+
+        const lockedMailboxes = await voicemailService.lockedMailboxIds([message.mailbox_id], req.get('X-Voicemail-Pin'));
+
+        res.json({
+            success: true,
+            data: {
+                message: formatMessage(message, lockedMailboxes)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get voicemail message error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the voicemail message'
+        });
+    }
+});
+
+// @route   GET /api/voicemail/messages/:id/listen
+// @desc    Stream the audio of a voicemail message (PIN-protected mailboxes need X-Voicemail-Pin)
+// @access  Private (requires voicemail:read permission)
+router.get('/messages/:id/listen', requirePermission('voicemail:read'), async (req, res) => {
+    try {
+        const { message, error } = await getTenantMessage(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching voicemail message:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch voicemail message'
+            });
+        }
+
+        if (!message) {
+            return messageNotFound(res);
+        }
+
+        const lockedMailboxes = await voicemailService.lockedMailboxIds([message.mailbox_id], req.get('X-Voicemail-Pin'));
+
+        if (lockedMailboxes.has(message.mailbox_id)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid PIN',
+                message: 'The mailbox PIN is required to listen to this message'
+            });
+        }
+
+        // Recordings on the SignalWire space need the project credentials
+        const recording = await signalwireService.streamRecording(message.recording_url);
+
+        if (!recording.success) {
+            return res.status(500).json({
+                success: false,
+                error: 'SignalWire error',
+                message: recording.error
+            });
+        }
+
+        const headers = {
+            'Content-Type': recording.contentType,
+            'Cache-Control': 'no-store'
+        };
+        if (recording.contentLength) {
+            headers['Content-Length'] = recording.contentLength;
+        }
+
+        recording.stream.on('error', (streamError) => {
+            logger.error('Voicemail audio stream error:', streamError);
+            res.destroy(streamError);
+        });
+        res.on('close', () => recording.stream.destroy());
+
+        res.writeHead(200, headers);
+        recording.stream.pipe(res);
+
+    } catch (error) {
+        logger.error('Listen voicemail error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while fetching the voicemail audio'
+        });
+    }
+});
+
+// @route   PUT /api/voicemail/messages/:id/read
+// @desc    Mark a voicemail message read or unread
+// @access  Private (requires voicemail:update permission)
+router.put('/messages/:id/read', [
+    requirePermission('voicemail:update'),
+    body('isRead').optional().isBoolean()
+], async (req, res) => {
+    try {
+        // Check for validation errors
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Validation error',
+                details: errors.array()
+            });
+        }
+
+        const isRead = req.body.isRead !== false;
+
+        const { data: updatedMessage, error: updateError } = await supabase
+            .from('voicemail_messages')
+            .update({
+                is_read: isRead,
+                read_at: isRead ? new Date().toISOString() : null,
+                read_by: isRead ? req.user.id : null
+            })
+            .eq('id', req.params.id)
+            .eq('tenant_id', req.user.tenantId)
+            .select()
+            .single();
+
+        if (updateError && updateError.code !== 'PGRST116') {
+            logger.error('Error updating voicemail message:', updateError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to update voicemail message'
+            });
+        }
+
+        if (!updatedMessage) {
+            return messageNotFound(res);
+        }
+
+        const lockedMailboxes = await voicemailService.lockedMailboxIds(
+            [updatedMessage.mailbox_id],
+            req.get('X-Voicemail-Pin')
+        );
+
+        res.json({
+            success: true,
+            message: isRead ? 'Message marked as read' : 'Message marked as unread',
+            data: {
+                message: formatMessage(updatedMessage, lockedMailboxes)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Mark voicemail read error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while updating the voicemail message'
+        });
+    }
+});
+
+// @route   DELETE /api/voicemail/messages/:id
+// @desc    Delete a voicemail message and its recording
+// @access  Private (requires voicemail:delete permission)
+router.delete('/messages/:id', requirePermission('voicemail:delete'), async (req, res) => {
+    try {
+        const { message, error } = await getTenantMessage(req.params.id, req.user.tenantId);
+
+        if (error) {
+            logger.error('Error fetching voicemail message:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to fetch voicemail message'
+            });
+        }
+
+        if (!message) {
+            return messageNotFound(res);
+        }
+
+        const { error: deleteError } = await supabase
+            .from('voicemail_messages')
+            .delete()
+            .eq('id', message.id)
+            .eq('tenant_id', req.user.tenantId);
+
+        if (deleteError) {
+            logger.error('Error deleting voicemail message:', deleteError);
+            return res.status(500).json({
+                success: false,
+                error: 'Server error',
+                message: 'Failed to delete voicemail message'
+            });
+        }
+
+        if (message.recording_sid) {
+            await signalwireService.deleteRecording(message.recording_sid);
+        }
+
+        res.json({
+            success: true,
+            message: 'Voicemail message deleted successfully'
+        });
+
+        logger.info('Voicemail message deleted', {
+            messageId: message.id,
+            deletedBy: req.user.id
+        });
+
+    } catch (error) {
+        logger.error('Delete voicemail message error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Server error',
+            message: 'An error occurred while deleting the voicemail message'
+        });
+    }
+});
+
+module.exports = router;
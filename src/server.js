@@ -18,9 +18,35 @@ const userRoutes = require('./routes/users');
 const roleRoutes = require('./routes/roles');
 const tenantRoutes = require('./routes/tenants');
 const ivrRoutes = require('./routes/ivr');
+const ivrFlowRoutes = require('./routes/ivrFlows');
+const scheduleRoutes = require('./routes/schedules');
+const voicemailRoutes = require('./routes/voicemail');
+const transcriptionRoutes = require('./routes/transcriptions');
+const aiRoutes = require('./routes/ai');
+const departmentRoutes = require('./routes/departments');
+const queueRoutes = require('./routes/queues');
+const callEventRoutes = require('./routes/callEvents');
+const callRoutes = require('./routes/calls');
+const exportRoutes = require('./routes/exports');
+const smsConversationRoutes = require('./routes/smsConversations');
+const smsAutoReplyRoutes = require('./routes/smsAutoReplies');
+const smsOptOutRoutes = require('./routes/smsOptOuts');
+const smsTemplateRoutes = require('./routes/smsTemplates');
+const smsCampaignRoutes = require('./routes/smsCampaigns');
 const extensionRoutes = require('./routes/extensions');
+const phoneNumberRoutes = require('./routes/phoneNumbers');
 const signalwireRoutes = require('./routes/signalwire');
 
+// Background jobs
+const voicemailService = require('./services/voicemail');
+const transcriptionService = require('./services/transcription');
+const callEventService = require('./services/callEvents');
+const callAnalyticsService = require('./services/callAnalytics');
+const exportService = require('./services/exports');
+const smsCampaignService = require('./services/smsCampaigns');
+const smsDeliveryService = require('./services/smsDelivery');
+const phoneNumberService = require('./services/phoneNumbers');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -42,7 +68,13 @@ const limiter = rateLimit({
 app.use('/api/', limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for webhook signature validation
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Static file serving removed - no frontend needed
@@ -870,7 +902,23 @@ app.use('/api/users', userRoutes);
 app.use('/api/roles', roleRoutes);
 app.use('/api/tenants', tenantRoutes);
 app.use('/api/mcp/ivr', ivrRoutes);
+app.use('/api/ivr/flows', ivrFlowRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/voicemail', voicemailRoutes);
+app.use('/api/transcriptions', transcriptionRoutes);
+app.use('/api/ai', aiRoutes);
+app.use('/api/departments', departmentRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/call-events', callEventRoutes);
+app.use('/api/calls', callRoutes);
+app.use('/api/exports', exportRoutes);
+app.use('/api/sms/conversations', smsConversationRoutes);
+app.use('/api/sms/auto-replies', smsAutoReplyRoutes);
+app.use('/api/sms/opt-outs', smsOptOutRoutes);
+app.use('/api/sms/templates', smsTemplateRoutes);
+app.use('/api/sms/campaigns', smsCampaignRoutes);
 app.use('/api/extensions', extensionRoutes);
+app.use('/api/phone-numbers', phoneNumberRoutes);
 app.use('/api/signalwire', signalwireRoutes);
 
 // Frontend routes removed - no frontend needed
@@ -904,6 +952,16 @@ app.listen(PORT, async () => {
           console.log('\x1b[31m%s\x1b[0m', '✗ Failed to connect to Supabase database');
       }
       
+      // Start background jobs
+      voicemailService.startRetentionJob();
+      transcriptionService.startWorker();
+      callEventService.startRetentionJob();
+      callAnalyticsService.startJob();
+      exportService.startWorker();
+      smsCampaignService.startWorker();
+      smsDeliveryService.startWorker();
+      phoneNumberService.startSyncJob();
+
       // Log URLs for reference
       // console.log(`Supabase connection initialized with URL: ${process.env.SUPABASE_URL}`);
       console.log(`API Documentation available at http://localhost:${PORT}/api-docs`);
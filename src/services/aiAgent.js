@@ -0,0 +1,441 @@
+const axios = require('axios');
+const { supabase } = require('../database/connection');
+const businessHoursService = require('./businessHours');
+const logger = require('../utils/logger');
+
+const KNOWLEDGE_TYPES = ['faq', 'hours', 'staff', 'info'];
+
+// Conversation turns kept in the call's flow state
+const MAX_HISTORY = 20;
+
+// Turns before the caller is sent to voicemail instead
+const MAX_TURNS = 15;
+
+// Tools the agent can call, in OpenAI function format
+const TOOLS = [
+    {
+        name: 'transfer_to_extension',
+        description: 'Transfer the caller to a staff member or team by extension number.',
+        parameters: {
+            type: 'object',
+            properties: {
+                extension: { type: 'string', description: 'Extension number from the staff directory' }
+            },
+            required: ['extension']
+        }
+    },
+    {
+        name: 'take_message',
+        description: 'Take a message for the business when the caller does not need a live transfer.',
+        parameters: {
+            type: 'object',
+            properties: {
+                caller_name: { type: 'string' },
+                callback_number: { type: 'string' },
+                recipient: { type: 'string', description: 'Who the message is for, if anyone' },
+                message: { type: 'string' }
+            },
+            required: ['message']
+        }
+    },
+    {
+        name: 'book_appointment',
+        description: 'Request an appointment for the caller.',
+        parameters: {
+            type: 'object',
+            properties: {
+                caller_name: { type: 'string' },
+                callback_number: { type: 'string' },
+                requested_time: { type: 'string', description: 'ISO 8601 date and time, or the caller\'s words' },
+                reason: { type: 'string' }
+            },
+            required: ['requested_time']
+        }
+    },
+    {
+        name: 'end_call',
+        description: 'End the call once the caller has everything they need.',
+        parameters: {
+            type: 'object',
+            properties: {
+                farewell: { type: 'string' }
+            }
+        }
+    }
+];
+
+// Split text into lowercase words for keyword matching
+const words = (text) => (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+
+// Local rule-based backend for development and tests
+const mockProvider = {
+    async complete({ messages, knowledge }) {
+        const input = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+        const lower = input.toLowerCase();
+
+        const extensionMatch = lower.match(/extension\s*(\d+)/);
+        const staff = knowledge.staff.find(member => member.name && lower.includes(member.name.toLowerCase()));
+        if (extensionMatch || staff || /\b(transfer|speak to|talk to|operator)\b/.test(lower)) {
+            const extension = extensionMatch ? extensionMatch[1] : staff?.extension;
+            if (extension) {
+                return { content: null, toolCalls: [{ name: 'transfer_to_extension', arguments: { extension } }] };
+            }
+        }
+
+        if (/\b(appointment|book|booking|reschedule)\b/.test(lower)) {
+            return { content: null, toolCalls: [{ name: 'book_appointment', arguments: { requested_time: input, reason: input } }] };
+        }
+
+        if (/\b(message|call me back|callback)\b/.test(lower)) {
+            return { content: null, toolCalls: [{ name: 'take_message', arguments: { message: input } }] };
+        }
+
+        if (/\b(bye|goodbye|that's all|that is all|no thanks)\b/.test(lower)) {
+            return { content: null, toolCalls: [{ name: 'end_call', arguments: {} }] };
+        }
+
+        if (/\b(open|close|closed|hours)\b/.test(lower) && knowledge.hours.length > 0) {
+            return { content: knowledge.hours.join(' '), toolCalls: [] };
+        }
+
+        // Answer with the FAQ sharing the most words with the question
+        const inputWords = new Set(words(input));
+        const best = knowledge.faqs
+            .map(faq => ({ faq, score: words(faq.question).filter(word => word.length > 2 && inputWords.has(word)).length }))
+            .sort((a, b) => b.score - a.score)[0];
+
+        if (best && best.score > 0) {
+            return { content: best.faq.answer, toolCalls: [] };
+        }
+
+        return {
+            content: 'I can transfer you to someone, take a message, or book an appointment. Which would you like?',
+            toolCalls: []
+        };
+    }
+};
+
+// Any backend exposing the OpenAI /chat/completions API with tool calling
+const openaiProvider = {
+    async complete({ messages, tools, model }) {
+        const response = await axios.post(
+            `${process.env.AI_API_URL || 'https://api.openai.com/v1'}/chat/completions`,
+            {
+                model: model && model !== 'default' ? model : (process.env.AI_MODEL || 'gpt-4o-mini'),
+                messages,
+                tools: tools.map(tool => ({ type: 'function', function: tool })),
+                temperature: 0.3,
+                max_tokens: 300
+            },
+            {
+                headers: { Authorization: `Bearer ${process.env.AI_API_KEY}` },
+                timeout: 15000
+            }
+        );
+
+        const message = response.data.choices[0].message;
+
+        return {
+            content: message.content,
+            toolCalls: (message.tool_calls || []).map(call => ({
+                name: call.function.name,
+                arguments: JSON.parse(call.function.arguments || '{}')
+            }))
+        };
+    }
+};
+
+class AiAgentService {
+    constructor() {
+        this.providers = {
+            mock: mockProvider,
+            openai: openaiProvider
+        };
+    }
+
+    /**
+     * Register an agent backend
+     * A provider implements `complete({ messages, tools, model, knowledge })`
+     * resolving to `{ content, toolCalls: [{ name, arguments }] }`.
+     * @param {string} name - Provider name used in AI_PROVIDER
+     * @param {Object} provider - Provider implementation
+     * @returns {void}
+     */
+    registerProvider(name, provider) {
+        if (typeof provider?.complete !== 'function') {
+            throw new Error(`AI provider '${name}' must implement complete()`);
+        }
+
+        this.providers[name] = provider;
+    }
+
+    /**
+     * Get the configured provider
+     * @returns {Object} Provider with its name
+     */
+    getProvider() {
+        const name = process.env.AI_PROVIDER || 'mock';
+        const provider = this.providers[name];
+
+        if (!provider) {
+            throw new Error(`Unknown AI provider '${name}'`);
+        }
+
+        return { name, provider };
+    }
+
+    /**
+     * Load a tenant's knowledge base
+     * The staff directory combines `staff` entries with active extensions, and
+     * hours include whether the business is open right now.
+     * @param {string} tenantId - Tenant identifier
+     * @returns {Promise<Object>} `{ faqs, hours, staff, info }`
+     */
+    async getKnowledge(tenantId) {
+        const knowledge = { faqs: [], hours: [], staff: [], info: [] };
+
+        const { data: entries } = await supabase
+            .from('ai_knowledge_entries')
+            .select('type, title, content, metadata')
+            .eq('tenant_id', tenantId)
+            .eq('is_active', true)
+            .order('sort_order', { ascending: true });
+
+        (entries || []).forEach(entry => {
+            switch (entry.type) {
+                case 'faq':
+                    knowledge.faqs.push({ question: entry.title, answer: entry.content });
+                    break;
+                case 'hours':
+                    knowledge.hours.push(entry.content);
+                    break;
+                case 'staff':
+                    knowledge.staff.push({
+                        name: entry.title,
+                        role: entry.content,
+                        extension: entry.metadata?.extension
+                    });
+                    break;
+                default:
+                    knowledge.info.push(entry.content);
+            }
+        });
+
+        const { data: extensions } = await supabase
+            .from('extensions')
+            .select('extension_number, name, description')
+            .eq('tenant_id', tenantId)
+            .eq('status', 'active');
+
+        (extensions || []).forEach(extension => {
+            if (!knowledge.staff.some(member => member.extension === extension.extension_number)) {
+                knowledge.staff.push({
+                    name: extension.name,
+                    role: extension.description,
+                    extension: extension.extension_number
+                });
+            }
+        });
+
+        const status = await businessHoursService.getStatus(tenantId);
+        if (status.reason !== 'no_schedule') {
+            knowledge.hours.unshift(status.open
+                ? 'We are open right now.'
+                : `We are closed right now${status.exception ? ` (${status.exception})` : ''}.`);
+        }
+
+        return knowledge;
+    }
+
+    /**
+     * Build the system prompt from the knowledge base
+     * @param {Object} knowledge - Result of getKnowledge
+     * @returns {string} System prompt
+     */
+    buildSystemPrompt(knowledge) {
+        const sections = [
+            'You are the phone receptionist for this business. Keep answers short and spoken-friendly.',
+            'Only answer from the information below. If you cannot help, offer to transfer the caller, take a message or book an appointment.'
+        ];
+
+        if (knowledge.hours.length > 0) {
+            sections.push(`Hours:\n${knowledge.hours.join('\n')}`);
+        }
+        if (knowledge.staff.length > 0) {
+            sections.push(`Staff directory:\n${knowledge.staff
+                .map(member => `- ${member.name}${member.role ? ` (${member.role})` : ''}: extension ${member.extension}`)
+                .join('\n')}`);
+        }
+        if (knowledge.faqs.length > 0) {
+            sections.push(`FAQs:\n${knowledge.faqs.map(faq => `Q: ${faq.question}\nA: ${faq.answer}`).join('\n')}`);
+        }
+        if (knowledge.info.length > 0) {
+            sections.push(`About us:\n${knowledge.info.join('\n')}`);
+        }
+
+        return sections.join('\n\n');
+    }
+
+    /**
+     * Run one conversational turn
+     * @param {Object} params - Turn parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.callId - Call session id (omit to preview without side effects)
+     * @param {string} params.input - What the caller said
+     * @param {Array<Object>} params.history - Earlier `{ role, content }` messages
+     * @param {Object} params.caller - `{ from }` caller details
+     * @param {string} params.model - Model requested by the flow
+     * @returns {Promise<Object>} `{ action, params, reply, toolCalls, history, provider }`
+     */
+    async respond({ tenantId, callId, input, history = [], caller = {}, model }) {
+        const { name, provider } = this.getProvider();
+        const knowledge = await this.getKnowledge(tenantId);
+
+        const messages = [
+            { role: 'system', content: this.buildSystemPrompt(knowledge) },
+            ...history,
+            { role: 'user', content: input || '' }
+        ];
+
+        let completion;
+        try {
+            completion = await provider.complete({ messages, tools: TOOLS, model, knowledge });
+        } catch (error) {
+            logger.error('AI provider error:', { provider: name, error: error.message });
+            return {
+                action: 'voicemail',
+                params: { message: 'Sorry, I\'m having trouble right now. Please leave a message and we\'ll get back to you.' },
+                reply: null,
+                toolCalls: [],
+                history,
+                provider: name
+            };
+        }
+
+        const toolCall = completion.toolCalls?.[0];
+        let result;
+
+        if (toolCall) {
+            result = await this.executeTool(toolCall, { tenantId, callId, caller });
+        } else {
+            result = {
+                action: 'ai',
+                params: { prompt: completion.content || 'Sorry, could you say that again?', model },
+                reply: completion.content
+            };
+        }
+
+        const turnCount = history.filter(message => message.role === 'user').length + 1;
+        if (result.action === 'ai' && turnCount >= MAX_TURNS) {
+            result = {
+                action: 'voicemail',
+                params: { message: 'Let me take a message so someone can get back to you.' },
+                reply: result.reply
+            };
+        }
+
+        const updatedHistory = [
+            ...history,
+            { role: 'user', content: input || '' },
+            { role: 'assistant', content: result.reply || `[${toolCall?.name}]` }
+        ].slice(-MAX_HISTORY);
+
+        return {
+            ...result,
+            toolCalls: completion.toolCalls || [],
+            history: updatedHistory,
+            provider: name
+        };
+    }
+
+    /**
+     * Carry out a tool call and turn it into the next IVR action
+     * Without a callId (previews) messages and appointments are not stored.
+     * @param {Object} toolCall - `{ name, arguments }`
+     * @param {Object} context - `{ tenantId, callId, caller }`
+     * @returns {Promise<Object>} `{ action, params, reply }`
+     */
+    async executeTool(toolCall, { tenantId, callId, caller }) {
+        const args = toolCall.arguments || {};
+
+        switch (toolCall.name) {
+            case 'transfer_to_extension':
+                return {
+                    action: 'extension',
+                    params: { extension: String(args.extension) },
+                    reply: 'Transferring you now.'
+                };
+
+            case 'take_message': {
+                if (callId) {
+                    const { error: messageError } = await supabase
+                        .from('ai_messages')
+                        .insert({
+                            tenant_id: tenantId,
+                            call_id: callId,
+                            caller_name: args.caller_name || null,
+                            callback_number: args.callback_number || caller.from || null,
+                            recipient: args.recipient || null,
+                            message: args.message,
+                            status: 'new'
+                        });
+
+                    if (messageError) {
+                        logger.error('Error saving AI message:', messageError);
+                    }
+                }
+
+                const reply = 'Thanks, I\'ve passed your message along. Is there anything else I can help with?';
+                return { action: 'ai', params: { prompt: reply }, reply };
+            }
+
+            case 'book_appointment': {
+                const requested = new Date(args.requested_time);
+
+                if (callId) {
+                    const { error: appointmentError } = await supabase
+                        .from('ai_appointments')
+                        .insert({
+                            tenant_id: tenantId,
+                            call_id: callId,
+                            caller_name: args.caller_name || null,
+                            callback_number: args.callback_number || caller.from || null,
+                            requested_time: isNaN(requested) ? null : requested.toISOString(),
+                            requested_time_text: args.requested_time,
+                            reason: args.reason || null,
+                            status: 'requested'
+                        });
+
+                    if (appointmentError) {
+                        logger.error('Error saving AI appointment:', appointmentError);
+                    }
+                }
+
+                const reply = 'I\'ve requested that appointment and someone will confirm it with you. Anything else?';
+                return { action: 'ai', params: { prompt: reply }, reply };
+            }
+
+            case 'end_call':
+                return {
+                    action: 'hangup',
+                    params: { reason: 'ai_complete', message: args.farewell || 'Thanks for calling. Goodbye.' },
+                    reply: args.farewell || 'Thanks for calling. Goodbye.'
+                };
+
+            default:
+                logger.warn('AI agent called an unknown tool', { tool: toolCall.name });
+                return {
+                    action: 'ai',
+                    params: { prompt: 'Sorry, could you say that again?' },
+                    reply: null
+                };
+        }
+    }
+}
+
+// Create singleton instance
+const aiAgentService = new AiAgentService();
+
+module.exports = aiAgentService;
+module.exports.KNOWLEDGE_TYPES = KNOWLEDGE_TYPES;
+module.exports.TOOLS = TOOLS;
@@ -0,0 +1,600 @@
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../database/connection');
+const dialPlanService = require('./dialPlan');
+const logger = require('../utils/logger');
+
+// `atomic` imports every row or none; `partial` imports the valid rows
+const IMPORT_MODES = ['atomic', 'partial'];
+
+const MAX_IMPORT_ROWS = 1000;
+
+const STATUSES = ['active', 'inactive'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const BOOLEANS = { true: true, yes: true, y: true, 1: true, false: false, no: false, n: false, 0: false };
+
+// Columns each import understands, required ones first
+const FIELDS = {
+    users: {
+        required: ['email', 'password', 'firstName', 'lastName', 'roleIds'],
+        optional: ['phone', 'status']
+    },
+    extensions: {
+        required: ['extensionNumber', 'name'],
+        optional: ['description', 'status', 'directoryListed', 'dialPlan', 'destination', 'userEmail', 'department']
+    }
+};
+
+// Compare header and field names ignoring case, spaces and punctuation
+const normalize = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Split a multi-value cell such as "id1; id2"
+const splitList = (value) => String(value || '').split(/[;|]/).map(item => item.trim()).filter(Boolean);
+
+class BulkImportService {
+    /**
+     * Parse CSV text
+     * Follows RFC 4180: quoted fields may hold commas, quotes ("") and line
+     * breaks. A leading byte order mark and blank lines are ignored.
+     * @param {string} text - CSV text
+     * @returns {Object} `{ rows }` as arrays of cells, or `{ error }`
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+        const endRow = () => {
+            row.push(cell);
+            if (row.length > 1 || row[0].trim() !== '') {
+                rows.push(row);
+            }
+            row = [];
+            cell = '';
+        };
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                endRow();
+            } else {
+                cell += char;
+            }
+        }
+
+        if (quoted) {
+            return { error: 'The file ends inside a quoted field' };
+        }
+        if (cell !== '' || row.length > 0) {
+            endRow();
+        }
+
+        return { rows };
+    }
+
+    /**
+     * Work out which CSV column feeds each field
+     * Without a mapping, headers are matched to field names ignoring case,
+     * spaces and punctuation ("First Name" fills firstName).
+     * @param {string} resource - `users` or `extensions`
+     * @param {Array<string>} headers - Header row
+     * @param {Object} mapping - Optional `{ field: header }`
+     * @returns {Object} `{ columns }` as `{ field: index }`, or `{ errors }`
+     */
+    resolveMapping(resource, headers, mapping = {}) {
+        const { required, optional } = FIELDS[resource];
+        const fields = [...required, ...optional];
+        const headerIndex = new Map(headers.map((header, index) => [normalize(header), index]));
+        const columns = {};
+        const errors = [];
+
+        for (const [field, header] of Object.entries(mapping)) {
+            if (!fields.includes(field)) {
+                errors.push({ field: `mapping.${field}`, message: `${field} is not an import field; use one of: ${fields.join(', ')}` });
+            } else if (!headerIndex.has(normalize(header))) {
+                errors.push({ field: `mapping.${field}`, message: `Column '${header}' is not in the file` });
+            } else {
+                columns[field] = headerIndex.get(normalize(header));
+            }
+        }
+
+        for (const field of fields) {
+            if (columns[field] === undefined && mapping[field] === undefined && headerIndex.has(normalize(field))) {
+                columns[field] = headerIndex.get(normalize(field));
+            }
+        }
+
+        for (const field of required) {
+            if (columns[field] === undefined && mapping[field] === undefined) {
+                errors.push({ field, message: `No column for required field ${field}; name a column '${field}' or map one to it` });
+            }
+        }
+
+        return errors.length > 0 ? { errors } : { columns };
+    }
+
+    /**
+     * Check a user row on its own
+     * @param {Object} values - Row values by field
+     * @returns {Array<Object>} `{ field, message }` errors
+     */
+    checkUser(values) {
+        const errors = [];
+
+        if (!EMAIL_PATTERN.test(values.email)) {
+            errors.push({ field: 'email', message: 'Please include a valid email' });
+        }
+        if ((values.password || '').length < 6) {
+            errors.push({ field: 'password', message: 'Password must be at least 6 characters' });
+        }
+        if (!values.firstName) {
+            errors.push({ field: 'firstName', message: 'First name is required' });
+        }
+        if (!values.lastName) {
+            errors.push({ field: 'lastName', message: 'Last name is required' });
+        }
+        if (values.status && !STATUSES.includes(values.status)) {
+            errors.push({ field: 'status', message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+
+        const roleIds = splitList(values.roleIds);
+        if (roleIds.length === 0) {
+            errors.push({ field: 'roleIds', message: 'At least one role must be assigned' });
+        }
+        roleIds.filter(roleId => !UUID_PATTERN.test(roleId)).forEach(roleId => {
+            errors.push({ field: 'roleIds', message: `'${roleId}' is not a role id` });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check an extension row on its own
+     * The dial plan comes from the `dialPlan` column (JSON), or is built from
+     * `destination` (a number or sip: address rung on its own).
+     * @param {Object} values - Row values by field
+     * @returns {Array<Object>} `{ field, message }` errors
+     */
+    checkExtension(values) {
+        const errors = [];
+
+        if (!values.extensionNumber || values.extensionNumber.length > 20) {
+            errors.push({ field: 'extensionNumber', message: 'Extension number is required and at most 20 characters' });
+        }
+        if (!values.name || values.name.length < 2 || values.name.length > 255) {
+            errors.push({ field: 'name', message: 'Extension name must be 2 to 255 characters' });
+        }
+        if (values.status && !STATUSES.includes(values.status)) {
+            errors.push({ field: 'status', message: `status must be one of: ${STATUSES.join(', ')}` });
+        }
+        if (values.directoryListed && BOOLEANS[values.directoryListed.toLowerCase()] === undefined) {
+            errors.push({ field: 'directoryListed', message: 'directoryListed must be true or false' });
+        }
+        if (values.userEmail && !EMAIL_PATTERN.test(values.userEmail)) {
+            errors.push({ field: 'userEmail', message: 'userEmail must be a valid email' });
+        }
+
+        if (values.dialPlan) {
+            try {
+                values.parsedDialPlan = JSON.parse(values.dialPlan);
+            } catch (error) {
+                errors.push({ field: 'dialPlan', message: 'dialPlan must be valid JSON' });
+                return errors;
+            }
+        } else if (values.destination) {
+            const destination = values.destination.startsWith('sip:')
+                ? { type: 'sip', sip: values.destination }
+                : { type: 'number', number: values.destination.replace(/[\s().-]/g, '') };
+            values.parsedDialPlan = { steps: [{ destinations: [destination] }] };
+        } else {
+            errors.push({ field: 'dialPlan', message: 'Each extension needs a dialPlan or a destination' });
+            return errors;
+        }
+
+        errors.push(...dialPlanService.validate(values.parsedDialPlan));
+
+        return errors;
+    }
+
+    /**
+     * Report rows that repeat a key another row already uses
+     * @param {Array<Object>} records - Parsed rows
+     * @param {string} field - Field that must be unique in the file
+     * @param {Function} key - Comparison key of a value
+     * @returns {void}
+     */
+    flagDuplicates(records, field, key = value => value) {
+        const seen = new Map();
+
+        for (const record of records) {
+            const value = record.values[field];
+            if (!value) {
+                continue;
+            }
+
+            if (seen.has(key(value))) {
+                record.errors.push({ field, message: `${field} '${value}' is already used on row ${seen.get(key(value))} of the file` });
+            } else {
+                seen.set(key(value), record.row);
+            }
+        }
+    }
+
+    /**
+     * Check user rows against each other and the tenant
+     * @param {string} tenantId - Tenant identifier
+     * @param {Array<Object>} records - Parsed rows
+     * @returns {Promise<void>}
+     */
+    async validateUsers(tenantId, records) {
+        records.forEach(record => record.errors.push(...this.checkUser(record.values)));
+        this.flagDuplicates(records, 'email', email => email.toLowerCase());
+
+        const emails = [...new Set(records.map(record => record.values.email).filter(Boolean))];
+        if (emails.length > 0) {
+            const { data: existing, error: existingError } = await supabase
+                .from('users')
+                .select('email')
+                .eq('tenant_id', tenantId)
+                .in('email', emails);
+
+            if (existingError) {
+                throw existingError;
+            }
+
+            const taken = new Set(existing.map(user => user.email.toLowerCase()));
+            records
+                .filter(record => taken.has((record.values.email || '').toLowerCase()))
+                .forEach(record => record.errors.push({ field: 'email', message: 'A user with this email already exists in your organization' }));
+        }
+
+        const roleIds = [...new Set(records.flatMap(record => splitList(record.values.roleIds)).filter(id => UUID_PATTERN.test(id)))];
+        if (roleIds.length > 0) {
+            const { data: roles, error: rolesError } = await supabase
+                .from('roles')
+                .select('id')
+                .eq('tenant_id', tenantId)
+                .in('id', roleIds);
+
+            if (rolesError) {
+                throw rolesError;
+            }
+
+            const known = new Set(roles.map(role => role.id));
+            for (const record of records) {
+                splitList(record.values.roleIds)
+                    .filter(roleId => UUID_PATTERN.test(roleId) && !known.has(roleId))
+                    .forEach(roleId => record.errors.push({ field: 'roleIds', message: `Role '${roleId}' does not exist in your organization` }));
+            }
+        }
+    }
+
+    /**
+     * Check extension rows against each other and the tenant
+     * Resolves `userEmail` and `department` (by name) to their ids.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Array<Object>} records - Parsed rows
+     * @returns {Promise<void>}
+     */
+    async validateExtensions(tenantId, records) {
+        records.forEach(record => record.errors.push(...this.checkExtension(record.values)));
+        this.flagDuplicates(records, 'extensionNumber');
+
+        const numbers = [...new Set(records.map(record => record.values.extensionNumber).filter(Boolean))];
+        if (numbers.length > 0) {
+            const { data: existing, error: existingError } = await supabase
+                .from('extensions')
+                .select('extension_number')
+                .eq('tenant_id', tenantId)
+                .in('extension_number', numbers);
+
+            if (existingError) {
+                throw existingError;
+            }
+
+            const taken = new Set(existing.map(extension => extension.extension_number));
+            records
+                .filter(record => taken.has(record.values.extensionNumber))
+                .forEach(record => record.errors.push({ field: 'extensionNumber', message: 'An extension with this number already exists in your organization' }));
+        }
+
+        const emails = [...new Set(records.map(record => record.values.userEmail).filter(Boolean))];
+        if (emails.length > 0) {
+            const { data: users, error: usersError } = await supabase
+                .from('users')
+                .select('id, email')
+                .eq('tenant_id', tenantId)
+                .in('email', emails);
+
+            if (usersError) {
+                throw usersError;
+            }
+
+            const userIds = new Map(users.map(user => [user.email.toLowerCase(), user.id]));
+            for (const record of records.filter(r => r.values.userEmail)) {
+                record.values.userId = userIds.get(record.values.userEmail.toLowerCase());
+                if (!record.values.userId) {
+                    record.errors.push({ field: 'userEmail', message: `No user with email '${record.values.userEmail}' in your organization` });
+                }
+            }
+        }
+
+        const names = [...new Set(records.map(record => record.values.department).filter(Boolean))];
+        if (names.length > 0) {
+            const { data: departments, error: departmentsError } = await supabase
+                .from('departments')
+                .select('id, name')
+                .eq('tenant_id', tenantId)
+                .in('name', names);
+
+            if (departmentsError) {
+                throw departmentsError;
+            }
+
+            const departmentIds = new Map(departments.map(department => [department.name, department.id]));
+            for (const record of records.filter(r => r.values.department)) {
+                record.values.departmentId = departmentIds.get(record.values.department);
+                if (!record.values.departmentId) {
+                    record.errors.push({ field: 'department', message: `No department named '${record.values.department}' in your organization` });
+                }
+            }
+        }
+    }
+
+    /**
+     * Build the rows to insert for valid user records
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} actorId - Importing user
+     * @param {Array<Object>} records - Valid rows
+     * @returns {Promise<Array<Object>>} `{ record, user, roles }` per row
+     */
+    async buildUsers(tenantId, actorId, records) {
+        const inserts = [];
+
+        for (const record of records) {
+            const { values } = record;
+            const salt = await bcrypt.genSalt(12);
+            const id = uuidv4();
+
+            inserts.push({
+                record,
+                user: {
+                    id: id,
+                    tenant_id: tenantId,
+                    email: values.email,
+                    password_hash: await bcrypt.hash(values.password, salt),
+                    first_name: values.firstName,
+                    last_name: values.lastName,
+                    phone: values.phone || null,
+                    status: values.status || 'active'
+                },
+                roles: [...new Set(splitList(values.roleIds))].map(roleId => ({
+                    id: uuidv4(),
+                    user_id: id,
+                    role_id: roleId,
+                    assigned_by: actorId
+                }))
+            });
+        }
+
+        return inserts;
+    }
+
+    /**
+     * Build the rows to insert for valid extension records
+     * @param {string} tenantId - Tenant identifier
+     * @param {Array<Object>} records - Valid rows
+     * @returns {Array<Object>} `{ record, extension }` per row
+     */
+    buildExtensions(tenantId, records) {
+        return records.map(record => {
+            const { values } = record;
+
+            return {
+                record,
+                extension: {
+                    id: uuidv4(),
+                    tenant_id: tenantId,
+                    extension_number: values.extensionNumber,
+                    name: values.name,
+                    description: values.description || null,
+                    user_id: values.userId || null,
+                    department_id: values.departmentId || null,
+                    dial_plan: JSON.stringify(values.parsedDialPlan),
+                    status: values.status || 'active',
+                    directory_listed: values.directoryListed ? BOOLEANS[values.directoryListed.toLowerCase()] : true
+                }
+            };
+        });
+    }
+
+    /**
+     * Insert users, all at once or one by one
+     * An atomic import inserts every user in one statement; if their roles
+     * then fail to save, the users are removed again.
+     * @param {Array<Object>} inserts - From buildUsers
+     * @param {boolean} atomic - Whether one failure fails the import
+     * @returns {Promise<Array<Object>>} Inserts that were saved
+     */
+    async insertUsers(inserts, atomic) {
+        const save = async (batch) => {
+            const { error: usersError } = await supabase
+                .from('users')
+                .insert(batch.map(insert => insert.user));
+
+            if (usersError) {
+                throw usersError;
+            }
+
+            const { error: rolesError } = await supabase
+                .from('user_roles')
+                .insert(batch.flatMap(insert => insert.roles));
+
+            if (rolesError) {
+                await supabase
+                    .from('users')
+                    .delete()
+                    .in('id', batch.map(insert => insert.user.id));
+                throw rolesError;
+            }
+        };
+
+        if (atomic) {
+            await save(inserts);
+            return inserts;
+        }
+
+        const saved = [];
+        for (const insert of inserts) {
+            try {
+                await save([insert]);
+                saved.push(insert);
+            } catch (error) {
+                insert.record.errors.push({ field: 'email', message: `User could not be saved: ${error.message}` });
+            }
+        }
+
+        return saved;
+    }
+
+    /**
+     * Insert extensions, all at once or one by one
+     * @param {Array<Object>} inserts - From buildExtensions
+     * @param {boolean} atomic - Whether one failure fails the import
+     * @returns {Promise<Array<Object>>} Inserts that were saved
+     */
+    async insertExtensions(inserts, atomic) {
+        if (atomic) {
+            const { error: insertError } = await supabase
+                .from('extensions')
+                .insert(inserts.map(insert => insert.extension));
+
+            if (insertError) {
+                throw insertError;
+            }
+
+            return inserts;
+        }
+
+        const saved = [];
+        for (const insert of inserts) {
+            const { error: insertError } = await supabase
+                .from('extensions')
+                .insert([insert.extension]);
+
+            if (insertError) {
+                insert.record.errors.push({ field: 'extensionNumber', message: `Extension could not be saved: ${insertError.message}` });
+            } else {
+                saved.push(insert);
+            }
+        }
+
+        return saved;
+    }
+
+    /**
+     * Validate a CSV of users or extensions and, unless it is a dry run, import it
+     * Rows are numbered as in a spreadsheet: the header is row 1. In `atomic`
+     * mode any row error imports nothing; in `partial` mode valid rows are
+     * imported and the others reported.
+     * @param {string} resource - `users` or `extensions`
+     * @param {Object} params - Import parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.actorId - Importing user
+     * @param {string} params.csv - File contents
+     * @param {Object} params.mapping - Optional `{ field: header }`
+     * @param {boolean} params.dryRun - Validate only
+     * @param {string} params.mode - `atomic` or `partial`
+     * @returns {Promise<Object>} Import report, or `{ fileErrors }` when the file itself is unusable
+     */
+    async run(resource, { tenantId, actorId, csv, mapping = {}, dryRun = false, mode = 'atomic' }) {
+        const parsed = this.parseCsv(csv);
+        if (parsed.error) {
+            return { fileErrors: [{ field: 'file', message: parsed.error }] };
+        }
+
+        const [headers, ...rows] = parsed.rows;
+        if (!headers || rows.length === 0) {
+            return { fileErrors: [{ field: 'file', message: 'The file needs a header row and at least one data row' }] };
+        }
+        if (rows.length > MAX_IMPORT_ROWS) {
+            return { fileErrors: [{ field: 'file', message: `A file can import at most ${MAX_IMPORT_ROWS} rows` }] };
+        }
+
+        const { columns, errors: mappingErrors } = this.resolveMapping(resource, headers, mapping);
+        if (mappingErrors) {
+            return { fileErrors: mappingErrors };
+        }
+
+        const records = rows.map((cells, index) => ({
+            row: index + 2,
+            values: Object.fromEntries(Object.entries(columns).map(([field, column]) => [field, (cells[column] || '').trim()])),
+            errors: []
+        }));
+
+        if (resource === 'users') {
+            await this.validateUsers(tenantId, records);
+        } else {
+            await this.validateExtensions(tenantId, records);
+        }
+
+        const valid = records.filter(record => record.errors.length === 0);
+        const report = (saved = []) => ({
+            resource,
+            mode,
+            dryRun,
+            totalRows: records.length,
+            validRows: valid.length,
+            invalidRows: records.length - valid.length,
+            imported: saved.length,
+            created: saved.map(({ record, user, extension }) => (user
+                ? { row: record.row, id: user.id, email: user.email }
+                : { row: record.row, id: extension.id, extensionNumber: extension.extension_number })),
+            errors: records.flatMap(record => record.errors.map(error => ({ row: record.row, ...error })))
+        });
+
+        if (dryRun || valid.length === 0 || (mode === 'atomic' && valid.length < records.length)) {
+            return report();
+        }
+
+        const atomic = mode === 'atomic';
+        const saved = resource === 'users'
+            ? await this.insertUsers(await this.buildUsers(tenantId, actorId, valid), atomic)
+            : await this.insertExtensions(this.buildExtensions(tenantId, valid), atomic);
+
+        logger.info('Bulk import completed', { resource, tenantId, mode, imported: saved.length, importedBy: actorId });
+
+        return report(saved);
+    }
+}
+
+// Create singleton instance
+const bulkImportService = new BulkImportService();
+
+module.exports = bulkImportService;
+module.exports.IMPORT_MODES = IMPORT_MODES;
+module.exports.FIELDS = FIELDS;
+module.exports.MAX_IMPORT_ROWS = MAX_IMPORT_ROWS;
@@ -0,0 +1,398 @@
+const { supabase } = require('../database/connection');
+const logger = require('../utils/logger');
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Policies a tenant can choose for calls that arrive while closed
+// (same values as clients.after_hours_policy)
+const AFTER_HOURS_POLICIES = ['send_to_vm', 'follow_normal_flow', 'play_closed_message'];
+
+const EXCEPTION_TYPES = ['holiday', 'closure', 'special_hours'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+class BusinessHoursService {
+    /**
+     * Get the local calendar date, weekday and time for an instant
+     * @param {Date} at - Instant to convert
+     * @param {string} timezone - IANA timezone name
+     * @returns {Object} Local `date` (YYYY-MM-DD), `weekday`, `time` (HH:mm) and `minutes` since midnight
+     */
+    getLocalParts(at, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || 'UTC',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'long',
+            hourCycle: 'h23'
+        }).formatToParts(at).forEach(part => {
+            parts[part.type] = part.value;
+        });
+
+        const hour = parseInt(parts.hour) % 24;
+        const minute = parseInt(parts.minute);
+
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            weekday: parts.weekday.toLowerCase(),
+            time: `${String(hour).padStart(2, '0')}:${parts.minute}`,
+            minutes: hour * 60 + minute
+        };
+    }
+
+    /**
+     * Check whether a timezone name is valid
+     * @param {string} timezone - IANA timezone name
+     * @returns {boolean} Timezone validity
+     */
+    isValidTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Normalize weekly hours into lists of ranges per weekday
+     * Accepts the single `{ open, close }` object per day used by
+     * clients.business_hours as well as arrays of ranges.
+     * @param {Object} weeklyHours - Hours keyed by weekday
+     * @returns {Object} Map of weekday to `[{ open, close }]`
+     */
+    normalizeWeeklyHours(weeklyHours = {}) {
+        const normalized = {};
+
+        WEEKDAYS.forEach(day => {
+            const hours = weeklyHours[day];
+            if (!hours) {
+                normalized[day] = [];
+            } else {
+                normalized[day] = Array.isArray(hours) ? hours : [hours];
+            }
+        });
+
+        return normalized;
+    }
+
+    /**
+     * Validate weekly hours
+     * @param {Object} weeklyHours - Hours keyed by weekday
+     * @returns {Array<Object>} List of `{ field, message }` errors, empty when valid
+     */
+    validateWeeklyHours(weeklyHours) {
+        const errors = [];
+
+        if (!weeklyHours || typeof weeklyHours !== 'object' || Array.isArray(weeklyHours)) {
+            return [{ field: 'weeklyHours', message: 'Weekly hours must be an object keyed by weekday' }];
+        }
+
+        Object.keys(weeklyHours).forEach(day => {
+            if (!WEEKDAYS.includes(day)) {
+                errors.push({ field: `weeklyHours.${day}`, message: `Unknown weekday '${day}'` });
+            }
+        });
+
+        const normalized = this.normalizeWeeklyHours(weeklyHours);
+        Object.entries(normalized).forEach(([day, ranges]) => {
+            ranges.forEach((range, index) => {
+                errors.push(...this.validateRange(range, `weeklyHours.${day}[${index}]`));
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Validate a single `{ open, close }` range
+     * @param {Object} range - Time range
+     * @param {string} field - Field path used in error messages
+     * @returns {Array<Object>} Validation errors
+     */
+    validateRange(range, field) {
+        if (!range || !TIME_PATTERN.test(range.open) || !TIME_PATTERN.test(range.close)) {
+            return [{ field, message: 'Range must have open and close times in HH:mm format' }];
+        }
+
+        if (range.open === range.close) {
+            return [{ field, message: 'Open and close times must differ' }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Validate a schedule exception
+     * @param {Object} exception - Exception (`type`, `date`, `endDate`, `startsAt`, `endsAt`, `hours`)
+     * @returns {Array<Object>} Validation errors
+     */
+    validateException(exception) {
+        const errors = [];
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+        if (!EXCEPTION_TYPES.includes(exception.type)) {
+            return [{ field: 'type', message: `Type must be one of: ${EXCEPTION_TYPES.join(', ')}` }];
+        }
+
+        if (exception.type === 'closure') {
+            const startsAt = new Date(exception.startsAt);
+            const endsAt = new Date(exception.endsAt);
+            if (isNaN(startsAt) || isNaN(endsAt)) {
+                errors.push({ field: 'startsAt', message: 'Closures require valid startsAt and endsAt timestamps' });
+            } else if (endsAt <= startsAt) {
+                errors.push({ field: 'endsAt', message: 'endsAt must be after startsAt' });
+            }
+            return errors;
+        }
+
+        if (!datePattern.test(exception.date || '')) {
+            errors.push({ field: 'date', message: 'Date must be in YYYY-MM-DD format' });
+        }
+
+        if (exception.endDate && (!datePattern.test(exception.endDate) || exception.endDate < exception.date)) {
+            errors.push({ field: 'endDate', message: 'endDate must be a YYYY-MM-DD date on or after date' });
+        }
+
+        if (exception.type === 'special_hours') {
+            if (!Array.isArray(exception.hours)) {
+                errors.push({ field: 'hours', message: 'Special hours require an array of ranges' });
+            } else {
+                exception.hours.forEach((range, index) => {
+                    errors.push(...this.validateRange(range, `hours[${index}]`));
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check whether a local time falls inside a day's ranges
+     * Ranges whose close is before their open run past midnight; the part
+     * after midnight is checked against the previous day's ranges.
+     * @param {Array<Object>} todayRanges - Ranges for the local day
+     * @param {Array<Object>} yesterdayRanges - Ranges for the previous day
+     * @param {number} minutes - Minutes since local midnight
+     * @returns {boolean} Whether the time is within hours
+     */
+    isWithinRanges(todayRanges, yesterdayRanges, minutes) {
+        const toMinutes = time => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+
+        const openToday = todayRanges.some(range => {
+            const open = toMinutes(range.open);
+            const close = toMinutes(range.close);
+            return close > open ? minutes >= open && minutes < close : minutes >= open;
+        });
+
+        const openFromYesterday = yesterdayRanges.some(range => {
+            const open = toMinutes(range.open);
+            const close = toMinutes(range.close);
+            return close < open && minutes < close;
+        });
+
+        return openToday || openFromYesterday;
+    }
+
+    /**
+     * Check whether an exception applies to a local date
+     * @param {Object} exception - schedule_exceptions row
+     * @param {string} date - Local date (YYYY-MM-DD)
+     * @returns {boolean} Whether the exception covers the date
+     */
+    coversDate(exception, date) {
+        const start = exception.date;
+        const end = exception.end_date || exception.date;
+
+        if (exception.recurring) {
+            const monthDay = date.slice(5);
+            const startMonthDay = start.slice(5);
+            const endMonthDay = end.slice(5);
+            return startMonthDay <= endMonthDay
+                ? monthDay >= startMonthDay && monthDay <= endMonthDay
+                : monthDay >= startMonthDay || monthDay <= endMonthDay;
+        }
+
+        return date >= start && date <= end;
+    }
+
+    /**
+     * Evaluate a schedule at an instant
+     * Closures win over holidays, holidays over special hours, and special
+     * hours over the regular weekly hours.
+     * @param {Object} schedule - business_schedules row
+     * @param {Array<Object>} exceptions - schedule_exceptions rows
+     * @param {Date} at - Instant to evaluate
+     * @returns {Object} `{ open, reason, exception, timezone, localDate, localTime, weekday }`
+     */
+    evaluate(schedule, exceptions = [], at = new Date()) {
+        const timezone = schedule.timezone || 'UTC';
+        const local = this.getLocalParts(at, timezone);
+        const result = {
+            timezone,
+            localDate: local.date,
+            localTime: local.time,
+            weekday: local.weekday,
+            exception: null
+        };
+
+        const closure = exceptions.find(exception =>
+            exception.type === 'closure' &&
+            at >= new Date(exception.starts_at) && at < new Date(exception.ends_at)
+        );
+        if (closure) {
+            return { ...result, open: false, reason: 'closure', exception: closure.name };
+        }
+
+        const holiday = exceptions.find(exception =>
+            exception.type === 'holiday' && this.coversDate(exception, local.date)
+        );
+        if (holiday) {
+            return { ...result, open: false, reason: 'holiday', exception: holiday.name };
+        }
+
+        const weeklyHours = this.normalizeWeeklyHours(schedule.weekly_hours);
+        const yesterday = WEEKDAYS[(WEEKDAYS.indexOf(local.weekday) + 6) % 7];
+
+        const specialHours = exceptions.find(exception =>
+            exception.type === 'special_hours' && this.coversDate(exception, local.date)
+        );
+        if (specialHours) {
+            const open = this.isWithinRanges(specialHours.hours || [], weeklyHours[yesterday], local.minutes);
+            return { ...result, open, reason: 'special_hours', exception: specialHours.name };
+        }
+
+        const open = this.isWithinRanges(weeklyHours[local.weekday], weeklyHours[yesterday], local.minutes);
+        return { ...result, open, reason: open ? 'regular_hours' : 'outside_hours' };
+    }
+
+    /**
+     * Get the open/closed status for a tenant or department
+     * Uses the department's schedule when it has one, otherwise the
+     * tenant-wide schedule. Tenants without a schedule are always open.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} options - Lookup options
+     * @param {string} options.departmentId - Department identifier
+     * @param {Date} options.at - Instant to evaluate
+     * @param {string} options.did - Dialed number, used to find the client's after-hours policy
+     * @returns {Promise<Object>} Evaluation plus `scheduleId`, `afterHoursPolicy` and `closedMessage`
+     */
+    async getStatus(tenantId, { departmentId, at = new Date(), did } = {}) {
+        try {
+            let schedule = null;
+
+            if (departmentId) {
+                const { data: departmentSchedule } = await supabase
+                    .from('business_schedules')
+                    .select('*')
+                    .eq('tenant_id', tenantId)
+                    .eq('department_id', departmentId)
+                    .eq('is_active', true)
+                    .limit(1)
+                    .maybeSingle();
+                schedule = departmentSchedule;
+            }
+
+            if (!schedule) {
+                const { data: tenantSchedule } = await supabase
+                    .from('business_schedules')
+                    .select('*')
+                    .eq('tenant_id', tenantId)
+                    .is('department_id', null)
+                    .eq('is_active', true)
+                    .limit(1)
+                    .maybeSingle();
+                schedule = tenantSchedule;
+            }
+
+            if (!schedule) {
+                return { open: true, reason: 'no_schedule', scheduleId: null };
+            }
+
+            const { data: exceptions, error: exceptionsError } = await supabase
+                .from('schedule_exceptions')
+                .select('*')
+                .eq('schedule_id', schedule.id);
+
+            if (exceptionsError) {
+                logger.error('Error fetching schedule exceptions:', exceptionsError);
+            }
+
+            const status = this.evaluate(schedule, exceptions || [], at);
+
+            return {
+                ...status,
+                scheduleId: schedule.id,
+                departmentId: schedule.department_id,
+                afterHoursPolicy: schedule.after_hours_policy || await this.getClientPolicy(did),
+                closedMessage: schedule.closed_message
+            };
+        } catch (error) {
+            // Never block a call because the calendar could not be read
+            logger.error('Failed to evaluate business hours:', error);
+            return { open: true, reason: 'error', scheduleId: null };
+        }
+    }
+
+    /**
+     * Get the after-hours policy of the client that owns a dialed number
+     * @param {string} did - Dialed number
+     * @returns {Promise<string>} Policy, `send_to_vm` when none is set
+     */
+    async getClientPolicy(did) {
+        if (!did) {
+            return 'send_to_vm';
+        }
+
+        const { data: client } = await supabase
+            .from('clients')
+            .select('after_hours_policy')
+            .eq('did_e164', did)
+            .limit(1)
+            .maybeSingle();
+
+        return client?.after_hours_policy || 'send_to_vm';
+    }
+
+    /**
+     * Get the IVR action for a call that arrives while closed
+     * @param {Object} status - Result of getStatus
+     * @param {string} name - Department name, if routing to a department
+     * @returns {Object|null} `{ action, params }`, or null to follow the normal flow
+     */
+    closedAction(status, name) {
+        if (status.open || status.afterHoursPolicy === 'follow_normal_flow') {
+            return null;
+        }
+
+        const closedMessage = status.closedMessage ||
+            (name ? `${name} is currently closed.` : 'We are currently closed.');
+
+        if (status.afterHoursPolicy === 'play_closed_message') {
+            return {
+                action: 'hangup',
+                params: { reason: status.reason, message: closedMessage }
+            };
+        }
+
+        return {
+            action: 'voicemail',
+            params: { message: `${closedMessage} Please leave a message.`, reason: status.reason }
+        };
+    }
+}
+
+// Create singleton instance
+const businessHoursService = new BusinessHoursService();
+
+module.exports = businessHoursService;
+module.exports.WEEKDAYS = WEEKDAYS;
+module.exports.AFTER_HOURS_POLICIES = AFTER_HOURS_POLICIES;
+module.exports.EXCEPTION_TYPES = EXCEPTION_TYPES;
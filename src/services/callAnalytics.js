@@ -0,0 +1,369 @@
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const businessHoursService = require('./businessHours');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Hours recomputed on each scheduled run, so calls that end after their
+// starting hour was aggregated are picked up
+const DEFAULT_REFRESH_HOURS = 6;
+
+// How far back the first run aggregates when nothing has been computed yet
+const DEFAULT_BACKFILL_DAYS = 30;
+
+// Sessions read per page, and aggregate rows written per upsert
+const PAGE_SIZE = 1000;
+
+// Path steps that send the caller to a person
+const TRANSFER_ACTIONS = ['extension', 'extension_dial', 'dept', 'dept_dial', 'enqueue', 'queue_agent', 'forward'];
+
+// Path steps that name the extension being rung
+const EXTENSION_ACTIONS = ['extension', 'extension_dial', 'menu_choice', 'leg_answered'];
+
+// Counters in each hourly row
+const COUNTERS = [
+    'total_calls', 'inbound_calls', 'outbound_calls', 'offered_calls', 'answered_calls', 'abandoned_calls',
+    'voicemail_calls', 'failed_calls', 'ai_calls', 'ai_contained_calls', 'total_duration_seconds',
+    'handle_seconds', 'wait_seconds', 'waited_calls'
+];
+
+// Share of a total, to three decimals, or null with nothing to divide by
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+// Average in whole seconds, or null with nothing to average
+const average = (seconds, count) => (count > 0 ? Math.round(seconds / count) : null);
+
+const floorHour = (date) => new Date(Math.floor(new Date(date).getTime() / HOUR_MS) * HOUR_MS);
+
+class CallAnalyticsService {
+    constructor() {
+        this.job = null;
+        this.running = false;
+    }
+
+    /**
+     * Work out what happened on one call from its path
+     * An inbound call is offered when the IVR sends it to a person
+     * (extension, department, queue or number), answered when a dialed phone
+     * then picks up, and abandoned when it ended with neither an answer nor
+     * a voicemail. The AI receptionist contains a call it handled without
+     * handing it to a person or to voicemail. Outbound calls only count
+     * towards volume and duration.
+     * @param {Object} session - call_sessions row
+     * @returns {Object} Call facts
+     */
+    analyzeCall(session) {
+        const steps = typeof session.path === 'string' ? JSON.parse(session.path || '[]') : (session.path || []);
+        const timeOf = step => new Date(step.at).getTime();
+        const direction = session.direction || 'inbound';
+        const ended = ['completed', 'failed'].includes(session.status) || !!session.ended_at;
+
+        const isTransfer = step => TRANSFER_ACTIONS.includes(step.action) ||
+            (step.action === 'menu_choice' && !!step.data?.extension);
+        const transferStep = steps.find(isTransfer);
+        const offered = direction === 'inbound' && !!transferStep;
+        const answerStep = offered ? steps.find(step => step.action === 'leg_answered') : null;
+        const voicemail = steps.some(step => step.action === 'recording_complete');
+
+        const aiIndex = steps.findIndex(step => step.action === 'ai' || step.action === 'ai_turn');
+        const aiHandled = aiIndex !== -1;
+        const aiContained = aiHandled && !answerStep && !voicemail && !steps.slice(aiIndex).some(isTransfer);
+
+        const failed = session.status === 'failed';
+
+        let endTime = session.ended_at ? new Date(session.ended_at).getTime() : null;
+        if (!endTime && ended && session.duration_seconds !== null && session.duration_seconds !== undefined) {
+            endTime = new Date(session.started_at).getTime() + session.duration_seconds * 1000;
+        }
+
+        const handleSeconds = answerStep && endTime
+            ? Math.max(0, Math.round((endTime - timeOf(answerStep)) / 1000))
+            : null;
+        const waitSeconds = answerStep
+            ? Math.max(0, Math.round((timeOf(answerStep) - timeOf(transferStep)) / 1000))
+            : null;
+
+        const extensions = new Set(steps
+            .filter(step => EXTENSION_ACTIONS.includes(step.action) && step.data?.extension)
+            .map(step => String(step.data.extension)));
+
+        const menuChoices = steps
+            .filter(step => step.action === 'menu_choice')
+            .map(step => ({
+                nodeId: step.nodeId,
+                option: step.data?.digits || step.data?.next || 'speech'
+            }));
+
+        return {
+            direction,
+            answered: !!answerStep,
+            offered,
+            abandoned: offered && ended && !failed && !answerStep && !voicemail,
+            voicemail,
+            failed,
+            aiHandled,
+            aiContained,
+            durationSeconds: session.duration_seconds || 0,
+            handleSeconds,
+            waitSeconds,
+            answeredExtension: answerStep?.data?.extension ? String(answerStep.data.extension) : null,
+            extensions: [...extensions],
+            menuChoices
+        };
+    }
+
+    /**
+     * Add one call to an hourly aggregate row
+     * @param {Object} row - Aggregate row being built
+     * @param {Object} call - Facts from analyzeCall
+     * @returns {void}
+     */
+    addCall(row, call) {
+        row.total_calls++;
+        row[call.direction === 'outbound' ? 'outbound_calls' : 'inbound_calls']++;
+        row.offered_calls += call.offered ? 1 : 0;
+        row.answered_calls += call.answered ? 1 : 0;
+        row.abandoned_calls += call.abandoned ? 1 : 0;
+        row.voicemail_calls += call.voicemail ? 1 : 0;
+        row.failed_calls += call.failed ? 1 : 0;
+        row.ai_calls += call.aiHandled ? 1 : 0;
+        row.ai_contained_calls += call.aiContained ? 1 : 0;
+        row.total_duration_seconds += call.durationSeconds;
+
+        if (call.handleSeconds !== null) {
+            row.handle_seconds += call.handleSeconds;
+        }
+        if (call.waitSeconds !== null) {
+            row.wait_seconds += call.waitSeconds;
+            row.waited_calls++;
+        }
+
+        call.menuChoices.forEach(({ nodeId, option }) => {
+            row.menu_choices[nodeId] = row.menu_choices[nodeId] || {};
+            row.menu_choices[nodeId][option] = (row.menu_choices[nodeId][option] || 0) + 1;
+        });
+
+        call.extensions.forEach(extension => {
+            const stats = row.extensions[extension] || { offered: 0, answered: 0, handleSeconds: 0 };
+            stats.offered++;
+            if (call.answeredExtension === extension) {
+                stats.answered++;
+                stats.handleSeconds += call.handleSeconds || 0;
+            }
+            row.extensions[extension] = stats;
+        });
+    }
+
+    /**
+     * Recompute the hourly aggregates for calls started in a window
+     * @param {Object} window - Window to recompute
+     * @param {Date} window.since - Start of the window, rounded down to the hour
+     * @param {Date} window.until - End of the window
+     * @returns {Promise<number>} Aggregate rows written
+     */
+    async refresh({ since, until = new Date() }) {
+        const from = floorHour(since);
+        const rows = new Map();
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            const { data: sessions, error: sessionsError } = await supabase
+                .from('call_sessions')
+                .select('tenant_id, direction, status, started_at, ended_at, duration_seconds, path')
+                .gte('started_at', from.toISOString())
+                .lt('started_at', until.toISOString())
+                .order('started_at', { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (sessionsError) {
+                throw sessionsError;
+            }
+
+            sessions.filter(session => session.tenant_id).forEach(session => {
+                const hourStart = floorHour(session.started_at).toISOString();
+                const key = `${session.tenant_id}|${hourStart}`;
+
+                if (!rows.has(key)) {
+                    const row = { tenant_id: session.tenant_id, hour_start: hourStart, menu_choices: {}, extensions: {} };
+                    COUNTERS.forEach(counter => { row[counter] = 0; });
+                    rows.set(key, row);
+                }
+
+                this.addCall(rows.get(key), this.analyzeCall(session));
+            });
+
+            if (sessions.length < PAGE_SIZE) {
+                break;
+            }
+        }
+
+        const computedAt = new Date().toISOString();
+        const aggregates = [...rows.values()].map(row => ({ ...row, computed_at: computedAt }));
+
+        for (let start = 0; start < aggregates.length; start += PAGE_SIZE) {
+            const { error: upsertError } = await supabase
+                .from('call_analytics_hourly')
+                .upsert(aggregates.slice(start, start + PAGE_SIZE), { onConflict: 'tenant_id,hour_start' });
+
+            if (upsertError) {
+                throw upsertError;
+            }
+        }
+
+        logger.info('Call analytics refreshed', { since: from.toISOString(), hours: aggregates.length });
+
+        return aggregates.length;
+    }
+
+    /**
+     * Refresh the recent hours, or backfill when nothing has been computed yet
+     * @returns {Promise<void>}
+     */
+    async runScheduled() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            const refreshHours = parseInt(process.env.ANALYTICS_REFRESH_HOURS, 10) || DEFAULT_REFRESH_HOURS;
+            const { data: latest } = await supabase
+                .from('call_analytics_hourly')
+                .select('hour_start')
+                .order('hour_start', { ascending: false })
+                .limit(1);
+
+            const since = latest && latest.length > 0
+                ? new Date(Math.min(Date.now(), new Date(latest[0].hour_start).getTime()) - refreshHours * HOUR_MS)
+                : new Date(Date.now() - (parseInt(process.env.ANALYTICS_BACKFILL_DAYS, 10) || DEFAULT_BACKFILL_DAYS) * 24 * HOUR_MS);
+
+            await this.refresh({ since });
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Get a tenant's call analytics for a period
+     * Hour-of-day and day buckets use the given timezone; zones with a
+     * half-hour offset are bucketed by the hour each UTC hour starts in.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} options - Period options
+     * @param {Date} options.startDate - Start of the period
+     * @param {Date} options.endDate - End of the period
+     * @param {string} options.timezone - IANA timezone for hour and day buckets
+     * @returns {Promise<Object>} Analytics
+     */
+    async getAnalytics(tenantId, { startDate, endDate, timezone = 'UTC' }) {
+        const { data: rows, error: analyticsError } = await supabase
+            .from('call_analytics_hourly')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .gte('hour_start', floorHour(startDate).toISOString())
+            .lte('hour_start', endDate.toISOString())
+            .order('hour_start', { ascending: true });
+
+        if (analyticsError) {
+            throw analyticsError;
+        }
+
+        const totals = {};
+        COUNTERS.forEach(counter => { totals[counter] = 0; });
+        const byHour = Array.from({ length: 24 }, (value, hour) => ({ hour, calls: 0 }));
+        const byDay = new Map();
+        const menus = {};
+        const extensions = {};
+        let computedAt = null;
+
+        rows.forEach(row => {
+            COUNTERS.forEach(counter => { totals[counter] += row[counter] || 0; });
+
+            const local = businessHoursService.getLocalParts(new Date(row.hour_start), timezone);
+            byHour[Math.floor(local.minutes / 60)].calls += row.total_calls || 0;
+            byDay.set(local.date, (byDay.get(local.date) || 0) + (row.total_calls || 0));
+
+            Object.entries(row.menu_choices || {}).forEach(([nodeId, options]) => {
+                menus[nodeId] = menus[nodeId] || {};
+                Object.entries(options).forEach(([option, calls]) => {
+                    menus[nodeId][option] = (menus[nodeId][option] || 0) + calls;
+                });
+            });
+
+            Object.entries(row.extensions || {}).forEach(([extension, stats]) => {
+                const total = extensions[extension] || { offered: 0, answered: 0, handleSeconds: 0 };
+                total.offered += stats.offered || 0;
+                total.answered += stats.answered || 0;
+                total.handleSeconds += stats.handleSeconds || 0;
+                extensions[extension] = total;
+            });
+
+            if (!computedAt || row.computed_at > computedAt) {
+                computedAt = row.computed_at;
+            }
+        });
+
+        return {
+            totalCalls: totals.total_calls,
+            inboundCalls: totals.inbound_calls,
+            outboundCalls: totals.outbound_calls,
+            offeredCalls: totals.offered_calls,
+            answeredCalls: totals.answered_calls,
+            abandonedCalls: totals.abandoned_calls,
+            voicemailCalls: totals.voicemail_calls,
+            failedCalls: totals.failed_calls,
+            totalDuration: totals.total_duration_seconds,
+            averageDuration: average(totals.total_duration_seconds, totals.total_calls),
+            answerRate: rate(totals.answered_calls, totals.offered_calls),
+            abandonmentRate: rate(totals.abandoned_calls, totals.offered_calls),
+            averageHandleSeconds: average(totals.handle_seconds, totals.answered_calls),
+            averageWaitSeconds: average(totals.wait_seconds, totals.waited_calls),
+            aiCalls: totals.ai_calls,
+            aiContainedCalls: totals.ai_contained_calls,
+            aiContainmentRate: rate(totals.ai_contained_calls, totals.ai_calls),
+            volumeByHour: byHour,
+            volumeByDay: [...byDay.entries()].map(([date, calls]) => ({ date, calls })),
+            ivrHeatmap: Object.entries(menus).map(([nodeId, options]) => {
+                const choices = Object.values(options).reduce((sum, calls) => sum + calls, 0);
+
+                return {
+                    nodeId,
+                    choices,
+                    options: Object.entries(options)
+                        .map(([option, calls]) => ({ option, calls, share: rate(calls, choices) }))
+                        .sort((a, b) => b.calls - a.calls)
+                };
+            }),
+            extensions: Object.entries(extensions)
+                .map(([extension, stats]) => ({
+                    extension,
+                    offeredCalls: stats.offered,
+                    answeredCalls: stats.answered,
+                    missedCalls: stats.offered - stats.answered,
+                    answerRate: rate(stats.answered, stats.offered),
+                    averageHandleSeconds: average(stats.handleSeconds, stats.answered)
+                }))
+                .sort((a, b) => b.offeredCalls - a.offeredCalls),
+            computedAt
+        };
+    }
+
+    /**
+     * Refresh the aggregates every 15 minutes, starting with a catch-up run
+     * @returns {void}
+     */
+    startJob() {
+        if (this.job) {
+            return;
+        }
+
+        const run = () => this.runScheduled().catch(error => logger.error('Call analytics job failed:', error));
+
+        this.job = cron.schedule('*/15 * * * *', run);
+        run();
+    }
+}
+
+// Create singleton instance
+const callAnalyticsService = new CallAnalyticsService();
+
+module.exports = callAnalyticsService;
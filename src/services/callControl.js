@@ -0,0 +1,515 @@
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const dialPlanService = require('./dialPlan');
+const logger = require('../utils/logger');
+
+const MONITOR_MODES = ['listen', 'whisper', 'barge'];
+const TRANSFER_TARGETS = ['extension', 'department', 'queue', 'number'];
+
+// How long to wait for moved legs to show up in the call's conference
+const CONFERENCE_WAIT_ATTEMPTS = 5;
+const CONFERENCE_WAIT_MS = 1000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CallControlService {
+    /**
+     * Build a failed control result
+     * @param {number} status - HTTP status
+     * @param {string} error - Error title
+     * @param {string} message - Error message
+     * @returns {Object} `{ success: false, status, error, message }`
+     */
+    failure(status, error, message) {
+        return { success: false, status, error, message };
+    }
+
+    /**
+     * Build the IVR webhook URL a controlled leg is redirected to
+     * @param {Object} session - call_sessions row
+     * @param {string} event - IVR event
+     * @param {Object} data - Event data
+     * @returns {string} Webhook URL
+     */
+    eventUrl(session, event, data = {}) {
+        const query = new URLSearchParams({ callId: session.call_id, event });
+        Object.entries(data).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) {
+                query.append(key, value);
+            }
+        });
+
+        return `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/event?${query}`;
+    }
+
+    /**
+     * Conference room a controlled call is moved into
+     * @param {Object} session - call_sessions row
+     * @returns {string} Room name
+     */
+    roomName(session) {
+        return `call-${session.call_id}`;
+    }
+
+    /**
+     * Read the call's control state (room, agent legs, transfer and supervisor legs)
+     * @param {Object} session - call_sessions row
+     * @returns {Object} Control state
+     */
+    getControl(session) {
+        return this.getState(session).control || {};
+    }
+
+    /**
+     * Read the call's flow state
+     * @param {Object} session - call_sessions row
+     * @returns {Object} Flow state
+     */
+    getState(session) {
+        return typeof session.flow_state === 'string'
+            ? JSON.parse(session.flow_state || '{}')
+            : (session.flow_state || {});
+    }
+
+    /**
+     * Find a tenant's in-progress call by its SignalWire call SID
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} callSid - SignalWire call SID of the caller's leg
+     * @returns {Promise<Object>} `{ success, session }` or a failure
+     */
+    async getSession(tenantId, callSid) {
+        const { data: session, error: sessionError } = await supabase
+            .from('call_sessions')
+            .select('call_id, tenant_id, signalwire_sid, did, from_number, to_number, status, flow_state')
+            .eq('tenant_id', tenantId)
+            .eq('signalwire_sid', callSid)
+            .single();
+
+        if (sessionError && sessionError.code !== 'PGRST116') {
+            throw sessionError;
+        }
+
+        if (!session) {
+            return this.failure(404, 'Call not found', 'No call with this SID exists for your tenant');
+        }
+
+        if (session.status !== 'active') {
+            return this.failure(409, 'Call not in progress', 'Only answered calls that are still in progress can be controlled');
+        }
+
+        return { success: true, session };
+    }
+
+    /**
+     * Save the call's control state and record the control action in its path
+     * @param {Object} session - call_sessions row
+     * @param {string} action - Control action
+     * @param {Object} data - Who acted and with what
+     * @param {Object} control - New control state, or undefined to keep it
+     * @returns {Promise<void>}
+     */
+    async record(session, action, data, control) {
+        const updates = {
+            path: supabase.sql`jsonb_array_append(path, ${JSON.stringify({
+                nodeId: 'call_control',
+                action,
+                at: new Date().toISOString(),
+                data
+            })}::jsonb)`
+        };
+
+        if (control !== undefined) {
+            const state = { ...this.getState(session), control };
+            if (!control) {
+                delete state.control;
+            }
+            updates.flow_state = JSON.stringify(state);
+            session.flow_state = updates.flow_state;
+        }
+
+        const { error: updateError } = await supabase
+            .from('call_sessions')
+            .update(updates)
+            .eq('call_id', session.call_id);
+
+        if (updateError) {
+            logger.error('Error recording call control action:', updateError);
+        }
+    }
+
+    /**
+     * Wait for legs to join the call's conference
+     * @param {string} room - Conference room
+     * @param {Array<string>} callSids - Call SIDs that must be participants
+     * @returns {Promise<Object|null>} Conference from getConference, or null if they never joined
+     */
+    async waitForConference(room, callSids) {
+        for (let attempt = 0; attempt < CONFERENCE_WAIT_ATTEMPTS; attempt++) {
+            const conference = await signalwireService.getConference(room);
+            if (!conference.success) {
+                return null;
+            }
+
+            const joined = conference.participants.map(participant => participant.callSid);
+            if (conference.conferenceSid && callSids.every(callSid => joined.includes(callSid))) {
+                return conference;
+            }
+
+            await wait(CONFERENCE_WAIT_MS);
+        }
+
+        return null;
+    }
+
+    /**
+     * Move the call into its conference room
+     * Hold, mute, monitoring and attended transfers all work on conference
+     * participants. A bridged call is moved by redirecting the legs it
+     * dialed; the caller's <Dial> then ends and its action URL rejoins the
+     * room (see the IVR `/event` webhook). A caller with no bridged leg is
+     * redirected directly.
+     * @param {Object} session - call_sessions row
+     * @returns {Promise<Object>} `{ success, conferenceSid, control }` or a failure
+     */
+    async ensureConference(session) {
+        const room = this.roomName(session);
+        const current = this.getControl(session);
+
+        if (current.room) {
+            const conference = await signalwireService.getConference(room);
+            if (conference.success && conference.conferenceSid) {
+                return { success: true, conferenceSid: conference.conferenceSid, control: current };
+            }
+        }
+
+        const children = await signalwireService.getChildCalls(session.signalwire_sid);
+        if (!children.success) {
+            return this.failure(500, 'SignalWire error', children.error);
+        }
+
+        const control = { room, agentCallSids: children.callSids };
+        await this.record(session, 'conference', { room, agentCallSids: children.callSids }, control);
+
+        const moves = children.callSids.length > 0
+            ? children.callSids.map(callSid => signalwireService.redirectCall(
+                callSid,
+                this.eventUrl(session, 'conference', { role: 'agent' })
+            ))
+            : [signalwireService.redirectCall(
+                session.signalwire_sid,
+                this.eventUrl(session, 'conference', { role: 'caller' })
+            )];
+        const failed = (await Promise.all(moves)).find(result => !result.success);
+
+        if (failed) {
+            return this.failure(500, 'SignalWire error', failed.error);
+        }
+
+        const conference = await this.waitForConference(room, [session.signalwire_sid, ...children.callSids]);
+        if (!conference) {
+            return this.failure(500, 'SignalWire error', 'The call could not be moved into its conference');
+        }
+
+        return { success: true, conferenceSid: conference.conferenceSid, control };
+    }
+
+    /**
+     * First dialable number or SIP URI for a transfer or monitoring target
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} target - `{ extension }` or `{ number }`
+     * @returns {Promise<string|null>} Destination
+     */
+    async resolveDestination(tenantId, { extension, number }) {
+        if (number) {
+            return number;
+        }
+
+        const { data: extensionResult } = await supabase
+            .from('extensions')
+            .select('dial_plan')
+            .eq('tenant_id', tenantId)
+            .eq('extension_number', extension)
+            .eq('status', 'active')
+            .single();
+
+        if (!extensionResult) {
+            return null;
+        }
+
+        const step = dialPlanService.evaluate(extensionResult.dial_plan);
+        const destination = step.type === 'ring' ? step.destinations[0] : null;
+
+        return typeof destination === 'string' ? destination : (destination?.number || destination?.sip || null);
+    }
+
+    /**
+     * Put the caller on hold, or take them off it
+     * @param {Object} session - call_sessions row
+     * @param {Object} options - `{ hold, holdUrl, userId }`
+     * @returns {Promise<Object>} Control result
+     */
+    async setHold(session, { hold, holdUrl, userId }) {
+        const conference = await this.ensureConference(session);
+        if (!conference.success) {
+            return conference;
+        }
+
+        const updates = { hold };
+        if (hold && holdUrl) {
+            updates.holdUrl = holdUrl;
+        }
+
+        const result = await signalwireService.updateParticipant(conference.conferenceSid, session.signalwire_sid, updates);
+        if (!result.success) {
+            return this.failure(500, 'SignalWire error', result.error);
+        }
+
+        await this.record(session, hold ? 'hold' : 'resume', { userId, holdUrl: updates.holdUrl });
+
+        return { success: true, hold };
+    }
+
+    /**
+     * Mute or unmute the agent, or the caller
+     * @param {Object} session - call_sessions row
+     * @param {Object} options - `{ muted, party: 'agent' | 'caller', userId }`
+     * @returns {Promise<Object>} Control result
+     */
+    async setMuted(session, { muted, party = 'agent', userId }) {
+        const conference = await this.ensureConference(session);
+        if (!conference.success) {
+            return conference;
+        }
+
+        const callSids = party === 'caller' ? [session.signalwire_sid] : (conference.control.agentCallSids || []);
+        if (callSids.length === 0) {
+            return this.failure(409, 'No agent on the call', 'The call is not bridged to an agent');
+        }
+
+        const results = await Promise.all(callSids.map(callSid =>
+            signalwireService.updateParticipant(conference.conferenceSid, callSid, { muted })));
+        const failed = results.find(result => !result.success);
+        if (failed) {
+            return this.failure(500, 'SignalWire error', failed.error);
+        }
+
+        await this.record(session, muted ? 'mute' : 'unmute', { userId, party });
+
+        return { success: true, muted, party };
+    }
+
+    /**
+     * Hang up the call
+     * @param {Object} session - call_sessions row
+     * @param {Object} options - `{ userId }`
+     * @returns {Promise<Object>} Control result
+     */
+    async hangup(session, { userId }) {
+        const result = await signalwireService.updateCallStatus(session.signalwire_sid, 'completed');
+        if (!result.success) {
+            return this.failure(500, 'SignalWire error', result.error);
+        }
+
+        await this.record(session, 'hangup', { userId }, null);
+
+        return { success: true, status: result.status };
+    }
+
+    /**
+     * Send the caller straight to another extension, department, queue or number
+     * The agent's leg drops and the IVR routes the caller as a transfer node would.
+     * @param {Object} session - call_sessions row
+     * @param {Object} target - One of `{ extension }`, `{ department }`, `{ queue }`, `{ number }`
+     * @param {Object} options - `{ userId }`
+     * @returns {Promise<Object>} Control result
+     */
+    async blindTransfer(session, target, { userId }) {
+        // Clear the room first so the caller's ending <Dial> does not rejoin it
+        await this.record(session, 'blind_transfer', { userId, ...target }, null);
+
+        const result = await signalwireService.redirectCall(
+            session.signalwire_sid,
+            this.eventUrl(session, 'control_transfer', target)
+        );
+        if (!result.success) {
+            return this.failure(500, 'SignalWire error', result.error);
+        }
+
+        return { success: true, type: 'blind', target };
+    }
+
+    /**
+     * Hold the caller and dial an extension or number into the conference
+     * The agent talks to the target privately, then completes or cancels the transfer.
+     * @param {Object} session - call_sessions row
+     * @param {Object} target - `{ extension }` or `{ number }`
+     * @param {Object} options - `{ userId }`
+     * @returns {Promise<Object>} Control result with the target's `transferCallSid`
+     */
+    async startAttendedTransfer(session, target, { userId }) {
+        const destination = await this.resolveDestination(session.tenant_id, target);
+        if (!destination) {
+            return this.failure(400, 'Invalid transfer target', 'The extension has no reachable destination');
+        }
+
+        const conference = await this.ensureConference(session);
+        if (!conference.success) {
+            return conference;
+        }
+
+        if (conference.control.transferCallSid) {
+            return this.failure(409, 'Transfer in progress', 'Complete or cancel the current transfer first');
+        }
+
+        const held = await signalwireService.updateParticipant(conference.conferenceSid, session.signalwire_sid, { hold: true });
+        if (!held.success) {
+            return this.failure(500, 'SignalWire error', held.error);
+        }
+
+        const call = await signalwireService.createControlCall({
+            from: session.did || session.to_number,
+            to: destination,
+            url: this.eventUrl(session, 'conference', { role: 'target' })
+        });
+        if (!call.success) {
+            await signalwireService.updateParticipant(conference.conferenceSid, session.signalwire_sid, { hold: false });
+            return this.failure(500, 'SignalWire error', call.error);
+        }
+
+        await this.record(
+            session,
+            'attended_transfer',
+            { userId, ...target, callSid: call.callSid },
+            { ...conference.control, transferCallSid: call.callSid }
+        );
+
+        return { success: true, type: 'attended', target, transferCallSid: call.callSid };
+    }
+
+    /**
+     * Finish an attended transfer
+     * Completing drops the agent and leaves the caller with the target;
+     * cancelling drops the target. Either way the caller comes off hold.
+     * @param {Object} session - call_sessions row
+     * @param {Object} options - `{ complete, userId }`
+     * @returns {Promise<Object>} Control result
+     */
+    async finishAttendedTransfer(session, { complete, userId }) {
+        const control = this.getControl(session);
+        if (!control.transferCallSid) {
+            return this.failure(409, 'No transfer in progress', 'Start an attended transfer first');
+        }
+
+        const conference = await signalwireService.getConference(control.room);
+        if (!conference.success) {
+            return this.failure(500, 'SignalWire error', conference.error);
+        }
+        if (!conference.conferenceSid) {
+            return this.failure(409, 'Call not in progress', 'The call has left its conference');
+        }
+
+        const dropped = complete ? (control.agentCallSids || []) : [control.transferCallSid];
+        const results = await Promise.all(dropped.map(callSid =>
+            signalwireService.updateCallStatus(callSid, 'completed')));
+        const failed = results.find(result => !result.success);
+        if (failed) {
+            return this.failure(500, 'SignalWire error', failed.error);
+        }
+
+        const resumed = await signalwireService.updateParticipant(conference.conferenceSid, session.signalwire_sid, { hold: false });
+        if (!resumed.success) {
+            return this.failure(500, 'SignalWire error', resumed.error);
+        }
+
+        const { transferCallSid, ...rest } = control;
+        const nextControl = complete ? { ...rest, agentCallSids: [transferCallSid] } : rest;
+        await this.record(
+            session,
+            complete ? 'transfer_complete' : 'transfer_cancel',
+            { userId, callSid: transferCallSid },
+            nextControl
+        );
+
+        return { success: true, completed: complete };
+    }
+
+    /**
+     * Join a supervisor to the call, or change how they are joined
+     * `listen` hears both sides muted, `whisper` talks to the agent only and
+     * `barge` talks to everyone.
+     * @param {Object} session - call_sessions row
+     * @param {Object} options - `{ mode, extension, number, userId }`
+     * @returns {Promise<Object>} Control result with the supervisor's `supervisorCallSid`
+     */
+    async monitor(session, { mode, extension, number, userId }) {
+        const conference = await this.ensureConference(session);
+        if (!conference.success) {
+            return conference;
+        }
+
+        const agentCallSid = (conference.control.agentCallSids || [])[0];
+        if (mode === 'whisper' && !agentCallSid) {
+            return this.failure(409, 'No agent on the call', 'The call is not bridged to an agent');
+        }
+
+        const settings = {
+            muted: mode === 'listen',
+            coaching: mode === 'whisper',
+            callSidToCoach: mode === 'whisper' ? agentCallSid : undefined
+        };
+        let supervisorCallSid = conference.control.supervisorCallSid;
+
+        const current = supervisorCallSid
+            ? (await signalwireService.getConference(conference.control.room)).participants || []
+            : [];
+
+        if (current.some(participant => participant.callSid === supervisorCallSid)) {
+            // Already on the call - switch modes in place
+            const updates = { muted: settings.muted, coaching: settings.coaching };
+            if (settings.callSidToCoach) {
+                updates.callSidToCoach = settings.callSidToCoach;
+            }
+
+            const result = await signalwireService.updateParticipant(conference.conferenceSid, supervisorCallSid, updates);
+            if (!result.success) {
+                return this.failure(500, 'SignalWire error', result.error);
+            }
+        } else {
+            const destination = await this.resolveDestination(session.tenant_id, { extension, number });
+            if (!destination) {
+                return this.failure(400, 'Invalid monitor target', 'Give a number or an extension with a reachable destination');
+            }
+
+            const call = await signalwireService.createControlCall({
+                from: session.did || session.to_number,
+                to: destination,
+                url: this.eventUrl(session, 'conference', {
+                    role: 'supervisor',
+                    muted: settings.muted,
+                    coach: settings.callSidToCoach
+                })
+            });
+            if (!call.success) {
+                return this.failure(500, 'SignalWire error', call.error);
+            }
+
+            supervisorCallSid = call.callSid;
+        }
+
+        await this.record(
+            session,
+            'monitor',
+            { userId, mode, extension, number, callSid: supervisorCallSid },
+            { ...conference.control, supervisorCallSid }
+        );
+
+        return { success: true, mode, supervisorCallSid };
+    }
+}
+
+// Create singleton instance
+const callControlService = new CallControlService();
+
+module.exports = callControlService;
+module.exports.MONITOR_MODES = MONITOR_MODES;
+module.exports.TRANSFER_TARGETS = TRANSFER_TARGETS;
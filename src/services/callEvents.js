@@ -0,0 +1,201 @@
+const EventEmitter = require('events');
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const logger = require('../utils/logger');
+
+const CALL_EVENT_TYPES = ['call_started', 'menu_choice', 'transfer', 'answered', 'voicemail', 'ended'];
+
+// Most events returned by one replay; clients page with the returned cursor
+const REPLAY_LIMIT = 500;
+
+// Days events are kept for replay
+const DEFAULT_RETENTION_DAYS = 7;
+
+class CallEventService {
+    constructor() {
+        this.emitter = new EventEmitter();
+        this.emitter.setMaxListeners(0);
+        this.retentionJob = null;
+    }
+
+    /**
+     * Transform a call_events row into the event sent to clients
+     * @param {Object} row - call_events row
+     * @returns {Object} Event with its `cursor`
+     */
+    format(row) {
+        return {
+            cursor: String(row.id),
+            callId: row.call_id,
+            type: row.type,
+            department: row.department,
+            extension: row.extension,
+            data: row.data || {},
+            at: row.created_at
+        };
+    }
+
+    /**
+     * Check an event against a subscriber's filters
+     * @param {Object} event - Formatted event
+     * @param {Object} filters - `{ department, extension, types }`
+     * @returns {boolean} Whether the event passes
+     */
+    matches(event, { department, extension, types } = {}) {
+        if (department && event.department !== department) {
+            return false;
+        }
+        if (extension && event.extension !== String(extension)) {
+            return false;
+        }
+        if (types && types.length > 0 && !types.includes(event.type)) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Record a call event and push it to the tenant's live subscribers
+     * Publishing never fails the call it describes; errors are only logged.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} event - Event details
+     * @param {string} event.callId - Call identifier
+     * @param {string} event.type - One of CALL_EVENT_TYPES
+     * @param {string} event.department - Department the event concerns
+     * @param {string} event.extension - Extension the event concerns
+     * @param {Object} event.data - Event details
+     * @returns {Promise<Object|null>} Formatted event, or null if it was not recorded
+     */
+    async publish(tenantId, { callId, type, department, extension, data = {} }) {
+        if (!tenantId) {
+            return null;
+        }
+
+        try {
+            const { data: row, error: insertError } = await supabase
+                .from('call_events')
+                .insert({
+                    tenant_id: tenantId,
+                    call_id: callId,
+                    type,
+                    department: department || null,
+                    extension: extension !== undefined && extension !== null ? String(extension) : null,
+                    data
+                })
+                .select()
+                .single();
+
+            if (insertError) {
+                logger.error('Error recording call event:', insertError);
+                return null;
+            }
+
+            const event = this.format(row);
+            this.emitter.emit(tenantId, event);
+
+            return event;
+        } catch (error) {
+            logger.error('Call event publish error:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Events recorded after a cursor
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} options - Replay options
+     * @param {string} options.cursor - Cursor of the last event the client received
+     * @param {Object} options.filters - `{ department, extension, types }`
+     * @param {number} options.limit - Most events to return
+     * @returns {Promise<Array<Object>>} Formatted events, oldest first
+     */
+    async replay(tenantId, { cursor, filters = {}, limit = REPLAY_LIMIT } = {}) {
+        let query = supabase
+            .from('call_events')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .gt('id', Number(cursor) || 0);
+
+        if (filters.department) {
+            query = query.eq('department', filters.department);
+        }
+        if (filters.extension) {
+            query = query.eq('extension', String(filters.extension));
+        }
+        if (filters.types && filters.types.length > 0) {
+            query = query.in('type', filters.types);
+        }
+
+        const { data: rows, error: replayError } = await query
+            .order('id', { ascending: true })
+            .limit(Math.min(limit, REPLAY_LIMIT));
+
+        if (replayError) {
+            throw replayError;
+        }
+
+        return rows.map(row => this.format(row));
+    }
+
+    /**
+     * Receive a tenant's events as they are published
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} filters - `{ department, extension, types }`
+     * @param {Function} listener - Called with each matching event
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(tenantId, filters, listener) {
+        const handler = (event) => {
+            if (this.matches(event, filters)) {
+                listener(event);
+            }
+        };
+
+        this.emitter.on(tenantId, handler);
+
+        return () => this.emitter.off(tenantId, handler);
+    }
+
+    /**
+     * Delete events older than the retention period
+     * @returns {Promise<void>}
+     */
+    async purgeExpired() {
+        const days = parseInt(process.env.CALL_EVENT_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+        const { error: deleteError } = await supabase
+            .from('call_events')
+            .delete()
+            .lt('created_at', cutoff);
+
+        if (deleteError) {
+            logger.error('Error purging call events:', deleteError);
+            return;
+        }
+
+        logger.info('Expired call events purged', { before: cutoff });
+    }
+
+    /**
+     * Schedule the daily retention purge
+     * @returns {void}
+     */
+    startRetentionJob() {
+        if (this.retentionJob) {
+            return;
+        }
+
+        this.retentionJob = cron.schedule('30 3 * * *', () => {
+            this.purgeExpired().catch(error => logger.error('Call event retention job failed:', error));
+        });
+    }
+}
+
+// Create singleton instance
+const callEventService = new CallEventService();
+
+module.exports = callEventService;
+module.exports.CALL_EVENT_TYPES = CALL_EVENT_TYPES;
+module.exports.REPLAY_LIMIT = REPLAY_LIMIT;
@@ -0,0 +1,413 @@
+const { supabase } = require('../database/connection');
+
+// Sortable columns, by the name clients use
+const SORT_FIELDS = {
+    startedAt: 'started_at',
+    duration: 'duration_seconds'
+};
+
+const DIRECTIONS = ['inbound', 'outbound'];
+
+// Columns returned for each call in a list
+const LIST_COLUMNS = 'id, call_id, signalwire_sid, from_number, to_number, did, direction, status, outcome, ' +
+    'tags, intent_tags, started_at, ended_at, duration_seconds, total_steps, ai_steps, path';
+
+// Call status callbacks worth a timeline entry of their own
+const STATUS_LABELS = {
+    'completed': 'Call ended',
+    'busy': 'Line busy',
+    'no-answer': 'No answer',
+    'failed': 'Call failed',
+    'canceled': 'Call canceled'
+};
+
+// Live call control actions
+const CONTROL_LABELS = {
+    conference: 'Moved into a conference for call control',
+    hold: 'Caller put on hold',
+    resume: 'Caller taken off hold',
+    mute: 'Muted',
+    unmute: 'Unmuted',
+    hangup: 'Hung up by an agent',
+    blind_transfer: 'Blind transfer',
+    attended_transfer: 'Attended transfer started',
+    transfer_complete: 'Attended transfer completed',
+    transfer_cancel: 'Attended transfer cancelled',
+    monitor: 'Supervisor monitoring'
+};
+
+// How a call ended, by the last flow step before it did
+const OUTCOME_ACTIONS = {
+    answered: { outcome: 'answered' },
+    leg_answered: { outcome: 'answered' },
+    voicemail: { outcome: 'voicemail', tag: 'voicemail' },
+    recording_complete: { outcome: 'voicemail', tag: 'voicemail' },
+    extension: { outcome: 'extension_answered', tag: 'extension' },
+    dept: { outcome: 'dept_answered', tag: 'department' },
+    ai: { outcome: 'ai_handled', tag: 'ai' },
+    hangup: { outcome: 'caller_hung_up' }
+};
+
+// Path steps recorded by status callbacks and call control rather than the flow
+const BOOKKEEPING_NODES = ['call_status', 'call_control'];
+
+// Steps that mean someone picked up, and steps that only ring someone
+const ANSWER_ACTIONS = ['answered', 'leg_answered'];
+const RINGING_ACTIONS = ['extension', 'dept'];
+
+// Parse a JSON column that may have been stored as a string
+const parseJson = (value, fallback) => {
+    if (typeof value === 'string') {
+        try {
+            return JSON.parse(value || 'null') ?? fallback;
+        } catch (error) {
+            return fallback;
+        }
+    }
+
+    return value ?? fallback;
+};
+
+// Quote a value for a PostgREST logic filter
+const quote = (value) => `"${String(value).replace(/"/g, '\\"')}"`;
+
+class CallHistoryService {
+    /**
+     * Encode the position after a call for the next page
+     * @param {Object} row - call_sessions row
+     * @param {string} column - Sort column
+     * @returns {string} Opaque cursor
+     */
+    encodeCursor(row, column) {
+        return Buffer.from(JSON.stringify([row[column], row.id])).toString('base64url');
+    }
+
+    /**
+     * Decode a cursor from encodeCursor
+     * @param {string} cursor - Opaque cursor
+     * @returns {Array|null} `[value, id]`, or null if the cursor is not ours
+     */
+    decodeCursor(cursor) {
+        try {
+            const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+            return Array.isArray(position) && position.length === 2 && position[1] ? position : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * The extension and department a call was last sent to
+     * @param {string|Array<Object>} path - Call session path
+     * @returns {Object} `{ extension, department }`, either may be undefined
+     */
+    dialTarget(path) {
+        const steps = parseJson(path, []);
+        const step = [...steps].reverse().find(s => ['extension', 'dept', 'extension_dial', 'dept_dial'].includes(s.action));
+
+        return step ? { extension: step.data?.extension, department: step.data?.department } : {};
+    }
+
+    /**
+     * Work out how a finished call ended from its path
+     * Status callbacks and call control append steps after the flow is done
+     * (`completed` always comes last), so they are skipped. Ringing an
+     * extension or department only counts once someone answered; a call
+     * nobody answered and that left no voicemail ended with the caller
+     * hanging up, whether in a menu or while it rang.
+     * @param {string|Array<Object>} path - Call session path
+     * @returns {Object} `{ outcome, tags }`, outcome `unknown` when the path is empty
+     */
+    callOutcome(path) {
+        const steps = parseJson(path, []).filter(s => !BOOKKEEPING_NODES.includes(s.nodeId));
+        const last = steps[steps.length - 1];
+
+        if (!last) {
+            return { outcome: 'unknown', tags: [] };
+        }
+
+        const answered = steps.some(s => ANSWER_ACTIONS.includes(s.action));
+        let result = OUTCOME_ACTIONS[last.action];
+
+        if (!result || (RINGING_ACTIONS.includes(last.action) && !answered)) {
+            const voicemail = steps.find(s => OUTCOME_ACTIONS[s.action]?.outcome === 'voicemail');
+            result = answered
+                ? OUTCOME_ACTIONS.answered
+                : voicemail ? OUTCOME_ACTIONS[voicemail.action] : OUTCOME_ACTIONS.hangup;
+        }
+
+        return { outcome: result.outcome, tags: result.tag ? [result.tag] : [] };
+    }
+
+    /**
+     * Search a tenant's calls
+     * Filters are ANDed. Extension and department match any step of the
+     * call's path that reached them. Sorting by duration lists finished
+     * calls only, since calls in progress have no duration yet.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} filters - Search filters
+     * @param {string} filters.startDate - Calls started at or after this instant
+     * @param {string} filters.endDate - Calls started at or before this instant
+     * @param {string} filters.number - Digits in the calling or called number
+     * @param {string} filters.outcome - Call outcome
+     * @param {string} filters.tag - Call tag or intent tag
+     * @param {string} filters.direction - `inbound` or `outbound`
+     * @param {string} filters.extension - Extension number
+     * @param {string} filters.department - Department name
+     * @param {Object} page - Paging options
+     * @param {string} page.cursor - Cursor from the previous page
+     * @param {number} page.limit - Page size
+     * @param {string} page.sort - Key of SORT_FIELDS
+     * @param {string} page.order - `asc` or `desc`
+     * @returns {Promise<Object>} `{ calls, nextCursor }` or `{ error }` for an unusable cursor
+     */
+    async search(tenantId, filters = {}, { cursor, limit = 25, sort = 'startedAt', order = 'desc' } = {}) {
+        const column = SORT_FIELDS[sort] || SORT_FIELDS.startedAt;
+        const ascending = order === 'asc';
+        const logic = [];
+
+        let query = supabase
+            .from('call_sessions')
+            .select(LIST_COLUMNS)
+            .eq('tenant_id', tenantId);
+
+        if (filters.startDate) {
+            query = query.gte('started_at', filters.startDate);
+        }
+        if (filters.endDate) {
+            query = query.lte('started_at', filters.endDate);
+        }
+        if (filters.outcome) {
+            query = query.eq('outcome', filters.outcome);
+        }
+        if (filters.direction) {
+            query = query.eq('direction', filters.direction);
+        }
+        if (filters.extension) {
+            query = query.contains('path', JSON.stringify([{ data: { extension: String(filters.extension) } }]));
+        }
+        if (filters.department) {
+            query = query.contains('path', JSON.stringify([{ data: { department: filters.department } }]));
+        }
+        if (filters.tag) {
+            logic.push(`tags.cs.${quote(JSON.stringify([filters.tag]))},intent_tags.cs.${quote(JSON.stringify([filters.tag]))}`);
+        }
+        if (filters.number) {
+            logic.push(`from_number.ilike.*${filters.number}*,to_number.ilike.*${filters.number}*`);
+        }
+        if (column === 'duration_seconds') {
+            query = query.not('duration_seconds', 'is', null);
+        }
+
+        if (cursor) {
+            const position = this.decodeCursor(cursor);
+            if (!position) {
+                return { error: { field: 'cursor', message: 'cursor is not valid for this search' } };
+            }
+
+            const [value, id] = position;
+            const op = ascending ? 'gt' : 'lt';
+            logic.push(`${column}.${op}.${quote(value)},and(${column}.eq.${quote(value)},id.${op}.${quote(id)})`);
+        }
+
+        // PostgREST takes one top-level `or`, so several groups are nested in an `and`
+        if (logic.length === 1) {
+            query = query.or(logic[0]);
+        } else if (logic.length > 1) {
+            query = query.or(`and(${logic.map(group => `or(${group})`).join(',')})`);
+        }
+
+        const { data: rows, error: searchError } = await query
+            .order(column, { ascending })
+            .order('id', { ascending })
+            .limit(limit + 1);
+
+        if (searchError) {
+            throw searchError;
+        }
+
+        const calls = rows.slice(0, limit);
+
+        return {
+            calls: calls.map(row => this.formatSummary(row)),
+            nextCursor: rows.length > limit ? this.encodeCursor(calls[calls.length - 1], column) : null
+        };
+    }
+
+    /**
+     * Get one call with its timeline
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} callId - Call identifier
+     * @returns {Promise<Object|null>} Call detail, or null if not found
+     */
+    async getCall(tenantId, callId) {
+        const { data: row, error: callError } = await supabase
+            .from('call_sessions')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('call_id', callId)
+            .single();
+
+        if (callError && callError.code !== 'PGRST116') {
+            throw callError;
+        }
+
+        if (!row) {
+            return null;
+        }
+
+        return {
+            ...this.formatSummary(row),
+            ivrFlowId: row.ivr_flow_id || null,
+            ivrFlowVersion: row.ivr_flow_version || null,
+            apiCalls: row.api_calls || 0,
+            summary: row.summary || null,
+            transcript: row.transcript || null,
+            cdr: parseJson(row.cdr, {}),
+            timeline: this.timeline(row.path, row.started_at)
+        };
+    }
+
+    /**
+     * Transform a call_sessions row into a list entry
+     * @param {Object} row - call_sessions row
+     * @returns {Object} Call summary
+     */
+    formatSummary(row) {
+        const target = this.dialTarget(row.path);
+
+        return {
+            id: row.id,
+            callId: row.call_id,
+            callSid: row.signalwire_sid || null,
+            fromNumber: row.from_number,
+            toNumber: row.to_number,
+            did: row.did || null,
+            direction: row.direction || 'inbound',
+            status: row.status,
+            outcome: row.outcome || null,
+            tags: parseJson(row.tags, []),
+            intentTags: parseJson(row.intent_tags, []),
+            extension: target.extension || null,
+            department: target.department || null,
+            startedAt: row.started_at,
+            endedAt: row.ended_at || null,
+            durationSeconds: row.duration_seconds ?? null,
+            totalSteps: row.total_steps ?? null,
+            aiSteps: row.ai_steps ?? null
+        };
+    }
+
+    /**
+     * Render a call's path as a timeline
+     * @param {string|Array<Object>} path - Call session path
+     * @param {string} startedAt - When the call started
+     * @returns {Array<Object>} Entries of `{ at, offsetSeconds, nodeId, action, description, data }`
+     */
+    timeline(path, startedAt) {
+        const steps = parseJson(path, []);
+        const start = new Date(startedAt || steps[0]?.at).getTime();
+
+        return steps.map(step => ({
+            at: step.at,
+            offsetSeconds: Number.isNaN(start) || !step.at
+                ? null
+                : Math.max(0, Math.round((new Date(step.at).getTime() - start) / 1000)),
+            nodeId: step.nodeId,
+            action: step.action,
+            description: this.describe(step),
+            data: step.data || {}
+        }));
+    }
+
+    /**
+     * Describe a path step in words
+     * @param {Object} step - Path step `{ nodeId, action, data }`
+     * @returns {string} Description
+     */
+    describe({ nodeId, action, data = {} }) {
+        if (nodeId === 'call_status') {
+            return STATUS_LABELS[action] || `Call ${action}`;
+        }
+        if (nodeId === 'call_control') {
+            const label = CONTROL_LABELS[action] || `Call control: ${action}`;
+            const target = data.extension ? ` to extension ${data.extension}`
+                : data.department ? ` to ${data.department}`
+                    : data.queue ? ` to queue ${data.queue}`
+                        : data.number ? ` to ${data.number}` : '';
+            const detail = action === 'monitor' ? ` (${data.mode})`
+                : ['mute', 'unmute'].includes(action) ? ` (${data.party || 'agent'})` : target;
+
+            return `${label}${detail}`;
+        }
+
+        switch (action) {
+            case 'call_received':
+                return `Call received from ${data.from || 'unknown'} on ${data.did || data.to || 'unknown'}`;
+            case 'call_initiated':
+                return `Outbound call placed to ${data.to || 'unknown'}`;
+            case 'dtmf_menu':
+                return data.speech ? `Caller said "${data.speech}"` : `Caller pressed ${data.digits ?? 'nothing'}`;
+            case 'menu_choice':
+                return data.extension
+                    ? `Caller dialed extension ${data.extension} from menu ${nodeId}`
+                    : `Caller chose ${data.digits ?? `"${data.speech}"`} on menu ${nodeId}`;
+            case 'gather':
+                return 'Menu played';
+            case 'play':
+            case 'play_complete':
+                return action === 'play' ? 'Message played' : 'Message finished';
+            case 'extension':
+                return `Ringing extension ${data.extension}${Number(data.attempt) > 0 ? ` (step ${Number(data.attempt) + 1})` : ''}`;
+            case 'extension_dial':
+                return `Extension ${data.extension} did not answer`;
+            case 'dept':
+                return `Sent to department ${data.department}`;
+            case 'dept_dial':
+                return `Ringing department ${data.department}`;
+            case 'enqueue':
+                return `Queued in ${data.queue}`;
+            case 'queue_agent':
+                return `Offered to ${data.agent || 'an agent'}`;
+            case 'queue_dial':
+                return 'Queue agent call ended';
+            case 'forward':
+                return `Forwarded to ${data.number}`;
+            case 'leg_answered':
+                return `Answered by ${data.extension ? `extension ${data.extension}` : (data.number || 'the dialed party')}`;
+            case 'answered':
+                return nodeId === 'outbound_answered' ? 'Outbound call answered' : 'Call answered';
+            case 'no_answer':
+                return 'No answer';
+            case 'busy':
+                return 'Busy';
+            case 'failed':
+                return 'Dial failed';
+            case 'timeout':
+                return 'No input received';
+            case 'voicemail':
+                return 'Sent to voicemail';
+            case 'recording_complete':
+                return `Voicemail left${data.recordingDuration ? ` (${data.recordingDuration}s)` : ''}`;
+            case 'ai':
+            case 'ai_input':
+                return action === 'ai' ? 'Handed to the AI receptionist' : 'Caller spoke to the AI receptionist';
+            case 'ai_turn':
+                return data.reply ? `AI receptionist: "${data.reply}"` : 'AI receptionist turn';
+            case 'directory':
+            case 'directory_lookup':
+                return action === 'directory' ? 'Dial-by-name directory' : 'Directory lookup';
+            case 'hangup':
+                return 'Call ended by the IVR';
+            default:
+                return String(action || 'step').replace(/_/g, ' ');
+        }
+    }
+}
+
+// Create singleton instance
+const callHistoryService = new CallHistoryService();
+
+module.exports = callHistoryService;
+module.exports.SORT_FIELDS = SORT_FIELDS;
+module.exports.DIRECTIONS = DIRECTIONS;
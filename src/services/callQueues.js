@@ -0,0 +1,776 @@
+const { supabase } = require('../database/connection');
+const dialPlanService = require('./dialPlan');
+const logger = require('../utils/logger');
+
+const AGENT_STATUSES = ['offline', 'available', 'on_call', 'wrap_up', 'break'];
+
+// Statuses agents set themselves; on_call and wrap_up follow their queue calls
+const AGENT_SETTABLE_STATUSES = ['available', 'offline', 'break'];
+
+const OVERFLOW_TYPES = ['voicemail', 'extension', 'department', 'number', 'hangup'];
+
+// Entries still holding for an agent
+const WAITING_STATUSES = ['waiting', 'offered'];
+
+// Talk time assumed for wait estimates until the queue has completed calls
+const DEFAULT_HANDLE_SECONDS = 180;
+
+// Completed calls averaged for the handle time
+const HANDLE_TIME_SAMPLE = 20;
+
+// Seconds of silence between availability checks when the queue has no hold audio
+const HOLD_PAUSE_SECONDS = 10;
+
+const QUEUE_SELECT = `
+    *,
+    queue_agents(
+        id, user_id, extension_id, priority,
+        users(first_name, last_name),
+        extensions(extension_number, name, dial_plan, status)
+    )
+`;
+
+const DEFAULT_VOICEMAIL = {
+    action: 'voicemail',
+    params: { message: 'No one is available to take your call. Please leave a message.' }
+};
+
+class CallQueueService {
+    /**
+     * Load an active queue with its agents by name
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} name - Queue name
+     * @returns {Promise<Object|null>} call_queues row with `queue_agents`
+     */
+    async getByName(tenantId, name) {
+        if (!name) {
+            return null;
+        }
+
+        const { data: queue, error: queueError } = await supabase
+            .from('call_queues')
+            .select(QUEUE_SELECT)
+            .eq('tenant_id', tenantId)
+            .eq('name', name)
+            .eq('is_active', true)
+            .single();
+
+        if (queueError && queueError.code !== 'PGRST116') {
+            logger.error('Error fetching call queue:', queueError);
+        }
+
+        return queue || null;
+    }
+
+    /**
+     * Find the active queue that holds a department's callers
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} departmentId - Department identifier
+     * @returns {Promise<Object|null>} call_queues row, or null when the department has none
+     */
+    async getForDepartment(tenantId, departmentId) {
+        const { data: queues, error: queuesError } = await supabase
+            .from('call_queues')
+            .select('id, name')
+            .eq('tenant_id', tenantId)
+            .eq('department_id', departmentId)
+            .eq('is_active', true)
+            .order('created_at', { ascending: true })
+            .limit(1);
+
+        if (queuesError) {
+            logger.error('Error fetching department queue:', queuesError);
+            return null;
+        }
+
+        return queues?.[0] || null;
+    }
+
+    /**
+     * Check a queue's max-wait overflow destination
+     * @param {Object} overflow - `{ type, target, message }`
+     * @returns {Array<Object>} List of `{ field, message }` errors, empty when valid
+     */
+    validateOverflow(overflow) {
+        if (overflow === null || overflow === undefined) {
+            return [];
+        }
+
+        if (typeof overflow !== 'object' || !OVERFLOW_TYPES.includes(overflow.type)) {
+            return [{ field: 'overflow.type', message: `Overflow type must be one of: ${OVERFLOW_TYPES.join(', ')}` }];
+        }
+
+        if (['extension', 'department', 'number'].includes(overflow.type) && !overflow.target) {
+            return [{ field: 'overflow.target', message: `Overflow to ${overflow.type} requires a target` }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Turn the queue's overflow destination into an IVR action
+     * @param {Object} queue - call_queues row
+     * @returns {Object} `{ action, params }`, voicemail when none is set
+     */
+    overflowAction(queue) {
+        const overflow = queue.overflow;
+        if (!overflow || !overflow.type) {
+            return DEFAULT_VOICEMAIL;
+        }
+
+        switch (overflow.type) {
+            case 'voicemail':
+                return {
+                    action: 'voicemail',
+                    params: {
+                        message: overflow.message || 'All of our agents are still busy. Please leave a message.',
+                        ...(overflow.target ? { mailbox: overflow.target } : {})
+                    }
+                };
+            case 'extension':
+                return { action: 'extension', params: { extension: String(overflow.target) } };
+            case 'department':
+                return { action: 'dept', params: { department: overflow.target } };
+            case 'number':
+                return { action: 'forward', params: { number: overflow.target } };
+            default:
+                return {
+                    action: 'hangup',
+                    params: { reason: 'queue_overflow', message: overflow.message }
+                };
+        }
+    }
+
+    /**
+     * Agent status at an instant; wrap-up that has run out counts as available
+     * @param {Object} presence - agent_presence row, or undefined for agents never logged in
+     * @param {Date} at - Instant to evaluate at
+     * @returns {string} Agent status
+     */
+    effectiveStatus(presence, at = new Date()) {
+        if (!presence) {
+            return 'offline';
+        }
+
+        if (presence.status === 'wrap_up' &&
+            (!presence.wrap_up_until || new Date(presence.wrap_up_until) <= at)) {
+            return 'available';
+        }
+
+        return presence.status;
+    }
+
+    /**
+     * Load presence rows for a set of agents
+     * @param {string} tenantId - Tenant identifier
+     * @param {Array<string>} userIds - Agent user ids
+     * @returns {Promise<Object>} agent_presence rows keyed by user id
+     */
+    async getPresence(tenantId, userIds) {
+        if (userIds.length === 0) {
+            return {};
+        }
+
+        const { data: rows, error: presenceError } = await supabase
+            .from('agent_presence')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .in('user_id', userIds);
+
+        if (presenceError) {
+            logger.error('Error fetching agent presence:', presenceError);
+            return {};
+        }
+
+        return Object.fromEntries(rows.map(row => [row.user_id, row]));
+    }
+
+    /**
+     * Queue agents with their presence and the destinations their phone rings
+     * @param {Object} queue - call_queues row with `queue_agents`
+     * @param {Date} at - Instant to evaluate presence and dial plans at
+     * @returns {Promise<Array<Object>>} Agents with `presence`, `status` and `destinations`
+     */
+    async getAgents(queue, at = new Date()) {
+        const agents = queue.queue_agents || [];
+        const presence = await this.getPresence(queue.tenant_id, agents.map(agent => agent.user_id));
+
+        return agents.map(agent => {
+            const extension = agent.extensions;
+            const step = extension?.status === 'active'
+                ? dialPlanService.evaluate(extension.dial_plan, { at })
+                : null;
+
+            return {
+                ...agent,
+                presence: presence[agent.user_id] || null,
+                status: this.effectiveStatus(presence[agent.user_id], at),
+                destinations: step?.type === 'ring' ? step.destinations : []
+            };
+        });
+    }
+
+    /**
+     * Agents who can take a call now, longest idle first within each priority
+     * @param {Array<Object>} agents - Agents from getAgents
+     * @returns {Array<Object>} Available agents in offer order
+     */
+    availableAgents(agents) {
+        const idleSince = agent => agent.presence?.last_call_ended_at
+            ? new Date(agent.presence.last_call_ended_at).getTime()
+            : 0;
+
+        return agents
+            .filter(agent => agent.status === 'available' && agent.destinations.length > 0)
+            .sort((a, b) => (a.priority || 0) - (b.priority || 0) || idleSince(a) - idleSince(b));
+    }
+
+    /**
+     * Set an agent's presence
+     * Logging in is `available`, logging out is `offline`. Choosing a status
+     * ends any wrap-up in progress.
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} userId - Agent user id
+     * @param {Object} changes - Presence changes
+     * @param {string} changes.status - `available`, `offline` or `break`
+     * @param {string} changes.reason - Break reason
+     * @param {number|null} changes.wrapUpSeconds - Wrap-up after each call, null for the queue's
+     * @returns {Promise<Object>} `{ presence }` or `{ error }`
+     */
+    async setPresence(tenantId, userId, { status, reason, wrapUpSeconds } = {}) {
+        const row = { tenant_id: tenantId, user_id: userId };
+
+        if (status !== undefined) {
+            Object.assign(row, {
+                status,
+                reason: status === 'break' ? (reason || null) : null,
+                wrap_up_until: null,
+                status_changed_at: new Date().toISOString()
+            });
+        }
+
+        if (wrapUpSeconds !== undefined) {
+            row.wrap_up_seconds = wrapUpSeconds;
+        }
+
+        const { data: presence, error: presenceError } = await supabase
+            .from('agent_presence')
+            .upsert(row, { onConflict: 'tenant_id,user_id' })
+            .select()
+            .single();
+
+        if (presenceError) {
+            return { error: presenceError };
+        }
+
+        logger.info('Agent presence updated', { tenantId, userId, status: presence.status });
+
+        return { presence };
+    }
+
+    /**
+     * Move an agent between statuses, only if they are still in the one expected
+     * Two callers polling at once cannot both reserve the same agent.
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} userId - Agent user id
+     * @param {string} fromStatus - Status the agent must be in
+     * @param {Object} updates - agent_presence columns to set
+     * @returns {Promise<boolean>} Whether the agent was moved
+     */
+    async transitionAgent(tenantId, userId, fromStatus, updates) {
+        const { data: rows, error: updateError } = await supabase
+            .from('agent_presence')
+            .update({ ...updates, status_changed_at: new Date().toISOString() })
+            .eq('tenant_id', tenantId)
+            .eq('user_id', userId)
+            .eq('status', fromStatus)
+            .select('id');
+
+        if (updateError) {
+            logger.error('Error updating agent presence:', updateError);
+            return false;
+        }
+
+        return rows.length > 0;
+    }
+
+    /**
+     * Update a queue entry
+     * @param {string} entryId - Queue entry identifier
+     * @param {Object} updates - queue_entries columns to set
+     * @returns {Promise<void>}
+     */
+    async updateEntry(entryId, updates) {
+        const { error: updateError } = await supabase
+            .from('queue_entries')
+            .update(updates)
+            .eq('id', entryId);
+
+        if (updateError) {
+            logger.error('Error updating queue entry:', updateError);
+        }
+    }
+
+    /**
+     * The call's most recent entry in a queue
+     * @param {Object} queue - call_queues row
+     * @param {string} callId - Call identifier
+     * @returns {Promise<Object|null>} queue_entries row
+     */
+    async getEntry(queue, callId) {
+        const { data: entries, error: entryError } = await supabase
+            .from('queue_entries')
+            .select('*')
+            .eq('queue_id', queue.id)
+            .eq('call_id', callId)
+            .order('created_at', { ascending: false })
+            .limit(1);
+
+        if (entryError) {
+            logger.error('Error fetching queue entry:', entryError);
+            return null;
+        }
+
+        return entries?.[0] || null;
+    }
+
+    /**
+     * The caller's waiting entry, created the first time the queue polls for them
+     * An entry put back after an unanswered agent keeps its place in line.
+     * @param {Object} queue - call_queues row
+     * @param {Object} caller - `{ callId, from }`
+     * @returns {Promise<Object>} queue_entries row
+     */
+    async join(queue, { callId, from }) {
+        const entry = await this.getEntry(queue, callId);
+        if (entry && WAITING_STATUSES.includes(entry.status)) {
+            return entry;
+        }
+
+        const { data: newEntry, error: entryError } = await supabase
+            .from('queue_entries')
+            .insert({
+                tenant_id: queue.tenant_id,
+                queue_id: queue.id,
+                call_id: callId,
+                caller_number: from || null,
+                status: 'waiting'
+            })
+            .select()
+            .single();
+
+        if (entryError) {
+            throw entryError;
+        }
+
+        logger.info('Caller joined queue', { queueId: queue.id, callId });
+
+        return newEntry;
+    }
+
+    /**
+     * The caller's place in line, counting from 1
+     * Callers already offered to an agent are on their way out of the line.
+     * @param {Object} entry - queue_entries row
+     * @returns {Promise<number>} Position
+     */
+    async getPosition(entry) {
+        const { count, error: countError } = await supabase
+            .from('queue_entries')
+            .select('id', { count: 'exact', head: true })
+            .eq('queue_id', entry.queue_id)
+            .eq('status', 'waiting')
+            .lt('enqueued_at', entry.enqueued_at);
+
+        if (countError) {
+            logger.error('Error counting queue position:', countError);
+        }
+
+        return (count || 0) + 1;
+    }
+
+    /**
+     * Average talk time of the queue's recent calls
+     * @param {string} queueId - Queue identifier
+     * @returns {Promise<number>} Seconds
+     */
+    async averageHandleSeconds(queueId) {
+        const { data: entries, error: entriesError } = await supabase
+            .from('queue_entries')
+            .select('talk_seconds')
+            .eq('queue_id', queueId)
+            .eq('status', 'completed')
+            .not('talk_seconds', 'is', null)
+            .order('ended_at', { ascending: false })
+            .limit(HANDLE_TIME_SAMPLE);
+
+        if (entriesError) {
+            logger.error('Error fetching queue handle times:', entriesError);
+        }
+
+        if (!entries || entries.length === 0) {
+            return DEFAULT_HANDLE_SECONDS;
+        }
+
+        return Math.round(entries.reduce((sum, entry) => sum + entry.talk_seconds, 0) / entries.length);
+    }
+
+    /**
+     * Estimate how long a caller will wait
+     * Agents take callers in parallel, so each agent works through an equal
+     * share of the callers ahead.
+     * @param {number} position - Place in line, from 1
+     * @param {number} staffedAgents - Agents logged in and not on break
+     * @param {number} handleSeconds - Average talk time
+     * @returns {number} Seconds
+     */
+    estimateWait(position, staffedAgents, handleSeconds) {
+        return Math.ceil(position / Math.max(staffedAgents, 1)) * handleSeconds;
+    }
+
+    /**
+     * Build the position and wait time announcement
+     * @param {Object} queue - call_queues row
+     * @param {number} position - Place in line
+     * @param {number} etaSeconds - Estimated wait
+     * @returns {string|null} Announcement, or null when the queue announces neither
+     */
+    announcement(queue, position, etaSeconds) {
+        const parts = [];
+
+        if (queue.announce_position !== false) {
+            parts.push(position === 1
+                ? 'You are next in line.'
+                : `You are caller number ${position} in line.`);
+        }
+
+        if (queue.announce_eta !== false) {
+            const minutes = Math.max(Math.round(etaSeconds / 60), 1);
+            parts.push(`Your estimated wait time is about ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+        }
+
+        return parts.length > 0 ? parts.join(' ') : null;
+    }
+
+    /**
+     * Resolve an `enqueue` action into the queue's hold, or its overflow
+     * Callers are only held while at least one agent is logged in.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} params - `{ queue, message }`
+     * @returns {Promise<Object>} `{ action, params }`
+     */
+    async enqueueAction(tenantId, params = {}) {
+        const queue = await this.getByName(tenantId, params.queue);
+        if (!queue) {
+            logger.warn('Call queue not found', { tenantId, queue: params.queue });
+            return DEFAULT_VOICEMAIL;
+        }
+
+        const agents = await this.getAgents(queue);
+        if (!agents.some(agent => agent.status !== 'offline')) {
+            return this.overflowAction(queue);
+        }
+
+        return {
+            action: 'enqueue',
+            params: {
+                queue: queue.name,
+                message: params.message !== undefined
+                    ? params.message
+                    : (queue.greeting || 'Please hold for the next available agent.')
+            }
+        };
+    }
+
+    /**
+     * Decide what a holding caller hears next
+     * SignalWire polls the queue's wait URL each time the previous answer has
+     * played. The caller leaves the queue once an agent is reserved for them,
+     * they ask for a callback, or the queue's max wait runs out; otherwise
+     * they hear the announcement when it is due, then hold audio.
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} queueName - Queue name
+     * @param {Object} caller - Caller details
+     * @param {string} caller.callId - Call identifier
+     * @param {string} caller.from - Caller number
+     * @param {string} caller.digits - Key pressed at the callback offer
+     * @param {Date} caller.at - Instant of the poll
+     * @returns {Promise<Object>} `{ action, params }`
+     */
+    async waitAction(tenantId, queueName, { callId, from, digits, at = new Date() }) {
+        const queue = await this.getByName(tenantId, queueName);
+        if (!queue) {
+            return { action: 'queue_leave', params: {} };
+        }
+
+        const entry = await this.join(queue, { callId, from });
+        const waitedSeconds = (at - new Date(entry.enqueued_at)) / 1000;
+
+        if (entry.status === 'offered') {
+            return { action: 'queue_leave', params: {} };
+        }
+
+        if (queue.callback_enabled && digits === '1') {
+            await this.updateEntry(entry.id, {
+                status: 'callback_requested',
+                callback_number: from || null,
+                ended_at: at.toISOString()
+            });
+            logger.info('Queue callback requested', { queueId: queue.id, callId });
+            return { action: 'queue_leave', params: {} };
+        }
+
+        if (waitedSeconds >= queue.max_wait_seconds) {
+            await this.updateEntry(entry.id, { status: 'timed_out', ended_at: at.toISOString() });
+            return { action: 'queue_leave', params: {} };
+        }
+
+        const agents = await this.getAgents(queue, at);
+        const available = this.availableAgents(agents);
+        const position = await this.getPosition(entry);
+
+        // The first callers in line each take one of the available agents
+        const agent = available[position - 1];
+        if (agent && await this.transitionAgent(tenantId, agent.user_id, agent.presence.status, {
+            status: 'on_call',
+            wrap_up_until: null
+        })) {
+            await this.updateEntry(entry.id, {
+                status: 'offered',
+                agent_user_id: agent.user_id,
+                offers: (entry.offers || 0) + 1
+            });
+            return { action: 'queue_leave', params: {} };
+        }
+
+        let announcement = null;
+        const lastAnnounced = entry.last_announced_at ? new Date(entry.last_announced_at) : null;
+        if (!lastAnnounced || (at - lastAnnounced) / 1000 >= queue.announce_interval_seconds) {
+            const staffed = agents.filter(candidate => !['offline', 'break'].includes(candidate.status)).length;
+            const eta = this.estimateWait(position, staffed, await this.averageHandleSeconds(queue.id));
+
+            announcement = this.announcement(queue, position, eta);
+            await this.updateEntry(entry.id, { last_announced_at: at.toISOString() });
+        }
+
+        const offerCallback = queue.callback_enabled && waitedSeconds >= queue.callback_offer_after_seconds;
+
+        return {
+            action: 'queue_hold',
+            params: {
+                queue: queue.name,
+                announcement,
+                callbackPrompt: offerCallback
+                    ? 'To hang up and receive a call back when an agent is free, press 1.'
+                    : null,
+                holdAudioUrl: queue.hold_audio_url,
+                pause: HOLD_PAUSE_SECONDS
+            }
+        };
+    }
+
+    /**
+     * Decide where a caller goes after leaving the queue
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} queueName - Queue name
+     * @param {Object} result - Queue result
+     * @param {string} result.callId - Call identifier
+     * @param {string} result.queueResult - SignalWire QueueResult (`leave`, `hangup`...)
+     * @returns {Promise<Object>} `{ action, params }`
+     */
+    async resultAction(tenantId, queueName, { callId, queueResult }) {
+        const queue = await this.getByName(tenantId, queueName);
+        const entry = queue ? await this.getEntry(queue, callId) : null;
+
+        if (!queue || !entry) {
+            return DEFAULT_VOICEMAIL;
+        }
+
+        if (queueResult === 'hangup') {
+            if (WAITING_STATUSES.includes(entry.status)) {
+                await this.updateEntry(entry.id, { status: 'abandoned', ended_at: new Date().toISOString() });
+            }
+            if (entry.status === 'offered') {
+                await this.transitionAgent(tenantId, entry.agent_user_id, 'on_call', { status: 'available' });
+            }
+            return { action: 'hangup', params: { reason: 'queue_abandoned' } };
+        }
+
+        switch (entry.status) {
+            case 'offered': {
+                const agents = await this.getAgents(queue);
+                const agent = agents.find(candidate => candidate.user_id === entry.agent_user_id);
+
+                if (!agent || agent.destinations.length === 0) {
+                    await this.transitionAgent(tenantId, entry.agent_user_id, 'on_call', { status: 'available' });
+                    await this.updateEntry(entry.id, { status: 'waiting', agent_user_id: null });
+                    return { action: 'enqueue', params: { queue: queue.name, message: null } };
+                }
+
+                return {
+                    action: 'queue_agent',
+                    params: {
+                        queue: queue.name,
+                        entry: entry.id,
+                        agent: agent.users
+                            ? `${agent.users.first_name || ''} ${agent.users.last_name || ''}`.trim()
+                            : agent.extensions?.name,
+                        extension: agent.extensions?.extension_number,
+                        destinations: agent.destinations,
+                        timeout: queue.agent_ring_timeout
+                    }
+                };
+            }
+
+            case 'callback_requested':
+                return {
+                    action: 'hangup',
+                    params: {
+                        reason: 'queue_callback',
+                        message: 'Thank you. An agent will call you back as soon as possible. Goodbye.'
+                    }
+                };
+
+            default:
+                return this.overflowAction(queue);
+        }
+    }
+
+    /**
+     * Record how an agent's ring for a queued caller ended
+     * An answered call completes the entry and starts the agent's wrap-up.
+     * An unanswered agent is put on break and the caller goes back in line.
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} queueName - Queue name
+     * @param {Object} result - Dial result
+     * @param {string} result.entryId - Queue entry identifier
+     * @param {boolean} result.answered - Whether the agent answered
+     * @param {number} result.talkSeconds - DialCallDuration of the bridged call
+     * @param {Date} result.at - Instant the dial ended
+     * @returns {Promise<Object>} `{ action, params }`
+     */
+    async dialResult(tenantId, queueName, { entryId, answered, talkSeconds, at = new Date() }) {
+        const { data: entry, error: entryError } = await supabase
+            .from('queue_entries')
+            .select('*, call_queues(name, wrap_up_seconds)')
+            .eq('id', entryId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (entryError || !entry) {
+            logger.error('Queue entry not found for dial result:', entryError);
+            return answered ? { action: 'answered', params: {} } : DEFAULT_VOICEMAIL;
+        }
+
+        const agentId = entry.agent_user_id;
+
+        if (!answered) {
+            await this.transitionAgent(tenantId, agentId, 'on_call', {
+                status: 'break',
+                reason: 'Missed queue call'
+            });
+            await this.updateEntry(entry.id, { status: 'waiting', agent_user_id: null });
+            logger.info('Queue agent missed call', { entryId, agentId });
+
+            return {
+                action: 'enqueue',
+                params: { queue: queueName || entry.call_queues?.name, message: 'Please continue to hold.' }
+            };
+        }
+
+        const seconds = Number(talkSeconds) || 0;
+        await this.updateEntry(entry.id, {
+            status: 'completed',
+            connected_at: new Date(at.getTime() - seconds * 1000).toISOString(),
+            ended_at: at.toISOString(),
+            talk_seconds: seconds
+        });
+
+        const presence = (await this.getPresence(tenantId, [agentId]))[agentId];
+        const wrapUpSeconds = presence?.wrap_up_seconds ?? entry.call_queues?.wrap_up_seconds ?? 0;
+
+        await this.transitionAgent(tenantId, agentId, 'on_call', {
+            status: wrapUpSeconds > 0 ? 'wrap_up' : 'available',
+            wrap_up_until: wrapUpSeconds > 0 ? new Date(at.getTime() + wrapUpSeconds * 1000).toISOString() : null,
+            last_call_ended_at: at.toISOString()
+        });
+
+        return { action: 'answered', params: { duration: seconds } };
+    }
+
+    /**
+     * Live view of a queue: callers in line, pending callbacks and agents
+     * @param {Object} queue - call_queues row with `queue_agents`
+     * @param {Date} at - Instant to report at
+     * @returns {Promise<Object>} `{ waiting, callbacks, agents, stats }`
+     */
+    async getState(queue, at = new Date()) {
+        const { data: entries, error: entriesError } = await supabase
+            .from('queue_entries')
+            .select('*')
+            .eq('queue_id', queue.id)
+            .in('status', [...WAITING_STATUSES, 'callback_requested'])
+            .order('enqueued_at', { ascending: true });
+
+        if (entriesError) {
+            throw entriesError;
+        }
+
+        const agents = await this.getAgents(queue, at);
+        const handleSeconds = await this.averageHandleSeconds(queue.id);
+        const staffed = agents.filter(agent => !['offline', 'break'].includes(agent.status)).length;
+
+        let position = 0;
+        const waiting = entries
+            .filter(entry => WAITING_STATUSES.includes(entry.status))
+            .map(entry => ({
+                id: entry.id,
+                callId: entry.call_id,
+                callerNumber: entry.caller_number,
+                status: entry.status,
+                position: entry.status === 'waiting' ? ++position : null,
+                waitSeconds: Math.max(Math.round((at - new Date(entry.enqueued_at)) / 1000), 0),
+                agentUserId: entry.agent_user_id,
+                enqueuedAt: entry.enqueued_at
+            }));
+
+        return {
+            waiting,
+            callbacks: entries
+                .filter(entry => entry.status === 'callback_requested')
+                .map(entry => ({
+                    id: entry.id,
+                    callId: entry.call_id,
+                    callbackNumber: entry.callback_number || entry.caller_number,
+                    requestedAt: entry.ended_at
+                })),
+            agents: agents.map(agent => ({
+                userId: agent.user_id,
+                name: agent.users ? `${agent.users.first_name || ''} ${agent.users.last_name || ''}`.trim() : null,
+                extensionNumber: agent.extensions?.extension_number || null,
+                priority: agent.priority,
+                status: agent.status,
+                reason: agent.presence?.reason || null,
+                wrapUpUntil: agent.status === 'wrap_up' ? agent.presence.wrap_up_until : null,
+                lastCallEndedAt: agent.presence?.last_call_ended_at || null,
+                reachable: agent.destinations.length > 0
+            })),
+            stats: {
+                waiting: waiting.length,
+                longestWaitSeconds: waiting.length > 0 ? waiting[0].waitSeconds : 0,
+                availableAgents: this.availableAgents(agents).length,
+                staffedAgents: staffed,
+                averageHandleSeconds: handleSeconds,
+                estimatedWaitSeconds: this.estimateWait(position + 1, staffed, handleSeconds)
+            }
+        };
+    }
+}
+
+// Create singleton instance
+const callQueueService = new CallQueueService();
+
+module.exports = callQueueService;
+module.exports.AGENT_STATUSES = AGENT_STATUSES;
+module.exports.AGENT_SETTABLE_STATUSES = AGENT_SETTABLE_STATUSES;
+module.exports.OVERFLOW_TYPES = OVERFLOW_TYPES;
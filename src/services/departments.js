@@ -0,0 +1,317 @@
+const { supabase } = require('../database/connection');
+const dialPlanService = require('./dialPlan');
+const logger = require('../utils/logger');
+
+const RING_STRATEGIES = ['simultaneous', 'sequential', 'round_robin', 'least_recently_called', 'weighted'];
+
+const OVERFLOW_TYPES = ['voicemail', 'extension', 'department', 'number', 'queue', 'hangup'];
+
+// Seconds each member rings when neither the member nor the department sets it
+const DEFAULT_RING_TIMEOUT = 20;
+
+const DEPARTMENT_SELECT = `
+    id, name, settings, ring_strategy, ring_timeout, overflow, round_robin_position,
+    department_members(
+        id, extension_id, position, weight, ring_timeout, last_called_at, is_active,
+        extensions(extension_number, name, dial_plan, status)
+    )
+`;
+
+class DepartmentService {
+    /**
+     * Load a department with its members by name
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} name - Department name
+     * @returns {Promise<Object|null>} departments row with `department_members`
+     */
+    async getByName(tenantId, name) {
+        const { data: department, error: departmentError } = await supabase
+            .from('departments')
+            .select(DEPARTMENT_SELECT)
+            .eq('tenant_id', tenantId)
+            .eq('name', name)
+            .single();
+
+        if (departmentError && departmentError.code !== 'PGRST116') {
+            logger.error('Error fetching department:', departmentError);
+        }
+
+        return department || null;
+    }
+
+    /**
+     * Check an overflow destination
+     * @param {Object} overflow - `{ type, target, message }`
+     * @returns {Array<Object>} List of `{ field, message }` errors, empty when valid
+     */
+    validateOverflow(overflow) {
+        if (overflow === null || overflow === undefined) {
+            return [];
+        }
+
+        if (typeof overflow !== 'object' || !OVERFLOW_TYPES.includes(overflow.type)) {
+            return [{ field: 'overflow.type', message: `Overflow type must be one of: ${OVERFLOW_TYPES.join(', ')}` }];
+        }
+
+        if (['extension', 'department', 'number', 'queue'].includes(overflow.type) && !overflow.target) {
+            return [{ field: 'overflow.target', message: `Overflow to ${overflow.type} requires a target` }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Members that can be rung: active, with an active extension whose dial
+     * plan rings right now (not on do-not-disturb). A member is rung at the
+     * first step of its dial plan.
+     * @param {Object} department - departments row with `department_members`
+     * @param {Date} at - Instant to evaluate dial plan rules at
+     * @returns {Array<Object>} Members sorted by position
+     */
+    ringableMembers(department, at = new Date()) {
+        return (department.department_members || [])
+            .filter(member => member.is_active !== false && member.extensions?.status === 'active')
+            .map(member => {
+                const step = dialPlanService.evaluate(member.extensions.dial_plan, { at });
+                return { ...member, destinations: step.type === 'ring' ? step.destinations : [] };
+            })
+            .filter(member => member.destinations.length > 0)
+            .sort((a, b) => (a.position || 0) - (b.position || 0));
+    }
+
+    /**
+     * Order members for the department's ring strategy
+     * Simultaneous and sequential keep member positions, round robin starts
+     * after the member that was offered the previous call, least recently
+     * called puts members who have waited longest first, and weighted draws
+     * members at random in proportion to their weight.
+     * @param {Object} department - departments row with `department_members`
+     * @param {Object} options - Ordering options
+     * @param {Function} options.random - Random number source, for weighted order
+     * @returns {Array<Object>} Dial list of `{ memberId, extension, name, timeout, destinations }`
+     */
+    buildDialList(department, { random = Math.random } = {}) {
+        let members = this.ringableMembers(department);
+
+        switch (department.ring_strategy) {
+            case 'round_robin': {
+                const start = members.length > 0 ? (department.round_robin_position || 0) % members.length : 0;
+                members = [...members.slice(start), ...members.slice(0, start)];
+                break;
+            }
+
+            case 'least_recently_called':
+                members = [...members].sort((a, b) => {
+                    const aTime = a.last_called_at ? new Date(a.last_called_at).getTime() : 0;
+                    const bTime = b.last_called_at ? new Date(b.last_called_at).getTime() : 0;
+                    return aTime - bTime;
+                });
+                break;
+
+            case 'weighted': {
+                const pool = [...members];
+                members = [];
+                while (pool.length > 0) {
+                    const total = pool.reduce((sum, member) => sum + Math.max(member.weight || 1, 0), 0);
+                    let pick = random() * total;
+                    const index = pool.findIndex(member => {
+                        pick -= Math.max(member.weight || 1, 0);
+                        return pick < 0;
+                    });
+                    members.push(pool.splice(index === -1 ? pool.length - 1 : index, 1)[0]);
+                }
+                break;
+            }
+
+            default:
+                break;
+        }
+
+        return members.map(member => ({
+            memberId: member.id,
+            extension: member.extensions.extension_number,
+            name: member.extensions.name,
+            timeout: member.ring_timeout || department.ring_timeout || DEFAULT_RING_TIMEOUT,
+            destinations: member.destinations
+        }));
+    }
+
+    /**
+     * Put a dial list back in the order it was first rung in
+     * Later attempts of a call keep the order chosen on the first, even when
+     * round robin or weighted order would now pick differently. Members who
+     * can no longer ring are left out.
+     * @param {Array<Object>} dialList - Current dial list
+     * @param {Array<string>} order - Member ids (extension numbers on calls
+     *   started before orders used member ids)
+     * @returns {Array<Object>} Reordered dial list
+     */
+    applyOrder(dialList, order) {
+        return order
+            .map(key => dialList.find(entry => entry.memberId === key || entry.extension === key))
+            .filter(Boolean);
+    }
+
+    /**
+     * Remember who was offered a call, for round robin and least recently called
+     * @param {Object} department - departments row
+     * @param {Array<Object>} dialList - Dial list that was rung
+     * @returns {Promise<void>}
+     */
+    async recordRing(department, dialList) {
+        if (dialList.length === 0) {
+            return;
+        }
+
+        if (department.ring_strategy === 'round_robin') {
+            const { error: updateError } = await supabase
+                .from('departments')
+                .update({ round_robin_position: (department.round_robin_position || 0) + 1 })
+                .eq('id', department.id);
+
+            if (updateError) {
+                logger.error('Error advancing round robin position:', updateError);
+            }
+        }
+
+        if (department.ring_strategy === 'least_recently_called') {
+            const { error: updateError } = await supabase
+                .from('department_members')
+                .update({ last_called_at: new Date().toISOString() })
+                .eq('id', dialList[0].memberId);
+
+            if (updateError) {
+                logger.error('Error recording department member call:', updateError);
+            }
+        }
+    }
+
+    /**
+     * Turn the department's overflow destination into an IVR action
+     * @param {Object} department - departments row
+     * @param {Array<string>} visited - Ids of the departments the call has already overflowed from
+     * @returns {Object|null} `{ action, params }`, or null when none is set
+     */
+    overflowAction(department, visited = []) {
+        const overflow = department.overflow;
+        if (!overflow || !overflow.type) {
+            return null;
+        }
+
+        switch (overflow.type) {
+            case 'voicemail':
+                return {
+                    action: 'voicemail',
+                    params: {
+                        message: overflow.message || `No one in ${department.name} is available. Please leave a message.`,
+                        ...(overflow.target ? { mailbox: overflow.target } : {})
+                    }
+                };
+            case 'extension':
+                return { action: 'extension', params: { extension: String(overflow.target) } };
+            case 'department':
+                return {
+                    action: 'dept',
+                    params: { department: overflow.target, visited: [...visited, department.id].join(',') }
+                };
+            case 'number':
+                return { action: 'forward', params: { number: overflow.target } };
+            case 'queue':
+                return {
+                    action: 'enqueue',
+                    params: { queue: overflow.target, message: overflow.message }
+                };
+            default:
+                return {
+                    action: 'hangup',
+                    params: { reason: 'department_overflow', message: overflow.message }
+                };
+        }
+    }
+
+    /**
+     * Decide what to ring for a department
+     * The first attempt builds the dial list for the ring strategy; each
+     * unanswered attempt comes back with the member it rang and the original
+     * order, and rings the next member after it who can still ring. The dial
+     * list starts with the member to ring now. Once everyone has been rung,
+     * or when no member can be rung, callers wait in the department's call
+     * queue, or the overflow destination takes over when it has none.
+     * A department the call already overflowed from sends it to voicemail
+     * instead, so departments overflowing into each other cannot loop.
+     * @param {Object} department - departments row with `department_members`
+     * @param {Object} options - Dial options
+     * @param {number} options.attempt - Attempts already made (0 on the first attempt)
+     * @param {string} options.order - Comma-separated member ids in the order of the first attempt
+     * @param {string} options.member - Id of the member the previous attempt rang
+     * @param {string} options.visited - Comma-separated ids of the departments the call overflowed from
+     * @param {string} options.queue - Name of the call queue that holds the department's callers
+     * @returns {Promise<Object>} `{ action, params }`
+     */
+    async dialAction(department, { attempt = 0, order, member, visited, queue } = {}) {
+        const visitedIds = String(visited || '').split(',').filter(Boolean);
+
+        if (visitedIds.includes(department.id)) {
+            logger.warn('Department overflow loop', { department: department.name, visited: visitedIds });
+            return {
+                action: 'voicemail',
+                params: { message: `No one in ${department.name} is available. Please leave a message.` }
+            };
+        }
+
+        let dialList = this.buildDialList(department);
+        let memberOrder = dialList.map(entry => entry.memberId);
+        const currentAttempt = Number(attempt) || 0;
+        const strategy = department.ring_strategy || 'simultaneous';
+
+        if (currentAttempt === 0) {
+            await this.recordRing(department, dialList);
+        } else if (order) {
+            memberOrder = String(order).split(',');
+            const previous = member ? memberOrder.indexOf(String(member)) : -1;
+            // Calls started before attempts carried the member count members by position
+            const next = previous >= 0 ? previous + 1 : currentAttempt;
+            dialList = this.applyOrder(dialList, memberOrder.slice(next));
+        }
+
+        // Everyone rings at once, so one unanswered attempt exhausts the list
+        const exhausted = strategy === 'simultaneous'
+            ? currentAttempt > 0
+            : dialList.length === 0;
+
+        if (dialList.length === 0 || exhausted) {
+            if (queue) {
+                return {
+                    action: 'enqueue',
+                    params: { queue, message: department.settings?.queueMessage }
+                };
+            }
+
+            const overflow = this.overflowAction(department, visitedIds);
+            if (overflow) {
+                return overflow;
+            }
+        }
+
+        return {
+            action: 'dept',
+            params: {
+                department: department.name,
+                greeting: department.settings?.greeting || `Connecting you to ${department.name}`,
+                strategy,
+                timeout: department.ring_timeout || DEFAULT_RING_TIMEOUT,
+                attempt: currentAttempt,
+                order: memberOrder.join(','),
+                visited: visitedIds.length > 0 ? visitedIds.join(',') : undefined,
+                dialList
+            }
+        };
+    }
+}
+
+// Create singleton instance
+const departmentService = new DepartmentService();
+
+module.exports = departmentService;
+module.exports.RING_STRATEGIES = RING_STRATEGIES;
+module.exports.OVERFLOW_TYPES = OVERFLOW_TYPES;
@@ -0,0 +1,412 @@
+const businessHoursService = require('./businessHours');
+const { WEEKDAYS } = require('./businessHours');
+
+const LEGACY_TYPES = ['simultaneous', 'sequential'];
+
+const DESTINATION_TYPES = ['device', 'sip', 'number'];
+
+const NO_ANSWER_ACTIONS = ['voicemail', 'forward', 'hangup'];
+
+// Fields a time-based rule can override
+const RULE_FIELDS = ['dnd', 'forward', 'steps', 'noAnswer'];
+
+const NUMBER_PATTERN = /^\+?[0-9]{3,15}$/;
+
+// Seconds a step rings when neither the step nor the plan sets it
+const DEFAULT_TIMEOUT = 20;
+
+class DialPlanService {
+    /**
+     * Parse a stored dial plan
+     * @param {string|Object} dialPlan - extensions.dial_plan
+     * @returns {Object} Dial plan
+     */
+    parse(dialPlan) {
+        if (typeof dialPlan === 'string') {
+            try {
+                return JSON.parse(dialPlan);
+            } catch (error) {
+                return {};
+            }
+        }
+
+        return dialPlan || {};
+    }
+
+    /**
+     * Validate a ring destination
+     * @param {Object} destination - `{ type, number, sip, sendDigits }`
+     * @param {string} field - Field path used in error messages
+     * @returns {Array<Object>} Validation errors
+     */
+    validateDestination(destination, field) {
+        if (!destination || typeof destination !== 'object') {
+            return [{ field, message: 'Destination must be an object with a number or sip address' }];
+        }
+
+        const errors = [];
+
+        if (destination.type !== undefined && !DESTINATION_TYPES.includes(destination.type)) {
+            errors.push({ field: `${field}.type`, message: `Destination type must be one of: ${DESTINATION_TYPES.join(', ')}` });
+        }
+
+        if (!destination.number && !destination.sip) {
+            errors.push({ field, message: 'Destination requires a number or sip address' });
+        }
+
+        if (destination.number && !NUMBER_PATTERN.test(String(destination.number))) {
+            errors.push({ field: `${field}.number`, message: 'Number must be 3 to 15 digits, optionally starting with +' });
+        }
+
+        if (destination.sip && !/^sip:.+@.+/.test(destination.sip)) {
+            errors.push({ field: `${field}.sip`, message: 'SIP address must look like sip:user@domain' });
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a ring timeout
+     * @param {*} timeout - Timeout in seconds
+     * @param {string} field - Field path used in error messages
+     * @returns {Array<Object>} Validation errors
+     */
+    validateTimeout(timeout, field) {
+        if (timeout === undefined || timeout === null) {
+            return [];
+        }
+
+        if (!Number.isInteger(timeout) || timeout < 5 || timeout > 300) {
+            return [{ field, message: 'Timeout must be a whole number of seconds between 5 and 300' }];
+        }
+
+        return [];
+    }
+
+    /**
+     * Validate the fields a plan and its rules share
+     * @param {Object} plan - Dial plan or rule
+     * @param {string} prefix - Field path prefix used in error messages
+     * @returns {Array<Object>} Validation errors
+     */
+    validateRouting(plan, prefix) {
+        const errors = [];
+
+        if (plan.dnd !== undefined && typeof plan.dnd !== 'boolean') {
+            errors.push({ field: `${prefix}dnd`, message: 'dnd must be true or false' });
+        }
+
+        if (plan.forward !== undefined && plan.forward !== null) {
+            if (typeof plan.forward !== 'object' || !NUMBER_PATTERN.test(String(plan.forward.number || ''))) {
+                errors.push({ field: `${prefix}forward.number`, message: 'Forward requires a number of 3 to 15 digits' });
+            } else {
+                errors.push(...this.validateTimeout(plan.forward.timeout, `${prefix}forward.timeout`));
+            }
+        }
+
+        if (plan.steps !== undefined) {
+            if (!Array.isArray(plan.steps) || plan.steps.length === 0) {
+                errors.push({ field: `${prefix}steps`, message: 'Steps must be a non-empty array' });
+            } else {
+                plan.steps.forEach((step, index) => {
+                    const field = `${prefix}steps[${index}]`;
+                    if (!step || !Array.isArray(step.destinations) || step.destinations.length === 0) {
+                        errors.push({ field: `${field}.destinations`, message: 'Each step must ring at least one destination' });
+                    } else {
+                        step.destinations.forEach((destination, destinationIndex) => {
+                            errors.push(...this.validateDestination(destination, `${field}.destinations[${destinationIndex}]`));
+                        });
+                    }
+                    errors.push(...this.validateTimeout(step?.timeout, `${field}.timeout`));
+                });
+            }
+        }
+
+        if (plan.noAnswer !== undefined && plan.noAnswer !== null) {
+            if (typeof plan.noAnswer !== 'object' || !NO_ANSWER_ACTIONS.includes(plan.noAnswer.action)) {
+                errors.push({
+                    field: `${prefix}noAnswer.action`,
+                    message: `noAnswer action must be one of: ${NO_ANSWER_ACTIONS.join(', ')}`
+                });
+            } else if (plan.noAnswer.action === 'forward' && !NUMBER_PATTERN.test(String(plan.noAnswer.number || ''))) {
+                errors.push({ field: `${prefix}noAnswer.number`, message: 'Forwarding on no answer requires a number' });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a dial plan
+     * Plans ring follow-me `steps` (or the older `type` + `destinations`),
+     * can `forward` everything to an external number, turn on `dnd`, say
+     * what happens on `noAnswer`, and override any of these with time-based
+     * `rules`.
+     * @param {Object} dialPlan - Dial plan
+     * @returns {Array<Object>} List of `{ field, message }` errors, empty when valid
+     */
+    validate(dialPlan) {
+        if (!dialPlan || typeof dialPlan !== 'object' || Array.isArray(dialPlan)) {
+            return [{ field: 'dialPlan', message: 'Dial plan must be an object' }];
+        }
+
+        const errors = [];
+
+        if (dialPlan.type !== undefined && !LEGACY_TYPES.includes(dialPlan.type)) {
+            errors.push({ field: 'dialPlan.type', message: 'Dial plan type must be either "simultaneous" or "sequential"' });
+        }
+
+        if (dialPlan.destinations !== undefined) {
+            if (!Array.isArray(dialPlan.destinations)) {
+                errors.push({ field: 'dialPlan.destinations', message: 'Destinations must be an array' });
+            } else {
+                dialPlan.destinations.forEach((destination, index) => {
+                    errors.push(...this.validateDestination(destination, `dialPlan.destinations[${index}]`));
+                    errors.push(...this.validateTimeout(destination?.timeout, `dialPlan.destinations[${index}].timeout`));
+                });
+            }
+        }
+
+        if (dialPlan.steps !== undefined && dialPlan.destinations !== undefined) {
+            errors.push({ field: 'dialPlan.steps', message: 'Use either steps or destinations, not both' });
+        }
+
+        errors.push(...this.validateTimeout(dialPlan.timeout, 'dialPlan.timeout'));
+        errors.push(...this.validateRouting(dialPlan, 'dialPlan.'));
+
+        if (dialPlan.timezone !== undefined && !businessHoursService.isValidTimezone(dialPlan.timezone)) {
+            errors.push({ field: 'dialPlan.timezone', message: `'${dialPlan.timezone}' is not a valid IANA timezone` });
+        }
+
+        const rings = (Array.isArray(dialPlan.steps) && dialPlan.steps.length > 0) ||
+            (Array.isArray(dialPlan.destinations) && dialPlan.destinations.length > 0) ||
+            !!dialPlan.forward || dialPlan.dnd === true;
+        if (!rings) {
+            errors.push({
+                field: 'dialPlan',
+                message: 'Dial plan must have at least one destination, a forward number or do-not-disturb'
+            });
+        }
+
+        if (dialPlan.rules !== undefined) {
+            if (!Array.isArray(dialPlan.rules)) {
+                errors.push({ field: 'dialPlan.rules', message: 'Rules must be an array' });
+            } else {
+                dialPlan.rules.forEach((rule, index) => {
+                    const prefix = `dialPlan.rules[${index}].`;
+
+                    if (!rule || typeof rule !== 'object') {
+                        errors.push({ field: `dialPlan.rules[${index}]`, message: 'Rule must be an object' });
+                        return;
+                    }
+
+                    if (rule.days !== undefined &&
+                        (!Array.isArray(rule.days) || rule.days.some(day => !WEEKDAYS.includes(day)))) {
+                        errors.push({ field: `${prefix}days`, message: `Days must be a list of: ${WEEKDAYS.join(', ')}` });
+                    }
+
+                    if (rule.start !== undefined || rule.end !== undefined) {
+                        businessHoursService.validateRange({ open: rule.start, close: rule.end }, `${prefix}start`)
+                            .forEach(error => errors.push({ ...error, message: 'Rule needs start and end times in HH:mm format that differ' }));
+                    }
+
+                    if (!RULE_FIELDS.some(field => rule[field] !== undefined)) {
+                        errors.push({
+                            field: `dialPlan.rules[${index}]`,
+                            message: `Rule must override at least one of: ${RULE_FIELDS.join(', ')}`
+                        });
+                    }
+
+                    errors.push(...this.validateRouting(rule, prefix));
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Find the first rule that applies at an instant
+     * A rule applies on its `days` (every day when omitted) between its
+     * `start` and `end` (all day when omitted); ranges may run past midnight.
+     * @param {Object} dialPlan - Dial plan
+     * @param {Date} at - Instant to evaluate
+     * @returns {Object|null} Matching rule
+     */
+    matchRule(dialPlan, at) {
+        const local = businessHoursService.getLocalParts(at, dialPlan.timezone || 'UTC');
+        const yesterday = WEEKDAYS[(WEEKDAYS.indexOf(local.weekday) + 6) % 7];
+
+        return (dialPlan.rules || []).find(rule => {
+            const onDay = day => !rule.days || rule.days.includes(day);
+
+            if (!rule.start || !rule.end) {
+                return onDay(local.weekday);
+            }
+
+            const range = [{ open: rule.start, close: rule.end }];
+            return businessHoursService.isWithinRanges(
+                onDay(local.weekday) ? range : [],
+                onDay(yesterday) ? range : [],
+                local.minutes
+            );
+        }) || null;
+    }
+
+    /**
+     * List the ring steps of a plan
+     * `forward` replaces the steps; the older `type` + `destinations` shape
+     * becomes one step (simultaneous) or one step per destination (sequential).
+     * @param {Object} plan - Dial plan with any rule applied
+     * @returns {Array<Object>} Steps of `{ destinations, timeout }`
+     */
+    getSteps(plan) {
+        const fallbackTimeout = plan.timeout || DEFAULT_TIMEOUT;
+
+        if (plan.forward) {
+            return [{
+                destinations: [{ number: plan.forward.number }],
+                timeout: plan.forward.timeout || fallbackTimeout
+            }];
+        }
+
+        if (Array.isArray(plan.steps)) {
+            return plan.steps.map(step => ({
+                destinations: step.destinations,
+                timeout: step.timeout || fallbackTimeout
+            }));
+        }
+
+        const destinations = plan.destinations || [];
+
+        if (plan.type === 'sequential') {
+            return destinations.map(destination => ({
+                destinations: [destination],
+                timeout: destination.timeout || fallbackTimeout
+            }));
+        }
+
+        return destinations.length > 0 ? [{ destinations, timeout: fallbackTimeout }] : [];
+    }
+
+    /**
+     * Work out what a dial plan does next
+     * @param {string|Object} dialPlan - Dial plan
+     * @param {Object} options - Evaluation options
+     * @param {Date} options.at - Instant to evaluate, for time-based rules
+     * @param {number} options.attempt - Steps already rung on this call
+     * @returns {Object} `{ type: 'ring', destinations, timeout, attempt, final }` or
+     *   `{ type: 'no_answer', reason: 'dnd' | 'exhausted', noAnswer }`, with the applied `rule`
+     */
+    evaluate(dialPlan, { at = new Date(), attempt = 0 } = {}) {
+        const base = this.parse(dialPlan);
+        const rule = this.matchRule(base, at);
+        const plan = { ...base };
+
+        if (rule) {
+            RULE_FIELDS.forEach(field => {
+                if (rule[field] !== undefined) {
+                    plan[field] = rule[field];
+                }
+            });
+
+            // A rule's own steps or forward replace the plan's ringing entirely
+            if (rule.steps !== undefined || rule.forward !== undefined) {
+                delete plan.destinations;
+                if (rule.steps === undefined) {
+                    delete plan.steps;
+                }
+                if (rule.forward === undefined) {
+                    delete plan.forward;
+                }
+            }
+        }
+
+        const ruleName = rule ? (rule.name || null) : null;
+
+        if (plan.dnd) {
+            return { type: 'no_answer', reason: 'dnd', noAnswer: plan.noAnswer || null, rule: ruleName };
+        }
+
+        const steps = this.getSteps(plan);
+        const current = Number(attempt) || 0;
+        const step = steps[current];
+
+        if (!step) {
+            return { type: 'no_answer', reason: 'exhausted', noAnswer: plan.noAnswer || null, rule: ruleName };
+        }
+
+        return {
+            type: 'ring',
+            destinations: step.destinations,
+            timeout: step.timeout,
+            attempt: current,
+            final: current === steps.length - 1,
+            rule: ruleName
+        };
+    }
+
+    /**
+     * Turn an extension's dial plan into the next IVR action
+     * Ringing becomes an `extension` action with concrete destinations.
+     * After the last step, or under do-not-disturb, the plan's `noAnswer`
+     * applies; without one an exhausted plan returns an `extension` action
+     * with no destinations so the flow's `no_answer` edge takes over, and
+     * do-not-disturb goes to voicemail.
+     * @param {Object} extension - extensions row (`extension_number`, `name`, `dial_plan`)
+     * @param {Object} options - `{ at, attempt }`
+     * @returns {Object} `{ action, params }`
+     */
+    nextAction(extension, { at = new Date(), attempt = 0 } = {}) {
+        const result = this.evaluate(extension.dial_plan, { at, attempt });
+        const base = {
+            extension: extension.extension_number,
+            name: extension.name,
+            dialPlan: extension.dial_plan
+        };
+
+        if (result.type === 'ring') {
+            return {
+                action: 'extension',
+                params: {
+                    ...base,
+                    attempt: result.attempt,
+                    destinations: result.destinations,
+                    timeout: result.timeout
+                }
+            };
+        }
+
+        const noAnswer = result.noAnswer;
+
+        if (noAnswer?.action === 'forward') {
+            return { action: 'forward', params: { number: noAnswer.number } };
+        }
+
+        if (noAnswer?.action === 'hangup') {
+            return { action: 'hangup', params: { reason: 'extension_unavailable', message: noAnswer.message } };
+        }
+
+        if (noAnswer?.action === 'voicemail' || result.reason === 'dnd') {
+            const params = {
+                message: noAnswer?.message || `${extension.name || 'This extension'} is not available. Please leave a message.`
+            };
+            if (noAnswer?.mailbox) {
+                params.mailbox = noAnswer.mailbox;
+            }
+            return { action: 'voicemail', params };
+        }
+
+        return {
+            action: 'extension',
+            params: { ...base, attempt: Number(attempt) || 0, destinations: [] }
+        };
+    }
+}
+
+// Create singleton instance
+const dialPlanService = new DialPlanService();
+
+module.exports = dialPlanService;
+module.exports.DESTINATION_TYPES = DESTINATION_TYPES;
+module.exports.NO_ANSWER_ACTIONS = NO_ANSWER_ACTIONS;
@@ -0,0 +1,287 @@
+const { supabase } = require('../database/connection');
+const speechMatcher = require('./speechMatcher');
+const logger = require('../utils/logger');
+
+// Telephone keypad letters
+const KEYPAD = {
+    2: 'abc',
+    3: 'def',
+    4: 'ghi',
+    5: 'jkl',
+    6: 'mno',
+    7: 'pqrs',
+    8: 'tuv',
+    9: 'wxyz'
+};
+
+const LETTER_DIGITS = {};
+Object.entries(KEYPAD).forEach(([digit, letters]) => {
+    letters.split('').forEach(letter => {
+        LETTER_DIGITS[letter] = digit;
+    });
+});
+
+// Most names read out in one "press 1 for..." prompt
+const MAX_CHOICES = 8;
+
+// Failed searches before the caller is sent to voicemail
+const MAX_ATTEMPTS = 3;
+
+// Minimum fuzzy score for a spoken name
+const SPEECH_MATCH_THRESHOLD = 0.75;
+
+const YES_PATTERN = /\b(yes|yeah|yep|correct|right|sure)\b/i;
+const NO_PATTERN = /\b(no|nope|wrong|again)\b/i;
+
+class DirectoryService {
+    /**
+     * Spell a name as keypad digits
+     * @param {string} name - Name
+     * @returns {string} Digits, e.g. "smith" becomes "76484"
+     */
+    toKeypad(name) {
+        return String(name || '')
+            .toLowerCase()
+            .split('')
+            .map(letter => LETTER_DIGITS[letter] || '')
+            .join('');
+    }
+
+    /**
+     * Load a tenant's directory
+     * Built from active extensions that have not opted out, named after
+     * their user, or the extension's own name when it has no user.
+     * @param {string} tenantId - Tenant identifier
+     * @returns {Promise<Array<Object>>} Directory entries sorted by last name
+     */
+    async getEntries(tenantId) {
+        const { data: extensions, error: extensionsError } = await supabase
+            .from('extensions')
+            .select('id, extension_number, name, users!left(first_name, last_name)')
+            .eq('tenant_id', tenantId)
+            .eq('status', 'active')
+            .eq('directory_listed', true);
+
+        if (extensionsError) {
+            logger.error('Error loading directory:', extensionsError);
+            return [];
+        }
+
+        return extensions
+            .map(extension => {
+                const words = String(extension.name || '').trim().split(/\s+/);
+                const firstName = extension.users?.first_name || words[0] || '';
+                const lastName = extension.users?.last_name || (words.length > 1 ? words[words.length - 1] : '');
+                const name = [firstName, lastName].filter(Boolean).join(' ') || extension.name;
+
+                return {
+                    extensionId: extension.id,
+                    extensionNumber: extension.extension_number,
+                    name,
+                    firstName,
+                    lastName,
+                    keypad: {
+                        first: this.toKeypad(firstName),
+                        last: this.toKeypad(lastName)
+                    }
+                };
+            })
+            .sort((a, b) => (a.lastName || a.name).localeCompare(b.lastName || b.name));
+    }
+
+    /**
+     * Find entries whose first or last name starts with keypad digits
+     * @param {Array<Object>} entries - Directory entries
+     * @param {string} digits - Digits entered by the caller
+     * @returns {Array<Object>} Matching entries, last-name matches first
+     */
+    matchDigits(entries, digits) {
+        const spelled = String(digits || '').replace(/[^2-9]/g, '');
+        if (!spelled) {
+            return [];
+        }
+
+        const byLast = entries.filter(entry => entry.keypad.last.startsWith(spelled));
+        const byFirst = entries.filter(entry => !byLast.includes(entry) && entry.keypad.first.startsWith(spelled));
+
+        return [...byLast, ...byFirst];
+    }
+
+    /**
+     * Find entries matching a spoken name
+     * @param {Array<Object>} entries - Directory entries
+     * @param {string} speech - Speech result
+     * @returns {Array<Object>} Matching entries, best first
+     */
+    matchSpeech(entries, speech) {
+        const spoken = speechMatcher.normalize(speech);
+        if (!spoken) {
+            return [];
+        }
+
+        return entries
+            .map(entry => ({
+                entry,
+                score: Math.max(
+                    ...[entry.name, entry.lastName, entry.firstName]
+                        .map(name => speechMatcher.normalize(name))
+                        .filter(Boolean)
+                        .map(name => speechMatcher.scoreKeyword(spoken, name))
+                )
+            }))
+            .filter(result => result.score >= SPEECH_MATCH_THRESHOLD)
+            .sort((a, b) => b.score - a.score)
+            .map(result => result.entry);
+    }
+
+    /**
+     * Search a tenant's directory by keypad digits or speech
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} input - `{ digits, speech }`
+     * @returns {Promise<Array<Object>>} Matching entries
+     */
+    async search(tenantId, { digits, speech } = {}) {
+        const entries = await this.getEntries(tenantId);
+
+        if (digits) {
+            return this.matchDigits(entries, digits);
+        }
+
+        return this.matchSpeech(entries, speech);
+    }
+
+    /**
+     * The action that asks the caller to spell or say a name
+     * @param {string} prompt - Prompt
+     * @returns {Object} `{ action, params }`
+     */
+    searchPrompt(prompt) {
+        return {
+            action: 'directory',
+            params: {
+                prompt: prompt || 'Please spell the last name of the person you are calling, then press pound, or say their name.',
+                finish_on_key: '#',
+                max_digits: 10
+            }
+        };
+    }
+
+    /**
+     * Handle caller input in the directory
+     * Searches, then confirms a single match or reads out a short list to
+     * choose from; a confirmed choice becomes an `extension` action.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} input - `{ digits, speech }` from the webhook
+     * @param {Object} state - Directory state from the call's flow state
+     * @returns {Promise<Object>} `{ action, params, state }`
+     */
+    async handleInput(tenantId, input = {}, state = {}) {
+        const digits = input.digits !== undefined ? String(input.digits) : '';
+        const speech = input.speech || '';
+        const candidates = state.candidates || [];
+
+        if (state.step === 'confirm') {
+            if (digits === '1' || (!digits && YES_PATTERN.test(speech))) {
+                return this.transfer(candidates[0]);
+            }
+            if (digits === '2' || (!digits && NO_PATTERN.test(speech))) {
+                return { ...this.searchPrompt(), state: { step: 'search', attempts: state.attempts || 0 } };
+            }
+        }
+
+        if (state.step === 'choose') {
+            const choice = digits
+                ? candidates[parseInt(digits, 10) - 1]
+                : this.matchSpeech(candidates.map(candidate => ({
+                    ...candidate,
+                    firstName: candidate.name.split(' ')[0],
+                    lastName: candidate.name.split(' ').slice(1).join(' ')
+                })), speech)[0];
+
+            if (choice) {
+                return this.transfer(choice);
+            }
+            if (digits === '*' || digits === '0' || (!digits && NO_PATTERN.test(speech))) {
+                return { ...this.searchPrompt(), state: { step: 'search', attempts: state.attempts || 0 } };
+            }
+        }
+
+        if (state.step === 'confirm' || state.step === 'choose') {
+            // Input that does not answer the question repeats it
+            return { ...this.choicePrompt(candidates, 'Sorry, that is not a valid choice.'), state };
+        }
+
+        const matches = (await this.search(tenantId, { digits, speech }))
+            .map(entry => ({ extensionNumber: entry.extensionNumber, name: entry.name }));
+
+        if (matches.length === 0) {
+            const attempts = (state.attempts || 0) + 1;
+            if (attempts >= MAX_ATTEMPTS) {
+                return {
+                    action: 'voicemail',
+                    params: { message: 'We could not find that name. Please leave a message after the tone.' },
+                    state: {}
+                };
+            }
+
+            return {
+                ...this.searchPrompt('Sorry, no one by that name was found. Please try again.'),
+                state: { step: 'search', attempts }
+            };
+        }
+
+        if (matches.length > MAX_CHOICES) {
+            return {
+                ...this.searchPrompt(`There are ${matches.length} matches. Please enter more letters of the name, then press pound.`),
+                state: { step: 'search', attempts: state.attempts || 0 }
+            };
+        }
+
+        const nextState = {
+            step: matches.length === 1 ? 'confirm' : 'choose',
+            candidates: matches,
+            attempts: state.attempts || 0
+        };
+
+        return { ...this.choicePrompt(matches), state: nextState };
+    }
+
+    /**
+     * The action that confirms a match or lists the matches to choose from
+     * @param {Array<Object>} candidates - `{ extensionNumber, name }` matches
+     * @param {string} preamble - Text said before the choices
+     * @returns {Object} `{ action, params }`
+     */
+    choicePrompt(candidates, preamble) {
+        const prompt = candidates.length === 1
+            ? `To call ${candidates[0].name} at extension ${candidates[0].extensionNumber}, press 1 or say yes. To search again, press 2.`
+            : `${candidates.map((candidate, index) => `For ${candidate.name}, press ${index + 1}.`).join(' ')} To search again, press star.`;
+
+        return {
+            action: 'directory',
+            params: {
+                prompt: preamble ? `${preamble} ${prompt}` : prompt,
+                max_digits: 1,
+                candidates
+            }
+        };
+    }
+
+    /**
+     * The action that transfers the caller to a chosen entry
+     * @param {Object} candidate - `{ extensionNumber, name }`
+     * @returns {Object} `{ action, params, state }`
+     */
+    transfer(candidate) {
+        return {
+            action: 'extension',
+            params: { extension: String(candidate.extensionNumber), name: candidate.name },
+            state: {}
+        };
+    }
+}
+
+// Create singleton instance
+const directoryService = new DirectoryService();
+
+module.exports = directoryService;
@@ -0,0 +1,791 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const cron = require('node-cron');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../database/connection');
+const callHistoryService = require('./callHistory');
+const { DIRECTIONS } = require('./callHistory');
+const { XlsxWriter } = require('../utils/xlsx');
+const logger = require('../utils/logger');
+
+const FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    xlsx: { extension: 'xlsx', contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' }
+};
+
+const PAGE_SIZE = 1000;
+
+// An export still processing after this long was claimed by a worker that died
+const CLAIM_TIMEOUT_MINUTES = 30;
+
+// Every claim counts as an attempt, as in the transcription worker
+const MAX_ATTEMPTS = 3;
+
+const list = (values) => (Array.isArray(values) ? values.join('; ') : values);
+
+// Delivery callbacks oldest first, e.g. "delivered 2024-05-01T10:00:03Z"
+const statusHistory = (events) => (events || [])
+    .slice()
+    .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+    .map(event => [event.status, event.error_code, event.occurred_at].filter(Boolean).join(' '));
+
+/**
+ * Exportable resources
+ * `columns` are `[key, header, value(row)]`: JSON uses the key, CSV and XLSX
+ * the header. `filters` maps each accepted filter to its kind for validation.
+ */
+const RESOURCES = {
+    call_sessions: {
+        permission: 'calls:read',
+        sheetName: 'Calls',
+        filters: {
+            startDate: 'date',
+            endDate: 'date',
+            number: 'number',
+            outcome: 'text',
+            tag: 'text',
+            direction: DIRECTIONS,
+            extension: 'text',
+            department: 'text'
+        },
+        columns: [
+            ['callId', 'Call ID', row => row.callId],
+            ['callSid', 'Call SID', row => row.callSid],
+            ['startedAt', 'Started At', row => row.startedAt],
+            ['endedAt', 'Ended At', row => row.endedAt],
+            ['direction', 'Direction', row => row.direction],
+            ['fromNumber', 'From', row => row.fromNumber],
+            ['toNumber', 'To', row => row.toNumber],
+            ['did', 'DID', row => row.did],
+            ['status', 'Status', row => row.status],
+            ['outcome', 'Outcome', row => row.outcome],
+            ['durationSeconds', 'Duration (s)', row => row.durationSeconds],
+            ['extension', 'Extension', row => row.extension],
+            ['department', 'Department', row => row.department],
+            ['tags', 'Tags', row => row.tags],
+            ['intentTags', 'Intent Tags', row => row.intentTags]
+        ]
+    },
+    sms_logs: {
+        permission: 'sms:read',
+        sheetName: 'SMS',
+        filters: {
+            startDate: 'date',
+            endDate: 'date',
+            number: 'number',
+            direction: DIRECTIONS,
+            status: 'text'
+        },
+        columns: [
+            ['sentAt', 'Sent At', row => row.sent_at],
+            ['direction', 'Direction', row => row.direction],
+            ['fromNumber', 'From', row => row.from_number],
+            ['toNumber', 'To', row => row.to_number],
+            ['status', 'Status', row => row.status],
+            ['errorCode', 'Error Code', row => row.error_code],
+            ['messageBody', 'Message', row => row.message_body],
+            ['messageSid', 'Message SID', row => row.signalwire_sid],
+            ['receivedAt', 'Received At', row => row.received_at],
+            ['deliveredAt', 'Delivered At', row => row.delivered_at],
+            ['retryCount', 'Retries', row => row.retry_count || 0],
+            ['statusHistory', 'Status History', row => statusHistory(row.sms_status_events)]
+        ]
+    },
+    users: {
+        permission: 'users:read',
+        sheetName: 'Users',
+        filters: {
+            status: 'text'
+        },
+        columns: [
+            ['email', 'Email', row => row.email],
+            ['firstName', 'First Name', row => row.first_name],
+            ['lastName', 'Last Name', row => row.last_name],
+            ['phone', 'Phone', row => row.phone],
+            ['status', 'Status', row => row.status],
+            ['roles', 'Roles', row => (row.user_roles || []).map(ur => ur.roles?.name).filter(Boolean)],
+            ['lastLogin', 'Last Login', row => row.last_login],
+            ['createdAt', 'Created At', row => row.created_at]
+        ]
+    },
+    extensions: {
+        permission: 'extensions:read',
+        sheetName: 'Extensions',
+        filters: {
+            status: 'text'
+        },
+        columns: [
+            ['extensionNumber', 'Extension', row => row.extension_number],
+            ['name', 'Name', row => row.name],
+            ['description', 'Description', row => row.description],
+            ['status', 'Status', row => row.status],
+            ['directoryListed', 'Directory Listed', row => row.directory_listed],
+            ['departmentName', 'Department', row => row.departments?.name],
+            ['userEmail', 'User Email', row => row.users?.email],
+            ['createdAt', 'Created At', row => row.created_at]
+        ]
+    }
+};
+
+// Columns read for each table export; users never include password fields
+const TABLE_COLUMNS = {
+    sms_logs: 'id, from_number, to_number, message_body, signalwire_sid, status, direction, sent_at, received_at, ' +
+        'error_code, delivered_at, retry_count, sms_status_events(status, error_code, occurred_at)',
+    users: 'id, email, first_name, last_name, phone, status, last_login, created_at, user_roles(roles(name))',
+    extensions: 'id, extension_number, name, description, status, directory_listed, created_at, ' +
+        'departments!left(name), users!left(email)'
+};
+
+// Spreadsheet apps run cells starting with these as formulas; signed
+// numbers and phone numbers such as +15551234567 are left alone
+const FORMULA_PREFIX = /^[=@\t\r]/;
+const SIGNED_NUMBER = /^[+-][\d.]+$/;
+
+/**
+ * Escape a value for CSV
+ * @param {*} value - Cell value
+ * @returns {string} CSV field
+ */
+const csvField = (value) => {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = String(list(value));
+    if (FORMULA_PREFIX.test(text) || (/^[+-]/.test(text) && !SIGNED_NUMBER.test(text))) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream rows into a file in one of FORMATS
+ * @param {string} format - Key of FORMATS
+ * @param {string} filePath - Output file
+ * @param {Object} resource - Entry of RESOURCES
+ * @returns {Object} `{ write(row), finish(), abort() }`, all async; `abort()`
+ *   closes and removes a file that will not be finished
+ */
+const createWriter = (format, filePath, resource) => {
+    if (format === 'xlsx') {
+        const xlsx = new XlsxWriter(filePath, { sheetName: resource.sheetName });
+        const headers = xlsx.writeRow(resource.columns.map(([, header]) => header));
+
+        return {
+            write: async (row) => {
+                await headers;
+                await xlsx.writeRow(resource.columns.map(([, , value]) => {
+                    const cell = value(row);
+                    return typeof cell === 'boolean' ? String(cell) : list(cell);
+                }));
+            },
+            finish: async () => {
+                await headers;
+                await xlsx.finish();
+            },
+            abort: () => xlsx.abort()
+        };
+    }
+
+    const stream = fs.createWriteStream(filePath);
+    let failure = null;
+    let first = true;
+
+    // A disk or permission error fails the export instead of crashing the process
+    stream.on('error', (error) => {
+        failure = failure || error;
+    });
+
+    const write = async (text) => {
+        if (failure) {
+            throw failure;
+        }
+        if (!stream.write(text)) {
+            await once(stream, 'drain');
+        }
+    };
+
+    const end = async (text) => {
+        if (failure) {
+            throw failure;
+        }
+        stream.end(text);
+        await once(stream, 'finish');
+    };
+
+    const abort = async () => {
+        stream.destroy();
+        await fs.promises.rm(filePath, { force: true });
+    };
+
+    if (format === 'json') {
+        stream.write('[');
+
+        return {
+            write: async (row) => {
+                const record = Object.fromEntries(resource.columns.map(([key, , value]) => [key, value(row) ?? null]));
+                await write(`${first ? '\n' : ',\n'}${JSON.stringify(record)}`);
+                first = false;
+            },
+            finish: () => end(first ? ']\n' : '\n]\n'),
+            abort
+        };
+    }
+
+    // Byte order mark so spreadsheet apps read the file as UTF-8
+    stream.write(`\ufeff${resource.columns.map(([, header]) => csvField(header)).join(',')}\r\n`);
+
+    return {
+        write: async (row) => {
+            await write(`${resource.columns.map(([, , value]) => csvField(value(row))).join(',')}\r\n`);
+        },
+        finish: () => end(),
+        abort
+    };
+};
+
+class ExportService {
+    constructor() {
+        this.worker = null;
+        this.purger = null;
+        this.processing = false;
+    }
+
+    /**
+     * Directory export files are written to
+     * @returns {string} Absolute path
+     */
+    getDirectory() {
+        return path.resolve(process.env.EXPORT_DIR || path.join(os.tmpdir(), 'exports'));
+    }
+
+    /**
+     * Largest number of rows one export writes
+     * @returns {number} Row limit
+     */
+    getMaxRows() {
+        return parseInt(process.env.EXPORT_MAX_ROWS) || 100000;
+    }
+
+    /**
+     * Check export filters against the resource's accepted filters
+     * @param {string} resource - Key of RESOURCES
+     * @param {Object} filters - Requested filters
+     * @returns {Array<Object>} Errors of `{ field, message }`, empty when valid
+     */
+    validateFilters(resource, filters = {}) {
+        const accepted = RESOURCES[resource].filters;
+        const errors = [];
+
+        for (const [name, value] of Object.entries(filters)) {
+            const kind = accepted[name];
+            const field = `filters.${name}`;
+
+            if (!kind) {
+                errors.push({ field, message: `${name} is not a filter for ${resource}; use one of: ${Object.keys(accepted).join(', ')}` });
+            } else if (typeof value !== 'string' || value.trim() === '') {
+                errors.push({ field, message: `${name} must be a non-empty string` });
+            } else if (Array.isArray(kind) && !kind.includes(value)) {
+                errors.push({ field, message: `${name} must be one of: ${kind.join(', ')}` });
+            } else if (kind === 'date' && Number.isNaN(Date.parse(value))) {
+                errors.push({ field, message: `${name} must be a valid ISO date` });
+            } else if (kind === 'number' && !/^\+?\d{2,15}$/.test(value)) {
+                errors.push({ field, message: `${name} must be digits, optionally starting with +` });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Queue an export
+     * The worker picks the job up straight away; the cron schedule is the fallback.
+     * @param {Object} params - Job parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.userId - Requesting user
+     * @param {string} params.resource - Key of RESOURCES
+     * @param {string} params.format - Key of FORMATS
+     * @param {Object} params.filters - Validated filters
+     * @returns {Promise<Object>} export_jobs row
+     */
+    async create({ tenantId, userId, resource, format, filters = {} }) {
+        const { data: job, error: jobError } = await supabase
+            .from('export_jobs')
+            .insert({
+                tenant_id: tenantId,
+                created_by: userId,
+                resource: resource,
+                format: format,
+                filters: filters,
+                status: 'queued'
+            })
+            .select()
+            .single();
+
+        if (jobError) {
+            throw jobError;
+        }
+
+        logger.info('Export job queued', { jobId: job.id, resource, format });
+
+        setImmediate(() => {
+            this.processQueue().catch(error => logger.error('Export worker failed:', error));
+        });
+
+        return job;
+    }
+
+    /**
+     * Get one of a user's export jobs
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} userId - User who created the job
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|null>} export_jobs row, or null if not found
+     */
+    async getJob(tenantId, userId, jobId) {
+        const { data: job, error: jobError } = await supabase
+            .from('export_jobs')
+            .select('*')
+            .eq('id', jobId)
+            .eq('tenant_id', tenantId)
+            .eq('created_by', userId)
+            .single();
+
+        if (jobError && jobError.code !== 'PGRST116') {
+            throw jobError;
+        }
+
+        return job || null;
+    }
+
+    /**
+     * List a user's export jobs, newest first
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} userId - User who created the jobs
+     * @param {number} limit - Maximum jobs
+     * @returns {Promise<Array<Object>>} Formatted jobs
+     */
+    async listJobs(tenantId, userId, limit = 25) {
+        const { data: jobs, error: jobsError } = await supabase
+            .from('export_jobs')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('created_by', userId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (jobsError) {
+            throw jobsError;
+        }
+
+        return jobs.map(job => this.formatJob(job));
+    }
+
+    /**
+     * Delete an export job and its file
+     * @param {Object} job - export_jobs row
+     * @returns {Promise<void>}
+     */
+    async deleteJob(job) {
+        await this.removeFile(job);
+
+        const { error: deleteError } = await supabase
+            .from('export_jobs')
+            .delete()
+            .eq('id', job.id);
+
+        if (deleteError) {
+            throw deleteError;
+        }
+    }
+
+    /**
+     * Transform an export_jobs row for the API
+     * Completed jobs carry a freshly signed download link.
+     * @param {Object} job - export_jobs row
+     * @returns {Object} Formatted job
+     */
+    formatJob(job) {
+        const download = job.status === 'completed' ? this.signDownload(job) : null;
+
+        return {
+            id: job.id,
+            resource: job.resource,
+            format: job.format,
+            filters: job.filters || {},
+            status: job.status,
+            rowCount: job.row_count || 0,
+            truncated: Boolean(job.truncated),
+            fileName: job.file_name || null,
+            fileSize: job.file_size ?? null,
+            error: job.error || null,
+            createdAt: job.created_at,
+            startedAt: job.started_at || null,
+            completedAt: job.completed_at || null,
+            expiresAt: job.expires_at || null,
+            downloadUrl: download ? download.url : null,
+            downloadExpiresAt: download ? download.expiresAt : null
+        };
+    }
+
+    /**
+     * Sign a short-lived download link for a completed job
+     * The link stops working when it or the file expires, whichever is first.
+     * @param {Object} job - export_jobs row
+     * @returns {Object} `{ url, expiresAt }`
+     */
+    signDownload(job) {
+        const ttlSeconds = (parseInt(process.env.EXPORT_LINK_TTL_MINUTES) || 15) * 60;
+        const fileSeconds = job.expires_at
+            ? Math.floor((new Date(job.expires_at).getTime() - Date.now()) / 1000)
+            : ttlSeconds;
+        const expiresIn = Math.max(1, Math.min(ttlSeconds, fileSeconds));
+
+        const token = jwt.sign(
+            { jobId: job.id, tenantId: job.tenant_id, purpose: 'export' },
+            process.env.JWT_SECRET || 'your-secret-key',
+            { expiresIn }
+        );
+
+        return {
+            url: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/exports/${job.id}/download?token=${token}`,
+            expiresAt: new Date(Date.now() + expiresIn * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Resolve a download link to its job
+     * @param {string} jobId - Job identifier from the URL
+     * @param {string} token - Token from the URL
+     * @returns {Promise<Object|null>} Completed export_jobs row, or null if the link is not valid
+     */
+    async verifyDownload(jobId, token) {
+        let claims;
+        try {
+            claims = jwt.verify(String(token || ''), process.env.JWT_SECRET || 'your-secret-key');
+        } catch (error) {
+            return null;
+        }
+
+        if (claims.purpose !== 'export' || claims.jobId !== jobId) {
+            return null;
+        }
+
+        const { data: job, error: jobError } = await supabase
+            .from('export_jobs')
+            .select('*')
+            .eq('id', jobId)
+            .eq('tenant_id', claims.tenantId)
+            .eq('status', 'completed')
+            .single();
+
+        if (jobError && jobError.code !== 'PGRST116') {
+            throw jobError;
+        }
+
+        return job || null;
+    }
+
+    /**
+     * Content type of an export's file
+     * @param {Object} job - export_jobs row
+     * @returns {string} MIME type
+     */
+    contentType(job) {
+        return FORMATS[job.format].contentType;
+    }
+
+    /**
+     * Page through a resource's rows for a tenant
+     * @param {Object} job - export_jobs row
+     * @returns {AsyncGenerator<Object>} Rows in the shape the resource's columns read
+     */
+    async *rows(job) {
+        const filters = job.filters || {};
+
+        if (job.resource === 'call_sessions') {
+            let cursor = null;
+            do {
+                const page = await callHistoryService.search(job.tenant_id, filters, { cursor, limit: PAGE_SIZE, order: 'asc' });
+                yield* page.calls;
+                cursor = page.nextCursor;
+            } while (cursor);
+            return;
+        }
+
+        for (let offset = 0; ; offset += PAGE_SIZE) {
+            let query = supabase
+                .from(job.resource)
+                .select(TABLE_COLUMNS[job.resource])
+                .eq('tenant_id', job.tenant_id);
+
+            if (filters.status) {
+                query = query.eq('status', filters.status);
+            }
+            if (filters.direction) {
+                query = query.eq('direction', filters.direction);
+            }
+            if (filters.startDate) {
+                query = query.gte('sent_at', filters.startDate);
+            }
+            if (filters.endDate) {
+                query = query.lte('sent_at', filters.endDate);
+            }
+            if (filters.number) {
+                query = query.or(`from_number.ilike.*${filters.number}*,to_number.ilike.*${filters.number}*`);
+            }
+
+            const { data: rows, error: rowsError } = await query
+                .order(job.resource === 'sms_logs' ? 'sent_at' : 'created_at', { ascending: true })
+                .order('id', { ascending: true })
+                .range(offset, offset + PAGE_SIZE - 1);
+
+            if (rowsError) {
+                throw rowsError;
+            }
+
+            yield* rows;
+
+            if (rows.length < PAGE_SIZE) {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Write one job's file and mark it completed
+     * @param {Object} job - export_jobs row (already claimed)
+     * @returns {Promise<boolean>} Whether the job completed
+     */
+    async processJob(job) {
+        const resource = RESOURCES[job.resource];
+        const { extension } = FORMATS[job.format];
+        const fileName = `${job.resource}-${new Date().toISOString().slice(0, 10)}-${job.id.slice(0, 8)}.${extension}`;
+        const filePath = path.join(this.getDirectory(), `${job.id}.${extension}`);
+        const maxRows = this.getMaxRows();
+        let writer = null;
+
+        try {
+            await fs.promises.mkdir(this.getDirectory(), { recursive: true });
+
+            writer = createWriter(job.format, filePath, resource);
+            let rowCount = 0;
+            let truncated = false;
+
+            for await (const row of this.rows(job)) {
+                if (rowCount >= maxRows) {
+                    truncated = true;
+                    break;
+                }
+                await writer.write(row);
+                rowCount++;
+            }
+            await writer.finish();
+
+            const { size } = await fs.promises.stat(filePath);
+            const retentionHours = parseInt(process.env.EXPORT_RETENTION_HOURS) || 24;
+
+            await supabase
+                .from('export_jobs')
+                .update({
+                    status: 'completed',
+                    row_count: rowCount,
+                    truncated: truncated,
+                    file_name: fileName,
+                    file_path: filePath,
+                    file_size: size,
+                    completed_at: new Date().toISOString(),
+                    expires_at: new Date(Date.now() + retentionHours * 60 * 60 * 1000).toISOString(),
+                    error: null
+                })
+                .eq('id', job.id);
+
+            logger.info('Export job completed', { jobId: job.id, resource: job.resource, rowCount, truncated });
+            return true;
+        } catch (error) {
+            logger.error('Export job failed:', { jobId: job.id, error: error.message });
+
+            if (writer) {
+                await writer.abort().catch(() => {});
+            }
+            await fs.promises.rm(filePath, { force: true }).catch(() => {});
+            await supabase
+                .from('export_jobs')
+                .update({
+                    status: 'failed',
+                    error: error.message,
+                    completed_at: new Date().toISOString()
+                })
+                .eq('id', job.id);
+
+            return false;
+        }
+    }
+
+    /**
+     * Put exports back on the queue when the worker that claimed them never finished
+     * The claim already counted as an attempt, so an export that keeps killing the worker fails.
+     * @returns {Promise<number>} Number of jobs requeued or failed
+     */
+    async requeueStale() {
+        const cutoff = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+        const { data: jobs, error: jobsError } = await supabase
+            .from('export_jobs')
+            .select('id, attempts, started_at')
+            .eq('status', 'processing')
+            .lt('started_at', cutoff);
+
+        if (jobsError) {
+            logger.error('Error fetching stale export jobs:', jobsError);
+            return 0;
+        }
+
+        for (const job of jobs) {
+            const failed = (job.attempts || 0) >= MAX_ATTEMPTS;
+
+            // Matching started_at leaves the job alone if another worker just claimed it again
+            await supabase
+                .from('export_jobs')
+                .update({
+                    status: failed ? 'failed' : 'queued',
+                    error: 'Export worker stopped before the export finished',
+                    completed_at: failed ? new Date().toISOString() : null
+                })
+                .eq('id', job.id)
+                .eq('status', 'processing')
+                .eq('started_at', job.started_at);
+
+            logger.warn('Stale export job reset', { jobId: job.id, attempts: job.attempts, failed });
+        }
+
+        return jobs.length;
+    }
+
+    /**
+     * Claim and process queued jobs
+     * @param {number} limit - Maximum jobs per run
+     * @returns {Promise<number>} Number of jobs completed
+     */
+    async processQueue(limit = 5) {
+        if (this.processing) {
+            return 0;
+        }
+
+        this.processing = true;
+        let completed = 0;
+
+        try {
+            await this.requeueStale();
+
+            const { data: jobs, error: jobsError } = await supabase
+                .from('export_jobs')
+                .select('*')
+                .eq('status', 'queued')
+                .order('created_at', { ascending: true })
+                .limit(limit);
+
+            if (jobsError) {
+                logger.error('Error fetching export jobs:', jobsError);
+                return 0;
+            }
+
+            for (const job of jobs) {
+                // Claim the job so another instance does not run it too
+                const { data: claimed } = await supabase
+                    .from('export_jobs')
+                    .update({
+                        status: 'processing',
+                        started_at: new Date().toISOString(),
+                        attempts: (job.attempts || 0) + 1
+                    })
+                    .eq('id', job.id)
+                    .eq('status', 'queued')
+                    .select();
+
+                if (!claimed || claimed.length === 0) {
+                    continue;
+                }
+
+                if (await this.processJob(claimed[0])) {
+                    completed++;
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+
+        return completed;
+    }
+
+    /**
+     * Remove a job's file, if it is still there
+     * @param {Object} job - export_jobs row
+     * @returns {Promise<void>}
+     */
+    async removeFile(job) {
+        // Only ever delete inside the export directory
+        if (job.file_path && path.dirname(path.resolve(job.file_path)) === this.getDirectory()) {
+            await fs.promises.rm(job.file_path, { force: true });
+        }
+    }
+
+    /**
+     * Delete the files of expired exports
+     * @returns {Promise<number>} Number of exports expired
+     */
+    async purgeExpired() {
+        const { data: jobs, error: jobsError } = await supabase
+            .from('export_jobs')
+            .select('id, file_path')
+            .eq('status', 'completed')
+            .lt('expires_at', new Date().toISOString());
+
+        if (jobsError) {
+            logger.error('Error fetching expired export jobs:', jobsError);
+            return 0;
+        }
+
+        for (const job of jobs) {
+            await this.removeFile(job);
+            await supabase
+                .from('export_jobs')
+                .update({ status: 'expired', file_path: null })
+                .eq('id', job.id);
+        }
+
+        if (jobs.length > 0) {
+            logger.info('Expired export files deleted', { count: jobs.length });
+        }
+
+        return jobs.length;
+    }
+
+    /**
+     * Run the queue every minute and purge expired files hourly
+     * @returns {void}
+     */
+    startWorker() {
+        if (this.worker) {
+            return;
+        }
+
+        this.worker = cron.schedule('* * * * *', () => {
+            this.processQueue().catch(error => logger.error('Export worker failed:', error));
+        });
+        this.purger = cron.schedule('0 * * * *', () => {
+            this.purgeExpired().catch(error => logger.error('Export purge failed:', error));
+        });
+    }
+}
+
+// Create singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
+module.exports.RESOURCES = RESOURCES;
+module.exports.FORMATS = FORMATS;
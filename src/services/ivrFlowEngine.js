@@ -0,0 +1,585 @@
+const speechMatcher = require('./speechMatcher');
+const logger = require('../utils/logger');
+
+// Node types supported by the flow graph
+const NODE_TYPES = ['menu', 'play', 'gather', 'transfer', 'condition', 'ai', 'voicemail', 'directory', 'hangup'];
+
+// Guard against condition loops when walking automatic nodes
+const MAX_AUTO_STEPS = 25;
+
+// Maps the legacy flat `options` actions onto graph node types
+const LEGACY_ACTION_TYPES = {
+    dept: 'transfer',
+    extension: 'transfer',
+    enqueue: 'transfer',
+    ai: 'ai',
+    voicemail: 'voicemail',
+    directory: 'directory',
+    hangup: 'hangup'
+};
+
+class IvrFlowEngine {
+    /**
+     * Convert a flow configuration into a graph
+     * Legacy flows with a flat `options` map become a single menu node
+     * with one child node per digit.
+     * @param {Object} flowConfig - Flow configuration from ivr_flows.flow_config
+     * @returns {Object} Graph with `start`, `nodes` keyed by id and `edges`
+     */
+    normalize(flowConfig) {
+        const config = typeof flowConfig === 'string' ? JSON.parse(flowConfig) : (flowConfig || {});
+
+        if (Array.isArray(config.nodes)) {
+            const nodes = {};
+            config.nodes.forEach(node => {
+                nodes[node.id] = node;
+            });
+
+            return {
+                name: config.name,
+                start: config.start || (config.nodes[0] && config.nodes[0].id),
+                closedStart: config.closed_start,
+                nodes,
+                edges: Array.isArray(config.edges) ? config.edges : []
+            };
+        }
+
+        return this.fromLegacy(config);
+    }
+
+    /**
+     * Build a graph from a legacy `options` flow
+     * @param {Object} config - Legacy flow configuration
+     * @returns {Object} Graph
+     */
+    fromLegacy(config) {
+        const root = {
+            id: 'root',
+            type: 'menu',
+            prompt: config.greeting || 'Welcome. How may I help you?',
+            timeout: config.timeout || 10,
+            max_digits: config.max_digits || 4,
+            retries: config.retries || 3,
+            allow_extensions: true
+        };
+
+        const nodes = { root };
+        const edges = [];
+
+        Object.entries(config.options || {}).forEach(([key, option]) => {
+            const nodeId = key === 'default' ? 'option_default' : `option_${key}`;
+            nodes[nodeId] = this.legacyOptionNode(nodeId, option);
+            const edge = {
+                from: 'root',
+                to: nodeId,
+                on: key === 'default' ? 'no_match' : key,
+                label: option.params?.department || option.params?.name
+            };
+            if (option.keywords) {
+                edge.keywords = option.keywords;
+            }
+            if (option.synonyms) {
+                edge.synonyms = option.synonyms;
+            }
+            edges.push(edge);
+        });
+
+        if (config.fallback) {
+            nodes.fallback = this.legacyOptionNode('fallback', config.fallback);
+            edges.push({ from: 'root', to: 'fallback', on: 'timeout' });
+        }
+
+        return { name: config.name, start: 'root', nodes, edges };
+    }
+
+    /**
+     * Convert a legacy `{ action, params }` option into a node
+     * @param {string} id - Node id
+     * @param {Object} option - Legacy option
+     * @returns {Object} Node
+     */
+    legacyOptionNode(id, option) {
+        const params = option.params || {};
+        const type = LEGACY_ACTION_TYPES[option.action] || 'hangup';
+
+        return { id, type, ...params };
+    }
+
+    /**
+     * Validate a flow configuration
+     * @param {Object} flowConfig - Flow configuration
+     * @returns {Array<Object>} List of `{ field, message }` errors, empty when valid
+     */
+    validate(flowConfig) {
+        const errors = [];
+
+        if (!flowConfig || typeof flowConfig !== 'object') {
+            return [{ field: 'flow_config', message: 'Flow configuration must be an object' }];
+        }
+
+        if (!Array.isArray(flowConfig.nodes)) {
+            if (!flowConfig.options || typeof flowConfig.options !== 'object') {
+                errors.push({ field: 'nodes', message: 'Flow must define a nodes array or a legacy options map' });
+            }
+            return errors;
+        }
+
+        if (flowConfig.nodes.length === 0) {
+            errors.push({ field: 'nodes', message: 'Flow must have at least one node' });
+        }
+
+        const ids = new Set();
+        flowConfig.nodes.forEach((node, index) => {
+            if (!node.id) {
+                errors.push({ field: `nodes[${index}].id`, message: 'Node id is required' });
+            } else if (ids.has(node.id)) {
+                errors.push({ field: `nodes[${index}].id`, message: `Duplicate node id '${node.id}'` });
+            } else {
+                ids.add(node.id);
+            }
+
+            if (!NODE_TYPES.includes(node.type)) {
+                errors.push({
+                    field: `nodes[${index}].type`,
+                    message: `Node type must be one of: ${NODE_TYPES.join(', ')}`
+                });
+            }
+
+            if (node.type === 'transfer' && !node.extension && !node.department && !node.queue && !node.number) {
+                errors.push({
+                    field: `nodes[${index}]`,
+                    message: 'Transfer node requires an extension, department, queue or number'
+                });
+            }
+
+            if (node.type === 'condition' && !node.field) {
+                errors.push({ field: `nodes[${index}].field`, message: 'Condition node requires a field' });
+            }
+        });
+
+        if (flowConfig.start && !ids.has(flowConfig.start)) {
+            errors.push({ field: 'start', message: `Start node '${flowConfig.start}' does not exist` });
+        }
+
+        if (flowConfig.closed_start && !ids.has(flowConfig.closed_start)) {
+            errors.push({
+                field: 'closed_start',
+                message: `Closed start node '${flowConfig.closed_start}' does not exist`
+            });
+        }
+
+        (flowConfig.edges || []).forEach((edge, index) => {
+            if (!ids.has(edge.from)) {
+                errors.push({ field: `edges[${index}].from`, message: `Unknown node '${edge.from}'` });
+            }
+            if (!ids.has(edge.to)) {
+                errors.push({ field: `edges[${index}].to`, message: `Unknown node '${edge.to}'` });
+            }
+            if (edge.on === undefined || edge.on === null || edge.on === '') {
+                errors.push({ field: `edges[${index}].on`, message: 'Edge trigger is required' });
+            }
+            ['keywords', 'synonyms'].forEach(field => {
+                if (edge[field] !== undefined &&
+                    (!Array.isArray(edge[field]) || edge[field].some(word => typeof word !== 'string'))) {
+                    errors.push({ field: `edges[${index}].${field}`, message: `Edge ${field} must be an array of strings` });
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Compare two flow configurations node by node and edge by edge
+     * @param {Object} fromConfig - Older flow configuration
+     * @param {Object} toConfig - Newer flow configuration
+     * @returns {Object} Added, removed and changed nodes and edges
+     */
+    diff(fromConfig, toConfig) {
+        const before = this.normalize(fromConfig);
+        const after = this.normalize(toConfig);
+        const edgeKey = edge => `${edge.from}|${edge.on}|${edge.to}`;
+
+        const nodes = { added: [], removed: [], changed: [] };
+        Object.keys(after.nodes).forEach(id => {
+            if (!before.nodes[id]) {
+                nodes.added.push(after.nodes[id]);
+            } else if (JSON.stringify(before.nodes[id]) !== JSON.stringify(after.nodes[id])) {
+                nodes.changed.push({ id, before: before.nodes[id], after: after.nodes[id] });
+            }
+        });
+        Object.keys(before.nodes).forEach(id => {
+            if (!after.nodes[id]) {
+                nodes.removed.push(before.nodes[id]);
+            }
+        });
+
+        const beforeEdges = new Map(before.edges.map(edge => [edgeKey(edge), edge]));
+        const afterEdges = new Map(after.edges.map(edge => [edgeKey(edge), edge]));
+        const edges = {
+            added: after.edges.filter(edge => !beforeEdges.has(edgeKey(edge))),
+            removed: before.edges.filter(edge => !afterEdges.has(edgeKey(edge)))
+        };
+
+        return {
+            startChanged: before.start !== after.start,
+            nodes,
+            edges,
+            identical: before.start === after.start &&
+                nodes.added.length === 0 && nodes.removed.length === 0 && nodes.changed.length === 0 &&
+                edges.added.length === 0 && edges.removed.length === 0
+        };
+    }
+
+    /**
+     * Start a flow at its entry node
+     * @param {Object} graph - Normalized graph
+     * @param {Object} context - Call context (from, to, did, ts, state)
+     * @returns {Object} Step result
+     */
+    start(graph, context = {}) {
+        return this.enter(graph, graph.start, context);
+    }
+
+    /**
+     * Handle caller input on the current node
+     * Speech on a menu is matched against the options' keywords and resolves
+     * to the same edge as the option's digit.
+     * @param {Object} graph - Normalized graph
+     * @param {string} nodeId - Current node id
+     * @param {Object} input - Caller input (`digit`, `digits` or `speech` with `confidence`)
+     * @param {Object} context - Call context
+     * @returns {Object} Step result, with `unmatched: true` when no edge matches
+     *   and `lowConfidence: true` when speech could not be matched reliably
+     */
+    handleInput(graph, nodeId, input = {}, context = {}) {
+        const node = graph.nodes[nodeId];
+        const hasDigits = (input.digits ?? input.digit ?? '') !== '';
+        let digits = input.digits !== undefined ? String(input.digits) : String(input.digit ?? '');
+
+        if (!node) {
+            return { unmatched: true, nodeId, state: this.getState(context) };
+        }
+
+        if (!hasDigits && input.speech && node.type === 'menu') {
+            const match = speechMatcher.match(input.speech, this.menuOptions(graph, nodeId), {
+                confidence: input.confidence,
+                matchThreshold: node.speech_match_threshold,
+                confidenceThreshold: node.speech_confidence_threshold
+            });
+
+            if (match.lowConfidence) {
+                logger.info('Low confidence speech on IVR menu', {
+                    nodeId,
+                    speech: input.speech,
+                    confidence: match.confidence,
+                    score: match.score
+                });
+                return { unmatched: true, lowConfidence: true, nodeId, state: this.getState(context) };
+            }
+
+            digits = match.key;
+        }
+
+        if (node.type === 'gather') {
+            const state = this.getState(context);
+            state.variables[node.variable || node.id] = hasDigits ? digits : String(input.speech ?? '');
+            return this.follow(graph, nodeId, 'next', { ...context, state }) ||
+                { unmatched: true, nodeId, state };
+        }
+
+        const result = this.follow(graph, nodeId, digits, context);
+        if (result) {
+            return result;
+        }
+
+        return { unmatched: true, nodeId, state: this.getState(context) };
+    }
+
+    /**
+     * Handle input that matched no edge on a menu
+     * Follows a `no_match` edge straight away when the node has one.
+     * Otherwise re-prompts until the node's retries are used up, then follows
+     * the `invalid` edge if there is one.
+     * @param {Object} graph - Normalized graph
+     * @param {string} nodeId - Current node id
+     * @param {Object} context - Call context
+     * @param {Object} options - `lowConfidence` re-prompts with the node's
+     *   `low_confidence_prompt` instead of its `invalid_prompt`
+     * @returns {Object|null} Step result, or null when the flow has no answer
+     */
+    handleNoMatch(graph, nodeId, context = {}, { lowConfidence = false } = {}) {
+        const node = graph.nodes[nodeId];
+        if (!node) {
+            return null;
+        }
+
+        const state = this.getState(context);
+        if (!lowConfidence && graph.edges.some(e => e.from === nodeId && e.on === 'no_match')) {
+            state.retries[nodeId] = 0;
+            return this.follow(graph, nodeId, 'no_match', { ...context, state });
+        }
+
+        const attempts = (state.retries[nodeId] || 0) + 1;
+        const maxRetries = node.retries || 3;
+
+        if (attempts < maxRetries) {
+            state.retries[nodeId] = attempts;
+            const result = this.render(graph, node, state);
+            const reprompt = lowConfidence
+                ? node.low_confidence_prompt || 'Sorry, I didn\'t catch that.'
+                : node.invalid_prompt || 'Sorry, that is not a valid option.';
+            result.params.greeting = `${reprompt} ${result.params.greeting}`;
+            return result;
+        }
+
+        state.retries[nodeId] = 0;
+        return this.follow(graph, nodeId, 'invalid', { ...context, state });
+    }
+
+    /**
+     * Follow the edge leaving a node for a given trigger
+     * @param {Object} graph - Normalized graph
+     * @param {string} nodeId - Current node id
+     * @param {string} on - Edge trigger (digit, `next`, `timeout`, call event...)
+     * @param {Object} context - Call context
+     * @returns {Object|null} Step result, or null when no edge matches
+     */
+    follow(graph, nodeId, on, context = {}) {
+        const edge = graph.edges.find(e => e.from === nodeId && String(e.on) === String(on));
+        if (!edge) {
+            return null;
+        }
+
+        return this.enter(graph, edge.to, context);
+    }
+
+    /**
+     * Enter a node, walking through automatic nodes until one needs the
+     * caller or ends the flow
+     * @param {Object} graph - Normalized graph
+     * @param {string} nodeId - Node to enter
+     * @param {Object} context - Call context
+     * @returns {Object} Step result
+     */
+    enter(graph, nodeId, context = {}) {
+        const state = this.getState(context);
+        const steps = [];
+        let currentId = nodeId;
+
+        for (let i = 0; i < MAX_AUTO_STEPS; i++) {
+            const node = graph.nodes[currentId];
+
+            if (!node) {
+                logger.warn('IVR flow references missing node', { nodeId: currentId, flow: graph.name });
+                return {
+                    nodeId: currentId,
+                    action: 'hangup',
+                    params: { reason: 'invalid_flow' },
+                    state,
+                    steps
+                };
+            }
+
+            steps.push({ nodeId: node.id, type: node.type });
+
+            if (node.type !== 'condition') {
+                return { ...this.render(graph, node, state), steps };
+            }
+
+            const branch = this.evaluateCondition(node, { ...context, state }) ? 'true' : 'false';
+            const edge = graph.edges.find(e => e.from === node.id && String(e.on) === branch) ||
+                graph.edges.find(e => e.from === node.id && e.on === 'default');
+
+            if (!edge) {
+                return {
+                    nodeId: node.id,
+                    action: 'hangup',
+                    params: { reason: 'no_branch' },
+                    state,
+                    steps
+                };
+            }
+
+            currentId = edge.to;
+        }
+
+        logger.warn('IVR flow exceeded automatic step limit', { nodeId, flow: graph.name });
+        return { nodeId: currentId, action: 'hangup', params: { reason: 'flow_loop' }, state, steps };
+    }
+
+    /**
+     * Turn a node into the action returned to SignalWire
+     * @param {Object} graph - Normalized graph
+     * @param {Object} node - Node
+     * @param {Object} state - Flow state
+     * @returns {Object} Step result
+     */
+    render(graph, node, state) {
+        let action;
+        let params;
+
+        switch (node.type) {
+            case 'menu': {
+                const options = this.menuOptions(graph, node.id);
+                const hints = Object.values(options)
+                    .flatMap(option => [...(option.keywords || []), ...(option.synonyms || [])]);
+
+                action = 'gather';
+                params = {
+                    greeting: node.prompt || 'Please make a selection.',
+                    timeout: node.timeout || 10,
+                    max_digits: node.max_digits || 1,
+                    retries: node.retries || 3,
+                    options
+                };
+
+                // Listen for speech when asked to, or when any option has keywords
+                if (node.speech === true || (node.speech !== false && hints.length > 0)) {
+                    params.speech = true;
+                    params.hints = [...new Set(hints)];
+                }
+                break;
+            }
+
+            case 'gather':
+                action = 'gather';
+                params = {
+                    greeting: node.prompt || 'Please enter your selection.',
+                    timeout: node.timeout || 10,
+                    max_digits: node.max_digits || 10,
+                    finish_on_key: node.finish_on_key || '#',
+                    variable: node.variable || node.id
+                };
+                break;
+
+            case 'play':
+                action = 'play';
+                params = node.url ? { url: node.url } : { message: node.message || node.prompt };
+                break;
+
+            case 'transfer':
+                if (node.extension) {
+                    action = 'extension';
+                    params = { extension: String(node.extension) };
+                } else if (node.department) {
+                    action = 'dept';
+                    params = { department: node.department };
+                } else if (node.queue) {
+                    action = 'enqueue';
+                    params = { queue: node.queue };
+                } else {
+                    action = 'forward';
+                    params = { number: node.number };
+                }
+                break;
+
+            case 'ai':
+                action = 'ai';
+                params = {
+                    prompt: node.prompt || 'How can I assist you today?',
+                    model: node.model || 'default'
+                };
+                break;
+
+            case 'directory':
+                action = 'directory';
+                params = {
+                    prompt: node.prompt ||
+                        'Please spell the last name of the person you are calling, then press pound, or say their name.',
+                    finish_on_key: '#',
+                    max_digits: 10
+                };
+                break;
+
+            case 'voicemail':
+                action = 'voicemail';
+                params = { message: node.message || 'Please leave a message after the tone.' };
+                if (node.mailbox) {
+                    params.mailbox = node.mailbox;
+                }
+                break;
+
+            default:
+                action = 'hangup';
+                params = { reason: 'flow_complete' };
+                if (node.message) {
+                    params.message = node.message;
+                }
+        }
+
+        return { nodeId: node.id, action, params, state };
+    }
+
+    /**
+     * List the digit choices leaving a menu node
+     * @param {Object} graph - Normalized graph
+     * @param {string} nodeId - Menu node id
+     * @returns {Object} Map of digit to `{ nodeId, label, keywords, synonyms }`
+     */
+    menuOptions(graph, nodeId) {
+        const options = {};
+
+        graph.edges
+            .filter(edge => edge.from === nodeId && /^[0-9*#]+$/.test(String(edge.on)))
+            .forEach(edge => {
+                options[edge.on] = { nodeId: edge.to, label: edge.label || edge.to };
+                if (edge.keywords) {
+                    options[edge.on].keywords = edge.keywords;
+                }
+                if (edge.synonyms) {
+                    options[edge.on].synonyms = edge.synonyms;
+                }
+            });
+
+        return options;
+    }
+
+    /**
+     * Evaluate a condition node against the call context
+     * @param {Object} node - Condition node (`field`, `operator`, `value`)
+     * @param {Object} context - Call context
+     * @returns {boolean} Whether the condition holds
+     */
+    evaluateCondition(node, context) {
+        const variables = context.state?.variables || {};
+        const actual = node.field in variables ? variables[node.field] : context[node.field];
+        const expected = node.value;
+
+        switch (node.operator || 'equals') {
+            case 'equals':
+                return String(actual) === String(expected);
+            case 'not_equals':
+                return String(actual) !== String(expected);
+            case 'in':
+                return Array.isArray(expected) && expected.map(String).includes(String(actual));
+            case 'starts_with':
+                return actual !== undefined && actual !== null && String(actual).startsWith(String(expected));
+            case 'exists':
+                return actual !== undefined && actual !== null && actual !== '';
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Get a mutable copy of the flow state from the context
+     * Keeps the AI, directory and call control state other handlers store alongside it.
+     * @param {Object} context - Call context
+     * @returns {Object} Flow state with `variables` and `retries`
+     */
+    getState(context) {
+        const state = context.state || {};
+        return {
+            ...state,
+            variables: { ...(state.variables || {}) },
+            retries: { ...(state.retries || {}) }
+        };
+    }
+}
+
+// Create singleton instance
+const ivrFlowEngine = new IvrFlowEngine();
+
+module.exports = ivrFlowEngine;
+module.exports.NODE_TYPES = NODE_TYPES;
@@ -0,0 +1,376 @@
+const logger = require('../utils/logger');
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+// Map a LaML <Dial> DialCallStatus onto the IVR call events
+const DIAL_STATUS_EVENTS = {
+    'completed': 'answered',
+    'answered': 'answered',
+    'no-answer': 'no_answer',
+    'busy': 'busy',
+    'failed': 'failed',
+    'canceled': 'failed'
+};
+
+class LamlService {
+    /**
+     * Escape text for use in XML content or attribute values
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Build an XML element
+     * @param {string} name - Verb or noun name
+     * @param {Object} attributes - Attributes; null/undefined values are skipped
+     * @param {string|Array<string>} children - Escaped child markup
+     * @returns {string} Element markup
+     */
+    element(name, attributes = {}, children = '') {
+        const attrs = Object.entries(attributes)
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .map(([key, value]) => ` ${key}="${this.escape(value)}"`)
+            .join('');
+        const content = Array.isArray(children) ? children.join('') : children;
+
+        return content ? `<${name}${attrs}>${content}</${name}>` : `<${name}${attrs}/>`;
+    }
+
+    /**
+     * Wrap verbs in a LaML document
+     * @param {Array<string>} verbs - Verb markup
+     * @returns {string} LaML document
+     */
+    response(verbs = []) {
+        return `${XML_HEADER}${this.element('Response', {}, verbs)}`;
+    }
+
+    /**
+     * Build a <Say> verb
+     * @param {string} text - Text to speak
+     * @returns {string} Verb markup, or an empty string without text
+     */
+    say(text) {
+        return text ? this.element('Say', {}, this.escape(text)) : '';
+    }
+
+    /**
+     * Build a <Redirect> verb
+     * @param {string} url - Webhook URL
+     * @returns {string} Verb markup
+     */
+    redirect(url) {
+        return this.element('Redirect', { method: 'POST' }, this.escape(url));
+    }
+
+    /**
+     * Build the noun for one dial destination
+     * Destinations are phone numbers, `sip:` URIs, or objects with
+     * `number` or `sip` and an optional `sendDigits`.
+     * @param {string|Object} destination - Dial destination
+     * @param {string} statusCallback - URL posted when the destination answers
+     * @returns {string} Noun markup, or an empty string if unusable
+     */
+    dialNoun(destination, statusCallback) {
+        const target = typeof destination === 'string'
+            ? { [destination.startsWith('sip:') ? 'sip' : 'number']: destination }
+            : (destination || {});
+        const callback = statusCallback
+            ? { statusCallback, statusCallbackEvent: 'answered', statusCallbackMethod: 'POST' }
+            : {};
+
+        if (target.sip) {
+            return this.element('Sip', callback, this.escape(target.sip));
+        }
+
+        if (target.number) {
+            return this.element('Number', { sendDigits: target.sendDigits, ...callback }, this.escape(target.number));
+        }
+
+        return '';
+    }
+
+    /**
+     * Build a <Dial> verb
+     * @param {Array<string|Object>} destinations - Destinations rung together
+     * @param {Object} options - `timeout`, `callerId`, `action`, `statusCallback`
+     * @returns {string} Verb markup, or an empty string with no usable destination
+     */
+    dial(destinations, { timeout, callerId, action, statusCallback } = {}) {
+        const nouns = destinations.map(destination => this.dialNoun(destination, statusCallback)).filter(Boolean);
+        if (nouns.length === 0) {
+            return '';
+        }
+
+        return this.element('Dial', { timeout, callerId, action, method: action ? 'POST' : null }, nouns);
+    }
+
+    /**
+     * Map a DialCallStatus onto the matching IVR call event
+     * @param {string} dialCallStatus - Status posted to a <Dial> action URL
+     * @returns {string} IVR event
+     */
+    dialStatusEvent(dialCallStatus) {
+        return DIAL_STATUS_EVENTS[dialCallStatus] || 'failed';
+    }
+
+    /**
+     * Render an IVR action as a LaML document
+     * @param {string} action - IVR action (`gather`, `play`, `extension`...)
+     * @param {Object} params - Action parameters
+     * @param {Object} options - Rendering options
+     * @param {Function} options.eventUrl - `(event, data) => url` for the follow-up webhook
+     * @returns {string} LaML document
+     */
+    render(action, params = {}, { eventUrl }) {
+        const verbs = [];
+
+        switch (action) {
+            case 'gather':
+                verbs.push(this.element('Gather', {
+                    input: params.speech ? 'dtmf speech' : 'dtmf',
+                    numDigits: params.max_digits,
+                    timeout: params.timeout,
+                    finishOnKey: params.finish_on_key,
+                    speechTimeout: params.speech ? 'auto' : undefined,
+                    hints: params.speech && params.hints?.length ? params.hints.join(',') : undefined,
+                    action: eventUrl('dtmf_menu'),
+                    method: 'POST'
+                }, this.say(params.greeting)));
+                verbs.push(this.redirect(eventUrl('timeout')));
+                break;
+
+            case 'play':
+                verbs.push(params.url
+                    ? this.element('Play', {}, this.escape(params.url))
+                    : this.say(params.message));
+                verbs.push(this.redirect(eventUrl('play_complete')));
+                break;
+
+            case 'extension': {
+                // The dial plan has already been evaluated into this attempt's
+                // destinations; the action URL comes back with the next attempt
+                const destinations = params.destinations || [];
+                const attempt = Number(params.attempt) || 0;
+
+                if (destinations.length === 0) {
+                    verbs.push(this.redirect(eventUrl('no_answer')));
+                    break;
+                }
+
+                if (attempt === 0) {
+                    verbs.push(this.say(params.name ? `Connecting you to ${params.name}.` : null));
+                }
+                verbs.push(this.dial(destinations, {
+                    timeout: params.timeout,
+                    action: eventUrl('dial_result', { extension: params.extension, attempt: attempt + 1 }),
+                    statusCallback: eventUrl('leg_answered', { extension: params.extension })
+                }) || this.redirect(eventUrl('failed')));
+                break;
+            }
+
+            case 'dept': {
+                if (params.greeting === undefined) {
+                    // Transfer node from the flow - resolve the department first
+                    verbs.push(this.redirect(eventUrl('dept_dial', { department: params.department, visited: params.visited })));
+                    break;
+                }
+
+                const dialList = params.dialList || [];
+                const attempt = Number(params.attempt) || 0;
+
+                if (dialList.length === 0) {
+                    // No one left to ring and no overflow - the flow's no_answer edge takes over
+                    verbs.push(this.redirect(eventUrl('no_answer')));
+                    break;
+                }
+
+                // Each unanswered attempt comes back through dept_dial with
+                // the next attempt number, the member it rang and the order
+                // chosen on the first. Members with nothing to dial are passed
+                // over the same way
+                const nextAttempt = (member) => eventUrl('dial_result', {
+                    department: params.department,
+                    attempt: attempt + 1,
+                    order: params.order,
+                    member,
+                    visited: params.visited
+                });
+
+                if (params.strategy === 'simultaneous') {
+                    if (attempt > 0) {
+                        verbs.push(this.redirect(eventUrl('no_answer')));
+                        break;
+                    }
+                    const ringAll = this.dial(dialList.flatMap(entry => entry.destinations || []), {
+                        timeout: params.timeout,
+                        action: nextAttempt(),
+                        statusCallback: eventUrl('leg_answered', { department: params.department })
+                    });
+                    if (ringAll) {
+                        verbs.push(this.say(params.greeting));
+                    }
+                    verbs.push(ringAll || this.redirect(nextAttempt()));
+                    break;
+                }
+
+                // The dial list starts with the member to ring on this attempt
+                const entry = dialList[0];
+                const ringMember = this.dial(entry.destinations || [], {
+                    timeout: entry.timeout,
+                    action: nextAttempt(entry.memberId),
+                    statusCallback: eventUrl('leg_answered', { department: params.department, extension: entry.extension })
+                });
+
+                if (ringMember && attempt === 0) {
+                    verbs.push(this.say(params.greeting));
+                }
+                verbs.push(ringMember || this.redirect(nextAttempt(entry.memberId)));
+                break;
+            }
+
+            case 'enqueue':
+                // SignalWire polls the wait URL while the caller holds and
+                // posts the action URL once they leave the queue
+                verbs.push(this.say(params.message));
+                verbs.push(this.element('Enqueue', {
+                    waitUrl: eventUrl('queue_wait', { queue: params.queue }),
+                    waitUrlMethod: 'POST',
+                    action: eventUrl('queue_result', { queue: params.queue }),
+                    method: 'POST'
+                }, this.escape(params.queue)));
+                verbs.push(this.element('Hangup'));
+                break;
+
+            case 'queue_hold':
+                verbs.push(this.say(params.announcement));
+                if (params.callbackPrompt) {
+                    verbs.push(this.element('Gather', {
+                        input: 'dtmf',
+                        numDigits: 1,
+                        timeout: 3,
+                        action: eventUrl('queue_wait', { queue: params.queue }),
+                        method: 'POST'
+                    }, this.say(params.callbackPrompt)));
+                }
+                verbs.push(params.holdAudioUrl
+                    ? this.element('Play', {}, this.escape(params.holdAudioUrl))
+                    : this.element('Pause', { length: params.pause }));
+                break;
+
+            case 'queue_leave':
+                verbs.push(this.element('Leave'));
+                break;
+
+            case 'queue_agent':
+                // The agent's dial comes back as queue_dial with the queue entry
+                verbs.push(this.say(params.agent ? `Connecting you to ${params.agent}.` : null));
+                verbs.push(this.dial(params.destinations || [], {
+                    timeout: params.timeout,
+                    action: eventUrl('dial_result', { queue: params.queue, entry: params.entry }),
+                    statusCallback: eventUrl('leg_answered', { queue: params.queue, extension: params.extension })
+                }) || this.redirect(eventUrl('failed')));
+                break;
+
+            case 'conference':
+                // Live call control: the caller's leaving ends the room for everyone
+                verbs.push(this.element('Dial', {}, this.element('Conference', {
+                    beep: 'false',
+                    startConferenceOnEnter: 'true',
+                    endConferenceOnExit: params.role === 'caller' ? 'true' : 'false',
+                    muted: params.muted ? 'true' : null,
+                    coach: params.coach
+                }, this.escape(params.room))));
+                break;
+
+            case 'forward':
+                verbs.push(this.dial([params.number], {
+                    timeout: params.timeout,
+                    callerId: params.callerId,
+                    action: eventUrl('dial_result'),
+                    statusCallback: eventUrl('leg_answered', { number: params.number })
+                }) || this.redirect(eventUrl('failed')));
+                break;
+
+            case 'voicemail':
+                verbs.push(params.greetingUrl
+                    ? this.element('Play', {}, this.escape(params.greetingUrl))
+                    : this.say(params.message));
+                verbs.push(this.element('Record', {
+                    maxLength: params.maxLength || 120,
+                    playBeep: 'true',
+                    finishOnKey: '#',
+                    action: eventUrl('recording_complete', { mailboxId: params.mailboxId }),
+                    method: 'POST'
+                }));
+                verbs.push(this.element('Hangup'));
+                break;
+
+            case 'ai':
+                verbs.push(this.element('Gather', {
+                    input: 'speech',
+                    speechTimeout: 'auto',
+                    action: eventUrl('ai_input'),
+                    method: 'POST'
+                }, this.say(params.prompt)));
+                verbs.push(this.redirect(eventUrl('timeout')));
+                break;
+
+            case 'directory':
+                verbs.push(this.element('Gather', {
+                    input: 'dtmf speech',
+                    numDigits: params.max_digits,
+                    finishOnKey: params.finish_on_key,
+                    timeout: params.timeout,
+                    speechTimeout: 'auto',
+                    hints: params.candidates?.length
+                        ? params.candidates.map(candidate => candidate.name).join(',')
+                        : undefined,
+                    action: eventUrl('directory_lookup'),
+                    method: 'POST'
+                }, this.say(params.prompt)));
+                verbs.push(this.redirect(eventUrl('timeout')));
+                break;
+
+            case 'answered':
+                // The bridged call has finished
+                verbs.push(this.element('Hangup'));
+                break;
+
+            case 'hangup':
+                verbs.push(this.say(params.message));
+                verbs.push(this.element('Hangup'));
+                break;
+
+            default:
+                logger.warn('No LaML rendering for IVR action', { action });
+                verbs.push(this.element('Hangup'));
+        }
+
+        return this.response(verbs.filter(Boolean));
+    }
+
+    /**
+     * Render the document returned when a webhook fails
+     * @returns {string} LaML document
+     */
+    error() {
+        return this.response([
+            this.say('We are sorry, an application error has occurred. Goodbye.'),
+            this.element('Hangup')
+        ]);
+    }
+}
+
+// Create singleton instance
+const lamlService = new LamlService();
+
+module.exports = lamlService;
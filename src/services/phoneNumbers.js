@@ -0,0 +1,499 @@
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const logger = require('../utils/logger');
+
+// active: assigned to a tenant; available: owned but unassigned;
+// missing: no longer on the SignalWire project; released: given back
+const PHONE_NUMBER_STATUSES = ['active', 'available', 'missing', 'released'];
+const NUMBER_TYPES = ['local', 'toll_free'];
+
+class PhoneNumberService {
+    constructor() {
+        this.syncJob = null;
+        this.syncing = false;
+    }
+
+    /**
+     * Webhooks every number in the inventory points at
+     * Inbound calls and texts find their tenant from the dialed number, so the URLs carry nothing else.
+     * @returns {Object} `{ voiceUrl, smsUrl }`
+     */
+    getWebhookUrls() {
+        const baseUrl = process.env.API_BASE_URL || 'http://localhost:3000';
+
+        return {
+            voiceUrl: `${baseUrl}/api/mcp/ivr/entry`,
+            smsUrl: `${baseUrl}/api/signalwire/webhook/sms`
+        };
+    }
+
+    /**
+     * Find the tenant number a call or text was sent to
+     * @param {string} phoneNumber - Dialed number in E.164 format
+     * @returns {Promise<Object|null>} Active phone_numbers row, or null if no tenant has it
+     */
+    async findByNumber(phoneNumber) {
+        if (!phoneNumber) {
+            return null;
+        }
+
+        const { data: number, error: numberError } = await supabase
+            .from('phone_numbers')
+            .select('*')
+            .eq('phone_number', phoneNumber)
+            .eq('status', 'active')
+            .maybeSingle();
+
+        if (numberError) {
+            throw numberError;
+        }
+
+        return number;
+    }
+
+    /**
+     * Find the row holding a number, whatever its tenant
+     * @param {string} phoneNumber - Phone number in E.164 format
+     * @returns {Promise<Object|null>} phone_numbers row that is not released, or null
+     */
+    async findHeld(phoneNumber) {
+        const { data: number, error: numberError } = await supabase
+            .from('phone_numbers')
+            .select('*')
+            .eq('phone_number', phoneNumber)
+            .neq('status', 'released')
+            .maybeSingle();
+
+        if (numberError) {
+            throw numberError;
+        }
+
+        return number;
+    }
+
+    /**
+     * Get a number from the inventory
+     * @param {string} id - Phone number identifier
+     * @param {string|null} tenantId - Tenant the number must belong to, or null for any
+     * @returns {Promise<Object|null>} phone_numbers row, or null if not found
+     */
+    async get(id, tenantId) {
+        let query = supabase
+            .from('phone_numbers')
+            .select('*')
+            .eq('id', id);
+
+        if (tenantId) {
+            query = query.eq('tenant_id', tenantId);
+        }
+
+        const { data: number, error: numberError } = await query.single();
+
+        if (numberError && numberError.code !== 'PGRST116') {
+            throw numberError;
+        }
+
+        return number || null;
+    }
+
+    /**
+     * List numbers in the inventory
+     * @param {string|null} tenantId - Tenant whose numbers to list, or null for unassigned numbers
+     * @param {Object} filters - `status`, `number`
+     * @param {Object} pagination - `page`, `limit`
+     * @returns {Promise<Object>} `{ phoneNumbers, total }`
+     */
+    async list(tenantId, filters = {}, { page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('phone_numbers')
+            .select('*', { count: 'exact' });
+
+        query = tenantId ? query.eq('tenant_id', tenantId) : query.is('tenant_id', null);
+
+        // Released numbers are only listed when asked for
+        query = filters.status ? query.eq('status', filters.status) : query.neq('status', 'released');
+
+        if (filters.number) {
+            query = query.ilike('phone_number', `%${filters.number}%`);
+        }
+
+        const { data: numbers, count, error: listError } = await query
+            .order('phone_number', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (listError) {
+            throw listError;
+        }
+
+        return {
+            phoneNumbers: numbers.map(number => this.formatPhoneNumber(number)),
+            total: count || 0
+        };
+    }
+
+    /**
+     * Get the number a tenant calls and texts from when no `from` is given
+     * @param {string} tenantId - Tenant identifier
+     * @returns {Promise<string|null>} Phone number, or null if the tenant has not chosen one
+     */
+    async getDefaultCallerId(tenantId) {
+        const { data: number, error: numberError } = await supabase
+            .from('phone_numbers')
+            .select('phone_number')
+            .eq('tenant_id', tenantId)
+            .eq('status', 'active')
+            .eq('is_default_caller_id', true)
+            .maybeSingle();
+
+        if (numberError) {
+            throw numberError;
+        }
+
+        return number?.phone_number || null;
+    }
+
+    /**
+     * Stop using a tenant's current default caller ID, before another number takes over
+     * @param {string} tenantId - Tenant identifier
+     * @returns {Promise<void>}
+     */
+    async clearDefaultCallerId(tenantId) {
+        const { error: clearError } = await supabase
+            .from('phone_numbers')
+            .update({ is_default_caller_id: false, updated_at: new Date().toISOString() })
+            .eq('tenant_id', tenantId)
+            .eq('is_default_caller_id', true);
+
+        if (clearError) {
+            throw clearError;
+        }
+    }
+
+    /**
+     * Buy a number from SignalWire and add it to the inventory
+     * @param {Object} params - Purchase parameters
+     * @param {string} params.phoneNumber - Number to buy, from the available number search
+     * @param {string|null} params.tenantId - Tenant to assign it to, or null to keep it unassigned
+     * @param {string} params.label - Label, also used as the SignalWire friendly name
+     * @param {string} params.ivrFlowId - IVR flow the number runs
+     * @param {boolean} params.isDefaultCallerId - Make it the tenant's default caller ID
+     * @param {string} params.createdBy - User buying the number
+     * @returns {Promise<Object>} `{ phoneNumber }`, or `{ error }` if SignalWire refused
+     */
+    async purchase({ phoneNumber, tenantId, label, ivrFlowId, isDefaultCallerId, createdBy }) {
+        const { voiceUrl, smsUrl } = this.getWebhookUrls();
+
+        const purchaseResult = await signalwireService.purchasePhoneNumber({
+            phoneNumber,
+            friendlyName: label || phoneNumber,
+            voiceUrl,
+            smsUrl
+        });
+
+        if (!purchaseResult.success) {
+            return { error: purchaseResult.error };
+        }
+
+        if (tenantId && isDefaultCallerId) {
+            await this.clearDefaultCallerId(tenantId);
+        }
+
+        const { data: newNumber, error: newNumberError } = await supabase
+            .from('phone_numbers')
+            .insert({
+                tenant_id: tenantId || null,
+                phone_number: purchaseResult.phoneNumber,
+                friendly_name: label || null,
+                signalwire_sid: purchaseResult.phoneNumberSid,
+                voice_webhook_url: voiceUrl,
+                sms_webhook_url: smsUrl,
+                ivr_flow_id: tenantId ? (ivrFlowId || null) : null,
+                is_default_caller_id: !!(tenantId && isDefaultCallerId),
+                capabilities: purchaseResult.capabilities || {},
+                status: tenantId ? 'active' : 'available',
+                last_synced_at: new Date().toISOString(),
+                created_by: createdBy
+            })
+            .select()
+            .single();
+
+        if (newNumberError) {
+            // The number is paid for; the next sync adds it to the inventory as unassigned
+            logger.error('Error storing purchased phone number:', newNumberError);
+            throw newNumberError;
+        }
+
+        logger.info('Phone number added to inventory', {
+            phoneNumberId: newNumber.id,
+            phoneNumber: newNumber.phone_number,
+            tenantId: newNumber.tenant_id
+        });
+
+        return { phoneNumber: newNumber };
+    }
+
+    /**
+     * Update a number's label, IVR flow or caller ID use
+     * A new label is copied to SignalWire; if that fails the next sync copies it.
+     * @param {Object} number - phone_numbers row
+     * @param {Object} updates - phone_numbers columns
+     * @returns {Promise<Object>} Updated phone_numbers row
+     */
+    async update(number, updates) {
+        if (updates.is_default_caller_id && number.tenant_id) {
+            await this.clearDefaultCallerId(number.tenant_id);
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('phone_numbers')
+            .update({ ...updates, updated_at: new Date().toISOString() })
+            .eq('id', number.id)
+            .select()
+            .single();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        if (updates.friendly_name !== undefined && number.signalwire_sid) {
+            await signalwireService.updatePhoneNumber(number.signalwire_sid, {
+                friendlyName: updates.friendly_name || number.phone_number
+            });
+        }
+
+        return updated;
+    }
+
+    /**
+     * Move a number to another tenant, or back to the unassigned pool
+     * The number's IVR flow and caller ID use belonged to the old tenant, so both are cleared.
+     * @param {Object} number - phone_numbers row
+     * @param {string|null} tenantId - New tenant, or null to unassign
+     * @returns {Promise<Object>} Updated phone_numbers row
+     */
+    async assign(number, tenantId) {
+        return this.update(number, {
+            tenant_id: tenantId || null,
+            status: tenantId ? 'active' : 'available',
+            ivr_flow_id: null,
+            is_default_caller_id: false
+        });
+    }
+
+    /**
+     * Give a number back to SignalWire
+     * The row is kept, marked released, so call and SMS history still show the number's label.
+     * @param {Object} number - phone_numbers row
+     * @returns {Promise<Object>} `{ phoneNumber }`, or `{ error }` if SignalWire refused
+     */
+    async release(number) {
+        if (number.signalwire_sid) {
+            const releaseResult = await signalwireService.releasePhoneNumber(number.signalwire_sid);
+
+            // A number already gone from the project only needs the inventory to catch up
+            if (!releaseResult.success && !releaseResult.notFound) {
+                return { error: releaseResult.error };
+            }
+        }
+
+        const { data: released, error: releaseError } = await supabase
+            .from('phone_numbers')
+            .update({
+                status: 'released',
+                released_at: new Date().toISOString(),
+                ivr_flow_id: null,
+                is_default_caller_id: false,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', number.id)
+            .select()
+            .single();
+
+        if (releaseError) {
+            throw releaseError;
+        }
+
+        logger.info('Phone number released', { phoneNumberId: number.id, phoneNumber: number.phone_number });
+
+        return { phoneNumber: released };
+    }
+
+    /**
+     * Reconcile the inventory with the numbers on the SignalWire project
+     * Numbers bought outside this API are added unassigned, numbers gone from the project are
+     * marked missing (and restored if they come back), and webhooks or labels changed on
+     * SignalWire are set back to the inventory's.
+     * @returns {Promise<Object>} `{ imported, reconfigured, missing, restored }`, or `{ error }`
+     */
+    async sync() {
+        const providerResult = await signalwireService.listPhoneNumbers();
+
+        if (!providerResult.success) {
+            return { error: providerResult.error };
+        }
+
+        const { data: held, error: heldError } = await supabase
+            .from('phone_numbers')
+            .select('*')
+            .neq('status', 'released');
+
+        if (heldError) {
+            throw heldError;
+        }
+
+        const bySid = new Map(held.filter(number => number.signalwire_sid).map(number => [number.signalwire_sid, number]));
+        const byNumber = new Map(held.map(number => [number.phone_number, number]));
+        const seen = new Set();
+        const { voiceUrl, smsUrl } = this.getWebhookUrls();
+        const now = new Date().toISOString();
+        const summary = { imported: 0, reconfigured: 0, missing: 0, restored: 0 };
+
+        for (const providerNumber of providerResult.phoneNumbers) {
+            const number = bySid.get(providerNumber.phoneNumberSid) || byNumber.get(providerNumber.phoneNumber);
+            const label = number ? (number.friendly_name || number.phone_number) : providerNumber.friendlyName;
+
+            const providerUpdates = {};
+            if (providerNumber.voiceUrl !== voiceUrl || providerNumber.smsUrl !== smsUrl) {
+                Object.assign(providerUpdates, { voiceUrl, voiceMethod: 'POST', smsUrl, smsMethod: 'POST' });
+            }
+            if (number && providerNumber.friendlyName !== label) {
+                providerUpdates.friendlyName = label;
+            }
+            if (Object.keys(providerUpdates).length > 0) {
+                const updateResult = await signalwireService.updatePhoneNumber(providerNumber.phoneNumberSid, providerUpdates);
+                if (updateResult.success) {
+                    summary.reconfigured++;
+                }
+            }
+
+            if (!number) {
+                const { error: importError } = await supabase
+                    .from('phone_numbers')
+                    .insert({
+                        tenant_id: null,
+                        phone_number: providerNumber.phoneNumber,
+                        friendly_name: providerNumber.friendlyName || null,
+                        signalwire_sid: providerNumber.phoneNumberSid,
+                        voice_webhook_url: voiceUrl,
+                        sms_webhook_url: smsUrl,
+                        capabilities: providerNumber.capabilities || {},
+                        status: 'available',
+                        last_synced_at: now
+                    });
+
+                if (importError) {
+                    logger.error('Error importing SignalWire phone number:', importError);
+                } else {
+                    summary.imported++;
+                }
+                continue;
+            }
+
+            seen.add(number.id);
+
+            const updateData = {
+                signalwire_sid: providerNumber.phoneNumberSid,
+                voice_webhook_url: voiceUrl,
+                sms_webhook_url: smsUrl,
+                capabilities: providerNumber.capabilities || {},
+                last_synced_at: now
+            };
+            if (number.status === 'missing') {
+                updateData.status = number.tenant_id ? 'active' : 'available';
+                summary.restored++;
+            }
+
+            const { error: updateError } = await supabase
+                .from('phone_numbers')
+                .update(updateData)
+                .eq('id', number.id);
+
+            if (updateError) {
+                logger.error('Error updating synced phone number:', updateError);
+            }
+        }
+
+        // Numbers the project no longer has stop receiving calls and texts
+        for (const number of held) {
+            if (seen.has(number.id) || number.status === 'missing') {
+                continue;
+            }
+
+            const { error: missingError } = await supabase
+                .from('phone_numbers')
+                .update({ status: 'missing', last_synced_at: now })
+                .eq('id', number.id);
+
+            if (missingError) {
+                logger.error('Error marking phone number missing:', missingError);
+            } else {
+                summary.missing++;
+                logger.warn('Phone number missing from SignalWire', { phoneNumberId: number.id, phoneNumber: number.phone_number });
+            }
+        }
+
+        logger.info('Phone number inventory synced', summary);
+        return summary;
+    }
+
+    /**
+     * Transform a phone_numbers row to match expected format
+     * @param {Object} number - phone_numbers row
+     * @returns {Object} Formatted phone number
+     */
+    formatPhoneNumber(number) {
+        return {
+            id: number.id,
+            phoneNumber: number.phone_number,
+            label: number.friendly_name || null,
+            tenantId: number.tenant_id || null,
+            status: number.status,
+            ivrFlowId: number.ivr_flow_id || null,
+            isDefaultCallerId: !!number.is_default_caller_id,
+            capabilities: number.capabilities || {},
+            phoneNumberSid: number.signalwire_sid || null,
+            lastSyncedAt: number.last_synced_at || null,
+            releasedAt: number.released_at || null,
+            createdAt: number.created_at,
+            updatedAt: number.updated_at
+        };
+    }
+
+    /**
+     * Reconcile the inventory with SignalWire every 30 minutes
+     * @returns {void}
+     */
+    startSyncJob() {
+        if (this.syncJob) {
+            return;
+        }
+
+        this.syncJob = cron.schedule('*/30 * * * *', async () => {
+            if (this.syncing) {
+                return;
+            }
+
+            this.syncing = true;
+            try {
+                const result = await this.sync();
+                if (result.error) {
+                    logger.warn('Phone number sync skipped', { error: result.error });
+                }
+            } catch (error) {
+                logger.error('Phone number sync failed:', error);
+            } finally {
+                this.syncing = false;
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const phoneNumberService = new PhoneNumberService();
+
+module.exports = phoneNumberService;
+module.exports.PHONE_NUMBER_STATUSES = PHONE_NUMBER_STATUSES;
+module.exports.NUMBER_TYPES = NUMBER_TYPES;
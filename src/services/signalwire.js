@@ -1,4 +1,5 @@
 const axios = require('axios');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 
 // Import SignalWire SDK
@@ -56,12 +57,16 @@ class SignalWireService {
             }
 
             const { from, to, tenantId, options = {} } = params;
+
+            // SignalWire does not echo custom parameters to the voice webhooks,
+            // so the call session travels in the query string (its tenant comes from the session)
+            const webhookQuery = new URLSearchParams({ callId: options.callId || '' });
             
             const callParams = {
                 from: from,
                 to: to,
-                url: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/outbound`,
-                statusCallback: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/status`,
+                url: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/outbound?${webhookQuery}`,
+                statusCallback: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/mcp/ivr/status?${webhookQuery}`,
                 statusCallbackMethod: 'POST',
                 statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
                 customParameters: {
@@ -115,6 +120,8 @@ class SignalWireService {
                 from: from,
                 to: to,
                 body: body,
+                // Delivery updates are posted back as the message moves through the carrier
+                statusCallback: `${process.env.API_BASE_URL || 'http://localhost:3000'}/api/signalwire/webhook/sms/status`,
                 customParameters: {
                     tenantId: tenantId
                 }
@@ -135,7 +142,8 @@ class SignalWireService {
             logger.error('Failed to send SMS:', error);
             return {
                 success: false,
-                error: error.message
+                error: error.message,
+                errorCode: error.code ? String(error.code) : null
             };
         }
     }
@@ -203,6 +211,157 @@ class SignalWireService {
         }
     }
 
+    /**
+     * Move a live call to new LaML
+     * @param {string} callSid - Call SID
+     * @param {string} url - Webhook URL returning the LaML to run
+     * @returns {Promise<Object>} Update result
+     */
+    async redirectCall(callSid, url) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            const call = await this.restClient.calls(callSid).update({ url, method: 'POST' });
+
+            return {
+                success: true,
+                callSid: call.sid,
+                status: call.status
+            };
+        } catch (error) {
+            logger.error('Failed to redirect call:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Place a call that runs the given LaML when answered
+     * @param {Object} params - Call parameters
+     * @param {string} params.from - Caller ID
+     * @param {string} params.to - Destination number or SIP URI
+     * @param {string} params.url - Webhook URL returning the LaML to run
+     * @returns {Promise<Object>} Call result
+     */
+    async createControlCall({ from, to, url }) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            const call = await this.restClient.calls.create({ from, to, url, method: 'POST' });
+
+            return {
+                success: true,
+                callSid: call.sid,
+                status: call.status
+            };
+        } catch (error) {
+            logger.error('Failed to create control call:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Get the in-progress legs a call has dialed
+     * @param {string} callSid - Parent call SID
+     * @returns {Promise<Object>} Child call SIDs
+     */
+    async getChildCalls(callSid) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            const calls = await this.restClient.calls.list({ parentCallSid: callSid, status: 'in-progress' });
+
+            return {
+                success: true,
+                callSids: calls.map(call => call.sid)
+            };
+        } catch (error) {
+            logger.error('Failed to get child calls:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Find an in-progress conference by name
+     * @param {string} friendlyName - Conference name
+     * @returns {Promise<Object>} Conference SID and participant call SIDs, `conferenceSid` null when not running
+     */
+    async getConference(friendlyName) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            const [conference] = await this.restClient.conferences.list({ friendlyName, status: 'in-progress', limit: 1 });
+            if (!conference) {
+                return { success: true, conferenceSid: null, participants: [] };
+            }
+
+            const participants = await this.restClient.conferences(conference.sid).participants.list();
+
+            return {
+                success: true,
+                conferenceSid: conference.sid,
+                participants: participants.map(participant => ({
+                    callSid: participant.callSid,
+                    muted: participant.muted,
+                    hold: participant.hold,
+                    coaching: participant.coaching
+                }))
+            };
+        } catch (error) {
+            logger.error('Failed to get conference:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Update a conference participant (hold, mute, coaching)
+     * @param {string} conferenceSid - Conference SID
+     * @param {string} callSid - Participant call SID
+     * @param {Object} updates - `hold`, `holdUrl`, `muted`, `coaching`, `callSidToCoach`
+     * @returns {Promise<Object>} Update result
+     */
+    async updateParticipant(conferenceSid, callSid, updates) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            const participant = await this.restClient.conferences(conferenceSid).participants(callSid).update(updates);
+
+            return {
+                success: true,
+                callSid: participant.callSid,
+                muted: participant.muted,
+                hold: participant.hold
+            };
+        } catch (error) {
+            logger.error('Failed to update conference participant:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Get call recordings
      * @param {string} callSid - Call SID
@@ -227,7 +386,8 @@ class SignalWireService {
                     status: recording.status,
                     price: recording.price,
                     priceUnit: recording.priceUnit,
-                    uri: recording.uri
+                    uri: recording.uri,
+                    url: `https://${this.spaceUrl}${recording.uri.replace(/\.json$/, '')}`
                 }))
             };
         } catch (error) {
@@ -240,32 +400,166 @@ class SignalWireService {
     }
 
     /**
-     * Get phone numbers for a tenant
-     * @param {string} tenantId - Tenant identifier
+     * Request recording audio
+     * Recordings on the SignalWire space are fetched with the project
+     * credentials in case the space requires authentication for media.
+     * @param {string} url - Recording URL
+     * @param {string} responseType - axios response type
+     * @returns {Promise<Object>} axios response
+     */
+    requestRecording(url, responseType) {
+        const mediaUrl = /\.(mp3|wav)$/.test(url) ? url : `${url}.mp3`;
+        const onSpace = this.spaceUrl && new URL(mediaUrl).hostname === this.spaceUrl;
+
+        return axios.get(mediaUrl, {
+            responseType,
+            auth: onSpace ? { username: this.projectId, password: this.token } : undefined
+        });
+    }
+
+    /**
+     * Download recording audio
+     * @param {string} url - Recording URL
+     * @returns {Promise<Object>} Download result with an mp3 `audio` Buffer
+     */
+    async downloadRecording(url) {
+        try {
+            const response = await this.requestRecording(url, 'arraybuffer');
+
+            return {
+                success: true,
+                audio: Buffer.from(response.data),
+                contentType: response.headers['content-type'] || 'audio/mpeg'
+            };
+        } catch (error) {
+            logger.error('Failed to download recording:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Open recording audio as a stream
+     * @param {string} url - Recording URL
+     * @returns {Promise<Object>} Result with a readable `stream`, its
+     *   `contentType` and, when SignalWire sends it, `contentLength`
+     */
+    async streamRecording(url) {
+        try {
+            const response = await this.requestRecording(url, 'stream');
+
+            return {
+                success: true,
+                stream: response.data,
+                contentType: response.headers['content-type'] || 'audio/mpeg',
+                contentLength: response.headers['content-length']
+            };
+        } catch (error) {
+            logger.error('Failed to stream recording:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Delete a recording
+     * @param {string} recordingSid - Recording SID
+     * @returns {Promise<Object>} Delete result
+     */
+    async deleteRecording(recordingSid) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            await this.restClient.recordings(recordingSid).remove();
+
+            return {
+                success: true,
+                recordingSid
+            };
+        } catch (error) {
+            logger.error('Failed to delete recording:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Search numbers available to buy
+     * @param {Object} params - Search parameters
+     * @param {string} params.country - ISO country code
+     * @param {string} params.type - `local` or `toll_free`
+     * @param {string} params.areaCode - Area code
+     * @param {string} params.contains - Digits or letters the number must contain
+     * @param {number} params.limit - Maximum numbers
+     * @returns {Promise<Object>} Available numbers
+     */
+    async searchAvailableNumbers({ country = 'US', type = 'local', areaCode, contains, limit = 20 } = {}) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            const search = {
+                limit: limit
+            };
+            if (areaCode) {
+                search.areaCode = areaCode;
+            }
+            if (contains) {
+                search.contains = contains;
+            }
+
+            const available = this.restClient.availablePhoneNumbers(country);
+            const numbers = await (type === 'toll_free' ? available.tollFree : available.local).list(search);
+
+            return {
+                success: true,
+                numbers: numbers.map(number => ({
+                    phoneNumber: number.phoneNumber,
+                    friendlyName: number.friendlyName,
+                    locality: number.locality || null,
+                    region: number.region || null,
+                    capabilities: number.capabilities
+                }))
+            };
+        } catch (error) {
+            logger.error('Failed to search available phone numbers:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * List every number on the SignalWire project
      * @returns {Promise<Object>} Phone numbers list
      */
-    async getPhoneNumbers(tenantId) {
+    async listPhoneNumbers() {
         try {
             if (!this.restClient) {
                 throw new Error('SignalWire service not initialized');
             }
 
             const phoneNumbers = await this.restClient.incomingPhoneNumbers.list();
-            
-            // Filter by tenant if custom parameter is set
-            const filteredNumbers = phoneNumbers.filter(number => 
-                number.customParameters?.tenantId === tenantId
-            );
-            
+
             return {
                 success: true,
-                phoneNumbers: filteredNumbers.map(number => ({
+                phoneNumbers: phoneNumbers.map(number => ({
                     phoneNumberSid: number.sid,
                     phoneNumber: number.phoneNumber,
                     friendlyName: number.friendlyName,
-                    status: number.status,
-                    capabilities: number.capabilities,
-                    tenantId: number.customParameters?.tenantId
+                    voiceUrl: number.voiceUrl,
+                    smsUrl: number.smsUrl,
+                    capabilities: number.capabilities
                 }))
             };
         } catch (error) {
@@ -278,49 +572,43 @@ class SignalWireService {
     }
 
     /**
-     * Create phone number
+     * Buy a phone number
      * @param {Object} params - Phone number parameters
      * @param {string} params.phoneNumber - Phone number to purchase
      * @param {string} params.friendlyName - Friendly name
-     * @param {string} params.tenantId - Tenant identifier
-     * @param {Object} params.voiceUrl - Voice webhook URL
-     * @param {Object} params.smsUrl - SMS webhook URL
-     * @returns {Promise<Object>} Creation result
+     * @param {string} params.voiceUrl - Voice webhook URL
+     * @param {string} params.smsUrl - SMS webhook URL
+     * @returns {Promise<Object>} Purchase result
      */
-    async createPhoneNumber(params) {
+    async purchasePhoneNumber({ phoneNumber, friendlyName, voiceUrl, smsUrl }) {
         try {
             if (!this.restClient) {
                 throw new Error('SignalWire service not initialized');
             }
 
-            const { phoneNumber, friendlyName, tenantId, voiceUrl, smsUrl } = params;
-            
             const newNumber = await this.restClient.incomingPhoneNumbers.create({
                 phoneNumber: phoneNumber,
                 friendlyName: friendlyName,
                 voiceUrl: voiceUrl,
+                voiceMethod: 'POST',
                 smsUrl: smsUrl,
-                customParameters: {
-                    tenantId: tenantId
-                }
+                smsMethod: 'POST'
             });
 
-            logger.info('Phone number created successfully', { 
-                phoneNumber, 
-                phoneNumberSid: newNumber.sid,
-                tenantId 
+            logger.info('Phone number purchased successfully', {
+                phoneNumber,
+                phoneNumberSid: newNumber.sid
             });
-            
+
             return {
                 success: true,
                 phoneNumberSid: newNumber.sid,
                 phoneNumber: newNumber.phoneNumber,
                 friendlyName: newNumber.friendlyName,
-                status: newNumber.status,
-                tenantId: newNumber.customParameters?.tenantId
+                capabilities: newNumber.capabilities
             };
         } catch (error) {
-            logger.error('Failed to create phone number:', error);
+            logger.error('Failed to purchase phone number:', error);
             return {
                 success: false,
                 error: error.message
@@ -329,47 +617,26 @@ class SignalWireService {
     }
 
     /**
-     * Get call analytics for a tenant
-     * @param {string} tenantId - Tenant identifier
-     * @param {Object} filters - Date filters
-     * @returns {Promise<Object>} Analytics data
+     * Update a phone number's name or webhooks
+     * @param {string} phoneNumberSid - Phone number SID
+     * @param {Object} updates - `friendlyName`, `voiceUrl`, `smsUrl`
+     * @returns {Promise<Object>} Update result
      */
-    async getCallAnalytics(tenantId, filters = {}) {
+    async updatePhoneNumber(phoneNumberSid, updates) {
         try {
             if (!this.restClient) {
                 throw new Error('SignalWire service not initialized');
             }
 
-            const { startDate, endDate } = filters;
-            const calls = await this.restClient.calls.list({
-                startTime: startDate ? new Date(startDate) : undefined,
-                endTime: endDate ? new Date(endDate) : undefined
-            });
-
-            // Filter by tenant and calculate analytics
-            const tenantCalls = calls.filter(call => 
-                call.customParameters?.tenantId === tenantId
-            );
-
-            const analytics = {
-                totalCalls: tenantCalls.length,
-                answeredCalls: tenantCalls.filter(call => call.status === 'completed').length,
-                missedCalls: tenantCalls.filter(call => call.status === 'no-answer').length,
-                failedCalls: tenantCalls.filter(call => call.status === 'failed').length,
-                totalDuration: tenantCalls.reduce((sum, call) => sum + (call.duration || 0), 0),
-                averageDuration: tenantCalls.length > 0 ? 
-                    tenantCalls.reduce((sum, call) => sum + (call.duration || 0), 0) / tenantCalls.length : 0,
-                totalCost: tenantCalls.reduce((sum, call) => sum + (call.price || 0), 0)
-            };
+            const number = await this.restClient.incomingPhoneNumbers(phoneNumberSid).update(updates);
 
             return {
                 success: true,
-                tenantId,
-                analytics,
-                period: { startDate, endDate }
+                phoneNumberSid: number.sid,
+                friendlyName: number.friendlyName
             };
         } catch (error) {
-            logger.error('Failed to get call analytics:', error);
+            logger.error('Failed to update phone number:', error);
             return {
                 success: false,
                 error: error.message
@@ -377,27 +644,76 @@ class SignalWireService {
         }
     }
 
+    /**
+     * Release a phone number back to SignalWire
+     * @param {string} phoneNumberSid - Phone number SID
+     * @returns {Promise<Object>} Release result; `notFound` when the project no longer has it
+     */
+    async releasePhoneNumber(phoneNumberSid) {
+        try {
+            if (!this.restClient) {
+                throw new Error('SignalWire service not initialized');
+            }
+
+            await this.restClient.incomingPhoneNumbers(phoneNumberSid).remove();
+
+            logger.info('Phone number released', { phoneNumberSid });
+
+            return {
+                success: true
+            };
+        } catch (error) {
+            logger.error('Failed to release phone number:', error);
+            return {
+                success: false,
+                error: error.message,
+                notFound: error.status === 404
+            };
+        }
+    }
+
     /**
      * Validate webhook signature
-     * @param {string} signature - Webhook signature
-     * @param {string} url - Webhook URL
-     * @param {string} body - Request body
+     * SignalWire signs the full webhook URL followed by the POST parameters
+     * sorted by name (each name immediately followed by its value) using
+     * HMAC-SHA1 with the project signing key, base64 encoded. JSON bodies are
+     * signed as the URL followed by the raw body.
+     * @param {string} signature - X-SignalWire-Signature header
+     * @param {string} url - Full webhook URL, including the query string
+     * @param {Object|string} body - Form parameters, or the raw JSON body
      * @returns {boolean} Signature validity
      */
     validateWebhookSignature(signature, url, body) {
         try {
-            // This is a simplified validation - in production, implement proper signature validation
-            // using the webhook secret from SignalWire
             const webhookSecret = process.env.SIGNALWIRE_WEBHOOK_SECRET;
-            
+
             if (!webhookSecret) {
-                logger.warn('Webhook secret not configured, skipping signature validation');
-                return true;
+                logger.error('Webhook secret not configured, rejecting webhook');
+                return false;
+            }
+
+            if (!signature) {
+                return false;
             }
 
-            // Implement proper HMAC validation here
-            // For now, return true as placeholder
-            return true;
+            let payload = url;
+            if (typeof body === 'string') {
+                payload += body;
+            } else {
+                Object.keys(body || {}).sort().forEach(key => {
+                    const values = Array.isArray(body[key]) ? body[key] : [body[key]];
+                    values.forEach(value => {
+                        payload += `${key}${value}`;
+                    });
+                });
+            }
+
+            const expected = Buffer.from(
+                crypto.createHmac('sha1', webhookSecret).update(payload, 'utf8').digest('base64')
+            );
+            const received = Buffer.from(signature);
+
+            return expected.length === received.length && crypto.timingSafeEqual(expected, received);
         } catch (error) {
             logger.error('Webhook signature validation failed:', error);
             return false;
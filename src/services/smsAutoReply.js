@@ -0,0 +1,352 @@
+const { supabase } = require('../database/connection');
+const businessHoursService = require('./businessHours');
+const smsConversationService = require('./smsConversations');
+const smsOptOutService = require('./smsOptOuts');
+const { OPT_OUT_KEYWORDS, OPT_IN_KEYWORDS } = require('./smsOptOuts');
+const smsTemplateService = require('./smsTemplates');
+const logger = require('../utils/logger');
+
+const RULE_TYPES = ['keyword', 'after_hours', 'first_contact', 'missed_call'];
+const MATCH_TYPES = ['exact', 'contains'];
+
+// Call outcomes from /api/mcp/ivr/log that a missed_call rule can text back on
+const CALL_OUTCOMES = ['caller_hung_up', 'voicemail'];
+
+// Variables a missed_call reply can use, filled in from the call
+const MISSED_CALL_VARIABLES = ['callerNumber', 'tenantName', 'tenantNumber'];
+
+// Longest auto-reply, the same limit as a manual reply
+const MAX_REPLY_LENGTH = 1600;
+
+class SmsAutoReplyService {
+    /**
+     * Validate an auto-reply rule
+     * @param {Object} rule - Rule fields in request format, after any update is merged in
+     * @returns {Array<Object>} Validation errors as `{ field, message }`
+     */
+    validateRule(rule) {
+        const errors = [];
+
+        if (rule.type === 'keyword') {
+            if (!Array.isArray(rule.keywords) || rule.keywords.length === 0) {
+                errors.push({ field: 'keywords', message: 'keyword rules need at least one keyword' });
+            } else {
+                rule.keywords.forEach((keyword, index) => {
+                    const normalized = smsOptOutService.normalize(keyword);
+
+                    if (typeof keyword !== 'string' || !normalized) {
+                        errors.push({ field: `keywords[${index}]`, message: 'keywords must be non-empty text' });
+                    } else if (OPT_OUT_KEYWORDS.includes(normalized) || OPT_IN_KEYWORDS.includes(normalized)) {
+                        errors.push({
+                            field: `keywords[${index}]`,
+                            message: `${normalized} is handled automatically and cannot have an auto-reply`
+                        });
+                    }
+                });
+            }
+        }
+
+        if (!rule.replyBody || !String(rule.replyBody).trim()) {
+            errors.push({ field: 'replyBody', message: 'replyBody is required' });
+        } else if (String(rule.replyBody).length > MAX_REPLY_LENGTH) {
+            errors.push({ field: 'replyBody', message: `replyBody must be at most ${MAX_REPLY_LENGTH} characters` });
+        } else if (rule.type === 'missed_call') {
+            const unknown = smsTemplateService.extractVariables(rule.replyBody)
+                .filter(variable => !MISSED_CALL_VARIABLES.includes(variable));
+
+            if (unknown.length > 0) {
+                errors.push({
+                    field: 'replyBody',
+                    message: `Unknown variables: ${unknown.join(', ')}. Use ${MISSED_CALL_VARIABLES.join(', ')}`
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check whether a message triggers a keyword rule
+     * `exact` needs the whole message to be a keyword, `contains` a keyword as a separate word.
+     * @param {Object} rule - sms_auto_reply_rules row
+     * @param {string} body - Message body
+     * @returns {boolean} True if a keyword matches
+     */
+    matchesKeyword(rule, body) {
+        const text = smsOptOutService.normalize(body);
+
+        return (rule.keywords || []).some((keyword) => {
+            const normalized = smsOptOutService.normalize(keyword);
+
+            if (rule.match_type === 'contains') {
+                const escaped = normalized.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                return new RegExp(`(^|\\W)${escaped}(\\W|$)`).test(text);
+            }
+
+            return text === normalized;
+        });
+    }
+
+    /**
+     * Get the active rules that apply to a tenant number, in priority order
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} tenantNumber - The tenant number the message arrived on
+     * @returns {Promise<Array<Object>>} sms_auto_reply_rules rows
+     */
+    async getActiveRules(tenantId, tenantNumber) {
+        const { data: rules, error: rulesError } = await supabase
+            .from('sms_auto_reply_rules')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('is_active', true)
+            .or(`tenant_number.is.null,tenant_number.eq."${tenantNumber}"`)
+            .order('priority', { ascending: true })
+            .order('created_at', { ascending: true });
+
+        if (rulesError) {
+            throw rulesError;
+        }
+
+        return rules;
+    }
+
+    /**
+     * Check whether a rule already replied to a conversation within its cooldown
+     * Keeps two auto-responders from texting each other forever. A missed_call rule cools
+     * down per caller, whichever of the tenant's numbers they called.
+     * @param {Object} rule - sms_auto_reply_rules row
+     * @param {Object} conversation - sms_conversations row
+     * @returns {Promise<boolean>} True if the rule must not reply yet
+     */
+    async isCoolingDown(rule, conversation) {
+        if (!rule.cooldown_minutes) {
+            return false;
+        }
+
+        const since = new Date(Date.now() - rule.cooldown_minutes * 60 * 1000).toISOString();
+
+        let query = supabase
+            .from('sms_logs')
+            .select('*', { count: 'exact', head: true })
+            .eq('auto_reply_rule_id', rule.id)
+            .gte('sent_at', since);
+
+        query = rule.type === 'missed_call'
+            ? query.eq('tenant_id', conversation.tenant_id).eq('to_number', conversation.contact_number)
+            : query.eq('conversation_id', conversation.id);
+
+        const { count, error: countError } = await query;
+
+        if (countError) {
+            throw countError;
+        }
+
+        return count > 0;
+    }
+
+    /**
+     * Get a tenant's name to sign compliance replies with
+     * @param {string} tenantId - Tenant identifier
+     * @returns {Promise<string>} Tenant name
+     */
+    async getTenantName(tenantId) {
+        const { data: tenant } = await supabase
+            .from('tenants')
+            .select('name')
+            .eq('id', tenantId)
+            .single();
+
+        return tenant?.name || 'Our team';
+    }
+
+    /**
+     * Answer an inbound message
+     * STOP and HELP are always answered, and START when the contact had opted out. Otherwise the
+     * first active rule that matches replies, unless the contact opted out or the rule is cooling down.
+     * @param {Object} params - Inbound message
+     * @param {Object} params.conversation - sms_conversations row
+     * @param {Object} params.message - sms_logs row of the inbound message
+     * @param {boolean} params.created - True if this message started the conversation
+     * @returns {Promise<Object|null>} `{ action, ruleId }` describing what was sent, or null
+     */
+    async handleInbound({ conversation, message, created }) {
+        const { tenant_id: tenantId, tenant_number: tenantNumber, contact_number: contactNumber } = conversation;
+        const body = message.message_body;
+        const command = smsOptOutService.classify(body);
+
+        if (command && command.action === 'stop') {
+            await smsOptOutService.optOut({ tenantId, tenantNumber, contactNumber, keyword: command.keyword });
+            const tenantName = await this.getTenantName(tenantId);
+
+            await this.send(conversation, `${tenantName}: You have been unsubscribed and will not receive any more messages. ` +
+                'Reply START to resubscribe.', { compliance: true });
+
+            logger.info('SMS contact opted out', { tenantId, tenantNumber, contactNumber, keyword: command.keyword });
+            return { action: 'opted_out', ruleId: null };
+        }
+
+        // YES is also an everyday answer, so only a contact who opted out is resubscribed
+        if (command && command.action === 'start' && await smsOptOutService.optIn(tenantId, tenantNumber, contactNumber)) {
+            const tenantName = await this.getTenantName(tenantId);
+
+            await this.send(conversation, `${tenantName}: You have been resubscribed. ` +
+                'Reply HELP for help or STOP to unsubscribe.', { compliance: true });
+
+            logger.info('SMS contact opted in', { tenantId, tenantNumber, contactNumber, keyword: command.keyword });
+            return { action: 'opted_in', ruleId: null };
+        }
+
+        const rules = await this.getActiveRules(tenantId, tenantNumber);
+
+        if (command && command.action === 'help') {
+            // A keyword rule for HELP or INFO replaces the default help text
+            const helpRule = rules.find(rule => rule.type === 'keyword' && this.matchesKeyword(rule, body));
+            const helpText = helpRule
+                ? helpRule.reply_body
+                : `${await this.getTenantName(tenantId)}: For help, call ${tenantNumber}. ` +
+                    'Msg & data rates may apply. Reply STOP to unsubscribe.';
+
+            await this.send(conversation, helpText, { compliance: true, autoReplyRuleId: helpRule?.id });
+            return { action: 'help', ruleId: helpRule?.id || null };
+        }
+
+        if (await smsOptOutService.isOptedOut(tenantId, tenantNumber, contactNumber)) {
+            return null;
+        }
+
+        // Business hours per schedule, read once per message
+        const hoursBySchedule = new Map();
+
+        for (const rule of rules) {
+            let matches = false;
+
+            if (rule.type === 'keyword') {
+                matches = this.matchesKeyword(rule, body);
+            } else if (rule.type === 'first_contact') {
+                matches = !!created;
+            } else if (rule.type === 'after_hours') {
+                const key = rule.department_id || 'tenant';
+                if (!hoursBySchedule.has(key)) {
+                    hoursBySchedule.set(key, await businessHoursService.getStatus(tenantId, {
+                        departmentId: rule.department_id,
+                        did: tenantNumber
+                    }));
+                }
+                matches = !hoursBySchedule.get(key).open;
+            }
+
+            if (!matches || await this.isCoolingDown(rule, conversation)) {
+                continue;
+            }
+
+            await this.send(conversation, rule.reply_body, { autoReplyRuleId: rule.id });
+
+            logger.info('SMS auto-reply sent', { tenantId, conversationId: conversation.id, ruleId: rule.id });
+            return { action: rule.type, ruleId: rule.id };
+        }
+
+        return null;
+    }
+
+    /**
+     * Text back an inbound caller when a call ends without being answered
+     * The first active missed_call rule for the called number and outcome replies, unless the
+     * caller opted out or was texted back by the rule within its cooldown.
+     * @param {Object} callSession - call_sessions row
+     * @param {string} outcome - Call outcome recorded by /api/mcp/ivr/log
+     * @returns {Promise<Object|null>} `{ action, ruleId }` describing what was sent, or null
+     */
+    async handleCallCompleted(callSession, outcome) {
+        const tenantId = callSession.tenant_id;
+        const tenantNumber = callSession.did || callSession.to_number;
+        const callerNumber = callSession.from_number;
+
+        if (!CALL_OUTCOMES.includes(outcome) || (callSession.direction || 'inbound') !== 'inbound') {
+            return null;
+        }
+
+        // Withheld and SIP callers cannot be texted
+        if (!tenantNumber || !callerNumber || !/^\+\d{7,15}$/.test(callerNumber)) {
+            return null;
+        }
+
+        const rules = await this.getActiveRules(tenantId, tenantNumber);
+        const rule = rules.find(candidate => candidate.type === 'missed_call' &&
+            (candidate.call_outcomes || []).includes(outcome));
+
+        if (!rule || await smsOptOutService.isOptedOut(tenantId, tenantNumber, callerNumber)) {
+            return null;
+        }
+
+        const { conversation } = await smsConversationService.getOrCreate(tenantId, tenantNumber, callerNumber);
+
+        if (await this.isCoolingDown(rule, conversation)) {
+            return null;
+        }
+
+        const { text } = smsTemplateService.render(rule.reply_body, {
+            callerNumber,
+            tenantName: await this.getTenantName(tenantId),
+            tenantNumber
+        });
+
+        await this.send(conversation, text, { autoReplyRuleId: rule.id });
+
+        logger.info('SMS missed-call text-back sent', {
+            tenantId,
+            callId: callSession.call_id,
+            outcome,
+            conversationId: conversation.id,
+            ruleId: rule.id
+        });
+        return { action: 'missed_call', ruleId: rule.id };
+    }
+
+    /**
+     * Send an automatic message into a conversation
+     * @param {Object} conversation - sms_conversations row
+     * @param {string} body - Message body
+     * @param {Object} options - `{ autoReplyRuleId, compliance }`
+     * @returns {Promise<void>}
+     */
+    async send(conversation, body, options) {
+        const result = await smsConversationService.reply(conversation, null, body, options);
+
+        if (result.error) {
+            logger.error('Failed to send SMS auto-reply', { conversationId: conversation.id, error: result.error });
+        }
+    }
+
+    /**
+     * Transform an sms_auto_reply_rules row to match expected format
+     * @param {Object} rule - sms_auto_reply_rules row
+     * @returns {Object} Formatted rule
+     */
+    formatRule(rule) {
+        return {
+            id: rule.id,
+            name: rule.name,
+            type: rule.type,
+            tenantNumber: rule.tenant_number || null,
+            keywords: rule.keywords || [],
+            matchType: rule.match_type,
+            departmentId: rule.department_id || null,
+            callOutcomes: rule.call_outcomes || [],
+            replyBody: rule.reply_body,
+            cooldownMinutes: rule.cooldown_minutes,
+            priority: rule.priority,
+            isActive: rule.is_active,
+            createdAt: rule.created_at,
+            updatedAt: rule.updated_at
+        };
+    }
+}
+
+// Create singleton instance
+const smsAutoReplyService = new SmsAutoReplyService();
+
+module.exports = smsAutoReplyService;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.MATCH_TYPES = MATCH_TYPES;
+module.exports.CALL_OUTCOMES = CALL_OUTCOMES;
+module.exports.MISSED_CALL_VARIABLES = MISSED_CALL_VARIABLES;
@@ -0,0 +1,633 @@
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const smsConversationService = require('./smsConversations');
+const smsOptOutService = require('./smsOptOuts');
+const smsTemplateService = require('./smsTemplates');
+const logger = require('../utils/logger');
+
+const CAMPAIGN_STATUSES = ['scheduled', 'sending', 'paused', 'completed', 'cancelled'];
+const RECIPIENT_STATUSES = ['pending', 'sending', 'sent', 'delivered', 'failed', 'skipped', 'cancelled'];
+
+// Largest recipient list accepted in one request
+const MAX_RECIPIENTS = 10000;
+
+// Recipients inserted per request when a campaign is created
+const INSERT_BATCH_SIZE = 1000;
+
+const E164_PATTERN = /^\+\d{7,15}$/;
+
+class SmsCampaignService {
+    constructor() {
+        this.worker = null;
+        this.processing = false;
+    }
+
+    /**
+     * Messages a tenant number may send per minute, across all campaigns and replies
+     * @returns {number} Messages per minute
+     */
+    getRateLimit() {
+        return parseInt(process.env.SMS_RATE_PER_MINUTE) || 60;
+    }
+
+    /**
+     * Check a recipient list against a message body
+     * @param {Array<Object>} recipients - `{ phoneNumber, variables }` entries
+     * @param {string} body - Message body the variables fill in
+     * @returns {Array<Object>} Validation errors as `{ field, message }`
+     */
+    validateRecipients(recipients, body) {
+        const errors = [];
+        const seen = new Set();
+
+        recipients.forEach((recipient, index) => {
+            const field = `recipients[${index}]`;
+            const phoneNumber = recipient && recipient.phoneNumber;
+
+            if (!E164_PATTERN.test(phoneNumber || '')) {
+                errors.push({ field: `${field}.phoneNumber`, message: 'phoneNumber must be an E.164 number' });
+                return;
+            }
+            if (seen.has(phoneNumber)) {
+                errors.push({ field: `${field}.phoneNumber`, message: `${phoneNumber} is listed more than once` });
+                return;
+            }
+            seen.add(phoneNumber);
+
+            const variables = recipient.variables || {};
+            if (typeof variables !== 'object' || Array.isArray(variables)) {
+                errors.push({ field: `${field}.variables`, message: 'variables must be an object' });
+                return;
+            }
+
+            const { missing } = smsTemplateService.render(body, variables);
+            if (missing.length > 0) {
+                errors.push({ field: `${field}.variables`, message: `Missing variables: ${missing.join(', ')}` });
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Create a campaign and its recipients
+     * The worker starts sending at `scheduledAt`, straight away if that is now or in the past.
+     * @param {Object} params - Campaign parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.userId - User creating the campaign
+     * @param {string} params.name - Campaign name
+     * @param {string} params.tenantNumber - Tenant number to send from
+     * @param {string} params.templateId - Template the body came from, if any
+     * @param {string} params.body - Message body with `{{variables}}`
+     * @param {Array<Object>} params.recipients - Validated `{ phoneNumber, variables }` entries
+     * @param {string} params.scheduledAt - When to start sending
+     * @param {number} params.ratePerMinute - Optional lower rate for this campaign
+     * @returns {Promise<Object>} sms_campaigns row
+     */
+    async create({ tenantId, userId, name, tenantNumber, templateId, body, recipients, scheduledAt, ratePerMinute }) {
+        const { data: campaign, error: campaignError } = await supabase
+            .from('sms_campaigns')
+            .insert({
+                tenant_id: tenantId,
+                name: name,
+                tenant_number: tenantNumber,
+                template_id: templateId || null,
+                body: body,
+                status: 'scheduled',
+                scheduled_at: scheduledAt || new Date().toISOString(),
+                rate_per_minute: ratePerMinute || null,
+                total_recipients: recipients.length,
+                created_by: userId
+            })
+            .select()
+            .single();
+
+        if (campaignError) {
+            throw campaignError;
+        }
+
+        for (let start = 0; start < recipients.length; start += INSERT_BATCH_SIZE) {
+            const { error: recipientsError } = await supabase
+                .from('sms_campaign_recipients')
+                .insert(recipients.slice(start, start + INSERT_BATCH_SIZE).map(recipient => ({
+                    tenant_id: tenantId,
+                    campaign_id: campaign.id,
+                    phone_number: recipient.phoneNumber,
+                    variables: recipient.variables || {},
+                    status: 'pending'
+                })));
+
+            if (recipientsError) {
+                // Do not leave a campaign that would send to part of the list
+                await supabase.from('sms_campaigns').delete().eq('id', campaign.id);
+                throw recipientsError;
+            }
+        }
+
+        if (new Date(campaign.scheduled_at) <= new Date()) {
+            setImmediate(() => {
+                this.processQueue().catch(error => logger.error('SMS campaign worker failed:', error));
+            });
+        }
+
+        return campaign;
+    }
+
+    /**
+     * List a tenant's campaigns, newest first
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} filters - `{ status }`
+     * @param {Object} page - `{ page, limit }`
+     * @returns {Promise<Object>} `{ campaigns, total }`
+     */
+    async list(tenantId, filters = {}, { page = 1, limit = 25 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('sms_campaigns')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', tenantId);
+
+        if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+
+        const { data: campaigns, count, error: listError } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (listError) {
+            throw listError;
+        }
+
+        return {
+            campaigns: campaigns.map(campaign => this.formatCampaign(campaign)),
+            total: count || 0
+        };
+    }
+
+    /**
+     * Get one of a tenant's campaigns
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} campaignId - Campaign identifier
+     * @returns {Promise<Object|null>} sms_campaigns row, or null if not found
+     */
+    async get(tenantId, campaignId) {
+        const { data: campaign, error: campaignError } = await supabase
+            .from('sms_campaigns')
+            .select('*')
+            .eq('id', campaignId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (campaignError && campaignError.code !== 'PGRST116') {
+            throw campaignError;
+        }
+
+        return campaign || null;
+    }
+
+    /**
+     * List a campaign's recipients with their delivery status
+     * @param {Object} campaign - sms_campaigns row
+     * @param {Object} filters - `{ status }`
+     * @param {Object} page - `{ page, limit }`
+     * @returns {Promise<Object>} `{ recipients, total }`
+     */
+    async listRecipients(campaign, filters = {}, { page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('sms_campaign_recipients')
+            .select('*', { count: 'exact' })
+            .eq('campaign_id', campaign.id)
+            .eq('tenant_id', campaign.tenant_id);
+
+        if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+
+        const { data: recipients, count, error: listError } = await query
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (listError) {
+            throw listError;
+        }
+
+        return {
+            recipients: recipients.map(recipient => this.formatRecipient(recipient)),
+            total: count || 0
+        };
+    }
+
+    /**
+     * Move a campaign to a new status, if it is in one of the expected ones
+     * @param {Object} campaign - sms_campaigns row
+     * @param {Array<string>} from - Statuses the change is allowed from
+     * @param {Object} updates - Column values
+     * @returns {Promise<Object|null>} Updated row, or null if the campaign was in another status
+     */
+    async transition(campaign, from, updates) {
+        const { data: updated, error: updateError } = await supabase
+            .from('sms_campaigns')
+            .update(updates)
+            .eq('id', campaign.id)
+            .eq('tenant_id', campaign.tenant_id)
+            .in('status', from)
+            .select();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        return updated[0] || null;
+    }
+
+    /**
+     * Stop sending until the campaign is resumed
+     * @param {Object} campaign - sms_campaigns row
+     * @returns {Promise<Object|null>} Updated row, or null if it was not scheduled or sending
+     */
+    async pause(campaign) {
+        return this.transition(campaign, ['scheduled', 'sending'], { status: 'paused' });
+    }
+
+    /**
+     * Continue a paused campaign; one whose start time has not come yet waits for it
+     * @param {Object} campaign - sms_campaigns row
+     * @returns {Promise<Object|null>} Updated row, or null if it was not paused
+     */
+    async resume(campaign) {
+        const resumed = await this.transition(campaign, ['paused'], { status: 'scheduled' });
+
+        if (resumed && new Date(resumed.scheduled_at) <= new Date()) {
+            setImmediate(() => {
+                this.processQueue().catch(error => logger.error('SMS campaign worker failed:', error));
+            });
+        }
+
+        return resumed;
+    }
+
+    /**
+     * Cancel a campaign; recipients not texted yet are never texted
+     * @param {Object} campaign - sms_campaigns row
+     * @returns {Promise<Object|null>} Updated row, or null if it had already finished
+     */
+    async cancel(campaign) {
+        const cancelled = await this.transition(campaign, ['scheduled', 'sending', 'paused'], {
+            status: 'cancelled',
+            cancelled_at: new Date().toISOString()
+        });
+
+        if (!cancelled) {
+            return null;
+        }
+
+        const { error: recipientsError } = await supabase
+            .from('sms_campaign_recipients')
+            .update({ status: 'cancelled' })
+            .eq('campaign_id', campaign.id)
+            .eq('status', 'pending');
+
+        if (recipientsError) {
+            throw recipientsError;
+        }
+
+        await this.refreshCounts(cancelled);
+
+        return (await this.get(campaign.tenant_id, campaign.id)) || cancelled;
+    }
+
+    /**
+     * Count the messages a tenant number sent in the last minute
+     * Counted from sms_logs so conversation replies and every server instance share the budget.
+     * @param {string} tenantNumber - Tenant number
+     * @returns {Promise<number>} Messages sent
+     */
+    async countRecentlySent(tenantNumber) {
+        const { count, error: countError } = await supabase
+            .from('sms_logs')
+            .select('*', { count: 'exact', head: true })
+            .eq('from_number', tenantNumber)
+            .eq('direction', 'outbound')
+            .gte('sent_at', new Date(Date.now() - 60 * 1000).toISOString());
+
+        if (countError) {
+            throw countError;
+        }
+
+        return count || 0;
+    }
+
+    /**
+     * Text one claimed recipient
+     * @param {Object} campaign - sms_campaigns row
+     * @param {Object} recipient - sms_campaign_recipients row (already claimed)
+     * @returns {Promise<string>} The recipient's new status
+     */
+    async sendToRecipient(campaign, recipient) {
+        const finish = async (updates) => {
+            const { error: updateError } = await supabase
+                .from('sms_campaign_recipients')
+                .update(updates)
+                .eq('id', recipient.id);
+
+            if (updateError) {
+                logger.error('Error updating SMS campaign recipient:', updateError);
+            }
+
+            return updates.status;
+        };
+
+        const { text } = smsTemplateService.render(campaign.body, recipient.variables || {});
+
+        if (await smsOptOutService.isOptedOut(campaign.tenant_id, campaign.tenant_number, recipient.phone_number)) {
+            return finish({ status: 'skipped', message_body: text, error: 'Recipient opted out' });
+        }
+
+        const smsResult = await signalwireService.sendSMS({
+            from: campaign.tenant_number,
+            to: recipient.phone_number,
+            body: text,
+            tenantId: campaign.tenant_id
+        });
+
+        if (!smsResult.success) {
+            return finish({
+                status: 'failed',
+                message_body: text,
+                error: smsResult.error || 'SignalWire error',
+                error_code: smsResult.errorCode || null
+            });
+        }
+
+        try {
+            await smsConversationService.recordMessage({
+                tenantId: campaign.tenant_id,
+                direction: 'outbound',
+                from: campaign.tenant_number,
+                to: recipient.phone_number,
+                body: text,
+                messageSid: smsResult.messageSid,
+                status: smsResult.status,
+                sentBy: campaign.created_by,
+                campaignId: campaign.id
+            });
+        } catch (logError) {
+            logger.error('Error logging SMS campaign message:', logError);
+        }
+
+        return finish({
+            status: 'sent',
+            message_body: text,
+            message_sid: smsResult.messageSid || null,
+            error: null,
+            sent_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Claim and text up to `limit` pending recipients of a campaign
+     * @param {Object} campaign - sms_campaigns row
+     * @param {number} limit - Most recipients to text
+     * @returns {Promise<number>} Recipients texted, including failures
+     */
+    async sendBatch(campaign, limit) {
+        const { data: recipients, error: recipientsError } = await supabase
+            .from('sms_campaign_recipients')
+            .select('*')
+            .eq('campaign_id', campaign.id)
+            .eq('status', 'pending')
+            .order('created_at', { ascending: true })
+            .order('id', { ascending: true })
+            .limit(limit);
+
+        if (recipientsError) {
+            logger.error('Error fetching SMS campaign recipients:', recipientsError);
+            return 0;
+        }
+
+        let processed = 0;
+
+        for (const recipient of recipients) {
+            // Claim the recipient so another instance does not text them too
+            const { data: claimed } = await supabase
+                .from('sms_campaign_recipients')
+                .update({ status: 'sending' })
+                .eq('id', recipient.id)
+                .eq('status', 'pending')
+                .select();
+
+            if (!claimed || claimed.length === 0) {
+                continue;
+            }
+
+            try {
+                await this.sendToRecipient(campaign, claimed[0]);
+            } catch (error) {
+                logger.error('Error sending SMS campaign message:', error);
+                await supabase
+                    .from('sms_campaign_recipients')
+                    .update({ status: 'failed', error: error.message })
+                    .eq('id', recipient.id);
+            }
+            processed++;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Refresh a campaign's counts, completing it once nobody is left to text
+     * @param {Object} campaign - sms_campaigns row
+     * @returns {Promise<void>}
+     */
+    async refreshCounts(campaign) {
+        const count = async (statuses) => {
+            const { count: total, error: countError } = await supabase
+                .from('sms_campaign_recipients')
+                .select('*', { count: 'exact', head: true })
+                .eq('campaign_id', campaign.id)
+                .in('status', statuses);
+
+            if (countError) {
+                throw countError;
+            }
+
+            return total || 0;
+        };
+
+        // Delivered messages were sent too; delivery is reported by status callbacks
+        const [sent, delivered, failed, skipped, remaining] = await Promise.all([
+            count(['sent', 'delivered']),
+            count(['delivered']),
+            count(['failed']),
+            count(['skipped']),
+            count(['pending', 'sending'])
+        ]);
+
+        const { error: updateError } = await supabase
+            .from('sms_campaigns')
+            .update({ sent_count: sent, delivered_count: delivered, failed_count: failed, skipped_count: skipped })
+            .eq('id', campaign.id);
+
+        if (updateError) {
+            logger.error('Error updating SMS campaign counts:', updateError);
+        }
+
+        // A campaign paused or cancelled meanwhile keeps its status
+        if (remaining === 0 && await this.transition(campaign, ['sending'], {
+            status: 'completed',
+            completed_at: new Date().toISOString()
+        })) {
+            logger.info('SMS campaign completed', { campaignId: campaign.id, sent, delivered, failed, skipped });
+        }
+    }
+
+    /**
+     * Start campaigns that are due, then text the next recipients of every sending campaign
+     * Each tenant number sends at most its per-minute rate; campaigns sharing a number take
+     * turns in the order they were scheduled.
+     * @returns {Promise<number>} Recipients texted
+     */
+    async processQueue() {
+        if (this.processing) {
+            return 0;
+        }
+
+        this.processing = true;
+        let processed = 0;
+
+        try {
+            const now = new Date().toISOString();
+
+            const { data: due, error: dueError } = await supabase
+                .from('sms_campaigns')
+                .select('id, started_at')
+                .eq('status', 'scheduled')
+                .lte('scheduled_at', now);
+
+            if (dueError) {
+                logger.error('Error fetching due SMS campaigns:', dueError);
+                return 0;
+            }
+
+            for (const campaign of due) {
+                await supabase
+                    .from('sms_campaigns')
+                    .update({ status: 'sending', started_at: campaign.started_at || now })
+                    .eq('id', campaign.id)
+                    .eq('status', 'scheduled');
+            }
+
+            const { data: campaigns, error: campaignsError } = await supabase
+                .from('sms_campaigns')
+                .select('*')
+                .eq('status', 'sending')
+                .order('scheduled_at', { ascending: true });
+
+            if (campaignsError) {
+                logger.error('Error fetching sending SMS campaigns:', campaignsError);
+                return 0;
+            }
+
+            const budgets = new Map();
+
+            for (const campaign of campaigns) {
+                if (!budgets.has(campaign.tenant_number)) {
+                    budgets.set(campaign.tenant_number, this.getRateLimit() - await this.countRecentlySent(campaign.tenant_number));
+                }
+
+                const budget = budgets.get(campaign.tenant_number);
+                const limit = Math.min(budget, campaign.rate_per_minute || budget);
+
+                if (limit > 0) {
+                    const sent = await this.sendBatch(campaign, limit);
+                    budgets.set(campaign.tenant_number, budget - sent);
+                    processed += sent;
+                }
+
+                await this.refreshCounts(campaign);
+            }
+        } finally {
+            this.processing = false;
+        }
+
+        return processed;
+    }
+
+    /**
+     * Transform an sms_campaigns row to match expected format
+     * @param {Object} campaign - sms_campaigns row
+     * @returns {Object} Formatted campaign
+     */
+    formatCampaign(campaign) {
+        return {
+            id: campaign.id,
+            name: campaign.name,
+            tenantNumber: campaign.tenant_number,
+            templateId: campaign.template_id || null,
+            body: campaign.body,
+            status: campaign.status,
+            scheduledAt: campaign.scheduled_at,
+            ratePerMinute: campaign.rate_per_minute || null,
+            totalRecipients: campaign.total_recipients,
+            sentCount: campaign.sent_count,
+            deliveredCount: campaign.delivered_count || 0,
+            failedCount: campaign.failed_count,
+            skippedCount: campaign.skipped_count,
+            startedAt: campaign.started_at || null,
+            completedAt: campaign.completed_at || null,
+            cancelledAt: campaign.cancelled_at || null,
+            createdBy: campaign.created_by || null,
+            createdAt: campaign.created_at,
+            updatedAt: campaign.updated_at
+        };
+    }
+
+    /**
+     * Transform an sms_campaign_recipients row to match expected format
+     * @param {Object} recipient - sms_campaign_recipients row
+     * @returns {Object} Formatted recipient
+     */
+    formatRecipient(recipient) {
+        return {
+            id: recipient.id,
+            phoneNumber: recipient.phone_number,
+            variables: recipient.variables || {},
+            status: recipient.status,
+            messageBody: recipient.message_body || null,
+            messageSid: recipient.message_sid || null,
+            error: recipient.error || null,
+            errorCode: recipient.error_code || null,
+            sentAt: recipient.sent_at || null,
+            deliveredAt: recipient.delivered_at || null
+        };
+    }
+
+    /**
+     * Run the campaign queue every minute
+     * @returns {void}
+     */
+    startWorker() {
+        if (this.worker) {
+            return;
+        }
+
+        this.worker = cron.schedule('* * * * *', () => {
+            this.processQueue().catch(error => logger.error('SMS campaign worker failed:', error));
+        });
+    }
+}
+
+// Create singleton instance
+const smsCampaignService = new SmsCampaignService();
+
+module.exports = smsCampaignService;
+module.exports.CAMPAIGN_STATUSES = CAMPAIGN_STATUSES;
+module.exports.RECIPIENT_STATUSES = RECIPIENT_STATUSES;
+module.exports.MAX_RECIPIENTS = MAX_RECIPIENTS;
@@ -0,0 +1,495 @@
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const smsOptOutService = require('./smsOptOuts');
+const logger = require('../utils/logger');
+
+const CONVERSATION_STATUSES = ['open', 'closed'];
+
+// Conversation columns with the assigned user
+const CONVERSATION_COLUMNS = '*, users(id, email, first_name, last_name)';
+
+// Characters of the latest message kept on the conversation for list views
+const PREVIEW_LENGTH = 160;
+
+class SmsConversationService {
+    /**
+     * Find the conversation between a tenant number and a contact, creating it if needed
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} tenantNumber - The tenant's phone number
+     * @param {string} contactNumber - The other party's phone number
+     * @returns {Promise<Object>} `{ conversation, created }`; `created` is true for a first contact
+     */
+    async getOrCreate(tenantId, tenantNumber, contactNumber) {
+        const find = () => supabase
+            .from('sms_conversations')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('tenant_number', tenantNumber)
+            .eq('contact_number', contactNumber)
+            .single();
+
+        const { data: existing, error: existingError } = await find();
+
+        if (existingError && existingError.code !== 'PGRST116') {
+            throw existingError;
+        }
+        if (existing) {
+            return { conversation: existing, created: false };
+        }
+
+        const { data: created, error: createError } = await supabase
+            .from('sms_conversations')
+            .insert({
+                tenant_id: tenantId,
+                tenant_number: tenantNumber,
+                contact_number: contactNumber,
+                status: 'open'
+            })
+            .select()
+            .single();
+
+        // Another message for the same contact created it first
+        if (createError && createError.code === '23505') {
+            const { data: raced, error: racedError } = await find();
+            if (racedError) {
+                throw racedError;
+            }
+            return { conversation: raced, created: false };
+        }
+        if (createError) {
+            throw createError;
+        }
+
+        return { conversation: created, created: true };
+    }
+
+    /**
+     * Log a message in sms_logs and thread it into its conversation
+     * Inbound messages reopen a closed conversation and count as unread.
+     * @param {Object} params - Message parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.direction - `inbound` or `outbound`
+     * @param {string} params.from - Sender number
+     * @param {string} params.to - Recipient number
+     * @param {string} params.body - Message body
+     * @param {string} params.messageSid - SignalWire message SID
+     * @param {string} params.status - Delivery status
+     * @param {string} params.sentBy - User who sent an outbound message
+     * @param {Object} params.webhookData - Raw webhook payload of an inbound message
+     * @param {string} params.autoReplyRuleId - Auto-reply rule that sent an outbound message
+     * @param {string} params.campaignId - Campaign that sent an outbound message
+     * @returns {Promise<Object>} `{ conversation, message, created }`
+     */
+    async recordMessage({ tenantId, direction, from, to, body, messageSid, status, sentBy, webhookData, autoReplyRuleId, campaignId }) {
+        const inbound = direction === 'inbound';
+        const { conversation, created } = await this.getOrCreate(tenantId, inbound ? to : from, inbound ? from : to);
+        const now = new Date().toISOString();
+
+        const { data: message, error: messageError } = await supabase
+            .from('sms_logs')
+            .insert({
+                tenant_id: tenantId,
+                conversation_id: conversation.id,
+                from_number: from,
+                to_number: to,
+                message_body: body,
+                signalwire_sid: messageSid || null,
+                status: status || (inbound ? 'received' : null),
+                direction: direction,
+                sent_by: sentBy || null,
+                sent_at: now,
+                received_at: inbound ? now : null,
+                webhook_data: webhookData ? JSON.stringify(webhookData) : null,
+                auto_reply_rule_id: autoReplyRuleId || null,
+                campaign_id: campaignId || null
+            })
+            .select()
+            .single();
+
+        if (messageError) {
+            throw messageError;
+        }
+
+        const updates = {
+            last_message_at: now,
+            last_message_preview: (body || '').slice(0, PREVIEW_LENGTH),
+            last_direction: direction
+        };
+
+        if (inbound) {
+            updates.unread_count = await this.countUnread(conversation);
+            if (conversation.status === 'closed') {
+                updates.status = 'open';
+                updates.closed_at = null;
+            }
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('sms_conversations')
+            .update(updates)
+            .eq('id', conversation.id)
+            .select()
+            .single();
+
+        if (updateError) {
+            logger.error('Error updating SMS conversation:', updateError);
+        }
+
+        return { conversation: updated || conversation, message, created };
+    }
+
+    /**
+     * Count inbound messages received since the conversation was last read
+     * Counted from sms_logs rather than incremented, so concurrent messages
+     * cannot lose an update.
+     * @param {Object} conversation - sms_conversations row
+     * @returns {Promise<number>} Unread messages
+     */
+    async countUnread(conversation) {
+        let query = supabase
+            .from('sms_logs')
+            .select('*', { count: 'exact', head: true })
+            .eq('conversation_id', conversation.id)
+            .eq('direction', 'inbound');
+
+        if (conversation.last_read_at) {
+            query = query.gt('sent_at', conversation.last_read_at);
+        }
+
+        const { count, error: countError } = await query;
+
+        if (countError) {
+            throw countError;
+        }
+
+        return count || 0;
+    }
+
+    /**
+     * List a tenant's conversations, most recent message first
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} filters - List filters
+     * @param {string} filters.status - `open` or `closed`
+     * @param {string} filters.assignedTo - User id, or `unassigned`
+     * @param {boolean} filters.unread - Only conversations with unread messages
+     * @param {string} filters.number - Digits in the contact number
+     * @param {Object} page - `{ page, limit }`
+     * @returns {Promise<Object>} `{ conversations, total }`
+     */
+    async list(tenantId, filters = {}, { page = 1, limit = 25 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('sms_conversations')
+            .select(CONVERSATION_COLUMNS, { count: 'exact' })
+            .eq('tenant_id', tenantId);
+
+        if (filters.status) {
+            query = query.eq('status', filters.status);
+        }
+        if (filters.assignedTo === 'unassigned') {
+            query = query.is('assigned_to', null);
+        } else if (filters.assignedTo) {
+            query = query.eq('assigned_to', filters.assignedTo);
+        }
+        if (filters.unread) {
+            query = query.gt('unread_count', 0);
+        }
+        if (filters.number) {
+            query = query.ilike('contact_number', `%${filters.number}%`);
+        }
+
+        const { data: conversations, count, error: listError } = await query
+            .order('last_message_at', { ascending: false, nullsFirst: false })
+            .range(offset, offset + limit - 1);
+
+        if (listError) {
+            throw listError;
+        }
+
+        return {
+            conversations: conversations.map(conversation => this.formatConversation(conversation)),
+            total: count || 0
+        };
+    }
+
+    /**
+     * Unread totals for a tenant's open conversations
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} userId - Also count the conversations assigned to this user
+     * @returns {Promise<Object>} `{ conversations, messages, assignedToMe }`
+     */
+    async unreadSummary(tenantId, userId) {
+        const { data: unread, error: unreadError } = await supabase
+            .from('sms_conversations')
+            .select('unread_count, assigned_to')
+            .eq('tenant_id', tenantId)
+            .eq('status', 'open')
+            .gt('unread_count', 0);
+
+        if (unreadError) {
+            throw unreadError;
+        }
+
+        return {
+            conversations: unread.length,
+            messages: unread.reduce((total, conversation) => total + conversation.unread_count, 0),
+            assignedToMe: unread.filter(conversation => conversation.assigned_to === userId).length
+        };
+    }
+
+    /**
+     * Get one of a tenant's conversations
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} conversationId - Conversation identifier
+     * @returns {Promise<Object|null>} sms_conversations row, or null if not found
+     */
+    async get(tenantId, conversationId) {
+        const { data: conversation, error: conversationError } = await supabase
+            .from('sms_conversations')
+            .select(CONVERSATION_COLUMNS)
+            .eq('id', conversationId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (conversationError && conversationError.code !== 'PGRST116') {
+            throw conversationError;
+        }
+
+        return conversation || null;
+    }
+
+    /**
+     * Get a conversation's messages, newest first
+     * @param {Object} conversation - sms_conversations row
+     * @param {Object} options - `{ before, limit }`; `before` pages to older messages
+     * @returns {Promise<Array<Object>>} Formatted messages with their delivery status history
+     */
+    async getMessages(conversation, { before, limit = 50 } = {}) {
+        let query = supabase
+            .from('sms_logs')
+            .select('id, from_number, to_number, message_body, signalwire_sid, status, direction, sent_by, sent_at, ' +
+                'error_code, error_message, delivered_at, retry_count, next_retry_at, ' +
+                'sms_status_events(status, error_code, error_message, message_sid, occurred_at)')
+            .eq('conversation_id', conversation.id)
+            .eq('tenant_id', conversation.tenant_id);
+
+        if (before) {
+            query = query.lt('sent_at', before);
+        }
+
+        const { data: messages, error: messagesError } = await query
+            .order('sent_at', { ascending: false })
+            .limit(limit);
+
+        if (messagesError) {
+            throw messagesError;
+        }
+
+        return messages.map(message => ({
+            id: message.id,
+            direction: message.direction,
+            from: message.from_number,
+            to: message.to_number,
+            body: message.message_body,
+            messageSid: message.signalwire_sid,
+            status: message.status,
+            errorCode: message.error_code || null,
+            errorMessage: message.error_message || null,
+            deliveredAt: message.delivered_at || null,
+            retryCount: message.retry_count || 0,
+            nextRetryAt: message.next_retry_at || null,
+            statusHistory: this.formatStatusHistory(message.sms_status_events),
+            sentBy: message.sent_by,
+            sentAt: message.sent_at
+        }));
+    }
+
+    /**
+     * Transform a message's sms_status_events rows to match expected format
+     * @param {Array<Object>} events - sms_status_events rows
+     * @returns {Array<Object>} Status changes, oldest first
+     */
+    formatStatusHistory(events) {
+        return (events || [])
+            .slice()
+            .sort((a, b) => new Date(a.occurred_at) - new Date(b.occurred_at))
+            .map(event => ({
+                status: event.status,
+                errorCode: event.error_code || null,
+                errorMessage: event.error_message || null,
+                messageSid: event.message_sid,
+                occurredAt: event.occurred_at
+            }));
+    }
+
+    /**
+     * Get a conversation's internal notes, oldest first
+     * @param {Object} conversation - sms_conversations row
+     * @returns {Promise<Array<Object>>} Formatted notes
+     */
+    async getNotes(conversation) {
+        const { data: notes, error: notesError } = await supabase
+            .from('sms_conversation_notes')
+            .select('id, body, author_id, created_at, users(id, email, first_name, last_name)')
+            .eq('conversation_id', conversation.id)
+            .eq('tenant_id', conversation.tenant_id)
+            .order('created_at', { ascending: true });
+
+        if (notesError) {
+            throw notesError;
+        }
+
+        return notes.map(note => this.formatNote(note));
+    }
+
+    /**
+     * Add an internal note
+     * @param {Object} conversation - sms_conversations row
+     * @param {string} authorId - User writing the note
+     * @param {string} body - Note text
+     * @returns {Promise<Object>} Formatted note
+     */
+    async addNote(conversation, authorId, body) {
+        const { data: note, error: noteError } = await supabase
+            .from('sms_conversation_notes')
+            .insert({
+                tenant_id: conversation.tenant_id,
+                conversation_id: conversation.id,
+                author_id: authorId,
+                body: body
+            })
+            .select('id, body, author_id, created_at, users(id, email, first_name, last_name)')
+            .single();
+
+        if (noteError) {
+            throw noteError;
+        }
+
+        return this.formatNote(note);
+    }
+
+    /**
+     * Mark every message in a conversation read
+     * @param {Object} conversation - sms_conversations row
+     * @returns {Promise<Object>} Updated sms_conversations row
+     */
+    async markRead(conversation) {
+        return this.update(conversation, {
+            unread_count: 0,
+            last_read_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Update a conversation
+     * @param {Object} conversation - sms_conversations row
+     * @param {Object} updates - Column values
+     * @returns {Promise<Object>} Updated sms_conversations row
+     */
+    async update(conversation, updates) {
+        const { data: updated, error: updateError } = await supabase
+            .from('sms_conversations')
+            .update(updates)
+            .eq('id', conversation.id)
+            .eq('tenant_id', conversation.tenant_id)
+            .select(CONVERSATION_COLUMNS)
+            .single();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        return updated;
+    }
+
+    /**
+     * Reply to a conversation from the tenant number it is on
+     * Contacts who opted out are not texted, except for the STOP/START/HELP confirmations.
+     * @param {Object} conversation - sms_conversations row
+     * @param {string} userId - User replying, null for auto-replies
+     * @param {string} body - Message body
+     * @param {Object} options - `{ autoReplyRuleId, compliance }`
+     * @returns {Promise<Object>} `{ conversation, message }`, `{ optedOut: true }` if the contact opted out,
+     *   or `{ error }` if SignalWire refused it
+     */
+    async reply(conversation, userId, body, { autoReplyRuleId, compliance = false } = {}) {
+        if (!compliance && await smsOptOutService.isOptedOut(conversation.tenant_id, conversation.tenant_number, conversation.contact_number)) {
+            return { optedOut: true };
+        }
+
+        const smsResult = await signalwireService.sendSMS({
+            from: conversation.tenant_number,
+            to: conversation.contact_number,
+            body: body,
+            tenantId: conversation.tenant_id
+        });
+
+        if (!smsResult.success) {
+            return { error: smsResult.error };
+        }
+
+        return this.recordMessage({
+            tenantId: conversation.tenant_id,
+            direction: 'outbound',
+            from: conversation.tenant_number,
+            to: conversation.contact_number,
+            body: body,
+            messageSid: smsResult.messageSid,
+            status: smsResult.status,
+            sentBy: userId,
+            autoReplyRuleId
+        });
+    }
+
+    /**
+     * Transform an sms_conversations row to match expected format
+     * @param {Object} conversation - sms_conversations row
+     * @returns {Object} Formatted conversation
+     */
+    formatConversation(conversation) {
+        const assignee = conversation.users;
+
+        return {
+            id: conversation.id,
+            tenantNumber: conversation.tenant_number,
+            contactNumber: conversation.contact_number,
+            status: conversation.status,
+            assignedTo: conversation.assigned_to || null,
+            assignee: assignee ? {
+                id: assignee.id,
+                email: assignee.email,
+                firstName: assignee.first_name,
+                lastName: assignee.last_name
+            } : null,
+            unreadCount: conversation.unread_count || 0,
+            lastMessageAt: conversation.last_message_at || null,
+            lastMessagePreview: conversation.last_message_preview || null,
+            lastDirection: conversation.last_direction || null,
+            closedAt: conversation.closed_at || null,
+            createdAt: conversation.created_at,
+            updatedAt: conversation.updated_at
+        };
+    }
+
+    /**
+     * Transform an sms_conversation_notes row to match expected format
+     * @param {Object} note - sms_conversation_notes row
+     * @returns {Object} Formatted note
+     */
+    formatNote(note) {
+        return {
+            id: note.id,
+            body: note.body,
+            authorId: note.author_id,
+            authorName: note.users ? `${note.users.first_name || ''} ${note.users.last_name || ''}`.trim() || note.users.email : null,
+            createdAt: note.created_at
+        };
+    }
+}
+
+// Create singleton instance
+const smsConversationService = new SmsConversationService();
+
+module.exports = smsConversationService;
+module.exports.CONVERSATION_STATUSES = CONVERSATION_STATUSES;
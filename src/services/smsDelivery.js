@@ -0,0 +1,446 @@
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const smsCampaignService = require('./smsCampaigns');
+const smsOptOutService = require('./smsOptOuts');
+const logger = require('../utils/logger');
+
+const DELIVERY_STATUSES = ['queued', 'sending', 'sent', 'delivered', 'undelivered', 'failed'];
+
+// Callbacks can arrive out of order, so a message never moves back to an earlier status
+const STATUS_RANK = {
+    accepted: 0,
+    scheduled: 0,
+    queued: 1,
+    sending: 2,
+    sent: 3,
+    delivered: 4,
+    undelivered: 4,
+    failed: 4,
+    canceled: 4
+};
+
+// Carrier errors worth another attempt: queue overflow, unreachable handset, unknown error,
+// missing segment, carrier congestion and throughput exceeded
+const TRANSIENT_ERROR_CODES = ['30001', '30003', '30008', '30009', '30017', '30022'];
+
+// How far back the worker looks for callbacks that arrived before their message was logged
+const UNMATCHED_WINDOW_MS = 60 * 60 * 1000;
+
+class SmsDeliveryService {
+    constructor() {
+        this.worker = null;
+        this.processing = false;
+    }
+
+    /**
+     * Most times a message is sent again after a transient failure
+     * @returns {number} Retries
+     */
+    getMaxRetries() {
+        const retries = parseInt(process.env.SMS_MAX_RETRIES);
+        return Number.isNaN(retries) ? 3 : retries;
+    }
+
+    /**
+     * Wait before a retry, doubling with each attempt
+     * @param {number} retryCount - Retries already made
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(retryCount) {
+        const baseSeconds = parseInt(process.env.SMS_RETRY_BASE_SECONDS) || 60;
+        return baseSeconds * 1000 * Math.pow(2, retryCount);
+    }
+
+    /**
+     * Check whether a carrier error is worth retrying
+     * @param {string} errorCode - Carrier error code
+     * @returns {boolean} True for transient errors
+     */
+    isTransient(errorCode) {
+        return TRANSIENT_ERROR_CODES.includes(String(errorCode || ''));
+    }
+
+    /**
+     * Record a status callback
+     * The callback is always kept in the history; the message itself only moves forward.
+     * @param {Object} params - Callback parameters
+     * @param {string} params.messageSid - SignalWire message SID
+     * @param {string} params.status - Message status
+     * @param {string} params.errorCode - Carrier error code
+     * @param {string} params.errorMessage - Carrier error description
+     * @returns {Promise<Object>} `{ matched, updated }`
+     */
+    async recordStatus({ messageSid, status, errorCode, errorMessage }) {
+        const event = {
+            message_sid: messageSid,
+            status: String(status).toLowerCase(),
+            error_code: errorCode ? String(errorCode) : null,
+            error_message: errorMessage || null,
+            occurred_at: new Date().toISOString()
+        };
+
+        const log = await this.findLog(messageSid);
+
+        if (!log) {
+            // An earlier attempt of a retried message, or a message that is not logged yet
+            const { data: earlier } = await supabase
+                .from('sms_status_events')
+                .select('tenant_id, sms_log_id')
+                .eq('message_sid', messageSid)
+                .not('sms_log_id', 'is', null)
+                .limit(1)
+                .maybeSingle();
+
+            await this.insertEvent({
+                ...event,
+                tenant_id: earlier?.tenant_id || null,
+                sms_log_id: earlier?.sms_log_id || null
+            });
+
+            return { matched: !!earlier, updated: false };
+        }
+
+        await this.insertEvent({ ...event, tenant_id: log.tenant_id, sms_log_id: log.id });
+
+        return { matched: true, updated: await this.applyStatus(log, event) };
+    }
+
+    /**
+     * Find the message currently sent under a SID
+     * @param {string} messageSid - SignalWire message SID
+     * @returns {Promise<Object|null>} sms_logs row, or null if none
+     */
+    async findLog(messageSid) {
+        const { data: log, error: logError } = await supabase
+            .from('sms_logs')
+            .select('*')
+            .eq('signalwire_sid', messageSid)
+            .limit(1)
+            .maybeSingle();
+
+        if (logError) {
+            throw logError;
+        }
+
+        return log;
+    }
+
+    /**
+     * Add a status history entry
+     * @param {Object} event - sms_status_events columns
+     * @returns {Promise<void>}
+     */
+    async insertEvent(event) {
+        const { error: eventError } = await supabase
+            .from('sms_status_events')
+            .insert(event);
+
+        if (eventError) {
+            logger.error('Error saving SMS status event:', eventError);
+        }
+    }
+
+    /**
+     * Move a message to a callback's status and schedule a retry for transient failures
+     * @param {Object} log - sms_logs row
+     * @param {Object} event - sms_status_events columns
+     * @returns {Promise<boolean>} Whether the message changed
+     */
+    async applyStatus(log, event) {
+        const rank = STATUS_RANK[event.status] ?? -1;
+        const currentRank = STATUS_RANK[log.status] ?? -1;
+
+        if (rank < currentRank) {
+            return false;
+        }
+
+        const failed = event.status === 'undelivered' || event.status === 'failed';
+        const retryCount = log.retry_count || 0;
+        const retry = failed && this.isTransient(event.error_code) && retryCount < this.getMaxRetries();
+
+        const updates = {
+            status: event.status,
+            error_code: event.error_code,
+            error_message: event.error_message,
+            status_updated_at: event.occurred_at,
+            next_retry_at: retry ? new Date(Date.now() + this.getRetryDelay(retryCount)).toISOString() : null
+        };
+        if (event.status === 'delivered') {
+            updates.delivered_at = event.occurred_at;
+        }
+
+        // A retry may have moved the message to a new SID meanwhile
+        const { data: updated, error: updateError } = await supabase
+            .from('sms_logs')
+            .update(updates)
+            .eq('id', log.id)
+            .eq('signalwire_sid', log.signalwire_sid)
+            .select();
+
+        if (updateError) {
+            throw updateError;
+        }
+        if (!updated || updated.length === 0) {
+            return false;
+        }
+
+        if (retry) {
+            logger.info('SMS retry scheduled', {
+                smsLogId: log.id,
+                errorCode: event.error_code,
+                retry: retryCount + 1,
+                nextRetryAt: updates.next_retry_at
+            });
+        }
+
+        if (log.campaign_id && (event.status === 'delivered' || (failed && !retry))) {
+            await this.updateRecipient(log, log.signalwire_sid, {
+                status: event.status === 'delivered' ? 'delivered' : 'failed',
+                error_code: event.error_code,
+                error: failed ? (event.error_message || `Carrier error ${event.error_code || 'unknown'}`) : null,
+                delivered_at: event.status === 'delivered' ? event.occurred_at : null
+            });
+        }
+
+        return true;
+    }
+
+    /**
+     * Update the campaign recipient a message was sent to, and the campaign's counts
+     * @param {Object} log - sms_logs row of a campaign message
+     * @param {string} messageSid - SID the recipient was last texted under
+     * @param {Object} updates - sms_campaign_recipients columns
+     * @returns {Promise<void>}
+     */
+    async updateRecipient(log, messageSid, updates) {
+        const { error: recipientError } = await supabase
+            .from('sms_campaign_recipients')
+            .update(updates)
+            .eq('campaign_id', log.campaign_id)
+            .eq('phone_number', log.to_number)
+            .eq('message_sid', messageSid);
+
+        if (recipientError) {
+            logger.error('Error updating SMS campaign recipient:', recipientError);
+            return;
+        }
+
+        await smsCampaignService.refreshCounts({ id: log.campaign_id, tenant_id: log.tenant_id });
+    }
+
+    /**
+     * Send a failed message again from the same number
+     * @param {Object} log - sms_logs row (already claimed)
+     * @returns {Promise<boolean>} Whether SignalWire accepted the message
+     */
+    async retryMessage(log) {
+        const now = new Date().toISOString();
+        const retryCount = (log.retry_count || 0) + 1;
+
+        if (await smsOptOutService.isOptedOut(log.tenant_id, log.from_number, log.to_number)) {
+            logger.info('SMS retry skipped, recipient opted out', { smsLogId: log.id });
+            return false;
+        }
+
+        const smsResult = await signalwireService.sendSMS({
+            from: log.from_number,
+            to: log.to_number,
+            body: log.message_body,
+            tenantId: log.tenant_id
+        });
+
+        if (!smsResult.success) {
+            // SignalWire could not take the message at all; try again later while retries remain
+            const retry = retryCount < this.getMaxRetries();
+
+            await supabase
+                .from('sms_logs')
+                .update({
+                    status: 'failed',
+                    error_code: smsResult.errorCode || null,
+                    error_message: smsResult.error,
+                    status_updated_at: now,
+                    retry_count: retryCount,
+                    next_retry_at: retry ? new Date(Date.now() + this.getRetryDelay(retryCount)).toISOString() : null
+                })
+                .eq('id', log.id);
+
+            await this.insertEvent({
+                tenant_id: log.tenant_id,
+                sms_log_id: log.id,
+                message_sid: log.signalwire_sid,
+                status: 'failed',
+                error_code: smsResult.errorCode || null,
+                error_message: smsResult.error,
+                occurred_at: now
+            });
+
+            if (log.campaign_id && !retry) {
+                await this.updateRecipient(log, log.signalwire_sid, {
+                    status: 'failed',
+                    error_code: smsResult.errorCode || null,
+                    error: smsResult.error
+                });
+            }
+
+            return false;
+        }
+
+        const status = smsResult.status || 'queued';
+
+        const { error: updateError } = await supabase
+            .from('sms_logs')
+            .update({
+                signalwire_sid: smsResult.messageSid,
+                status: status,
+                error_code: null,
+                error_message: null,
+                status_updated_at: now,
+                retry_count: retryCount
+            })
+            .eq('id', log.id);
+
+        if (updateError) {
+            logger.error('Error updating retried SMS:', updateError);
+        }
+
+        await this.insertEvent({
+            tenant_id: log.tenant_id,
+            sms_log_id: log.id,
+            message_sid: smsResult.messageSid,
+            status: status,
+            occurred_at: now
+        });
+
+        if (log.campaign_id) {
+            const { error: recipientError } = await supabase
+                .from('sms_campaign_recipients')
+                .update({ message_sid: smsResult.messageSid, status: 'sent', error_code: null, error: null })
+                .eq('campaign_id', log.campaign_id)
+                .eq('phone_number', log.to_number)
+                .eq('message_sid', log.signalwire_sid);
+
+            if (recipientError) {
+                logger.error('Error updating SMS campaign recipient:', recipientError);
+            }
+        }
+
+        logger.info('SMS retried', { smsLogId: log.id, retry: retryCount, messageSid: smsResult.messageSid });
+        return true;
+    }
+
+    /**
+     * Claim and resend messages whose retry is due
+     * @param {number} limit - Maximum messages per run
+     * @returns {Promise<number>} Messages SignalWire accepted
+     */
+    async processRetries(limit = 50) {
+        const { data: due, error: dueError } = await supabase
+            .from('sms_logs')
+            .select('*')
+            .lte('next_retry_at', new Date().toISOString())
+            .order('next_retry_at', { ascending: true })
+            .limit(limit);
+
+        if (dueError) {
+            logger.error('Error fetching SMS retries:', dueError);
+            return 0;
+        }
+
+        let retried = 0;
+
+        for (const log of due) {
+            // Claim the retry so another instance does not send it too
+            const { data: claimed } = await supabase
+                .from('sms_logs')
+                .update({ next_retry_at: null })
+                .eq('id', log.id)
+                .eq('next_retry_at', log.next_retry_at)
+                .select();
+
+            if (!claimed || claimed.length === 0) {
+                continue;
+            }
+
+            if (await this.retryMessage(claimed[0])) {
+                retried++;
+            }
+        }
+
+        return retried;
+    }
+
+    /**
+     * Apply callbacks that arrived before their message was logged
+     * SignalWire can report `queued` before the send request has returned.
+     * @returns {Promise<number>} Callbacks matched to a message
+     */
+    async matchUnlogged() {
+        const { data: events, error: eventsError } = await supabase
+            .from('sms_status_events')
+            .select('*')
+            .is('sms_log_id', null)
+            .gte('occurred_at', new Date(Date.now() - UNMATCHED_WINDOW_MS).toISOString())
+            .order('occurred_at', { ascending: true })
+            .limit(200);
+
+        if (eventsError) {
+            logger.error('Error fetching unmatched SMS status events:', eventsError);
+            return 0;
+        }
+
+        let matched = 0;
+
+        for (const event of events) {
+            const log = await this.findLog(event.message_sid);
+
+            if (!log) {
+                continue;
+            }
+
+            await supabase
+                .from('sms_status_events')
+                .update({ tenant_id: log.tenant_id, sms_log_id: log.id })
+                .eq('id', event.id);
+
+            await this.applyStatus(log, event);
+            matched++;
+        }
+
+        return matched;
+    }
+
+    /**
+     * Resend due retries and match late callbacks every minute
+     * @returns {void}
+     */
+    startWorker() {
+        if (this.worker) {
+            return;
+        }
+
+        this.worker = cron.schedule('* * * * *', async () => {
+            if (this.processing) {
+                return;
+            }
+
+            this.processing = true;
+            try {
+                await this.matchUnlogged();
+                await this.processRetries();
+            } catch (error) {
+                logger.error('SMS delivery worker failed:', error);
+            } finally {
+                this.processing = false;
+            }
+        });
+    }
+}
+
+// Create singleton instance
+const smsDeliveryService = new SmsDeliveryService();
+
+module.exports = smsDeliveryService;
+module.exports.DELIVERY_STATUSES = DELIVERY_STATUSES;
+module.exports.TRANSIENT_ERROR_CODES = TRANSIENT_ERROR_CODES;
@@ -0,0 +1,213 @@
+const { supabase } = require('../database/connection');
+
+// Carrier-mandated keywords, matched against the whole message
+const OPT_OUT_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT'];
+const OPT_IN_KEYWORDS = ['START', 'UNSTOP', 'YES'];
+const HELP_KEYWORDS = ['HELP', 'INFO'];
+
+const OPT_OUT_SOURCES = ['keyword', 'manual'];
+
+class SmsOptOutService {
+    /**
+     * Normalize a message for keyword matching
+     * `Stop.` and ` stop ` both become `STOP`.
+     * @param {string} body - Message body
+     * @returns {string} Upper-cased text without surrounding whitespace or punctuation
+     */
+    normalize(body) {
+        return (body || '').trim().replace(/^[^\w]+|[^\w]+$/g, '').toUpperCase();
+    }
+
+    /**
+     * Classify an inbound message as a compliance keyword
+     * @param {string} body - Message body
+     * @returns {Object|null} `{ action, keyword }` where action is `stop`, `start` or `help`
+     */
+    classify(body) {
+        const keyword = this.normalize(body);
+
+        if (OPT_OUT_KEYWORDS.includes(keyword)) {
+            return { action: 'stop', keyword };
+        }
+        if (OPT_IN_KEYWORDS.includes(keyword)) {
+            return { action: 'start', keyword };
+        }
+        if (HELP_KEYWORDS.includes(keyword)) {
+            return { action: 'help', keyword };
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a contact has opted out of texts from a tenant number
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} tenantNumber - The tenant's phone number
+     * @param {string} contactNumber - The contact's phone number
+     * @returns {Promise<boolean>} True if the contact must not be texted
+     */
+    async isOptedOut(tenantId, tenantNumber, contactNumber) {
+        const { data: optOut, error: optOutError } = await supabase
+            .from('sms_opt_outs')
+            .select('id')
+            .eq('tenant_id', tenantId)
+            .eq('tenant_number', tenantNumber)
+            .eq('contact_number', contactNumber)
+            .eq('status', 'opted_out')
+            .maybeSingle();
+
+        if (optOutError) {
+            throw optOutError;
+        }
+
+        return !!optOut;
+    }
+
+    /**
+     * Opt a contact out of texts from a tenant number
+     * @param {Object} params - Opt-out parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.tenantNumber - The tenant's phone number
+     * @param {string} params.contactNumber - The contact's phone number
+     * @param {string} params.source - `keyword` or `manual`
+     * @param {string} params.keyword - Keyword the contact sent
+     * @param {string} params.createdBy - User who added a manual opt-out
+     * @returns {Promise<Object>} sms_opt_outs row
+     */
+    async optOut({ tenantId, tenantNumber, contactNumber, source = 'keyword', keyword, createdBy }) {
+        const { data: optOut, error: optOutError } = await supabase
+            .from('sms_opt_outs')
+            .upsert({
+                tenant_id: tenantId,
+                tenant_number: tenantNumber,
+                contact_number: contactNumber,
+                status: 'opted_out',
+                source: source,
+                keyword: keyword || null,
+                opted_out_at: new Date().toISOString(),
+                opted_in_at: null,
+                created_by: createdBy || null
+            }, { onConflict: 'tenant_id,tenant_number,contact_number' })
+            .select()
+            .single();
+
+        if (optOutError) {
+            throw optOutError;
+        }
+
+        return optOut;
+    }
+
+    /**
+     * Opt a contact back in to texts from a tenant number
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} tenantNumber - The tenant's phone number
+     * @param {string} contactNumber - The contact's phone number
+     * @returns {Promise<Object|null>} Updated sms_opt_outs row, or null if the contact had not opted out
+     */
+    async optIn(tenantId, tenantNumber, contactNumber) {
+        const { data: optIns, error: optInError } = await supabase
+            .from('sms_opt_outs')
+            .update({
+                status: 'opted_in',
+                opted_in_at: new Date().toISOString()
+            })
+            .eq('tenant_id', tenantId)
+            .eq('tenant_number', tenantNumber)
+            .eq('contact_number', contactNumber)
+            .eq('status', 'opted_out')
+            .select();
+
+        if (optInError) {
+            throw optInError;
+        }
+
+        return optIns[0] || null;
+    }
+
+    /**
+     * List a tenant's opt-outs, most recent first
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} filters - `{ tenantNumber, number, status }`
+     * @param {Object} page - `{ page, limit }`
+     * @returns {Promise<Object>} `{ optOuts, total }`
+     */
+    async list(tenantId, filters = {}, { page = 1, limit = 50 } = {}) {
+        const offset = (page - 1) * limit;
+
+        let query = supabase
+            .from('sms_opt_outs')
+            .select('*', { count: 'exact' })
+            .eq('tenant_id', tenantId)
+            .eq('status', filters.status || 'opted_out');
+
+        if (filters.tenantNumber) {
+            query = query.eq('tenant_number', filters.tenantNumber);
+        }
+        if (filters.number) {
+            query = query.ilike('contact_number', `%${filters.number}%`);
+        }
+
+        const { data: optOuts, count, error: listError } = await query
+            .order('opted_out_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (listError) {
+            throw listError;
+        }
+
+        return {
+            optOuts: optOuts.map(optOut => this.formatOptOut(optOut)),
+            total: count || 0
+        };
+    }
+
+    /**
+     * Get one of a tenant's opt-outs
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} optOutId - Opt-out identifier
+     * @returns {Promise<Object|null>} sms_opt_outs row, or null if not found
+     */
+    async get(tenantId, optOutId) {
+        const { data: optOut, error: optOutError } = await supabase
+            .from('sms_opt_outs')
+            .select('*')
+            .eq('id', optOutId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (optOutError && optOutError.code !== 'PGRST116') {
+            throw optOutError;
+        }
+
+        return optOut || null;
+    }
+
+    /**
+     * Transform an sms_opt_outs row to match expected format
+     * @param {Object} optOut - sms_opt_outs row
+     * @returns {Object} Formatted opt-out
+     */
+    formatOptOut(optOut) {
+        return {
+            id: optOut.id,
+            tenantNumber: optOut.tenant_number,
+            contactNumber: optOut.contact_number,
+            status: optOut.status,
+            source: optOut.source,
+            keyword: optOut.keyword || null,
+            optedOutAt: optOut.opted_out_at,
+            optedInAt: optOut.opted_in_at || null,
+            createdBy: optOut.created_by || null
+        };
+    }
+}
+
+// Create singleton instance
+const smsOptOutService = new SmsOptOutService();
+
+module.exports = smsOptOutService;
+module.exports.OPT_OUT_KEYWORDS = OPT_OUT_KEYWORDS;
+module.exports.OPT_IN_KEYWORDS = OPT_IN_KEYWORDS;
+module.exports.HELP_KEYWORDS = HELP_KEYWORDS;
+module.exports.OPT_OUT_SOURCES = OPT_OUT_SOURCES;
@@ -0,0 +1,95 @@
+const { supabase } = require('../database/connection');
+
+// {{firstName}} or {{ firstName }}
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+// Longest message body, the same limit as a conversation reply
+const MAX_BODY_LENGTH = 1600;
+
+class SmsTemplateService {
+    /**
+     * List the variables a message body uses
+     * @param {string} body - Message body
+     * @returns {Array<string>} Variable names, each once, in order of first use
+     */
+    extractVariables(body) {
+        const names = [];
+
+        for (const match of String(body || '').matchAll(VARIABLE_PATTERN)) {
+            if (!names.includes(match[1])) {
+                names.push(match[1]);
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Fill in a message body's variables
+     * @param {string} body - Message body
+     * @param {Object} variables - Values by variable name
+     * @returns {Object} `{ text, missing }`; missing variables are left empty in `text`
+     */
+    render(body, variables = {}) {
+        const missing = [];
+
+        const text = String(body || '').replace(VARIABLE_PATTERN, (match, name) => {
+            const value = variables[name];
+
+            if (value === undefined || value === null || value === '') {
+                if (!missing.includes(name)) {
+                    missing.push(name);
+                }
+                return '';
+            }
+
+            return String(value);
+        });
+
+        return { text, missing };
+    }
+
+    /**
+     * Get one of a tenant's templates
+     * @param {string} tenantId - Tenant identifier
+     * @param {string} templateId - Template identifier
+     * @returns {Promise<Object|null>} sms_templates row, or null if not found
+     */
+    async get(tenantId, templateId) {
+        const { data: template, error: templateError } = await supabase
+            .from('sms_templates')
+            .select('*')
+            .eq('id', templateId)
+            .eq('tenant_id', tenantId)
+            .single();
+
+        if (templateError && templateError.code !== 'PGRST116') {
+            throw templateError;
+        }
+
+        return template || null;
+    }
+
+    /**
+     * Transform an sms_templates row to match expected format
+     * @param {Object} template - sms_templates row
+     * @returns {Object} Formatted template
+     */
+    formatTemplate(template) {
+        return {
+            id: template.id,
+            name: template.name,
+            body: template.body,
+            variables: this.extractVariables(template.body),
+            createdBy: template.created_by || null,
+            createdAt: template.created_at,
+            updatedAt: template.updated_at
+        };
+    }
+}
+
+// Create singleton instance
+const smsTemplateService = new SmsTemplateService();
+
+module.exports = smsTemplateService;
+module.exports.MAX_BODY_LENGTH = MAX_BODY_LENGTH;
@@ -0,0 +1,162 @@
+// Spoken forms of menu keys, so "three" or "press three" selects option 3
+const DIGIT_WORDS = {
+    0: ['zero'],
+    1: ['one'],
+    2: ['two'],
+    3: ['three'],
+    4: ['four'],
+    5: ['five'],
+    6: ['six'],
+    7: ['seven'],
+    8: ['eight'],
+    9: ['nine'],
+    '*': ['star'],
+    '#': ['pound', 'hash']
+};
+
+// Defaults for menu nodes that do not set their own thresholds
+const DEFAULT_MATCH_THRESHOLD = 0.75;
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.4;
+
+class SpeechMatcher {
+    /**
+     * Lowercase text and strip punctuation
+     * @param {string} text - Text
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9*#\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Similarity of two strings from their Levenshtein distance
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @returns {number} 0 (different) to 1 (identical)
+     */
+    similarity(a, b) {
+        if (a === b) {
+            return 1;
+        }
+        if (!a || !b) {
+            return 0;
+        }
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
+    }
+
+    /**
+     * Score how well a spoken phrase contains a keyword
+     * An exact word match scores 1; otherwise the keyword is compared with
+     * every run of the same number of spoken words.
+     * @param {string} speech - Normalized speech
+     * @param {string} keyword - Normalized keyword
+     * @returns {number} Score from 0 to 1
+     */
+    scoreKeyword(speech, keyword) {
+        if (!keyword) {
+            return 0;
+        }
+        if (` ${speech} `.includes(` ${keyword} `)) {
+            return 1;
+        }
+
+        const spoken = speech.split(' ');
+        const size = keyword.split(' ').length;
+        let best = 0;
+
+        for (let i = 0; i + size <= spoken.length; i++) {
+            best = Math.max(best, this.similarity(spoken.slice(i, i + size).join(' '), keyword));
+        }
+
+        return best;
+    }
+
+    /**
+     * Phrases that select a menu option: its keywords, synonyms, label and
+     * the spoken form of its key
+     * @param {string} key - Menu key (digit)
+     * @param {Object} option - Menu option (`label`, `keywords`, `synonyms`)
+     * @returns {Array<string>} Normalized phrases
+     */
+    phrasesFor(key, option = {}) {
+        const phrases = [
+            ...(option.keywords || []),
+            ...(option.synonyms || []),
+            option.label,
+            key,
+            ...(DIGIT_WORDS[key] || [])
+        ];
+
+        return [...new Set(phrases.map(phrase => this.normalize(phrase)).filter(Boolean))];
+    }
+
+    /**
+     * Match a speech result against menu options
+     * Low recognizer confidence, a best score under the threshold, or two
+     * options tying for the best score all come back as `lowConfidence` so
+     * the caller can be re-prompted.
+     * @param {string} speech - Speech result
+     * @param {Object} options - Map of key to menu option
+     * @param {Object} settings - Matching settings
+     * @param {number} settings.confidence - Recognizer confidence (0-1)
+     * @param {number} settings.matchThreshold - Minimum fuzzy match score
+     * @param {number} settings.confidenceThreshold - Minimum recognizer confidence
+     * @returns {Object} `{ key, option, score }` or `{ lowConfidence: true, score }`
+     */
+    match(speech, options = {}, settings = {}) {
+        const matchThreshold = settings.matchThreshold ?? DEFAULT_MATCH_THRESHOLD;
+        const confidenceThreshold = settings.confidenceThreshold ?? DEFAULT_CONFIDENCE_THRESHOLD;
+        const confidence = settings.confidence !== undefined && settings.confidence !== null && settings.confidence !== ''
+            ? Number(settings.confidence)
+            : null;
+
+        if (confidence !== null && !Number.isNaN(confidence) && confidence < confidenceThreshold) {
+            return { lowConfidence: true, score: 0, confidence };
+        }
+
+        const spoken = this.normalize(speech);
+        if (!spoken) {
+            return { lowConfidence: true, score: 0, confidence };
+        }
+
+        const ranked = Object.entries(options)
+            .map(([key, option]) => ({
+                key,
+                option,
+                score: Math.max(0, ...this.phrasesFor(key, option).map(phrase => this.scoreKeyword(spoken, phrase)))
+            }))
+            .sort((a, b) => b.score - a.score);
+
+        const [best, runnerUp] = ranked;
+        if (!best || best.score < matchThreshold || (runnerUp && runnerUp.score === best.score)) {
+            return { lowConfidence: true, score: best ? best.score : 0, confidence };
+        }
+
+        return { key: best.key, option: best.option, score: best.score, confidence };
+    }
+}
+
+// Create singleton instance
+const speechMatcher = new SpeechMatcher();
+
+module.exports = speechMatcher;
+module.exports.DEFAULT_MATCH_THRESHOLD = DEFAULT_MATCH_THRESHOLD;
+module.exports.DEFAULT_CONFIDENCE_THRESHOLD = DEFAULT_CONFIDENCE_THRESHOLD;
@@ -0,0 +1,433 @@
+const axios = require('axios');
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const logger = require('../utils/logger');
+
+// Every claim counts as an attempt, whether the run fails or the worker stops mid-run
+const MAX_ATTEMPTS = 3;
+
+// A job still processing after this long was claimed by a worker that died
+const CLAIM_TIMEOUT_MINUTES = 15;
+
+// Keywords that tag a transcript with a caller intent
+const INTENT_KEYWORDS = {
+    billing: ['bill', 'invoice', 'payment', 'charge', 'refund', 'balance'],
+    appointment: ['appointment', 'schedule', 'book', 'reschedule', 'availability'],
+    cancellation: ['cancel', 'cancellation', 'terminate'],
+    support: ['broken', 'not working', 'problem', 'issue', 'error', 'outage'],
+    sales: ['price', 'pricing', 'quote', 'buy', 'purchase', 'demo'],
+    callback: ['call me back', 'call back', 'return my call', 'reach me'],
+    complaint: ['complaint', 'unhappy', 'disappointed', 'manager', 'terrible'],
+    urgent: ['urgent', 'asap', 'emergency', 'immediately', 'right away']
+};
+
+// Local provider for development and tests - never leaves the process
+const stubProvider = {
+    async transcribe(job) {
+        const text = process.env.TRANSCRIPTION_STUB_TEXT ||
+            `Transcript unavailable in stub mode for recording ${job.recording_sid || job.id}.`;
+
+        return { text, language: 'en', confidence: 1 };
+    }
+};
+
+// OpenAI-compatible /audio/transcriptions endpoint (Whisper and compatible servers)
+const openaiProvider = {
+    async transcribe(job) {
+        const download = await signalwireService.downloadRecording(job.recording_url);
+        if (!download.success) {
+            throw new Error(`Recording download failed: ${download.error}`);
+        }
+
+        const form = new FormData();
+        form.append('file', new Blob([download.audio], { type: download.contentType }), 'recording.mp3');
+        form.append('model', process.env.TRANSCRIPTION_MODEL || 'whisper-1');
+        form.append('response_format', 'verbose_json');
+
+        const response = await axios.post(
+            `${process.env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1'}/audio/transcriptions`,
+            form,
+            { headers: { Authorization: `Bearer ${process.env.TRANSCRIPTION_API_KEY}` } }
+        );
+
+        return {
+            text: response.data.text,
+            language: response.data.language,
+            confidence: null
+        };
+    }
+};
+
+class TranscriptionService {
+    constructor() {
+        this.providers = {
+            stub: stubProvider,
+            openai: openaiProvider
+        };
+        this.worker = null;
+        this.processing = false;
+    }
+
+    /**
+     * Register a transcription provider
+     * A provider implements `transcribe(job)` resolving to `{ text, language, confidence }`
+     * and may implement `summarize(text)` resolving to `{ summary, intents }`.
+     * @param {string} name - Provider name used in TRANSCRIPTION_PROVIDER
+     * @param {Object} provider - Provider implementation
+     * @returns {void}
+     */
+    registerProvider(name, provider) {
+        if (typeof provider?.transcribe !== 'function') {
+            throw new Error(`Transcription provider '${name}' must implement transcribe(job)`);
+        }
+
+        this.providers[name] = provider;
+    }
+
+    /**
+     * Get the configured provider
+     * @returns {Object} Provider with its name
+     */
+    getProvider() {
+        const name = process.env.TRANSCRIPTION_PROVIDER || 'stub';
+        const provider = this.providers[name];
+
+        if (!provider) {
+            throw new Error(`Unknown transcription provider '${name}'`);
+        }
+
+        return { name, provider };
+    }
+
+    /**
+     * Queue a recording for transcription
+     * Recordings are queued once; queueing the same recording again returns
+     * the existing job.
+     * @param {Object} params - Job parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.callId - Call session id
+     * @param {string} params.recordingUrl - Recording URL
+     * @param {string} params.recordingSid - Recording SID
+     * @param {string} params.voicemailMessageId - Voicemail message, if the recording is one
+     * @returns {Promise<Object|null>} transcription_jobs row
+     */
+    async enqueue({ tenantId, callId, recordingUrl, recordingSid, voicemailMessageId }) {
+        if (recordingSid) {
+            const { data: existing } = await supabase
+                .from('transcription_jobs')
+                .select('*')
+                .eq('tenant_id', tenantId)
+                .eq('recording_sid', recordingSid)
+                .limit(1);
+
+            if (existing && existing.length > 0) {
+                return existing[0];
+            }
+        }
+
+        const { data: job, error: jobError } = await supabase
+            .from('transcription_jobs')
+            .insert({
+                tenant_id: tenantId,
+                call_id: callId || null,
+                voicemail_message_id: voicemailMessageId || null,
+                recording_url: recordingUrl,
+                recording_sid: recordingSid || null,
+                status: 'queued',
+                attempts: 0
+            })
+            .select()
+            .single();
+
+        if (jobError) {
+            logger.error('Error queueing transcription job:', jobError);
+            return null;
+        }
+
+        logger.info('Transcription job queued', { jobId: job.id, callId, recordingSid });
+        return job;
+    }
+
+    /**
+     * Summarize a transcript and tag caller intents
+     * Uses the provider's summarizer when it has one, otherwise keeps the
+     * opening sentences and matches intent keywords.
+     * @param {string} text - Transcript
+     * @param {Object} provider - Provider in use
+     * @returns {Promise<Object>} `{ summary, intents }`
+     */
+    async summarize(text, provider) {
+        if (typeof provider?.summarize === 'function') {
+            return provider.summarize(text);
+        }
+
+        const sentences = (text || '').match(/[^.!?]+[.!?]*/g) || [];
+        let summary = sentences.slice(0, 2).join(' ').replace(/\s+/g, ' ').trim();
+        if (summary.length > 280) {
+            summary = `${summary.slice(0, 277)}...`;
+        }
+
+        const lower = (text || '').toLowerCase();
+        const intents = Object.entries(INTENT_KEYWORDS)
+            .filter(([, keywords]) => keywords.some(keyword => lower.includes(keyword)))
+            .map(([intent]) => intent);
+
+        return { summary, intents };
+    }
+
+    /**
+     * Transcribe and summarize one job, then store the results
+     * @param {Object} job - transcription_jobs row (already claimed)
+     * @returns {Promise<boolean>} Whether the job completed
+     */
+    async processJob(job) {
+        let name = null;
+
+        try {
+            const configured = this.getProvider();
+            name = configured.name;
+
+            const transcript = await configured.provider.transcribe(job);
+            const { summary, intents } = await this.summarize(transcript.text, configured.provider);
+
+            await supabase
+                .from('transcription_jobs')
+                .update({
+                    status: 'completed',
+                    provider: name,
+                    transcript: transcript.text,
+                    language: transcript.language || null,
+                    summary: summary,
+                    intent_tags: intents,
+                    completed_at: new Date().toISOString(),
+                    error: null
+                })
+                .eq('id', job.id);
+
+            await this.storeResult(job, { transcript: transcript.text, summary, intents });
+
+            logger.info('Transcription job completed', { jobId: job.id, provider: name });
+            return true;
+        } catch (error) {
+            const attempts = job.attempts || 0;
+            logger.error('Transcription job failed:', { jobId: job.id, attempts, error: error.message });
+
+            await supabase
+                .from('transcription_jobs')
+                .update({
+                    status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+                    provider: name,
+                    error: error.message
+                })
+                .eq('id', job.id);
+
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a job transcribes a voicemail left in a mailbox with a PIN
+     * Lookup errors count as protected so the content is not copied anywhere.
+     * @param {Object} job - transcription_jobs row
+     * @returns {Promise<boolean>} Whether the voicemail is PIN-protected
+     */
+    async isPinProtectedVoicemail(job) {
+        if (!job.voicemail_message_id) {
+            return false;
+        }
+
+        const { data: message, error: messageError } = await supabase
+            .from('voicemail_messages')
+            .select('mailbox_id')
+            .eq('id', job.voicemail_message_id)
+            .maybeSingle();
+
+        if (messageError) {
+            logger.error('Error fetching voicemail message for transcript:', messageError);
+            return true;
+        }
+        if (!message?.mailbox_id) {
+            return false;
+        }
+
+        const { data: mailbox, error: mailboxError } = await supabase
+            .from('voicemail_mailboxes')
+            .select('pin_hash')
+            .eq('id', message.mailbox_id)
+            .maybeSingle();
+
+        if (mailboxError) {
+            logger.error('Error fetching voicemail mailbox for transcript:', mailboxError);
+            return true;
+        }
+
+        return !!mailbox?.pin_hash;
+    }
+
+    /**
+     * Copy a finished transcript onto the call session and voicemail message
+     * A call with several recordings keeps every transcript, oldest first.
+     * Voicemails in a PIN mailbox stay on the message only, where the PIN guards them.
+     * @param {Object} job - transcription_jobs row
+     * @param {Object} result - `{ transcript, summary, intents }`
+     * @returns {Promise<void>}
+     */
+    async storeResult(job, { transcript, summary, intents }) {
+        if (job.call_id && !await this.isPinProtectedVoicemail(job)) {
+            const { data: session } = await supabase
+                .from('call_sessions')
+                .select('transcript, intent_tags')
+                .eq('call_id', job.call_id)
+                .eq('tenant_id', job.tenant_id)
+                .single();
+
+            const previousTags = Array.isArray(session?.intent_tags) ? session.intent_tags : [];
+
+            const { error: sessionError } = await supabase
+                .from('call_sessions')
+                .update({
+                    transcript: session?.transcript ? `${session.transcript}\n\n${transcript}` : transcript,
+                    summary: summary,
+                    intent_tags: [...new Set([...previousTags, ...intents])],
+                    transcribed_at: new Date().toISOString()
+                })
+                .eq('call_id', job.call_id)
+                .eq('tenant_id', job.tenant_id);
+
+            if (sessionError) {
+                logger.error('Error storing transcript on call session:', sessionError);
+            }
+        }
+
+        if (job.voicemail_message_id) {
+            const { error: messageError } = await supabase
+                .from('voicemail_messages')
+                .update({
+                    transcript: transcript,
+                    summary: summary,
+                    intent_tags: intents
+                })
+                .eq('id', job.voicemail_message_id);
+
+            if (messageError) {
+                logger.error('Error storing transcript on voicemail message:', messageError);
+            }
+        }
+    }
+
+    /**
+     * Put jobs back on the queue when the worker that claimed them never finished
+     * The claim already counted as an attempt, so a job that keeps killing the worker fails.
+     * @returns {Promise<number>} Number of jobs requeued or failed
+     */
+    async requeueStale() {
+        const cutoff = new Date(Date.now() - CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+        const { data: jobs, error: jobsError } = await supabase
+            .from('transcription_jobs')
+            .select('id, attempts, started_at')
+            .eq('status', 'processing')
+            .lt('started_at', cutoff);
+
+        if (jobsError) {
+            logger.error('Error fetching stale transcription jobs:', jobsError);
+            return 0;
+        }
+
+        for (const job of jobs) {
+            const attempts = job.attempts || 0;
+
+            // Matching started_at leaves the job alone if another worker just claimed it again
+            await supabase
+                .from('transcription_jobs')
+                .update({
+                    status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+                    error: 'Transcription worker stopped before the job finished'
+                })
+                .eq('id', job.id)
+                .eq('status', 'processing')
+                .eq('started_at', job.started_at);
+
+            logger.warn('Stale transcription job reset', { jobId: job.id, attempts });
+        }
+
+        return jobs.length;
+    }
+
+    /**
+     * Claim and process queued jobs
+     * @param {number} limit - Maximum jobs per run
+     * @returns {Promise<number>} Number of jobs completed
+     */
+    async processQueue(limit = 5) {
+        if (this.processing) {
+            return 0;
+        }
+
+        this.processing = true;
+        let completed = 0;
+
+        try {
+            await this.requeueStale();
+
+            const { data: jobs, error: jobsError } = await supabase
+                .from('transcription_jobs')
+                .select('*')
+                .eq('status', 'queued')
+                .order('created_at', { ascending: true })
+                .limit(limit);
+
+            if (jobsError) {
+                logger.error('Error fetching transcription jobs:', jobsError);
+                return 0;
+            }
+
+            for (const job of jobs) {
+                // Claim the job so another instance does not run it too
+                const { data: claimed } = await supabase
+                    .from('transcription_jobs')
+                    .update({
+                        status: 'processing',
+                        started_at: new Date().toISOString(),
+                        attempts: (job.attempts || 0) + 1
+                    })
+                    .eq('id', job.id)
+                    .eq('status', 'queued')
+                    .select();
+
+                if (!claimed || claimed.length === 0) {
+                    continue;
+                }
+
+                if (await this.processJob(claimed[0])) {
+                    completed++;
+                }
+            }
+        } finally {
+            this.processing = false;
+        }
+
+        return completed;
+    }
+
+    /**
+     * Run the queue every minute
+     * @returns {void}
+     */
+    startWorker() {
+        if (this.worker) {
+            return;
+        }
+
+        this.worker = cron.schedule('* * * * *', () => {
+            this.processQueue().catch(error => logger.error('Transcription worker failed:', error));
+        });
+    }
+}
+
+// Create singleton instance
+const transcriptionService = new TranscriptionService();
+
+module.exports = transcriptionService;
+module.exports.INTENT_KEYWORDS = INTENT_KEYWORDS;
@@ -0,0 +1,356 @@
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const cron = require('node-cron');
+const { supabase } = require('../database/connection');
+const signalwireService = require('./signalwire');
+const smsOptOutService = require('./smsOptOuts');
+const transcriptionService = require('./transcription');
+const logger = require('../utils/logger');
+
+const PIN_PATTERN = /^\d{4,10}$/;
+
+class VoicemailService {
+    constructor() {
+        this.retentionJob = null;
+    }
+
+    /**
+     * Check that a mailbox PIN is 4 to 10 digits
+     * @param {string} pin - PIN
+     * @returns {boolean} PIN validity
+     */
+    isValidPin(pin) {
+        return PIN_PATTERN.test(String(pin));
+    }
+
+    /**
+     * Hash a mailbox PIN for storage
+     * @param {string} pin - PIN
+     * @returns {Promise<string>} Hash
+     */
+    async hashPin(pin) {
+        return bcrypt.hash(String(pin), 10);
+    }
+
+    /**
+     * Check a PIN against a mailbox
+     * @param {Object} mailbox - voicemail_mailboxes row
+     * @param {string} pin - PIN entered by the caller
+     * @returns {Promise<boolean>} Whether the PIN matches
+     */
+    async verifyPin(mailbox, pin) {
+        if (!mailbox?.pin_hash || !pin) {
+            return false;
+        }
+
+        return bcrypt.compare(String(pin), mailbox.pin_hash);
+    }
+
+    /**
+     * Find the mailboxes whose message content a request may not see
+     * Transcripts, summaries and audio of a mailbox with a PIN are only
+     * shown when the request carries that mailbox's PIN.
+     * @param {Array<string>} mailboxIds - voicemail_mailboxes ids
+     * @param {string} pin - PIN sent with the request
+     * @returns {Promise<Set<string>>} Ids of the locked mailboxes
+     */
+    async lockedMailboxIds(mailboxIds, pin) {
+        const ids = [...new Set(mailboxIds.filter(Boolean))];
+        if (ids.length === 0) {
+            return new Set();
+        }
+
+        const { data: mailboxes, error } = await supabase
+            .from('voicemail_mailboxes')
+            .select('id, pin_hash')
+            .in('id', ids);
+
+        if (error) {
+            throw error;
+        }
+
+        const locked = new Set();
+        for (const mailbox of mailboxes || []) {
+            if (mailbox.pin_hash && !await this.verifyPin(mailbox, pin)) {
+                locked.add(mailbox.id);
+            }
+        }
+
+        return locked;
+    }
+
+    /**
+     * Find the mailbox a voicemail should go to
+     * An explicit mailbox (id or name) wins, then the extension or department
+     * the caller was trying to reach, then the tenant's general mailbox.
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} target - `{ mailbox, extension, department }`
+     * @returns {Promise<Object|null>} Mailbox row
+     */
+    async findMailbox(tenantId, { mailbox, extension, department } = {}) {
+        const activeMailboxes = () => supabase
+            .from('voicemail_mailboxes')
+            .select('*')
+            .eq('tenant_id', tenantId)
+            .eq('is_active', true);
+
+        if (mailbox) {
+            const column = /^[0-9a-f-]{36}$/i.test(mailbox) ? 'id' : 'name';
+            const { data } = await activeMailboxes().eq(column, mailbox).limit(1);
+            if (data && data.length > 0) {
+                return data[0];
+            }
+        }
+
+        if (extension) {
+            const { data: extensionResult } = await supabase
+                .from('extensions')
+                .select('id')
+                .eq('tenant_id', tenantId)
+                .eq('extension_number', String(extension))
+                .single();
+
+            if (extensionResult) {
+                const { data } = await activeMailboxes().eq('extension_id', extensionResult.id).limit(1);
+                if (data && data.length > 0) {
+                    return data[0];
+                }
+            }
+        }
+
+        if (department) {
+            const { data: departmentResult } = await supabase
+                .from('departments')
+                .select('id')
+                .eq('tenant_id', tenantId)
+                .eq('name', department)
+                .single();
+
+            if (departmentResult) {
+                const { data } = await activeMailboxes().eq('department_id', departmentResult.id).limit(1);
+                if (data && data.length > 0) {
+                    return data[0];
+                }
+            }
+        }
+
+        const { data } = await activeMailboxes()
+            .is('extension_id', null)
+            .is('department_id', null)
+            .order('created_at', { ascending: true })
+            .limit(1);
+
+        return data && data.length > 0 ? data[0] : null;
+    }
+
+    /**
+     * Add the mailbox's greeting and limits to a voicemail action
+     * @param {string} tenantId - Tenant identifier
+     * @param {Object} params - Voicemail action parameters
+     * @param {Object} target - Extension or department the caller was trying to reach
+     * @returns {Promise<Object>} Voicemail action parameters
+     */
+    async prepareAction(tenantId, params = {}, target = {}) {
+        try {
+            const mailbox = await this.findMailbox(tenantId, { mailbox: params.mailbox, ...target });
+            if (!mailbox) {
+                return params;
+            }
+
+            return {
+                ...params,
+                mailboxId: mailbox.id,
+                mailbox: mailbox.name,
+                message: mailbox.greeting_text || params.message,
+                greetingUrl: mailbox.greeting_url || undefined,
+                maxLength: mailbox.max_message_seconds
+            };
+        } catch (error) {
+            logger.error('Error preparing voicemail action:', error);
+            return params;
+        }
+    }
+
+    /**
+     * Store a recorded message and notify the mailbox owner
+     * @param {Object} params - Message parameters
+     * @param {string} params.tenantId - Tenant identifier
+     * @param {string} params.mailboxId - Mailbox the greeting was played for
+     * @param {string} params.callId - Call session id
+     * @param {string} params.from - Caller number
+     * @param {string} params.did - Number the caller dialed
+     * @param {string} params.recordingUrl - Recording URL
+     * @param {string} params.recordingSid - Recording SID
+     * @param {number} params.duration - Length in seconds
+     * @returns {Promise<Object|null>} voicemail_messages row
+     */
+    async saveMessage({ tenantId, mailboxId, callId, from, did, recordingUrl, recordingSid, duration }) {
+        const mailbox = mailboxId
+            ? (await supabase
+                .from('voicemail_mailboxes')
+                .select('*')
+                .eq('id', mailboxId)
+                .eq('tenant_id', tenantId)
+                .single()).data
+            : await this.findMailbox(tenantId);
+
+        if (!mailbox) {
+            logger.warn('Voicemail recorded with no mailbox', { tenantId, callId, recordingSid });
+            return null;
+        }
+
+        const expiresAt = new Date(Date.now() + (mailbox.retention_days || 30) * 24 * 60 * 60 * 1000);
+
+        const { data: message, error: messageError } = await supabase
+            .from('voicemail_messages')
+            .insert({
+                tenant_id: tenantId,
+                mailbox_id: mailbox.id,
+                call_id: callId,
+                from_number: from,
+                recording_url: recordingUrl,
+                recording_sid: recordingSid,
+                duration_seconds: parseInt(duration, 10) || 0,
+                is_read: false,
+                expires_at: expiresAt.toISOString()
+            })
+            .select()
+            .single();
+
+        if (messageError) {
+            logger.error('Error saving voicemail message:', messageError);
+            return null;
+        }
+
+        await this.notify(mailbox, message, did);
+
+        await transcriptionService.enqueue({
+            tenantId,
+            callId,
+            recordingUrl,
+            recordingSid,
+            voicemailMessageId: message.id
+        });
+
+        return message;
+    }
+
+    /**
+     * Tell the mailbox owner about a new message by SMS and/or email
+     * @param {Object} mailbox - voicemail_mailboxes row
+     * @param {Object} message - voicemail_messages row
+     * @param {string} did - Tenant number to send the SMS from
+     * @returns {Promise<void>}
+     */
+    async notify(mailbox, message, did) {
+        const text = `New voicemail in ${mailbox.name} from ${message.from_number || 'unknown caller'} ` +
+            `(${message.duration_seconds}s).`;
+
+        let smsOptedOut = false;
+        if (mailbox.notify_sms && did) {
+            try {
+                smsOptedOut = await smsOptOutService.isOptedOut(mailbox.tenant_id, did, mailbox.notify_sms);
+            } catch (error) {
+                logger.error('Failed to check SMS opt-out for voicemail notification:', error);
+            }
+
+            if (smsOptedOut) {
+                logger.warn('Voicemail SMS recipient opted out, skipping SMS notification', { mailboxId: mailbox.id });
+            }
+        }
+
+        if (mailbox.notify_sms && did && !smsOptedOut) {
+            const smsResult = await signalwireService.sendSMS({
+                from: did,
+                to: mailbox.notify_sms,
+                body: text,
+                tenantId: mailbox.tenant_id
+            });
+
+            if (!smsResult.success) {
+                logger.error('Failed to send voicemail SMS notification', { mailboxId: mailbox.id, error: smsResult.error });
+            }
+        }
+
+        if (mailbox.notify_email) {
+            // Email goes through an HTTP relay so no mail transport is bundled here
+            if (!process.env.EMAIL_WEBHOOK_URL) {
+                logger.warn('EMAIL_WEBHOOK_URL not configured, skipping voicemail email', { mailboxId: mailbox.id });
+                return;
+            }
+
+            try {
+                await axios.post(process.env.EMAIL_WEBHOOK_URL, {
+                    to: mailbox.notify_email,
+                    subject: `New voicemail in ${mailbox.name}`,
+                    text: text,
+                    voicemail: {
+                        id: message.id,
+                        mailboxId: mailbox.id,
+                        from: message.from_number,
+                        duration: message.duration_seconds,
+                        recordingUrl: message.recording_url
+                    }
+                });
+            } catch (error) {
+                logger.error('Failed to send voicemail email notification:', error);
+            }
+        }
+    }
+
+    /**
+     * Delete messages past their mailbox's retention period
+     * @returns {Promise<number>} Number of messages deleted
+     */
+    async purgeExpired() {
+        const { data: expired, error: expiredError } = await supabase
+            .from('voicemail_messages')
+            .select('id, recording_sid')
+            .lt('expires_at', new Date().toISOString());
+
+        if (expiredError) {
+            logger.error('Error fetching expired voicemail:', expiredError);
+            return 0;
+        }
+
+        for (const message of expired) {
+            if (message.recording_sid) {
+                await signalwireService.deleteRecording(message.recording_sid);
+            }
+        }
+
+        if (expired.length > 0) {
+            const { error: deleteError } = await supabase
+                .from('voicemail_messages')
+                .delete()
+                .in('id', expired.map(message => message.id));
+
+            if (deleteError) {
+                logger.error('Error deleting expired voicemail:', deleteError);
+                return 0;
+            }
+        }
+
+        logger.info('Expired voicemail purged', { count: expired.length });
+        return expired.length;
+    }
+
+    /**
+     * Schedule the daily retention purge
+     * @returns {void}
+     */
+    startRetentionJob() {
+        if (this.retentionJob) {
+            return;
+        }
+
+        this.retentionJob = cron.schedule('15 3 * * *', () => {
+            this.purgeExpired().catch(error => logger.error('Voicemail retention job failed:', error));
+        });
+    }
+}
+
+// Create singleton instance
+const voicemailService = new VoicemailService();
+
+module.exports = voicemailService;
@@ -0,0 +1,237 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+
+// Minimal streaming XLSX writer: one worksheet of inline strings and numbers.
+// Rows are appended to a temporary sheet file, then zipped with the static
+// workbook parts; nothing holds the whole sheet in memory.
+
+const CRC_TABLE = Array.from({ length: 256 }, (value, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer, crc = 0) => {
+    let c = crc ^ 0xffffffff;
+    for (let i = 0; i < buffer.length; i++) {
+        c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+    }
+    return (c ^ 0xffffffff) >>> 0;
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+const STATIC_PARTS = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+};
+
+const workbookXml = (sheetName) => '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>';
+
+class XlsxWriter {
+    /**
+     * @param {string} filePath - Where the finished workbook is written
+     * @param {Object} options - `{ sheetName }`
+     */
+    constructor(filePath, { sheetName = 'Sheet1' } = {}) {
+        this.filePath = filePath;
+        this.sheetPath = `${filePath}.sheet`;
+        this.sheetName = sheetName;
+        this.error = null;
+        this.out = null;
+        this.sheet = this.track(fs.createWriteStream(this.sheetPath));
+        this.sheet.write('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>');
+    }
+
+    /**
+     * Keep a file stream's error for the next write instead of letting it crash the process
+     * @param {fs.WriteStream} stream - File stream
+     * @returns {fs.WriteStream} The same stream
+     */
+    track(stream) {
+        stream.on('error', (error) => {
+            this.error = this.error || error;
+        });
+        return stream;
+    }
+
+    /**
+     * Append a row
+     * Finite numbers are written as numbers, everything else as text.
+     * @param {Array<*>} values - Cell values
+     * @returns {Promise<void>} Resolves once the sheet file can take more
+     */
+    async writeRow(values) {
+        const cells = values.map(value => {
+            if (value === null || value === undefined || value === '') {
+                return '<c/>';
+            }
+            if (typeof value === 'number' && Number.isFinite(value)) {
+                return `<c t="n"><v>${value}</v></c>`;
+            }
+            return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        });
+
+        if (this.error) {
+            throw this.error;
+        }
+        if (!this.sheet.write(`<row>${cells.join('')}</row>`)) {
+            await once(this.sheet, 'drain');
+        }
+    }
+
+    /**
+     * Zip the workbook and remove the temporary sheet
+     * @returns {Promise<void>}
+     */
+    async finish() {
+        if (this.error) {
+            throw this.error;
+        }
+        this.sheet.end('</sheetData></worksheet>');
+        await once(this.sheet, 'finish');
+
+        const out = this.out = this.track(fs.createWriteStream(this.filePath));
+        const entries = [];
+        let offset = 0;
+
+        const write = async (buffer) => {
+            if (this.error) {
+                throw this.error;
+            }
+            offset += buffer.length;
+            if (!out.write(buffer)) {
+                await once(out, 'drain');
+            }
+        };
+
+        // Each entry is deflated with its sizes in a trailing data descriptor
+        const addEntry = async (name, source) => {
+            const nameBuffer = Buffer.from(name, 'utf8');
+            const header = Buffer.alloc(30);
+            header.writeUInt32LE(0x04034b50, 0);
+            header.writeUInt16LE(20, 4);
+            header.writeUInt16LE(0x0808, 6);
+            header.writeUInt16LE(8, 8);
+            header.writeUInt32LE(0, 10);
+            header.writeUInt16LE(nameBuffer.length, 26);
+
+            const entry = { name: nameBuffer, offset, crc: 0, compressedSize: 0, size: 0 };
+            await write(header);
+            await write(nameBuffer);
+
+            const deflate = zlib.createDeflateRaw();
+            const done = (async () => {
+                for await (const chunk of deflate) {
+                    entry.compressedSize += chunk.length;
+                    await write(chunk);
+                }
+            })();
+
+            for await (const chunk of source) {
+                const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+                entry.crc = crc32(buffer, entry.crc);
+                entry.size += buffer.length;
+                if (!deflate.write(buffer)) {
+                    await once(deflate, 'drain');
+                }
+            }
+            deflate.end();
+            await done;
+
+            const descriptor = Buffer.alloc(16);
+            descriptor.writeUInt32LE(0x08074b50, 0);
+            descriptor.writeUInt32LE(entry.crc, 4);
+            descriptor.writeUInt32LE(entry.compressedSize, 8);
+            descriptor.writeUInt32LE(entry.size, 12);
+            await write(descriptor);
+
+            entries.push(entry);
+        };
+
+        try {
+            for (const [name, content] of Object.entries(STATIC_PARTS)) {
+                await addEntry(name, [content]);
+            }
+            await addEntry('xl/workbook.xml', [workbookXml(this.sheetName)]);
+            await addEntry('xl/worksheets/sheet1.xml', fs.createReadStream(this.sheetPath));
+
+            const directoryOffset = offset;
+            for (const entry of entries) {
+                const record = Buffer.alloc(46);
+                record.writeUInt32LE(0x02014b50, 0);
+                record.writeUInt16LE(20, 4);
+                record.writeUInt16LE(20, 6);
+                record.writeUInt16LE(0x0808, 8);
+                record.writeUInt16LE(8, 10);
+                record.writeUInt32LE(entry.crc, 16);
+                record.writeUInt32LE(entry.compressedSize, 20);
+                record.writeUInt32LE(entry.size, 24);
+                record.writeUInt16LE(entry.name.length, 28);
+                record.writeUInt32LE(entry.offset, 42);
+                await write(record);
+                await write(entry.name);
+            }
+
+            const end = Buffer.alloc(22);
+            end.writeUInt32LE(0x06054b50, 0);
+            end.writeUInt16LE(entries.length, 8);
+            end.writeUInt16LE(entries.length, 10);
+            end.writeUInt32LE(offset - directoryOffset, 12);
+            end.writeUInt32LE(directoryOffset, 16);
+            await write(end);
+
+            if (this.error) {
+                throw this.error;
+            }
+            out.end();
+            await once(out, 'finish');
+        } finally {
+            await fs.promises.rm(this.sheetPath, { force: true });
+        }
+    }
+
+    /**
+     * Close the files of a workbook that will not be finished and remove them
+     * @returns {Promise<void>}
+     */
+    async abort() {
+        this.sheet.destroy();
+        if (this.out) {
+            this.out.destroy();
+        }
+        await fs.promises.rm(this.sheetPath, { force: true });
+        await fs.promises.rm(this.filePath, { force: true });
+    }
+}
+
+module.exports = {
+    XlsxWriter
+};
@@ -264,10 +264,9 @@ All API responses follow a consistent format:
             // IVR Schemas
             IVREntry: {
                 type: 'object',
-                required: ['tenantId', 'did', 'from', 'to'],
+                required: ['did', 'from', 'to'],
                 properties: {
-                    tenantId: { type: 'string', example: 'tenant-123' },
-                    did: { type: 'string', example: '+12345678900' },
+                    did: { type: 'string', description: 'Dialed number; decides the tenant and IVR flow', example: '+12345678900' },
                     from: { type: 'string', example: '+19876543210' },
                     to: { type: 'string', example: '+12345678900' },
                     ts: { type: 'string', format: 'date-time' }
@@ -278,7 +277,8 @@ All API responses follow a consistent format:
                 properties: {
                     success: { type: 'boolean', example: true },
                     callId: { type: 'string', example: 'tenant-123_1234567890_abc123' },
-                    action: { type: 'string', enum: ['gather', 'transfer', 'voicemail', 'ai'], example: 'gather' },
+                    nodeId: { type: 'string', description: 'Flow node the caller is now on', example: 'root' },
+                    action: { type: 'string', enum: ['gather', 'play', 'extension', 'dept', 'enqueue', 'forward', 'voicemail', 'ai', 'hangup'], example: 'gather' },
                     params: { type: 'object' }
                 }
             },
@@ -286,9 +286,9 @@ All API responses follow a consistent format:
             // SignalWire Schemas
             OutboundCall: {
                 type: 'object',
-                required: ['from', 'to', 'tenantId'],
+                required: ['to', 'tenantId'],
                 properties: {
-                    from: { type: 'string', example: '+12345678900' },
+                    from: { type: 'string', description: 'Defaults to the tenant\'s default caller ID', example: '+12345678900' },
                     to: { type: 'string', example: '+19876543210' },
                     tenantId: { type: 'string', example: 'tenant-123' },
                     options: { type: 'object' }
@@ -296,9 +296,9 @@ All API responses follow a consistent format:
             },
             SMSMessage: {
                 type: 'object',
-                required: ['from', 'to', 'body', 'tenantId'],
+                required: ['to', 'body', 'tenantId'],
                 properties: {
-                    from: { type: 'string', example: '+12345678900' },
+                    from: { type: 'string', description: 'Defaults to the tenant\'s default caller ID', example: '+12345678900' },
                     to: { type: 'string', example: '+19876543210' },
                     body: { type: 'string', example: 'Hello from AI Receptionist!' },
                     tenantId: { type: 'string', example: 'tenant-123' }
@@ -309,10 +309,15 @@ All API responses follow a consistent format:
                 properties: {
                     id: { type: 'string', format: 'uuid', example: 'phone-123' },
                     phoneNumber: { type: 'string', example: '+12345678900' },
-                    friendlyName: { type: 'string', example: 'Main Office' },
-                    signalwireSid: { type: 'string', example: 'PN1234567890abcdef' },
-                    status: { type: 'string', enum: ['active', 'inactive', 'pending'], example: 'active' },
-                    tenantId: { type: 'string', format: 'uuid', example: 'tenant-123' },
+                    label: { type: 'string', example: 'Main Office' },
+                    tenantId: { type: 'string', format: 'uuid', nullable: true, example: 'tenant-123' },
+                    status: { type: 'string', enum: ['active', 'available', 'missing', 'released'], example: 'active' },
+                    ivrFlowId: { type: 'string', format: 'uuid', nullable: true },
+                    isDefaultCallerId: { type: 'boolean', example: false },
+                    capabilities: { type: 'object' },
+                    phoneNumberSid: { type: 'string', example: 'PN1234567890abcdef' },
+                    lastSyncedAt: { type: 'string', format: 'date-time' },
+                    releasedAt: { type: 'string', format: 'date-time', nullable: true },
                     createdAt: { type: 'string', format: 'date-time' }
                 }
             },
@@ -0,0 +1,38 @@
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'test-jwt-secret';
+
+/**
+ * Rows for an active user whose only role grants the given permissions
+ * @param {Array<string>} permissions - Permissions to grant
+ * @param {Object} options - `userId` and `tenantId`
+ * @returns {Object} `users` and `user_roles` rows for the fake Supabase client
+ */
+const authRows = (permissions, { userId = 'u1', tenantId = 't1' } = {}) => ({
+    users: [{
+        id: userId,
+        tenant_id: tenantId,
+        email: `${userId}@example.com`,
+        first_name: 'Test',
+        last_name: 'User',
+        status: 'active',
+        tenants: { name: 'Acme Dental', domain: 'acme.example.com' }
+    }],
+    user_roles: [{
+        user_id: userId,
+        roles: { id: `role-${userId}`, name: 'Tester', permissions, is_system_role: false }
+    }]
+});
+
+/**
+ * Authorization header for a user
+ * @param {string} userId - User id
+ * @returns {string} Bearer token header value
+ */
+const bearer = (userId = 'u1') => `Bearer ${jwt.sign({ userId }, JWT_SECRET)}`;
+
+module.exports = {
+    JWT_SECRET,
+    authRows,
+    bearer
+};
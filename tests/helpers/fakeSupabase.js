@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+
+// In-memory stand-in for the Supabase client, enough for route and service tests
+// Rows are plain objects per table. Filters, ordering, paging, single(),
+// maybeSingle(), counts and the `supabase.sql` jsonb_array_append updates the
+// routes use are supported; column lists and embedded selects are ignored.
+
+// `ilike` pattern with `*` or `%` wildcards as a case-insensitive regular expression
+const likePattern = (pattern) => new RegExp(`^${pattern
+    .split(/[*%]/)
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')}$`, 'i');
+
+// Parse a PostgREST `or` filter such as `tenant_number.is.null,tenant_number.eq."+1555"`
+const parseOr = (expression) => expression.split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map((part) => {
+    const [column, operator, ...rest] = part.split('.');
+    const raw = rest.join('.');
+    const value = raw === 'null' ? null : raw.replace(/^"(.*)"$/, '$1');
+    if (operator === 'is') {
+        return (row) => row[column] === null || row[column] === undefined;
+    }
+    if (operator === 'ilike') {
+        const pattern = likePattern(value);
+        return (row) => row[column] !== null && row[column] !== undefined && pattern.test(String(row[column]));
+    }
+    return (row) => String(row[column]) === value;
+});
+
+const compare = (a, b) => (a === b ? 0 : (a === null || a === undefined) ? -1 : (b === null || b === undefined) ? 1 : a < b ? -1 : 1);
+
+const present = (value) => value !== null && value !== undefined;
+
+// Apply a value built with the `supabase.sql` tag to the current column value
+const applySql = (current, { strings, values }) => {
+    if (strings[0].startsWith('jsonb_array_append(')) {
+        const list = typeof current === 'string' ? JSON.parse(current || '[]') : (current || []);
+        return [...list, JSON.parse(values[0])];
+    }
+
+    throw new Error(`Unsupported sql expression: ${strings.join('?')}`);
+};
+
+class QueryBuilder {
+    constructor(db, table) {
+        this.db = db;
+        this.table = table;
+        this.filters = [];
+        this.orders = [];
+        this.action = 'select';
+        this.returning = false;
+        this.countMode = null;
+        this.head = false;
+        this.resultMode = 'many';
+    }
+
+    rows() {
+        if (!this.db.tables[this.table]) {
+            this.db.tables[this.table] = [];
+        }
+        return this.db.tables[this.table];
+    }
+
+    select(columns, { count, head } = {}) {
+        if (this.action === 'select') {
+            this.countMode = count || null;
+            this.head = !!head;
+        } else {
+            this.returning = true;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = Array.isArray(values) ? values : [values];
+        return this;
+    }
+
+    upsert(values) {
+        return this.insert(values);
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    eq(column, value) { return this.filter(row => row[column] === value); }
+    neq(column, value) { return this.filter(row => row[column] !== value); }
+    // Like SQL, range filters never match null columns
+    gt(column, value) { return this.filter(row => present(row[column]) && compare(row[column], value) > 0); }
+    gte(column, value) { return this.filter(row => present(row[column]) && compare(row[column], value) >= 0); }
+    lt(column, value) { return this.filter(row => present(row[column]) && compare(row[column], value) < 0); }
+    lte(column, value) { return this.filter(row => present(row[column]) && compare(row[column], value) <= 0); }
+    in(column, values) { return this.filter(row => values.includes(row[column])); }
+    is(column, value) { return this.filter(row => (row[column] ?? null) === value); }
+
+    not(column, operator, value) {
+        const [predicate] = new QueryBuilder(this.db, this.table)[operator](column, value).filters;
+        return this.filter(row => !predicate(row));
+    }
+
+    or(expression) {
+        const predicates = parseOr(expression);
+        return this.filter(row => predicates.some(predicate => predicate(row)));
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.orders.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    matching() {
+        return this.rows().filter(row => this.filters.every(predicate => predicate(row)));
+    }
+
+    execute() {
+        let data;
+
+        if (this.action === 'insert') {
+            data = this.values.map(values => ({
+                id: crypto.randomUUID(),
+                created_at: new Date().toISOString(),
+                ...values
+            }));
+            this.rows().push(...data);
+            this.db.log.push({ table: this.table, action: 'insert', values: this.values });
+        } else if (this.action === 'update') {
+            data = this.matching();
+            for (const row of data) {
+                for (const [column, value] of Object.entries(this.values)) {
+                    row[column] = value && value.isSql ? applySql(row[column], value) : value;
+                }
+            }
+            this.db.log.push({ table: this.table, action: 'update', values: this.values, count: data.length });
+        } else if (this.action === 'delete') {
+            data = this.matching();
+            this.db.tables[this.table] = this.rows().filter(row => !data.includes(row));
+        } else {
+            data = this.matching();
+            for (const { column, ascending } of [...this.orders].reverse()) {
+                data = [...data].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+            }
+        }
+
+        const count = data.length;
+        if (this.rangeFrom !== undefined) {
+            data = data.slice(this.rangeFrom, this.rangeTo + 1);
+        }
+        if (this.limitCount !== undefined) {
+            data = data.slice(0, this.limitCount);
+        }
+        data = data.map(row => ({ ...row }));
+
+        if (this.action !== 'select' && !this.returning && this.resultMode === 'many') {
+            return { data: null, error: null };
+        }
+        if (this.resultMode === 'single') {
+            return data.length === 1
+                ? { data: data[0], error: null }
+                : { data: null, error: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+        }
+        if (this.resultMode === 'maybeSingle') {
+            return { data: data[0] || null, error: null };
+        }
+
+        return { data: this.head ? null : data, error: null, count: this.countMode ? count : null };
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+}
+
+/**
+ * Create a fake Supabase client
+ * @param {Object} tables - Initial rows by table name
+ * @returns {Object} Client with `from`, `sql`, `helpers`, plus `tables`, `log` and `reset(tables)`
+ */
+const createFakeSupabase = (tables = {}) => {
+    const db = {
+        tables: {},
+        log: [],
+        from: (table) => new QueryBuilder(db, table),
+        sql: (strings, ...values) => ({ isSql: true, strings: [...strings], values }),
+        helpers: {
+            createId: () => crypto.randomUUID()
+        },
+        reset(initial = {}) {
+            db.tables = JSON.parse(JSON.stringify(initial));
+            db.log = [];
+        }
+    };
+
+    db.reset(tables);
+    return db;
+};
+
+module.exports = {
+    createFakeSupabase
+};
@@ -0,0 +1,30 @@
+const crypto = require('crypto');
+
+const WEBHOOK_SECRET = 'test-webhook-secret';
+const API_BASE_URL = 'https://api.example.com';
+
+/**
+ * Sign a webhook the way SignalWire does
+ * @param {string} path - Request path with its query string
+ * @param {Object|string} body - Form parameters, or the raw JSON body
+ * @returns {string} X-SignalWire-Signature header value
+ */
+const signWebhook = (path, body) => {
+    let payload = `${API_BASE_URL}${path}`;
+
+    if (typeof body === 'string') {
+        payload += body;
+    } else {
+        Object.keys(body).sort().forEach((key) => {
+            payload += `${key}${body[key]}`;
+        });
+    }
+
+    return crypto.createHmac('sha1', WEBHOOK_SECRET).update(payload, 'utf8').digest('base64');
+};
+
+module.exports = {
+    WEBHOOK_SECRET,
+    API_BASE_URL,
+    signWebhook
+};
@@ -0,0 +1,255 @@
+const express = require('express');
+const request = require('supertest');
+const { WEBHOOK_SECRET, API_BASE_URL, signWebhook } = require('../helpers/webhooks');
+
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+process.env.SIGNALWIRE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.API_BASE_URL = API_BASE_URL;
+
+const { supabase } = require('../../src/database/connection');
+const signalwireService = require('../../src/services/signalwire');
+const smsAutoReplyService = require('../../src/services/smsAutoReply');
+const ivrRoutes = require('../../src/routes/ivr');
+
+const app = express();
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
+app.use(express.urlencoded({ extended: true }));
+app.use('/api/mcp/ivr', ivrRoutes);
+
+// Post a form-encoded SignalWire webhook
+const postForm = (path, params) => request(app)
+    .post(path)
+    .type('form')
+    .set('X-SignalWire-Signature', signWebhook(path, params))
+    .send(params);
+
+// Post a JSON webhook
+const postJson = (path, body) => {
+    const raw = JSON.stringify(body);
+    return request(app)
+        .post(path)
+        .set('Content-Type', 'application/json')
+        .set('X-SignalWire-Signature', signWebhook(path, raw))
+        .send(raw);
+};
+
+// Menu whose first option plays a message, so a test can tell flows apart
+const menuFlow = (id, created_at, message) => ({
+    id,
+    tenant_id: 't1',
+    is_active: true,
+    created_at,
+    flow_config: {
+        name: message,
+        start: 'root',
+        nodes: [
+            { id: 'root', type: 'menu', prompt: 'Press 1.' },
+            { id: 'info', type: 'play', message }
+        ],
+        edges: [{ from: 'root', to: 'info', on: '1' }]
+    }
+});
+
+const seed = (path, session = {}) => supabase.reset({
+    tenants: [{ id: 't1', name: 'Acme Dental' }, { id: 't2', name: 'Other Co' }],
+    ivr_flows: [
+        menuFlow('f1', '2024-01-01T00:00:00Z', 'Number flow'),
+        menuFlow('f2', '2024-06-01T00:00:00Z', 'Tenant flow')
+    ],
+    call_sessions: [{
+        id: 's1',
+        call_id: 'c1',
+        tenant_id: 't1',
+        signalwire_sid: 'CA123',
+        direction: 'inbound',
+        from_number: '+15550001111',
+        to_number: '+15559990000',
+        did: '+15559990000',
+        status: 'active',
+        started_at: new Date(Date.now() - 60000).toISOString(),
+        current_node_id: 'root',
+        path: JSON.stringify(path),
+        ...session
+    }],
+    sms_auto_reply_rules: [{
+        id: 'r1',
+        tenant_id: 't1',
+        tenant_number: null,
+        type: 'missed_call',
+        call_outcomes: ['caller_hung_up', 'voicemail'],
+        reply_body: 'Sorry we missed you! {{tenantName}} will call you back.',
+        cooldown_minutes: 60,
+        priority: 1,
+        is_active: true,
+        created_at: '2024-01-01T00:00:00Z'
+    }]
+});
+
+// Finish the call the way SignalWire does: the status callback, then the call log
+const completeCall = async () => {
+    const status = await postForm('/api/mcp/ivr/status?callId=c1', {
+        CallSid: 'CA123',
+        CallStatus: 'completed',
+        CallDuration: '42'
+    });
+    expect(status.status).toBe(200);
+
+    return postJson('/api/mcp/ivr/log', { callId: 'c1' });
+};
+
+describe('IVR call completion', () => {
+    let sendSMS;
+
+    beforeEach(() => {
+        sendSMS = jest.spyOn(signalwireService, 'sendSMS').mockResolvedValue({
+            success: true,
+            messageSid: 'SM123',
+            status: 'queued'
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('records a voicemail outcome past the status callback and texts the caller back', async () => {
+        seed([
+            { nodeId: 'root', action: 'gather', at: new Date().toISOString() },
+            { nodeId: 'ivr_event', action: 'no_answer', at: new Date().toISOString() },
+            { nodeId: 'ivr_event', action: 'recording_complete', at: new Date().toISOString() }
+        ]);
+
+        const res = await completeCall();
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.outcome).toBe('voicemail');
+        expect(res.body.data.tags).toEqual(['voicemail']);
+        expect(sendSMS).toHaveBeenCalledTimes(1);
+        expect(sendSMS).toHaveBeenCalledWith(expect.objectContaining({
+            from: '+15559990000',
+            to: '+15550001111',
+            body: 'Sorry we missed you! Acme Dental will call you back.'
+        }));
+
+        const [log] = supabase.tables.sms_logs;
+        expect(log.auto_reply_rule_id).toBe('r1');
+    });
+
+    it('texts back callers the flow hung up on', async () => {
+        seed([
+            { nodeId: 'root', action: 'gather', at: new Date().toISOString() },
+            { nodeId: 'closed', action: 'hangup', at: new Date().toISOString() }
+        ]);
+
+        const res = await completeCall();
+
+        expect(res.body.data.outcome).toBe('caller_hung_up');
+        expect(sendSMS).toHaveBeenCalledTimes(1);
+    });
+
+    it('texts back callers who hung up in a menu', async () => {
+        seed([{ nodeId: 'root', action: 'gather', at: new Date().toISOString() }]);
+
+        const res = await completeCall();
+
+        expect(res.body.data.outcome).toBe('caller_hung_up');
+        expect(sendSMS).toHaveBeenCalledTimes(1);
+    });
+
+    it('texts back callers who hung up while a department rang', async () => {
+        seed([
+            { nodeId: 'root', action: 'gather', at: new Date().toISOString() },
+            { nodeId: 'sales', action: 'dept', at: new Date().toISOString(), data: { department: 'Sales' } }
+        ]);
+
+        const res = await completeCall();
+
+        expect(res.body.data.outcome).toBe('caller_hung_up');
+        expect(sendSMS).toHaveBeenCalledTimes(1);
+    });
+
+    it('does not text back answered calls', async () => {
+        seed([
+            { nodeId: 'sales', action: 'dept', at: new Date().toISOString(), data: { department: 'Sales' } },
+            { nodeId: 'ivr_event', action: 'leg_answered', at: new Date().toISOString() }
+        ]);
+
+        const res = await completeCall();
+
+        expect(res.body.data.outcome).toBe('answered');
+        expect(sendSMS).not.toHaveBeenCalled();
+    });
+});
+
+describe('IVR follow-up webhooks', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('takes the tenant from the call session, not the request', async () => {
+        seed([{ nodeId: 'root', action: 'gather', at: new Date().toISOString() }]);
+        const handleCallCompleted = jest.spyOn(smsAutoReplyService, 'handleCallCompleted').mockResolvedValue(null);
+
+        const res = await postJson('/api/mcp/ivr/log', { tenantId: 't2', callId: 'c1' });
+
+        expect(res.status).toBe(200);
+        expect(handleCallCompleted).toHaveBeenCalledWith(expect.objectContaining({ tenant_id: 't1' }), 'caller_hung_up');
+    });
+
+    it('answers 404 for calls it does not know', async () => {
+        seed([]);
+
+        const res = await postJson('/api/mcp/ivr/log', { tenantId: 't1', callId: 'nope' });
+
+        expect(res.status).toBe(404);
+        expect(res.body.error).toBe('Call not found');
+    });
+
+    it('keeps a call on its number-specific flow mid-call', async () => {
+        seed([{ nodeId: 'root', action: 'gather', at: new Date().toISOString() }], { ivr_flow_id: 'f1' });
+
+        const res = await postJson('/api/mcp/ivr/event', { callId: 'c1', event: 'dtmf_menu', data: { digits: '1' } });
+
+        expect(res.status).toBe(200);
+        expect(res.body.action).toBe('play');
+        expect(res.body.params.message).toBe('Number flow');
+    });
+
+    it('runs the tenant\'s newest flow for calls without a number flow', async () => {
+        seed([{ nodeId: 'root', action: 'gather', at: new Date().toISOString() }]);
+
+        const res = await postJson('/api/mcp/ivr/event', { callId: 'c1', event: 'dtmf_menu', data: { digits: '1' } });
+
+        expect(res.body.params.message).toBe('Tenant flow');
+    });
+
+    it('queues call recordings from number status callbacks against the session\'s call', async () => {
+        seed([{ nodeId: 'root', action: 'gather', at: new Date().toISOString() }]);
+
+        const res = await postForm('/api/mcp/ivr/status', {
+            CallSid: 'CA123',
+            CallStatus: 'completed',
+            RecordingUrl: 'https://example.signalwire.com/recordings/RE1',
+            RecordingSid: 'RE1'
+        });
+
+        expect(res.status).toBe(200);
+        expect(supabase.tables.transcription_jobs).toEqual([
+            expect.objectContaining({ tenant_id: 't1', call_id: 'c1', recording_sid: 'RE1', status: 'queued' })
+        ]);
+    });
+});
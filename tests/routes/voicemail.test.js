@@ -0,0 +1,175 @@
+const { Readable } = require('stream');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const request = require('supertest');
+const { JWT_SECRET, authRows, bearer } = require('../helpers/auth');
+
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+process.env.JWT_SECRET = JWT_SECRET;
+
+const { supabase } = require('../../src/database/connection');
+const voicemailRoutes = require('../../src/routes/voicemail');
+
+const app = express();
+app.use(express.json());
+app.use('/api/voicemail', voicemailRoutes);
+
+const seed = () => supabase.reset({
+    ...authRows(['voicemail:read', 'voicemail:update']),
+    voicemail_mailboxes: [
+        { id: 'mb-open', tenant_id: 't1', name: 'Front desk', pin_hash: null },
+        { id: 'mb-pin', tenant_id: 't1', name: 'Dr. Smith', pin_hash: bcrypt.hashSync('4321', 4) }
+    ],
+    voicemail_messages: [
+        {
+            id: 'vm-open',
+            tenant_id: 't1',
+            mailbox_id: 'mb-open',
+            from_number: '+15550001111',
+            recording_url: 'https://example.signalwire.com/recordings/RE1',
+            transcript: 'Please call me back about my invoice.',
+            summary: 'Billing callback',
+            is_read: false,
+            created_at: '2024-01-01T10:00:00Z'
+        },
+        {
+            id: 'vm-pin',
+            tenant_id: 't1',
+            mailbox_id: 'mb-pin',
+            from_number: '+15550002222',
+            recording_url: 'https://example.signalwire.com/recordings/RE2',
+            transcript: 'My test results came back.',
+            summary: 'Test results',
+            is_read: false,
+            created_at: '2024-01-02T10:00:00Z'
+        }
+    ]
+});
+
+// Answer recording downloads with a stream of the given chunks
+const mockRecording = (chunks, headers = { 'content-type': 'audio/mpeg' }) => jest.spyOn(axios, 'get')
+    .mockResolvedValue({ data: Readable.from(chunks), headers });
+
+const listen = (id, pin) => {
+    const req = request(app)
+        .get(`/api/voicemail/messages/${id}/listen`)
+        .set('Authorization', bearer())
+        .buffer(true)
+        .parse((res, callback) => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => callback(null, Buffer.concat(chunks)));
+        });
+
+    return pin ? req.set('X-Voicemail-Pin', pin) : req;
+};
+
+describe('GET /api/voicemail/messages/:id/listen', () => {
+    beforeEach(seed);
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('streams the recording without buffering it', async () => {
+        const get = mockRecording([Buffer.from('ID3'), Buffer.from('audio')]);
+
+        const res = await listen('vm-open');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('audio/mpeg');
+        expect(res.headers['cache-control']).toBe('no-store');
+        expect(res.body.toString()).toBe('ID3audio');
+        expect(get).toHaveBeenCalledWith(
+            'https://example.signalwire.com/recordings/RE1.mp3',
+            expect.objectContaining({ responseType: 'stream' })
+        );
+    });
+
+    it('asks for the PIN on PIN-protected mailboxes', async () => {
+        const get = mockRecording([Buffer.from('audio')]);
+
+        const missing = await listen('vm-pin');
+        const wrong = await listen('vm-pin', '0000');
+
+        expect(missing.status).toBe(403);
+        expect(wrong.status).toBe(403);
+        expect(get).not.toHaveBeenCalled();
+    });
+
+    it('plays PIN-protected messages with the right PIN', async () => {
+        mockRecording([Buffer.from('audio')]);
+
+        const res = await listen('vm-pin', '4321');
+
+        expect(res.status).toBe(200);
+        expect(res.body.toString()).toBe('audio');
+    });
+
+    it('answers a SignalWire error when the recording cannot be fetched', async () => {
+        jest.spyOn(axios, 'get').mockRejectedValue(new Error('Request failed with status code 404'));
+
+        const res = await request(app).get('/api/voicemail/messages/vm-open/listen').set('Authorization', bearer());
+
+        expect(res.status).toBe(500);
+        expect(res.body.error).toBe('SignalWire error');
+    });
+
+    it('drops the connection when the recording fails mid-stream', async () => {
+        const stream = new Readable({
+            read() {
+                this.push(Buffer.from('ID3'));
+                this.destroy(new Error('socket hang up'));
+            }
+        });
+        jest.spyOn(axios, 'get').mockResolvedValue({ data: stream, headers: {} });
+
+        await expect(listen('vm-open')).rejects.toThrow();
+    });
+});
+
+describe('GET /api/voicemail/messages', () => {
+    beforeEach(seed);
+
+    const list = (pin) => {
+        const req = request(app).get('/api/voicemail/messages').set('Authorization', bearer());
+        return pin ? req.set('X-Voicemail-Pin', pin) : req;
+    };
+
+    it('leaves out transcripts and summaries of PIN-protected messages', async () => {
+        const res = await list();
+        const [locked, open] = res.body.data.messages;
+
+        expect(res.status).toBe(200);
+        expect(locked).toMatchObject({ id: 'vm-pin', locked: true, transcript: null, summary: null });
+        expect(open).toMatchObject({ id: 'vm-open', locked: false, summary: 'Billing callback' });
+    });
+
+    it('includes them when the request sends the mailbox PIN', async () => {
+        const res = await list('4321');
+
+        expect(res.body.data.messages[0]).toMatchObject({ id: 'vm-pin', locked: false, summary: 'Test results' });
+    });
+
+    it('keeps them out of a single message and of read receipts without the PIN', async () => {
+        const single = await request(app).get('/api/voicemail/messages/vm-pin').set('Authorization', bearer());
+        const read = await request(app)
+            .put('/api/voicemail/messages/vm-pin/read')
+            .set('Authorization', bearer())
+            .send({ isRead: true });
+
+        expect(single.body.data.message.transcript).toBeNull();
+        expect(read.body.data.message.transcript).toBeNull();
+    });
+});
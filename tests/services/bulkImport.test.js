@@ -0,0 +1,69 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const bulkImportService = require('../../src/services/bulkImport');
+
+describe('bulkImportService.parseCsv', () => {
+    it('splits rows and cells', () => {
+        expect(bulkImportService.parseCsv('email,firstName\na@example.com,Ann\nb@example.com,Ben')).toEqual({
+            rows: [['email', 'firstName'], ['a@example.com', 'Ann'], ['b@example.com', 'Ben']]
+        });
+    });
+
+    it('keeps commas, escaped quotes and line breaks inside quoted fields', () => {
+        const { rows } = bulkImportService.parseCsv('name,description\n"Smith, Ann","Says ""hi""\nthen leaves"');
+
+        expect(rows[1]).toEqual(['Smith, Ann', 'Says "hi"\nthen leaves']);
+    });
+
+    it('accepts CRLF and bare CR line endings', () => {
+        expect(bulkImportService.parseCsv('a,b\r\n1,2\r3,4\r\n').rows).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+    });
+
+    it('strips a leading byte order mark', () => {
+        expect(bulkImportService.parseCsv('\uFEFFemail\na@example.com').rows[0]).toEqual(['email']);
+    });
+
+    it('keeps empty cells and skips blank lines', () => {
+        expect(bulkImportService.parseCsv('a,b,c\n\n1,,\n   \n').rows).toEqual([['a', 'b', 'c'], ['1', '', '']]);
+    });
+
+    it('treats quotes inside an unquoted field as text', () => {
+        expect(bulkImportService.parseCsv('a\n5" tall').rows[1]).toEqual(['5" tall']);
+    });
+
+    it('reports a file that ends inside a quoted field', () => {
+        expect(bulkImportService.parseCsv('a,b\n"open,2')).toEqual({ error: 'The file ends inside a quoted field' });
+    });
+});
+
+describe('bulkImportService.resolveMapping', () => {
+    it('matches headers to fields ignoring case, spaces and punctuation', () => {
+        const headers = ['Extension Number', 'NAME', 'directory_listed'];
+
+        expect(bulkImportService.resolveMapping('extensions', headers)).toEqual({
+            columns: { extensionNumber: 0, name: 1, directoryListed: 2 }
+        });
+    });
+
+    it('uses an explicit mapping over header names', () => {
+        const headers = ['ext', 'name', 'Label'];
+
+        expect(bulkImportService.resolveMapping('extensions', headers, { extensionNumber: 'Ext', name: 'label' }).columns)
+            .toEqual({ extensionNumber: 0, name: 2 });
+    });
+
+    it('reports unknown fields, missing columns and unmapped required fields', () => {
+        const { errors } = bulkImportService.resolveMapping('extensions', ['ext'], { colour: 'ext', name: 'Label' });
+
+        expect(errors.map(error => error.field)).toEqual(['mapping.colour', 'mapping.name', 'extensionNumber']);
+    });
+});
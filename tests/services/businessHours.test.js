@@ -0,0 +1,189 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const businessHoursService = require('../../src/services/businessHours');
+
+// New York office, weekdays 9 to 5 with a late Friday shift past midnight.
+// New York is UTC-5 in January and UTC-4 in July.
+const schedule = (overrides = {}) => ({
+    id: 's1',
+    tenant_id: 't1',
+    department_id: null,
+    timezone: 'America/New_York',
+    is_active: true,
+    weekly_hours: {
+        monday: { open: '09:00', close: '17:00' },
+        tuesday: { open: '09:00', close: '17:00' },
+        wednesday: { open: '09:00', close: '17:00' },
+        thursday: { open: '09:00', close: '17:00' },
+        friday: [{ open: '09:00', close: '12:00' }, { open: '22:00', close: '02:00' }]
+    },
+    ...overrides
+});
+
+const evaluate = (at, exceptions = [], overrides = {}) =>
+    businessHoursService.evaluate(schedule(overrides), exceptions, new Date(at));
+
+describe('businessHoursService.evaluate', () => {
+    it('is open inside the weekly hours in the schedule\'s timezone', () => {
+        expect(evaluate('2024-01-01T14:00:00Z')).toMatchObject({
+            open: true,
+            reason: 'regular_hours',
+            timezone: 'America/New_York',
+            localDate: '2024-01-01',
+            localTime: '09:00',
+            weekday: 'monday'
+        });
+    });
+
+    it('is closed outside them, including at the closing minute', () => {
+        expect(evaluate('2024-01-01T13:59:00Z')).toMatchObject({ open: false, reason: 'outside_hours' });
+        expect(evaluate('2024-01-01T22:00:00Z')).toMatchObject({ open: false, localTime: '17:00' });
+        expect(evaluate('2024-01-07T15:00:00Z')).toMatchObject({ open: false, weekday: 'sunday' });
+    });
+
+    it('follows daylight saving time', () => {
+        expect(evaluate('2024-07-01T13:00:00Z')).toMatchObject({ open: true, localTime: '09:00' });
+        expect(evaluate('2024-01-01T13:00:00Z')).toMatchObject({ open: false, localTime: '08:00' });
+    });
+
+    it('evaluates the same instant in each schedule\'s own timezone', () => {
+        const at = '2024-01-01T14:00:00Z';
+
+        expect(evaluate(at, [], { timezone: 'Asia/Tokyo' })).toMatchObject({ open: false, localTime: '23:00' });
+        expect(evaluate(at, [], { timezone: undefined })).toMatchObject({ open: true, timezone: 'UTC', localTime: '14:00' });
+    });
+
+    it('keeps overnight ranges open past midnight into the next day', () => {
+        expect(evaluate('2024-01-06T04:00:00Z')).toMatchObject({ open: true, weekday: 'friday', localTime: '23:00' });
+        expect(evaluate('2024-01-06T06:30:00Z')).toMatchObject({ open: true, weekday: 'saturday', localTime: '01:30' });
+        expect(evaluate('2024-01-06T07:00:00Z')).toMatchObject({ open: false, weekday: 'saturday', localTime: '02:00' });
+        expect(evaluate('2024-01-05T16:00:00Z')).toMatchObject({ open: true, localTime: '11:00' });
+        expect(evaluate('2024-01-05T20:00:00Z')).toMatchObject({ open: false, localTime: '15:00' });
+    });
+
+    it('closes for holidays on the local date', () => {
+        const holiday = { type: 'holiday', name: 'Staff day', date: '2024-01-02' };
+
+        expect(evaluate('2024-01-02T15:00:00Z', [holiday])).toMatchObject({
+            open: false,
+            reason: 'holiday',
+            exception: 'Staff day'
+        });
+        // Still January 1st in New York
+        expect(evaluate('2024-01-02T03:00:00Z', [holiday], { weekly_hours: { monday: { open: '00:00', close: '23:59' } } }))
+            .toMatchObject({ open: true, localDate: '2024-01-01' });
+    });
+
+    it('closes for every day of a multi-day holiday', () => {
+        const holiday = { type: 'holiday', name: 'Shutdown', date: '2024-01-02', end_date: '2024-01-04' };
+
+        expect(evaluate('2024-01-03T15:00:00Z', [holiday]).reason).toBe('holiday');
+        expect(evaluate('2024-01-04T15:00:00Z', [holiday]).reason).toBe('holiday');
+        expect(evaluate('2024-01-01T15:00:00Z', [holiday]).reason).toBe('regular_hours');
+    });
+
+    it('repeats recurring holidays every year, including ranges across new year', () => {
+        const christmas = { type: 'holiday', name: 'Christmas', date: '2020-12-25', recurring: true };
+        const newYear = { type: 'holiday', name: 'New year', date: '2020-12-31', end_date: '2021-01-01', recurring: true };
+
+        expect(evaluate('2024-12-25T15:00:00Z', [christmas])).toMatchObject({ open: false, exception: 'Christmas' });
+        expect(evaluate('2024-01-01T15:00:00Z', [newYear])).toMatchObject({ open: false, exception: 'New year' });
+        expect(evaluate('2024-01-02T15:00:00Z', [newYear]).open).toBe(true);
+        expect(evaluate('2024-12-25T15:00:00Z', [{ ...christmas, recurring: false }]).open).toBe(true);
+    });
+
+    it('uses special hours instead of the weekly hours on their dates', () => {
+        const shortDay = { type: 'special_hours', name: 'Short day', date: '2024-01-02', hours: [{ open: '10:00', close: '12:00' }] };
+
+        expect(evaluate('2024-01-02T14:30:00Z', [shortDay])).toMatchObject({ open: false, reason: 'special_hours', exception: 'Short day' });
+        expect(evaluate('2024-01-02T16:00:00Z', [shortDay])).toMatchObject({ open: true, reason: 'special_hours' });
+    });
+
+    it('lets closures win over holidays and holidays over special hours', () => {
+        const closure = {
+            type: 'closure',
+            name: 'Fire drill',
+            starts_at: '2024-01-02T15:00:00Z',
+            ends_at: '2024-01-02T16:00:00Z'
+        };
+        const holiday = { type: 'holiday', name: 'Staff day', date: '2024-01-02' };
+        const special = { type: 'special_hours', name: 'Open late', date: '2024-01-02', hours: [{ open: '00:00', close: '23:00' }] };
+
+        expect(evaluate('2024-01-02T15:30:00Z', [special, holiday, closure]).reason).toBe('closure');
+        expect(evaluate('2024-01-02T16:00:00Z', [special, holiday, closure]).reason).toBe('holiday');
+        expect(evaluate('2024-01-02T16:00:00Z', [special, closure]).reason).toBe('special_hours');
+        expect(evaluate('2024-01-02T16:00:00Z', [closure]).reason).toBe('regular_hours');
+    });
+});
+
+describe('businessHoursService.getStatus', () => {
+    const closedAt = new Date('2024-01-01T23:00:00Z');
+
+    it('treats tenants without a schedule as open', async () => {
+        supabase.reset({ business_schedules: [] });
+
+        expect(await businessHoursService.getStatus('t1', { at: closedAt })).toEqual({
+            open: true,
+            reason: 'no_schedule',
+            scheduleId: null
+        });
+    });
+
+    it('prefers the department\'s schedule and falls back to the tenant\'s', async () => {
+        supabase.reset({
+            business_schedules: [
+                schedule(),
+                schedule({ id: 's2', department_id: 'd1', weekly_hours: { monday: { open: '17:00', close: '20:00' } } })
+            ],
+            schedule_exceptions: []
+        });
+
+        expect(await businessHoursService.getStatus('t1', { departmentId: 'd1', at: closedAt }))
+            .toMatchObject({ open: true, scheduleId: 's2', departmentId: 'd1' });
+        expect(await businessHoursService.getStatus('t1', { departmentId: 'd2', at: closedAt }))
+            .toMatchObject({ open: false, scheduleId: 's1' });
+    });
+
+    it('applies the schedule\'s exceptions and the client\'s after-hours policy', async () => {
+        supabase.reset({
+            business_schedules: [schedule()],
+            schedule_exceptions: [{ schedule_id: 's1', type: 'holiday', name: 'New year', date: '2024-01-01' }],
+            clients: [{ did_e164: '+15550009999', after_hours_policy: 'play_closed_message' }]
+        });
+
+        const status = await businessHoursService.getStatus('t1', { at: new Date('2024-01-01T15:00:00Z'), did: '+15550009999' });
+
+        expect(status).toMatchObject({ open: false, reason: 'holiday', afterHoursPolicy: 'play_closed_message' });
+    });
+});
+
+describe('businessHoursService.closedAction', () => {
+    it('follows the flow while open or when the policy says so', () => {
+        expect(businessHoursService.closedAction({ open: true })).toBeNull();
+        expect(businessHoursService.closedAction({ open: false, afterHoursPolicy: 'follow_normal_flow' })).toBeNull();
+    });
+
+    it('plays the closed message or sends callers to voicemail', () => {
+        const closed = { open: false, reason: 'holiday', closedMessage: 'We are closed for the holiday.' };
+
+        expect(businessHoursService.closedAction({ ...closed, afterHoursPolicy: 'play_closed_message' })).toEqual({
+            action: 'hangup',
+            params: { reason: 'holiday', message: 'We are closed for the holiday.' }
+        });
+        expect(businessHoursService.closedAction({ open: false, reason: 'outside_hours', afterHoursPolicy: 'send_to_vm' }, 'Sales'))
+            .toEqual({
+                action: 'voicemail',
+                params: { message: 'Sales is currently closed. Please leave a message.', reason: 'outside_hours' }
+            });
+    });
+});
@@ -0,0 +1,45 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+
+const callHistoryService = require('../../src/services/callHistory');
+
+const step = (action, nodeId = action) => ({ nodeId, action, at: '2024-01-01T10:00:00Z' });
+const status = (action) => step(action, 'call_status');
+
+describe('callHistoryService.callOutcome', () => {
+    it('reads the outcome past status callbacks and call control', () => {
+        const path = [step('gather', 'root'), step('voicemail', 'vm'), status('completed'), step('hold', 'call_control')];
+
+        expect(callHistoryService.callOutcome(path)).toEqual({ outcome: 'voicemail', tags: ['voicemail'] });
+    });
+
+    it('parses paths stored as strings', () => {
+        expect(callHistoryService.callOutcome(JSON.stringify([step('ai')]))).toEqual({ outcome: 'ai_handled', tags: ['ai'] });
+    });
+
+    it('counts a caller leaving a menu as a hang-up', () => {
+        expect(callHistoryService.callOutcome([step('gather', 'root'), status('completed')]).outcome).toBe('caller_hung_up');
+    });
+
+    it('counts ringing nobody answered as a hang-up', () => {
+        expect(callHistoryService.callOutcome([step('dept'), status('completed')])).toEqual({ outcome: 'caller_hung_up', tags: [] });
+        expect(callHistoryService.callOutcome([step('extension')]).outcome).toBe('caller_hung_up');
+    });
+
+    it('counts ringing as answered once someone picked up', () => {
+        expect(callHistoryService.callOutcome([step('dept'), step('leg_answered', 'ivr_event')]).outcome).toBe('answered');
+        expect(callHistoryService.callOutcome([step('leg_answered', 'ivr_event'), step('extension')]))
+            .toEqual({ outcome: 'extension_answered', tags: ['extension'] });
+    });
+
+    it('keeps a voicemail left before the flow went on', () => {
+        expect(callHistoryService.callOutcome([step('recording_complete', 'ivr_event'), step('play', 'thanks')]).outcome)
+            .toBe('voicemail');
+    });
+
+    it('reports unknown for an empty path', () => {
+        expect(callHistoryService.callOutcome([status('completed')])).toEqual({ outcome: 'unknown', tags: [] });
+        expect(callHistoryService.callOutcome(null)).toEqual({ outcome: 'unknown', tags: [] });
+    });
+});
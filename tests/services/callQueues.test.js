@@ -0,0 +1,341 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const callQueueService = require('../../src/services/callQueues');
+
+const at = new Date('2024-01-01T10:10:00Z');
+const minutesAgo = (minutes) => new Date(at.getTime() - minutes * 60 * 1000).toISOString();
+
+const agent = (userId, extension, priority = 1) => ({
+    id: `qa-${userId}`,
+    user_id: userId,
+    extension_id: `ext-${extension}`,
+    priority,
+    users: { first_name: 'Agent', last_name: extension },
+    extensions: {
+        extension_number: extension,
+        name: `Desk ${extension}`,
+        status: 'active',
+        dial_plan: { destinations: [{ number: `+1555000${extension}` }] }
+    }
+});
+
+const supportQueue = (overrides = {}) => ({
+    id: 'q1',
+    tenant_id: 't1',
+    name: 'Support',
+    is_active: true,
+    greeting: 'Thanks for holding.',
+    max_wait_seconds: 900,
+    announce_interval_seconds: 60,
+    callback_enabled: true,
+    callback_offer_after_seconds: 300,
+    agent_ring_timeout: 25,
+    wrap_up_seconds: 30,
+    overflow: { type: 'voicemail', target: 'mb-support' },
+    queue_agents: [agent('u1', '201'), agent('u2', '202'), agent('u3', '203', 2)],
+    ...overrides
+});
+
+const presence = (userId, status, overrides = {}) => ({
+    id: `p-${userId}`,
+    tenant_id: 't1',
+    user_id: userId,
+    status,
+    ...overrides
+});
+
+const entry = (id, enqueuedMinutesAgo, overrides = {}) => ({
+    id,
+    tenant_id: 't1',
+    queue_id: 'q1',
+    call_id: `call-${id}`,
+    caller_number: '+15550009999',
+    status: 'waiting',
+    offers: 0,
+    enqueued_at: minutesAgo(enqueuedMinutesAgo),
+    created_at: minutesAgo(enqueuedMinutesAgo),
+    ...overrides
+});
+
+const seed = (tables = {}) => supabase.reset({
+    call_queues: [supportQueue()],
+    agent_presence: [],
+    queue_entries: [],
+    ...tables
+});
+
+const presenceOf = (userId) => supabase.tables.agent_presence.find(row => row.user_id === userId);
+const entryOf = (id) => supabase.tables.queue_entries.find(row => row.id === id);
+
+describe('callQueueService.enqueueAction', () => {
+    it('holds callers while an agent is logged in', async () => {
+        seed({ agent_presence: [presence('u1', 'on_call')] });
+
+        expect(await callQueueService.enqueueAction('t1', { queue: 'Support' })).toEqual({
+            action: 'enqueue',
+            params: { queue: 'Support', message: 'Thanks for holding.' }
+        });
+    });
+
+    it('sends callers to the overflow when every agent is logged out', async () => {
+        seed({ agent_presence: [presence('u1', 'offline')] });
+
+        expect(await callQueueService.enqueueAction('t1', { queue: 'Support' })).toEqual({
+            action: 'voicemail',
+            params: { message: 'All of our agents are still busy. Please leave a message.', mailbox: 'mb-support' }
+        });
+    });
+
+    it('falls back to voicemail for queues that do not exist', async () => {
+        seed();
+
+        expect((await callQueueService.enqueueAction('t1', { queue: 'Sales' })).action).toBe('voicemail');
+    });
+});
+
+describe('callQueueService.waitAction', () => {
+    it('offers the first caller to the longest idle agent of the best priority', async () => {
+        seed({
+            agent_presence: [
+                presence('u1', 'available', { last_call_ended_at: minutesAgo(2) }),
+                presence('u2', 'available', { last_call_ended_at: minutesAgo(8) }),
+                presence('u3', 'available')
+            ],
+            queue_entries: [entry('e1', 1)]
+        });
+
+        const result = await callQueueService.waitAction('t1', 'Support', { callId: 'call-e1', at });
+
+        expect(result).toEqual({ action: 'queue_leave', params: {} });
+        expect(entryOf('e1')).toMatchObject({ status: 'offered', agent_user_id: 'u2', offers: 1 });
+        expect(presenceOf('u2').status).toBe('on_call');
+        expect(presenceOf('u1').status).toBe('available');
+    });
+
+    it('treats agents whose wrap-up has run out as available', async () => {
+        seed({
+            agent_presence: [presence('u1', 'wrap_up', { wrap_up_until: minutesAgo(1) })],
+            queue_entries: [entry('e1', 1)]
+        });
+
+        await callQueueService.waitAction('t1', 'Support', { callId: 'call-e1', at });
+
+        expect(presenceOf('u1').status).toBe('on_call');
+    });
+
+    it('holds later callers with their place in line and wait estimate', async () => {
+        seed({
+            agent_presence: [presence('u1', 'on_call'), presence('u2', 'break'), presence('u3', 'offline')],
+            queue_entries: [
+                entry('e1', 4),
+                entry('e2', 2),
+                entry('old1', 90, { status: 'completed', talk_seconds: 120, ended_at: minutesAgo(80) }),
+                entry('old2', 60, { status: 'completed', talk_seconds: 240, ended_at: minutesAgo(50) })
+            ]
+        });
+
+        const result = await callQueueService.waitAction('t1', 'Support', { callId: 'call-e2', at });
+
+        expect(result).toEqual({
+            action: 'queue_hold',
+            params: {
+                queue: 'Support',
+                announcement: 'You are caller number 2 in line. Your estimated wait time is about 6 minutes.',
+                callbackPrompt: null,
+                holdAudioUrl: undefined,
+                pause: 10
+            }
+        });
+        expect(entryOf('e2').last_announced_at).toBe(at.toISOString());
+    });
+
+    it('announces no more often than the queue\'s interval', async () => {
+        seed({
+            agent_presence: [presence('u1', 'on_call')],
+            queue_entries: [entry('e1', 4, { last_announced_at: minutesAgo(0.5) })]
+        });
+
+        const result = await callQueueService.waitAction('t1', 'Support', { callId: 'call-e1', at });
+
+        expect(result.params.announcement).toBeNull();
+    });
+
+    it('adds the caller to the queue on the first poll', async () => {
+        seed({ agent_presence: [presence('u1', 'on_call')] });
+
+        await callQueueService.waitAction('t1', 'Support', { callId: 'call-new', from: '+15550001234', at });
+
+        expect(supabase.tables.queue_entries).toEqual([expect.objectContaining({
+            tenant_id: 't1',
+            queue_id: 'q1',
+            call_id: 'call-new',
+            caller_number: '+15550001234',
+            status: 'waiting'
+        })]);
+    });
+
+    it('offers a callback after the wait and takes the caller out of line when they accept', async () => {
+        seed({
+            agent_presence: [presence('u1', 'on_call')],
+            queue_entries: [entry('e1', 6, { caller_number: '+15550001234' })]
+        });
+
+        const offer = await callQueueService.waitAction('t1', 'Support', { callId: 'call-e1', at });
+        const accept = await callQueueService.waitAction('t1', 'Support', {
+            callId: 'call-e1',
+            from: '+15550001234',
+            digits: '1',
+            at
+        });
+
+        expect(offer.params.callbackPrompt).toBe('To hang up and receive a call back when an agent is free, press 1.');
+        expect(accept.action).toBe('queue_leave');
+        expect(entryOf('e1')).toMatchObject({ status: 'callback_requested', callback_number: '+15550001234' });
+    });
+
+    it('times callers out after the queue\'s max wait', async () => {
+        seed({
+            agent_presence: [presence('u1', 'on_call')],
+            queue_entries: [entry('e1', 15)]
+        });
+
+        expect(await callQueueService.waitAction('t1', 'Support', { callId: 'call-e1', at })).toEqual({ action: 'queue_leave', params: {} });
+        expect(entryOf('e1')).toMatchObject({ status: 'timed_out', ended_at: at.toISOString() });
+    });
+});
+
+describe('callQueueService.resultAction', () => {
+    it('rings the reserved agent for an offered caller', async () => {
+        seed({
+            agent_presence: [presence('u2', 'on_call')],
+            queue_entries: [entry('e1', 1, { status: 'offered', agent_user_id: 'u2' })]
+        });
+
+        expect(await callQueueService.resultAction('t1', 'Support', { callId: 'call-e1', queueResult: 'leave' })).toEqual({
+            action: 'queue_agent',
+            params: {
+                queue: 'Support',
+                entry: 'e1',
+                agent: 'Agent 202',
+                extension: '202',
+                destinations: [{ number: '+1555000202' }],
+                timeout: 25
+            }
+        });
+    });
+
+    it('frees the agent and records the abandon when the caller hangs up', async () => {
+        seed({
+            agent_presence: [presence('u2', 'on_call')],
+            queue_entries: [entry('e1', 1, { status: 'offered', agent_user_id: 'u2' })]
+        });
+
+        expect(await callQueueService.resultAction('t1', 'Support', { callId: 'call-e1', queueResult: 'hangup' })).toEqual({
+            action: 'hangup',
+            params: { reason: 'queue_abandoned' }
+        });
+        expect(entryOf('e1').status).toBe('abandoned');
+        expect(presenceOf('u2').status).toBe('available');
+    });
+
+    it('confirms callbacks and overflows timed-out callers', async () => {
+        seed({
+            queue_entries: [
+                entry('e1', 6, { status: 'callback_requested' }),
+                entry('e2', 15, { status: 'timed_out' })
+            ]
+        });
+
+        expect((await callQueueService.resultAction('t1', 'Support', { callId: 'call-e1', queueResult: 'leave' })).params.reason)
+            .toBe('queue_callback');
+        expect((await callQueueService.resultAction('t1', 'Support', { callId: 'call-e2', queueResult: 'leave' })).params.mailbox)
+            .toBe('mb-support');
+    });
+});
+
+describe('callQueueService.dialResult', () => {
+    const offered = () => entry('e1', 3, {
+        status: 'offered',
+        agent_user_id: 'u2',
+        call_queues: { name: 'Support', wrap_up_seconds: 30 }
+    });
+
+    it('completes answered calls and starts the agent\'s wrap-up', async () => {
+        seed({ agent_presence: [presence('u2', 'on_call')], queue_entries: [offered()] });
+
+        const result = await callQueueService.dialResult('t1', 'Support', { entryId: 'e1', answered: true, talkSeconds: '95', at });
+
+        expect(result).toEqual({ action: 'answered', params: { duration: 95 } });
+        expect(entryOf('e1')).toMatchObject({
+            status: 'completed',
+            talk_seconds: 95,
+            connected_at: new Date(at.getTime() - 95 * 1000).toISOString(),
+            ended_at: at.toISOString()
+        });
+        expect(presenceOf('u2')).toMatchObject({
+            status: 'wrap_up',
+            wrap_up_until: new Date(at.getTime() + 30 * 1000).toISOString(),
+            last_call_ended_at: at.toISOString()
+        });
+    });
+
+    it('uses the agent\'s own wrap-up time over the queue\'s', async () => {
+        seed({ agent_presence: [presence('u2', 'on_call', { wrap_up_seconds: 0 })], queue_entries: [offered()] });
+
+        await callQueueService.dialResult('t1', 'Support', { entryId: 'e1', answered: true, talkSeconds: 10, at });
+
+        expect(presenceOf('u2')).toMatchObject({ status: 'available', wrap_up_until: null });
+    });
+
+    it('puts an agent who misses the call on break and the caller back in line', async () => {
+        seed({ agent_presence: [presence('u2', 'on_call')], queue_entries: [offered()] });
+
+        const result = await callQueueService.dialResult('t1', 'Support', { entryId: 'e1', answered: false, at });
+
+        expect(result).toEqual({ action: 'enqueue', params: { queue: 'Support', message: 'Please continue to hold.' } });
+        expect(entryOf('e1')).toMatchObject({ status: 'waiting', agent_user_id: null, enqueued_at: minutesAgo(3) });
+        expect(presenceOf('u2')).toMatchObject({ status: 'break', reason: 'Missed queue call' });
+    });
+});
+
+describe('callQueueService.getState', () => {
+    it('lists callers in line, callbacks, agents and queue stats', async () => {
+        seed({
+            agent_presence: [presence('u1', 'available'), presence('u2', 'on_call'), presence('u3', 'break', { reason: 'Lunch' })],
+            queue_entries: [
+                entry('e1', 5, { status: 'offered', agent_user_id: 'u2' }),
+                entry('e2', 3),
+                entry('e3', 1),
+                entry('e4', 8, { status: 'callback_requested', callback_number: '+15550004444', ended_at: minutesAgo(2) })
+            ]
+        });
+
+        const state = await callQueueService.getState(supportQueue(), at);
+
+        expect(state.waiting.map(caller => [caller.id, caller.position, caller.waitSeconds])).toEqual([
+            ['e1', null, 300],
+            ['e2', 1, 180],
+            ['e3', 2, 60]
+        ]);
+        expect(state.callbacks).toEqual([{ id: 'e4', callId: 'call-e4', callbackNumber: '+15550004444', requestedAt: minutesAgo(2) }]);
+        expect(state.agents.find(row => row.userId === 'u3')).toMatchObject({ status: 'break', reason: 'Lunch', reachable: true });
+        expect(state.stats).toEqual({
+            waiting: 3,
+            longestWaitSeconds: 300,
+            availableAgents: 1,
+            staffedAgents: 2,
+            averageHandleSeconds: 180,
+            estimatedWaitSeconds: 360
+        });
+    });
+});
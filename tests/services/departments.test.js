@@ -0,0 +1,301 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const departmentService = require('../../src/services/departments');
+
+// Member whose extension rings one number
+const member = (id, extension, overrides = {}) => ({
+    id,
+    extension_id: `ext-${id}`,
+    position: Number(extension) - 100,
+    weight: 1,
+    is_active: true,
+    ...overrides,
+    extensions: {
+        extension_number: extension,
+        name: `Agent ${extension}`,
+        status: 'active',
+        dial_plan: { destinations: [{ number: `+1555000${extension}` }] },
+        ...overrides.extensions
+    }
+});
+
+const department = (overrides = {}) => ({
+    id: 'd-sales',
+    name: 'Sales',
+    ring_strategy: 'sequential',
+    ring_timeout: 15,
+    overflow: { type: 'voicemail' },
+    round_robin_position: 0,
+    department_members: [member('m1', '101'), member('m2', '102'), member('m3', '103')],
+    ...overrides
+});
+
+const offline = (dept, memberId) => ({
+    ...dept,
+    department_members: dept.department_members.map(m => (m.id === memberId
+        ? { ...m, extensions: { ...m.extensions, status: 'inactive' } }
+        : m))
+});
+
+beforeEach(() => {
+    supabase.reset({ departments: [department()] });
+});
+
+const memberIds = (dialList) => dialList.map(entry => entry.memberId);
+
+describe('departmentService.buildDialList', () => {
+    it('leaves out inactive members, inactive extensions and members on do-not-disturb', () => {
+        const dept = department({
+            department_members: [
+                member('m1', '101', { is_active: false }),
+                member('m2', '102', { extensions: { status: 'inactive' } }),
+                member('m3', '103', { extensions: { dial_plan: { dnd: true, destinations: [{ number: '+15550000103' }] } } }),
+                member('m4', '104')
+            ]
+        });
+
+        expect(memberIds(departmentService.buildDialList(dept))).toEqual(['m4']);
+    });
+
+    it('rings members by position with their own or the department\'s ring timeout', () => {
+        const dept = department({
+            department_members: [
+                member('m1', '101', { position: 3 }),
+                member('m2', '102', { position: 1, ring_timeout: 30 }),
+                member('m3', '103', { position: 2 })
+            ]
+        });
+
+        const dialList = departmentService.buildDialList(dept);
+
+        expect(memberIds(dialList)).toEqual(['m2', 'm3', 'm1']);
+        expect(dialList[0]).toEqual({
+            memberId: 'm2',
+            extension: '102',
+            name: 'Agent 102',
+            timeout: 30,
+            destinations: [{ number: '+1555000102' }]
+        });
+        expect(dialList[1].timeout).toBe(15);
+    });
+
+    it('starts round robin one member further along on each call', () => {
+        const at = (position) => memberIds(departmentService.buildDialList(department({
+            ring_strategy: 'round_robin',
+            round_robin_position: position
+        })));
+
+        expect(at(0)).toEqual(['m1', 'm2', 'm3']);
+        expect(at(1)).toEqual(['m2', 'm3', 'm1']);
+        expect(at(5)).toEqual(['m3', 'm1', 'm2']);
+    });
+
+    it('puts members who have waited longest first for least recently called', () => {
+        const dept = department({
+            ring_strategy: 'least_recently_called',
+            department_members: [
+                member('m1', '101', { last_called_at: '2024-01-01T10:05:00Z' }),
+                member('m2', '102', { last_called_at: '2024-01-01T10:00:00Z' }),
+                member('m3', '103', { last_called_at: null })
+            ]
+        });
+
+        expect(memberIds(departmentService.buildDialList(dept))).toEqual(['m3', 'm2', 'm1']);
+    });
+
+    it('draws weighted members in proportion to their weight', () => {
+        const dept = department({
+            ring_strategy: 'weighted',
+            department_members: [member('m1', '101', { weight: 1 }), member('m2', '102', { weight: 3 })]
+        });
+        const draw = (value) => memberIds(departmentService.buildDialList(dept, { random: () => value }));
+
+        // m1 holds the first quarter of the total weight
+        expect(draw(0.2)).toEqual(['m1', 'm2']);
+        expect(draw(0.3)).toEqual(['m2', 'm1']);
+    });
+});
+
+describe('departmentService.dialAction strategies', () => {
+    it('rings everyone at once for simultaneous departments and overflows after one attempt', async () => {
+        const dept = department({ ring_strategy: 'simultaneous' });
+
+        const first = await departmentService.dialAction(dept);
+        const second = await departmentService.dialAction(dept, { attempt: 1, order: first.params.order });
+
+        expect(first.params).toMatchObject({ strategy: 'simultaneous', timeout: 15, attempt: 0 });
+        expect(memberIds(first.params.dialList)).toEqual(['m1', 'm2', 'm3']);
+        expect(second.action).toBe('voicemail');
+    });
+
+    it('advances round robin and records least recently called members on the first attempt only', async () => {
+        supabase.reset({
+            departments: [department({ ring_strategy: 'round_robin', round_robin_position: 4 })],
+            department_members: [{ id: 'm1', last_called_at: null }, { id: 'm2', last_called_at: null }]
+        });
+
+        await departmentService.dialAction(supabase.tables.departments[0]);
+        await departmentService.dialAction(supabase.tables.departments[0], { attempt: 1, order: 'm2,m3,m1', member: 'm2' });
+        await departmentService.dialAction(department({ ring_strategy: 'least_recently_called', round_robin_position: 0 }));
+
+        expect(supabase.tables.departments[0].round_robin_position).toBe(5);
+        expect(supabase.tables.department_members[0].last_called_at).toEqual(expect.any(String));
+        expect(supabase.tables.department_members[1].last_called_at).toBeNull();
+    });
+
+    it('holds callers in the department\'s queue once no one is left to ring', async () => {
+        const result = await departmentService.dialAction(department({ department_members: [] }), { queue: 'Sales queue' });
+
+        expect(result).toEqual({ action: 'enqueue', params: { queue: 'Sales queue', message: undefined } });
+    });
+
+    it('hands a department with no one to ring and no overflow back to the flow', async () => {
+        const result = await departmentService.dialAction(department({ overflow: null, department_members: [] }));
+
+        expect(result.action).toBe('dept');
+        expect(result.params.dialList).toEqual([]);
+    });
+
+    it.each([
+        [{ type: 'extension', target: 200 }, { action: 'extension', params: { extension: '200' } }],
+        [{ type: 'number', target: '+15550009999' }, { action: 'forward', params: { number: '+15550009999' } }],
+        [{ type: 'queue', target: 'Overflow', message: 'Please hold.' }, { action: 'enqueue', params: { queue: 'Overflow', message: 'Please hold.' } }],
+        [{ type: 'voicemail', target: 'mb1' }, {
+            action: 'voicemail',
+            params: { message: 'No one in Sales is available. Please leave a message.', mailbox: 'mb1' }
+        }],
+        [{ type: 'hangup', message: 'Goodbye.' }, { action: 'hangup', params: { reason: 'department_overflow', message: 'Goodbye.' } }]
+    ])('overflows to %j', async (overflow, expected) => {
+        const result = await departmentService.dialAction(department({ overflow, department_members: [] }));
+
+        expect(result).toEqual(expected);
+    });
+});
+
+describe('departmentService.validateOverflow', () => {
+    it('accepts no overflow and known types with their targets', () => {
+        expect(departmentService.validateOverflow(null)).toEqual([]);
+        expect(departmentService.validateOverflow({ type: 'voicemail' })).toEqual([]);
+        expect(departmentService.validateOverflow({ type: 'queue', target: 'Support' })).toEqual([]);
+    });
+
+    it('rejects unknown types and missing targets', () => {
+        expect(departmentService.validateOverflow({ type: 'pager' })[0].field).toBe('overflow.type');
+        expect(departmentService.validateOverflow({ type: 'department' })).toEqual([
+            { field: 'overflow.target', message: 'Overflow to department requires a target' }
+        ]);
+    });
+});
+
+describe('departmentService.dialAction rotation', () => {
+    it('orders the first attempt by member id and rings the first member', async () => {
+        const { action, params } = await departmentService.dialAction(department());
+
+        expect(action).toBe('dept');
+        expect(params.order).toBe('m1,m2,m3');
+        expect(params.dialList[0]).toMatchObject({ memberId: 'm1', extension: '101' });
+    });
+
+    it('rings the member after the one just rung', async () => {
+        const { params } = await departmentService.dialAction(department(), { attempt: 1, order: 'm1,m2,m3', member: 'm1' });
+
+        expect(params.dialList.map(entry => entry.memberId)).toEqual(['m2', 'm3']);
+        expect(params.order).toBe('m1,m2,m3');
+    });
+
+    it('does not skip anyone when an earlier member goes offline between attempts', async () => {
+        const { params } = await departmentService.dialAction(offline(department(), 'm1'), {
+            attempt: 1,
+            order: 'm1,m2,m3',
+            member: 'm1'
+        });
+
+        expect(params.dialList[0].memberId).toBe('m2');
+    });
+
+    it('skips a later member who went offline', async () => {
+        const { params } = await departmentService.dialAction(offline(department(), 'm2'), {
+            attempt: 1,
+            order: 'm1,m2,m3',
+            member: 'm1'
+        });
+
+        expect(params.dialList.map(entry => entry.memberId)).toEqual(['m3']);
+    });
+
+    it('keeps the first attempt\'s order when the strategy would now pick differently', async () => {
+        const { params } = await departmentService.dialAction(department({ ring_strategy: 'round_robin', round_robin_position: 2 }), {
+            attempt: 1,
+            order: 'm2,m3,m1',
+            member: 'm2'
+        });
+
+        expect(params.dialList.map(entry => entry.memberId)).toEqual(['m3', 'm1']);
+    });
+
+    it('overflows once the last member in the order has been rung', async () => {
+        const result = await departmentService.dialAction(department(), { attempt: 3, order: 'm1,m2,m3', member: 'm3' });
+
+        expect(result.action).toBe('voicemail');
+    });
+
+    it('follows extension orders of calls started before orders used member ids', async () => {
+        const { params } = await departmentService.dialAction(department(), { attempt: 1, order: '101,102,103' });
+
+        expect(params.dialList[0].memberId).toBe('m2');
+    });
+});
+
+describe('departmentService department overflow', () => {
+    const exhausted = { attempt: 1, order: 'm1', member: 'm1' };
+    const single = (id, name, target) => department({
+        id,
+        name,
+        overflow: { type: 'department', target },
+        department_members: [member('m1', '101')]
+    });
+
+    it('sends the call on with the departments it overflowed from', async () => {
+        const result = await departmentService.dialAction(single('d-sales', 'Sales', 'Support'), exhausted);
+
+        expect(result).toEqual({ action: 'dept', params: { department: 'Support', visited: 'd-sales' } });
+    });
+
+    it('goes to voicemail instead of overflowing back into a department already tried', async () => {
+        const support = single('d-support', 'Support', 'Sales');
+        const fromSupport = await departmentService.dialAction(support, { ...exhausted, visited: 'd-sales' });
+        const backInSales = await departmentService.dialAction(single('d-sales', 'Sales', 'Support'), {
+            visited: fromSupport.params.visited
+        });
+
+        expect(fromSupport.params).toEqual({ department: 'Sales', visited: 'd-sales,d-support' });
+        expect(backInSales).toEqual({
+            action: 'voicemail',
+            params: { message: 'No one in Sales is available. Please leave a message.' }
+        });
+    });
+
+    it('stops a department that overflows into itself', async () => {
+        const loop = single('d-sales', 'Sales', 'Sales');
+        const first = await departmentService.dialAction(loop, exhausted);
+        const second = await departmentService.dialAction(loop, { visited: first.params.visited });
+
+        expect(second.action).toBe('voicemail');
+    });
+
+    it('carries the visited departments on every attempt', async () => {
+        const { params } = await departmentService.dialAction(department(), { visited: 'd-support' });
+
+        expect(params.visited).toBe('d-support');
+    });
+});
@@ -0,0 +1,192 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const dialPlanService = require('../../src/services/dialPlan');
+
+const desk = { type: 'device', sip: 'sip:101@example.com' };
+const mobile = { type: 'number', number: '+15550001111' };
+const home = { type: 'number', number: '+15550002222' };
+
+// Follow-me plan: desk, then desk and mobile, then home. Evenings and
+// nights in New York (UTC-5 in January) go straight to the mobile.
+const followMe = {
+    timeout: 15,
+    timezone: 'America/New_York',
+    steps: [
+        { destinations: [desk] },
+        { destinations: [desk, mobile], timeout: 25 },
+        { destinations: [home] }
+    ],
+    noAnswer: { action: 'voicemail', mailbox: 'mb1' },
+    rules: [
+        {
+            name: 'Nights',
+            days: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'],
+            start: '18:00',
+            end: '08:00',
+            steps: [{ destinations: [mobile] }]
+        },
+        { name: 'Weekend', days: ['saturday', 'sunday'], dnd: true }
+    ]
+};
+
+// Monday 2024-01-01, 10:00 in New York
+const mondayMorning = new Date('2024-01-01T15:00:00Z');
+
+describe('dialPlanService.evaluate', () => {
+    it('rings each follow-me step in turn with its own or the plan\'s timeout', () => {
+        const steps = [0, 1, 2].map(attempt => dialPlanService.evaluate(followMe, { at: mondayMorning, attempt }));
+
+        expect(steps[0]).toEqual({ type: 'ring', destinations: [desk], timeout: 15, attempt: 0, final: false, rule: null });
+        expect(steps[1]).toMatchObject({ destinations: [desk, mobile], timeout: 25, final: false });
+        expect(steps[2]).toMatchObject({ destinations: [home], timeout: 15, final: true });
+    });
+
+    it('reports an exhausted plan with its no-answer action', () => {
+        expect(dialPlanService.evaluate(followMe, { at: mondayMorning, attempt: 3 })).toEqual({
+            type: 'no_answer',
+            reason: 'exhausted',
+            noAnswer: { action: 'voicemail', mailbox: 'mb1' },
+            rule: null
+        });
+    });
+
+    it('applies time rules in the plan\'s timezone, including ranges past midnight', () => {
+        const at = (iso) => dialPlanService.evaluate(followMe, { at: new Date(iso) });
+
+        expect(at('2024-01-02T01:00:00Z')).toMatchObject({ destinations: [mobile], final: true, rule: 'Nights' });
+        // Tuesday 07:00 is still Monday night
+        expect(at('2024-01-02T12:00:00Z').rule).toBe('Nights');
+        expect(at('2024-01-02T13:00:00Z').rule).toBeNull();
+        // Saturday 07:00 is still Friday night; Saturday afternoon is the weekend
+        expect(at('2024-01-06T12:00:00Z').rule).toBe('Nights');
+        expect(at('2024-01-06T20:00:00Z')).toMatchObject({ type: 'no_answer', reason: 'dnd', rule: 'Weekend' });
+    });
+
+    it('lets a rule forward everything instead of ringing the steps', () => {
+        const plan = { ...followMe, rules: [{ name: 'Travelling', forward: { number: '+15550003333', timeout: 40 } }] };
+
+        expect(dialPlanService.evaluate(plan, { at: mondayMorning })).toMatchObject({
+            type: 'ring',
+            destinations: [{ number: '+15550003333' }],
+            timeout: 40,
+            final: true,
+            rule: 'Travelling'
+        });
+    });
+
+    it('keeps the plan\'s steps when a rule only changes what happens on no answer', () => {
+        const plan = { ...followMe, rules: [{ noAnswer: { action: 'hangup' } }] };
+
+        expect(dialPlanService.evaluate(plan, { at: mondayMorning }).destinations).toEqual([desk]);
+        expect(dialPlanService.evaluate(plan, { at: mondayMorning, attempt: 3 }).noAnswer).toEqual({ action: 'hangup' });
+    });
+
+    it('rings legacy simultaneous plans together and sequential plans one by one', () => {
+        const destinations = [{ number: '+15550001111' }, { number: '+15550002222', timeout: 30 }];
+
+        expect(dialPlanService.evaluate({ type: 'simultaneous', destinations })).toMatchObject({
+            destinations,
+            timeout: 20,
+            final: true
+        });
+        expect(dialPlanService.evaluate({ type: 'sequential', destinations }, { attempt: 1 })).toMatchObject({
+            destinations: [destinations[1]],
+            timeout: 30,
+            final: true
+        });
+    });
+
+    it('reads plans stored as JSON and treats unreadable plans as empty', () => {
+        expect(dialPlanService.evaluate(JSON.stringify({ destinations: [mobile] })).destinations).toEqual([mobile]);
+        expect(dialPlanService.evaluate('{not json').reason).toBe('exhausted');
+    });
+});
+
+describe('dialPlanService.nextAction', () => {
+    const extension = (dialPlan) => ({ extension_number: '101', name: 'Ann', dial_plan: dialPlan });
+
+    it('rings the current step as an extension action', () => {
+        expect(dialPlanService.nextAction(extension(followMe), { at: mondayMorning, attempt: 1 })).toEqual({
+            action: 'extension',
+            params: {
+                extension: '101',
+                name: 'Ann',
+                dialPlan: followMe,
+                attempt: 1,
+                destinations: [desk, mobile],
+                timeout: 25
+            }
+        });
+    });
+
+    it('follows the no-answer action once the plan is exhausted', () => {
+        const after = (noAnswer) => dialPlanService.nextAction(extension({ destinations: [mobile], noAnswer }), { attempt: 1 });
+
+        expect(after({ action: 'forward', number: '+15550004444' })).toEqual({ action: 'forward', params: { number: '+15550004444' } });
+        expect(after({ action: 'hangup', message: 'Goodbye.' })).toEqual({
+            action: 'hangup',
+            params: { reason: 'extension_unavailable', message: 'Goodbye.' }
+        });
+        expect(after({ action: 'voicemail', mailbox: 'mb1' })).toEqual({
+            action: 'voicemail',
+            params: { message: 'Ann is not available. Please leave a message.', mailbox: 'mb1' }
+        });
+    });
+
+    it('hands exhausted plans without a no-answer action back to the flow', () => {
+        expect(dialPlanService.nextAction(extension({ destinations: [mobile] }), { attempt: 1 })).toMatchObject({
+            action: 'extension',
+            params: { extension: '101', attempt: 1, destinations: [] }
+        });
+    });
+
+    it('sends do-not-disturb to voicemail', () => {
+        expect(dialPlanService.nextAction(extension({ dnd: true }))).toEqual({
+            action: 'voicemail',
+            params: { message: 'Ann is not available. Please leave a message.' }
+        });
+    });
+});
+
+describe('dialPlanService.validate', () => {
+    it('accepts follow-me plans with rules', () => {
+        expect(dialPlanService.validate(followMe)).toEqual([]);
+    });
+
+    it('reports bad steps, destinations, timeouts and rules by field', () => {
+        const errors = dialPlanService.validate({
+            timezone: 'Mars/Olympus',
+            steps: [{ destinations: [{ number: '12' }], timeout: 2 }, { destinations: [] }],
+            noAnswer: { action: 'forward' },
+            rules: [{ days: ['someday'], start: '25:00', end: '08:00' }]
+        });
+
+        expect(errors.map(error => error.field)).toEqual([
+            'dialPlan.steps[0].destinations[0].number',
+            'dialPlan.steps[0].timeout',
+            'dialPlan.steps[1].destinations',
+            'dialPlan.noAnswer.number',
+            'dialPlan.timezone',
+            'dialPlan.rules[0].days',
+            'dialPlan.rules[0].start',
+            'dialPlan.rules[0]'
+        ]);
+    });
+
+    it('requires something to ring, a forward number or do-not-disturb', () => {
+        expect(dialPlanService.validate({ timeout: 20 })).toEqual([{
+            field: 'dialPlan',
+            message: 'Dial plan must have at least one destination, a forward number or do-not-disturb'
+        }]);
+        expect(dialPlanService.validate({ dnd: true })).toEqual([]);
+    });
+});
@@ -0,0 +1,265 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const callHistoryService = require('../../src/services/callHistory');
+const exportService = require('../../src/services/exports');
+
+const JOB_ID = '6f1c1c8e-5a7a-4d7e-9b84-2f0f6b3c1a11';
+
+const queuedExport = (overrides = {}) => ({
+    id: JOB_ID,
+    tenant_id: 't1',
+    created_by: 'u1',
+    resource: 'users',
+    format: 'csv',
+    filters: {},
+    status: 'queued',
+    attempts: 0,
+    created_at: '2024-01-01T10:00:00Z',
+    ...overrides
+});
+
+const user = (email, overrides = {}) => ({
+    id: email,
+    tenant_id: 't1',
+    email,
+    first_name: 'Ann',
+    last_name: 'Smith',
+    phone: '+15550001111',
+    status: 'active',
+    created_at: '2024-01-01T10:00:00Z',
+    ...overrides
+});
+
+let directory;
+
+beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-test-'));
+    process.env.EXPORT_DIR = directory;
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete process.env.EXPORT_DIR;
+});
+
+const sms = (id, overrides = {}) => ({
+    id,
+    tenant_id: 't1',
+    from_number: '+15550001111',
+    to_number: '+15550002222',
+    message_body: 'Hello',
+    status: 'delivered',
+    direction: 'outbound',
+    sent_at: '2024-01-02T10:00:00Z',
+    ...overrides
+});
+
+// Run the queued export and read back the file it wrote
+const exportFile = async (format) => {
+    await exportService.processQueue();
+    return fs.readFileSync(path.join(directory, `${JOB_ID}.${format}`), 'utf8');
+};
+
+describe('exportService.validateFilters', () => {
+    it('accepts the resource\'s filters', () => {
+        expect(exportService.validateFilters('sms_logs', {
+            startDate: '2024-01-01',
+            endDate: '2024-01-31T23:59:59Z',
+            number: '+15550001111',
+            direction: 'inbound',
+            status: 'failed'
+        })).toEqual([]);
+    });
+
+    it('reports unknown, empty and malformed filters by field', () => {
+        const errors = exportService.validateFilters('sms_logs', {
+            outcome: 'voicemail',
+            status: '  ',
+            direction: 'sideways',
+            startDate: 'last tuesday',
+            number: '555-0001'
+        });
+
+        expect(errors).toEqual([
+            { field: 'filters.outcome', message: 'outcome is not a filter for sms_logs; use one of: startDate, endDate, number, direction, status' },
+            { field: 'filters.status', message: 'status must be a non-empty string' },
+            { field: 'filters.direction', message: 'direction must be one of: inbound, outbound' },
+            { field: 'filters.startDate', message: 'startDate must be a valid ISO date' },
+            { field: 'filters.number', message: 'number must be digits, optionally starting with +' }
+        ]);
+    });
+});
+
+describe('exportService filters', () => {
+    it('exports only the tenant\'s messages matching every filter', async () => {
+        supabase.reset({
+            export_jobs: [queuedExport({
+                resource: 'sms_logs',
+                format: 'json',
+                filters: { status: 'delivered', direction: 'outbound', startDate: '2024-01-02', endDate: '2024-01-03', number: '0002222' }
+            })],
+            sms_logs: [
+                sms('s1'),
+                sms('s2', { status: 'failed' }),
+                sms('s3', { direction: 'inbound' }),
+                sms('s4', { sent_at: '2024-01-01T10:00:00Z' }),
+                sms('s5', { sent_at: '2024-01-04T10:00:00Z' }),
+                sms('s6', { to_number: '+15550003333' }),
+                sms('s7', { from_number: '+15550002222', to_number: '+15550001111', sent_at: '2024-01-02T09:00:00Z' }),
+                sms('s8', { tenant_id: 't2' })
+            ]
+        });
+
+        const records = JSON.parse(await exportFile('json'));
+
+        expect(records.map(record => record.sentAt)).toEqual(['2024-01-02T09:00:00Z', '2024-01-02T10:00:00Z']);
+        expect(supabase.tables.export_jobs[0]).toMatchObject({ status: 'completed', row_count: 2, truncated: false });
+    });
+
+    it('passes call filters to the call history search and follows its pages', async () => {
+        const filters = { outcome: 'voicemail', department: 'Sales' };
+        supabase.reset({ export_jobs: [queuedExport({ resource: 'call_sessions', format: 'json', filters })] });
+        const search = jest.spyOn(callHistoryService, 'search')
+            .mockResolvedValueOnce({ calls: [{ callId: 'c1', tags: ['vip'] }], nextCursor: 'next' })
+            .mockResolvedValueOnce({ calls: [{ callId: 'c2' }], nextCursor: null });
+
+        const records = JSON.parse(await exportFile('json'));
+
+        expect(records.map(record => record.callId)).toEqual(['c1', 'c2']);
+        expect(records[0].tags).toEqual(['vip']);
+        expect(search).toHaveBeenNthCalledWith(1, 't1', filters, expect.objectContaining({ cursor: null, order: 'asc' }));
+        expect(search).toHaveBeenNthCalledWith(2, 't1', filters, expect.objectContaining({ cursor: 'next' }));
+    });
+
+    it('stops at the row limit and marks the export truncated', async () => {
+        process.env.EXPORT_MAX_ROWS = '1';
+        supabase.reset({
+            export_jobs: [queuedExport({ filters: { status: 'active' } })],
+            users: [user('ann@example.com'), user('ben@example.com', { status: 'inactive' }), user('cat@example.com')]
+        });
+
+        try {
+            await exportService.processQueue();
+        } finally {
+            delete process.env.EXPORT_MAX_ROWS;
+        }
+
+        expect(supabase.tables.export_jobs[0]).toMatchObject({ status: 'completed', row_count: 1, truncated: true });
+    });
+});
+
+describe('exportService CSV files', () => {
+    it('starts with a byte order mark and the column headers', async () => {
+        supabase.reset({ export_jobs: [queuedExport()], users: [user('ann@example.com', { user_roles: [{ roles: { name: 'Admin' } }, { roles: { name: 'Agent' } }] })] });
+
+        const [header, row] = (await exportFile('csv')).split('\r\n');
+
+        expect(header).toBe('\uFEFFEmail,First Name,Last Name,Phone,Status,Roles,Last Login,Created At');
+        expect(row).toBe('ann@example.com,Ann,Smith,+15550001111,active,Admin; Agent,,2024-01-01T10:00:00Z');
+    });
+
+    it('neutralizes cells a spreadsheet would run as formulas', async () => {
+        supabase.reset({
+            export_jobs: [queuedExport()],
+            users: [user('=HYPERLINK("https://evil.example","x")', {
+                first_name: '@SUM(A1:A9)',
+                last_name: '+cmd|calc',
+                phone: '-2+3',
+                status: '\tactive'
+            })]
+        });
+
+        const [, row] = (await exportFile('csv')).split('\r\n');
+
+        expect(row).toBe('"\'=HYPERLINK(""https://evil.example"",""x"")",\'@SUM(A1:A9),\'+cmd|calc,\'-2+3,\'\tactive,,,2024-01-01T10:00:00Z');
+    });
+
+    it('leaves phone numbers and signed numbers alone and quotes commas, quotes and line breaks', async () => {
+        supabase.reset({
+            export_jobs: [queuedExport()],
+            users: [user('ann@example.com', {
+                first_name: 'Smith, Ann',
+                last_name: 'O"Neil',
+                phone: '+15551234567',
+                status: 'line one\nline two',
+                last_login: '-12.5'
+            })]
+        });
+
+        const csv = await exportFile('csv');
+
+        expect(csv).toContain('ann@example.com,"Smith, Ann","O""Neil",+15551234567,"line one\nline two",,-12.5,');
+    });
+});
+
+describe('exportService file errors', () => {
+    it('fails the export when its file cannot be written', async () => {
+        fs.mkdirSync(path.join(directory, `${JOB_ID}.csv`));
+        supabase.reset({ export_jobs: [queuedExport()] });
+        // The file error lands while rows are still being read
+        jest.spyOn(exportService, 'rows').mockImplementation(async function* () {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            yield user('ann@example.com');
+        });
+
+        expect(await exportService.processQueue()).toBe(0);
+
+        const [job] = supabase.tables.export_jobs;
+        expect(job.status).toBe('failed');
+        expect(job.error).toMatch(/EISDIR/);
+    });
+
+    it.each(['csv', 'json', 'xlsx'])('removes the partial %s file when the export fails partway', async (format) => {
+        supabase.reset({ export_jobs: [queuedExport({ format })] });
+        jest.spyOn(exportService, 'rows').mockImplementation(async function* () {
+            yield user('ann@example.com');
+            throw new Error('connection reset');
+        });
+
+        expect(await exportService.processQueue()).toBe(0);
+
+        expect(supabase.tables.export_jobs[0]).toMatchObject({ status: 'failed', error: 'connection reset' });
+        expect(fs.readdirSync(directory)).toEqual([]);
+    });
+});
+
+describe('exportService.requeueStale', () => {
+    const staleStart = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    it('requeues abandoned exports and fails them after their third claim', async () => {
+        supabase.reset({
+            export_jobs: [
+                queuedExport({ id: 'e1', status: 'processing', attempts: 1, started_at: staleStart }),
+                queuedExport({ id: 'e2', status: 'processing', attempts: 3, started_at: staleStart })
+            ]
+        });
+
+        expect(await exportService.requeueStale()).toBe(2);
+
+        const [requeued, failed] = supabase.tables.export_jobs;
+        expect(requeued).toMatchObject({ status: 'queued', attempts: 1 });
+        expect(failed).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+
+    it('counts the claim as the attempt', async () => {
+        supabase.reset({ export_jobs: [queuedExport()], users: [user('ann@example.com')] });
+
+        expect(await exportService.processQueue()).toBe(1);
+        expect(supabase.tables.export_jobs[0]).toMatchObject({ status: 'completed', attempts: 1 });
+    });
+});
@@ -0,0 +1,244 @@
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const ivrFlowEngine = require('../../src/services/ivrFlowEngine');
+
+const flow = {
+    name: 'Main line',
+    start: 'root',
+    nodes: [
+        { id: 'root', type: 'menu', prompt: 'Press 1 for sales or 2 for support.', retries: 2 },
+        { id: 'sales', type: 'transfer', department: 'Sales' },
+        { id: 'support', type: 'transfer', extension: 200 },
+        { id: 'account', type: 'gather', prompt: 'Enter your account number.', variable: 'account' },
+        { id: 'vip_check', type: 'condition', field: 'account', operator: 'starts_with', value: '9' },
+        { id: 'vip', type: 'transfer', queue: 'vip' },
+        { id: 'goodbye', type: 'hangup', message: 'Goodbye.' }
+    ],
+    edges: [
+        { from: 'root', to: 'sales', on: '1', keywords: ['sales', 'buy'] },
+        { from: 'root', to: 'account', on: '2', keywords: ['support', 'help'] },
+        { from: 'root', to: 'goodbye', on: 'invalid' },
+        { from: 'account', to: 'vip_check', on: 'next' },
+        { from: 'vip_check', to: 'vip', on: 'true' },
+        { from: 'vip_check', to: 'support', on: 'false' }
+    ]
+};
+
+describe('ivrFlowEngine.normalize', () => {
+    it('keys graph nodes by id and defaults the start to the first node', () => {
+        const graph = ivrFlowEngine.normalize({ ...flow, start: undefined });
+
+        expect(graph.start).toBe('root');
+        expect(graph.nodes.sales).toEqual(flow.nodes[1]);
+        expect(graph.edges).toHaveLength(flow.edges.length);
+    });
+
+    it('parses flow configurations stored as strings', () => {
+        expect(ivrFlowEngine.normalize(JSON.stringify(flow)).nodes.goodbye.type).toBe('hangup');
+    });
+
+    it('turns a legacy options map into a root menu with one node per key', () => {
+        const graph = ivrFlowEngine.normalize({
+            greeting: 'Welcome to Acme.',
+            options: {
+                1: { action: 'dept', params: { department: 'Sales' }, keywords: ['sales'] },
+                9: { action: 'voicemail' },
+                default: { action: 'hangup' }
+            },
+            fallback: { action: 'extension', params: { extension: '100' } }
+        });
+
+        expect(graph.start).toBe('root');
+        expect(graph.nodes.root).toMatchObject({ type: 'menu', prompt: 'Welcome to Acme.', max_digits: 4 });
+        expect(graph.nodes.option_1).toEqual({ id: 'option_1', type: 'transfer', department: 'Sales' });
+        expect(graph.nodes.option_9.type).toBe('voicemail');
+        expect(graph.edges).toEqual(expect.arrayContaining([
+            { from: 'root', to: 'option_1', on: '1', label: 'Sales', keywords: ['sales'] },
+            expect.objectContaining({ from: 'root', to: 'option_default', on: 'no_match' }),
+            { from: 'root', to: 'fallback', on: 'timeout' }
+        ]));
+    });
+});
+
+describe('ivrFlowEngine.validate', () => {
+    it('accepts a well-formed graph and a legacy options flow', () => {
+        expect(ivrFlowEngine.validate(flow)).toEqual([]);
+        expect(ivrFlowEngine.validate({ options: { 1: { action: 'hangup' } } })).toEqual([]);
+    });
+
+    it('reports bad nodes, edges and start nodes by field', () => {
+        const errors = ivrFlowEngine.validate({
+            start: 'missing',
+            nodes: [
+                { id: 'a', type: 'menu' },
+                { id: 'a', type: 'teleport' },
+                { id: 'b', type: 'transfer' },
+                { id: 'c', type: 'condition' }
+            ],
+            edges: [{ from: 'a', to: 'z', on: '', keywords: 'sales' }]
+        });
+
+        expect(errors.map(error => error.field)).toEqual([
+            'nodes[1].id',
+            'nodes[1].type',
+            'nodes[2]',
+            'nodes[3].field',
+            'start',
+            'edges[0].to',
+            'edges[0].on',
+            'edges[0].keywords'
+        ]);
+    });
+
+    it('rejects configurations without nodes or options', () => {
+        expect(ivrFlowEngine.validate(null)[0].field).toBe('flow_config');
+        expect(ivrFlowEngine.validate({})[0].field).toBe('nodes');
+    });
+});
+
+describe('ivrFlowEngine flow walking', () => {
+    const graph = ivrFlowEngine.normalize(flow);
+
+    it('starts on the entry menu and offers its options', () => {
+        const step = ivrFlowEngine.start(graph);
+
+        expect(step.action).toBe('gather');
+        expect(step.params.greeting).toBe('Press 1 for sales or 2 for support.');
+        expect(Object.keys(step.params.options)).toEqual(['1', '2']);
+        expect(step.params.speech).toBe(true);
+        expect(step.params.hints).toEqual(['sales', 'buy', 'support', 'help']);
+    });
+
+    it('follows the edge for a pressed digit', () => {
+        const step = ivrFlowEngine.handleInput(graph, 'root', { digits: '1' });
+
+        expect(step).toMatchObject({ nodeId: 'sales', action: 'dept', params: { department: 'Sales' } });
+    });
+
+    it('resolves spoken keywords to the option digit', () => {
+        const step = ivrFlowEngine.handleInput(graph, 'root', { speech: 'I want to buy something', confidence: 0.9 });
+
+        expect(step.nodeId).toBe('sales');
+    });
+
+    it('flags low confidence speech instead of guessing', () => {
+        const step = ivrFlowEngine.handleInput(graph, 'root', { speech: 'sales', confidence: 0.1 });
+
+        expect(step).toMatchObject({ unmatched: true, lowConfidence: true, nodeId: 'root' });
+    });
+
+    it('reports unmatched digits', () => {
+        expect(ivrFlowEngine.handleInput(graph, 'root', { digits: '7' })).toMatchObject({ unmatched: true, nodeId: 'root' });
+    });
+
+    it('stores gathered digits and branches on them through condition nodes', () => {
+        const vip = ivrFlowEngine.handleInput(graph, 'account', { digits: '9001' });
+        const regular = ivrFlowEngine.handleInput(graph, 'account', { digits: '1234' });
+
+        expect(vip.state.variables.account).toBe('9001');
+        expect(vip).toMatchObject({ nodeId: 'vip', action: 'enqueue', params: { queue: 'vip' } });
+        expect(vip.steps).toEqual([{ nodeId: 'vip_check', type: 'condition' }, { nodeId: 'vip', type: 'transfer' }]);
+        expect(regular).toMatchObject({ nodeId: 'support', action: 'extension', params: { extension: '200' } });
+    });
+
+    it('returns null when no edge leaves a node for the trigger', () => {
+        expect(ivrFlowEngine.follow(graph, 'sales', 'next')).toBeNull();
+    });
+
+    it('re-prompts on invalid input until retries run out, then follows the invalid edge', () => {
+        const retry = ivrFlowEngine.handleNoMatch(graph, 'root');
+
+        expect(retry.action).toBe('gather');
+        expect(retry.params.greeting).toBe('Sorry, that is not a valid option. Press 1 for sales or 2 for support.');
+        expect(retry.state.retries.root).toBe(1);
+
+        const exhausted = ivrFlowEngine.handleNoMatch(graph, 'root', { state: retry.state });
+
+        expect(exhausted).toMatchObject({ nodeId: 'goodbye', action: 'hangup', params: { message: 'Goodbye.' } });
+        expect(exhausted.state.retries.root).toBe(0);
+    });
+
+    it('follows a legacy default option on the first unmatched input', () => {
+        const legacy = ivrFlowEngine.normalize({
+            retries: 3,
+            options: {
+                1: { action: 'dept', params: { department: 'Sales' } },
+                default: { action: 'ai', params: { prompt: 'How can I help you?' } }
+            }
+        });
+
+        const step = ivrFlowEngine.handleNoMatch(legacy, 'root');
+
+        expect(step).toMatchObject({ nodeId: 'option_default', action: 'ai', params: { prompt: 'How can I help you?' } });
+        expect(step.state.retries.root).toBe(0);
+    });
+
+    it('still re-prompts unclear speech on menus with a no_match edge', () => {
+        const legacy = ivrFlowEngine.normalize({ options: { default: { action: 'hangup' } } });
+
+        expect(ivrFlowEngine.handleNoMatch(legacy, 'root', {}, { lowConfidence: true }).action).toBe('gather');
+    });
+
+    it('uses the low confidence prompt when re-prompting after unclear speech', () => {
+        const retry = ivrFlowEngine.handleNoMatch(graph, 'root', {}, { lowConfidence: true });
+
+        expect(retry.params.greeting).toMatch(/^Sorry, I didn't catch that\./);
+    });
+
+    it('hangs up on condition loops', () => {
+        const loop = ivrFlowEngine.normalize({
+            nodes: [
+                { id: 'a', type: 'condition', field: 'from', value: 'x' },
+                { id: 'b', type: 'condition', field: 'from', value: 'x' }
+            ],
+            edges: [
+                { from: 'a', to: 'b', on: 'default' },
+                { from: 'b', to: 'a', on: 'default' }
+            ]
+        });
+
+        expect(ivrFlowEngine.start(loop).params.reason).toBe('flow_loop');
+    });
+
+    it('hangs up when an edge points at a missing node', () => {
+        const broken = ivrFlowEngine.normalize({ nodes: [{ id: 'a', type: 'menu' }], edges: [{ from: 'a', to: 'gone', on: '1' }] });
+
+        expect(ivrFlowEngine.handleInput(broken, 'a', { digits: '1' }).params.reason).toBe('invalid_flow');
+    });
+});
+
+describe('ivrFlowEngine.getState', () => {
+    it('keeps state other handlers store alongside the flow variables', () => {
+        const context = {
+            state: {
+                variables: { account: '9001' },
+                retries: { root: 1 },
+                ai: { turns: 2 },
+                directory: { matches: ['101'] },
+                control: { onHold: true }
+            }
+        };
+
+        const state = ivrFlowEngine.getState(context);
+        state.variables.pin = '1234';
+        state.retries.root = 2;
+
+        expect(state).toMatchObject({ ai: { turns: 2 }, directory: { matches: ['101'] }, control: { onHold: true } });
+        expect(context.state.variables).toEqual({ account: '9001' });
+        expect(context.state.retries).toEqual({ root: 1 });
+    });
+
+    it('keeps that state when the flow advances', () => {
+        const graph = ivrFlowEngine.normalize(flow);
+        const step = ivrFlowEngine.handleInput(graph, 'account', { digits: '1234' }, { state: { ai: { turns: 2 } } });
+
+        expect(step.state.ai).toEqual({ turns: 2 });
+        expect(step.state.variables.account).toBe('1234');
+    });
+});
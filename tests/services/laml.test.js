@@ -0,0 +1,194 @@
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const lamlService = require('../../src/services/laml');
+
+// Webhook URLs read as `/ivr?event=...` with the data as query parameters
+const eventUrl = (event, data = {}) => {
+    const query = new URLSearchParams({ event });
+    Object.entries(data).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            query.set(key, value);
+        }
+    });
+    return `/ivr?${query}`;
+};
+
+const render = (action, params) => lamlService.render(action, params, { eventUrl });
+
+const body = (document) => document.replace('<?xml version="1.0" encoding="UTF-8"?>', '');
+
+describe('lamlService.render', () => {
+    it('wraps verbs in a LaML response and escapes text and URLs', () => {
+        expect(render('hangup', { message: 'Tom & Jerry <3' })).toBe('<?xml version="1.0" encoding="UTF-8"?>' +
+            '<Response><Say>Tom &amp; Jerry &lt;3</Say><Hangup/></Response>');
+    });
+
+    it('gathers menu digits and redirects to timeout when nothing is pressed', () => {
+        expect(body(render('gather', { greeting: 'Press 1 for sales.', max_digits: 1, timeout: 5 }))).toBe('<Response>' +
+            '<Gather input="dtmf" numDigits="1" timeout="5" action="/ivr?event=dtmf_menu" method="POST"><Say>Press 1 for sales.</Say></Gather>' +
+            '<Redirect method="POST">/ivr?event=timeout</Redirect></Response>');
+    });
+
+    it('listens for speech on spoken menus with their hints', () => {
+        const document = body(render('gather', { greeting: 'How can we help?', speech: true, hints: ['sales', 'billing'] }));
+
+        expect(document).toContain('<Gather input="dtmf speech" speechTimeout="auto" hints="sales,billing"');
+    });
+
+    it('rings an extension\'s destinations and comes back with the next attempt', () => {
+        const document = body(render('extension', {
+            extension: '101',
+            name: 'Ann',
+            timeout: 20,
+            destinations: ['+15550000101', 'sip:ann@example.com', { number: '+15550000102', sendDigits: 'ww1' }]
+        }));
+        const answered = 'statusCallback="/ivr?event=leg_answered&amp;extension=101" statusCallbackEvent="answered" statusCallbackMethod="POST"';
+
+        expect(document).toBe('<Response><Say>Connecting you to Ann.</Say>' +
+            '<Dial timeout="20" action="/ivr?event=dial_result&amp;extension=101&amp;attempt=1" method="POST">' +
+            `<Number ${answered}>+15550000101</Number>` +
+            `<Sip ${answered}>sip:ann@example.com</Sip>` +
+            `<Number sendDigits="ww1" ${answered}>+15550000102</Number>` +
+            '</Dial></Response>');
+    });
+
+    it('only greets on an extension\'s first attempt and gives up once its dial plan is exhausted', () => {
+        const later = body(render('extension', { extension: '101', name: 'Ann', attempt: 1, destinations: ['+15550000101'] }));
+
+        expect(later).not.toContain('<Say>');
+        expect(later).toContain('attempt=2');
+        expect(body(render('extension', { extension: '101', destinations: [] })))
+            .toBe('<Response><Redirect method="POST">/ivr?event=no_answer</Redirect></Response>');
+        expect(body(render('extension', { extension: '101', destinations: [{}] })))
+            .toBe('<Response><Redirect method="POST">/ivr?event=failed</Redirect></Response>');
+    });
+
+    it('holds queued callers with the wait and result webhooks', () => {
+        expect(body(render('enqueue', { queue: 'Support', message: 'Please hold.' }))).toBe('<Response><Say>Please hold.</Say>' +
+            '<Enqueue waitUrl="/ivr?event=queue_wait&amp;queue=Support" waitUrlMethod="POST" ' +
+            'action="/ivr?event=queue_result&amp;queue=Support" method="POST">Support</Enqueue><Hangup/></Response>');
+    });
+
+    it('offers the queue callback and plays hold music or pauses', () => {
+        const withCallback = body(render('queue_hold', {
+            queue: 'Support',
+            announcement: 'You are caller 2.',
+            callbackPrompt: 'Press 1 for a call back.',
+            holdAudioUrl: 'https://example.com/hold.mp3'
+        }));
+
+        expect(withCallback).toContain('<Gather input="dtmf" numDigits="1" timeout="3" action="/ivr?event=queue_wait&amp;queue=Support"');
+        expect(withCallback).toContain('<Play>https://example.com/hold.mp3</Play>');
+        expect(body(render('queue_hold', { pause: 10 }))).toBe('<Response><Pause length="10"/></Response>');
+    });
+
+    it('records voicemail into the mailbox', () => {
+        expect(body(render('voicemail', { message: 'Please leave a message.', mailboxId: 'mb1' }))).toBe('<Response>' +
+            '<Say>Please leave a message.</Say>' +
+            '<Record maxLength="120" playBeep="true" finishOnKey="#" action="/ivr?event=recording_complete&amp;mailboxId=mb1" method="POST"/>' +
+            '<Hangup/></Response>');
+        expect(body(render('voicemail', { greetingUrl: 'https://example.com/greeting.mp3' })))
+            .toContain('<Play>https://example.com/greeting.mp3</Play>');
+    });
+
+    it('forwards to a number and fails without one', () => {
+        expect(body(render('forward', { number: '+15550001111', callerId: '+15550002222' })))
+            .toContain('<Dial callerId="+15550002222" action="/ivr?event=dial_result" method="POST">');
+        expect(body(render('forward', {}))).toBe('<Response><Redirect method="POST">/ivr?event=failed</Redirect></Response>');
+    });
+
+    it('joins call control conferences, ending the room when the caller leaves', () => {
+        expect(body(render('conference', { room: 'call-1', role: 'caller' }))).toBe('<Response><Dial>' +
+            '<Conference beep="false" startConferenceOnEnter="true" endConferenceOnExit="true">call-1</Conference></Dial></Response>');
+        expect(body(render('conference', { room: 'call-1', role: 'supervisor', muted: true })))
+            .toContain('endConferenceOnExit="false" muted="true"');
+    });
+
+    it('hangs up on actions it cannot render', () => {
+        expect(body(render('teleport', {}))).toBe('<Response><Hangup/></Response>');
+    });
+});
+
+describe('lamlService.dialStatusEvent', () => {
+    it('maps dial statuses onto IVR events', () => {
+        expect(lamlService.dialStatusEvent('completed')).toBe('answered');
+        expect(lamlService.dialStatusEvent('no-answer')).toBe('no_answer');
+        expect(lamlService.dialStatusEvent('canceled')).toBe('failed');
+        expect(lamlService.dialStatusEvent(undefined)).toBe('failed');
+    });
+});
+
+describe('lamlService.render dept', () => {
+    const dept = (overrides = {}) => ({
+        department: 'Sales',
+        greeting: 'Connecting you to Sales',
+        strategy: 'sequential',
+        timeout: 20,
+        attempt: 0,
+        order: 'm1,m2',
+        dialList: [
+            { memberId: 'm1', extension: '101', timeout: 15, destinations: [{ number: '+15550000101' }] },
+            { memberId: 'm2', extension: '102', timeout: 15, destinations: [{ number: '+15550000102' }] }
+        ],
+        ...overrides
+    });
+
+    it('resolves departments from flow transfers before ringing', () => {
+        expect(body(render('dept', { department: 'Sales', visited: 'd1' })))
+            .toBe('<Response><Redirect method="POST">/ivr?event=dept_dial&amp;department=Sales&amp;visited=d1</Redirect></Response>');
+    });
+
+    it('rings sequential members one at a time with the member it rang', () => {
+        const first = body(render('dept', dept()));
+        const second = body(render('dept', dept({ attempt: 1, dialList: dept().dialList.slice(1) })));
+
+        expect(first).toBe('<Response><Say>Connecting you to Sales</Say>' +
+            '<Dial timeout="15" action="/ivr?event=dial_result&amp;department=Sales&amp;attempt=1&amp;order=m1%2Cm2&amp;member=m1" method="POST">' +
+            '<Number statusCallback="/ivr?event=leg_answered&amp;department=Sales&amp;extension=101" statusCallbackEvent="answered" ' +
+            'statusCallbackMethod="POST">+15550000101</Number></Dial></Response>');
+        expect(second).not.toContain('<Say>');
+        expect(second).toContain('attempt=2&amp;order=m1%2Cm2&amp;member=m2');
+        expect(second).toContain('+15550000102');
+    });
+
+    it('rings simultaneous members together once', () => {
+        const document = body(render('dept', dept({ strategy: 'simultaneous' })));
+
+        expect(document).toContain('<Dial timeout="20" action="/ivr?event=dial_result&amp;department=Sales&amp;attempt=1&amp;order=m1%2Cm2"');
+        expect(document.match(/<Number /g)).toHaveLength(2);
+        expect(body(render('dept', dept({ strategy: 'simultaneous', attempt: 1 }))))
+            .toBe('<Response><Redirect method="POST">/ivr?event=no_answer</Redirect></Response>');
+    });
+
+    it('hands a department with no one to ring to the no_answer event instead of an unmanaged queue', () => {
+        const document = body(render('dept', dept({ dialList: [] })));
+
+        expect(document).toBe('<Response><Redirect method="POST">/ivr?event=no_answer</Redirect></Response>');
+        expect(document).not.toContain('<Enqueue');
+    });
+
+    it('moves on to the next attempt when no member of a simultaneous department has anything to dial', () => {
+        const document = body(render('dept', dept({
+            strategy: 'simultaneous',
+            dialList: [{ memberId: 'm1', extension: '101', destinations: [] }]
+        })));
+
+        expect(document).toBe('<Response><Redirect method="POST">' +
+            '/ivr?event=dial_result&amp;department=Sales&amp;attempt=1&amp;order=m1%2Cm2</Redirect></Response>');
+    });
+
+    it('passes over a sequential member with nothing to dial', () => {
+        const document = body(render('dept', dept({
+            dialList: [{ memberId: 'm1', extension: '101', destinations: [] }]
+        })));
+
+        expect(document).toBe('<Response><Redirect method="POST">' +
+            '/ivr?event=dial_result&amp;department=Sales&amp;attempt=1&amp;order=m1%2Cm2&amp;member=m1</Redirect></Response>');
+    });
+});
@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const { WEBHOOK_SECRET, API_BASE_URL, signWebhook } = require('../helpers/webhooks');
+
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const logger = require('../../src/utils/logger');
+const signalwireService = require('../../src/services/signalwire');
+
+describe('signalwireService.validateWebhookSignature', () => {
+    const path = '/api/mcp/ivr/status?callId=c1';
+    const url = `${API_BASE_URL}${path}`;
+    const params = { CallStatus: 'completed', CallSid: 'CA123', CallDuration: '42' };
+
+    beforeEach(() => {
+        process.env.SIGNALWIRE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    });
+
+    afterEach(() => {
+        delete process.env.SIGNALWIRE_WEBHOOK_SECRET;
+    });
+
+    it('accepts form webhooks signed over the URL and the sorted parameters', () => {
+        expect(signalwireService.validateWebhookSignature(signWebhook(path, params), url, params)).toBe(true);
+    });
+
+    it('accepts JSON webhooks signed over the URL and the raw body', () => {
+        const raw = JSON.stringify({ callId: 'c1', event: 'dtmf_menu' });
+
+        expect(signalwireService.validateWebhookSignature(signWebhook(path, raw), url, raw)).toBe(true);
+    });
+
+    it('signs every value of repeated form parameters', () => {
+        const signature = crypto.createHmac('sha1', WEBHOOK_SECRET)
+            .update(`${url}Digits1TagsaTagsb`, 'utf8')
+            .digest('base64');
+
+        expect(signalwireService.validateWebhookSignature(signature, url, { Tags: ['a', 'b'], Digits: '1' })).toBe(true);
+    });
+
+    it('rejects a signature over different parameters or a different URL', () => {
+        const signature = signWebhook(path, params);
+
+        expect(signalwireService.validateWebhookSignature(signature, url, { ...params, CallStatus: 'busy' })).toBe(false);
+        expect(signalwireService.validateWebhookSignature(signature, `${url}&tenantId=t2`, params)).toBe(false);
+        expect(signalwireService.validateWebhookSignature('bm90LWEtc2lnbmF0dXJl', url, params)).toBe(false);
+    });
+
+    it('rejects webhooks without a signature', () => {
+        expect(signalwireService.validateWebhookSignature(undefined, url, params)).toBe(false);
+    });
+
+    it('rejects every webhook when no secret is configured', () => {
+        const signature = signWebhook(path, params);
+        delete process.env.SIGNALWIRE_WEBHOOK_SECRET;
+
+        expect(signalwireService.validateWebhookSignature(signature, url, params)).toBe(false);
+        expect(logger.error).toHaveBeenCalledWith('Webhook secret not configured, rejecting webhook');
+    });
+});
@@ -0,0 +1,275 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const businessHoursService = require('../../src/services/businessHours');
+const signalwireService = require('../../src/services/signalwire');
+const smsAutoReplyService = require('../../src/services/smsAutoReply');
+const smsOptOutService = require('../../src/services/smsOptOuts');
+
+const TENANT_NUMBER = '+15550000001';
+const CONTACT_NUMBER = '+15550009999';
+
+const conversation = {
+    id: 'conv1',
+    tenant_id: 't1',
+    tenant_number: TENANT_NUMBER,
+    contact_number: CONTACT_NUMBER,
+    status: 'open'
+};
+
+const rule = (id, overrides = {}) => ({
+    id,
+    tenant_id: 't1',
+    tenant_number: null,
+    type: 'keyword',
+    keywords: ['hours'],
+    match_type: 'exact',
+    reply_body: 'We are open 9 to 5.',
+    cooldown_minutes: 60,
+    priority: 1,
+    is_active: true,
+    created_at: '2024-01-01T00:00:00Z',
+    ...overrides
+});
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+const seed = (tables = {}) => supabase.reset({
+    tenants: [{ id: 't1', name: 'Acme' }],
+    sms_conversations: [conversation],
+    sms_auto_reply_rules: [],
+    sms_opt_outs: [],
+    sms_logs: [],
+    ...tables
+});
+
+const inbound = (body, created = false) => smsAutoReplyService.handleInbound({
+    conversation,
+    message: { message_body: body },
+    created
+});
+
+let sendSMS;
+
+beforeEach(() => {
+    sendSMS = jest.spyOn(signalwireService, 'sendSMS').mockResolvedValue({
+        success: true,
+        messageSid: 'SM123',
+        status: 'queued'
+    });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const sentBodies = () => sendSMS.mock.calls.map(([message]) => message.body);
+
+describe('smsOptOutService.classify', () => {
+    it('matches compliance keywords as the whole message, ignoring case and punctuation', () => {
+        expect(smsOptOutService.classify(' Stop. ')).toEqual({ action: 'stop', keyword: 'STOP' });
+        expect(smsOptOutService.classify('unsubscribe')).toEqual({ action: 'stop', keyword: 'UNSUBSCRIBE' });
+        expect(smsOptOutService.classify('yes!')).toEqual({ action: 'start', keyword: 'YES' });
+        expect(smsOptOutService.classify('Info')).toEqual({ action: 'help', keyword: 'INFO' });
+        expect(smsOptOutService.classify('please stop calling')).toBeNull();
+    });
+});
+
+describe('smsAutoReplyService.handleInbound compliance keywords', () => {
+    it('opts the contact out on STOP and confirms it', async () => {
+        seed({ sms_auto_reply_rules: [rule('r1', { keywords: ['hours'] })] });
+
+        expect(await inbound('Stop')).toEqual({ action: 'opted_out', ruleId: null });
+        expect(supabase.tables.sms_opt_outs).toEqual([expect.objectContaining({
+            tenant_id: 't1',
+            tenant_number: TENANT_NUMBER,
+            contact_number: CONTACT_NUMBER,
+            status: 'opted_out',
+            source: 'keyword',
+            keyword: 'STOP'
+        })]);
+        expect(sentBodies()).toEqual([
+            'Acme: You have been unsubscribed and will not receive any more messages. Reply START to resubscribe.'
+        ]);
+    });
+
+    it('sends nothing else to a contact who opted out', async () => {
+        seed({
+            sms_auto_reply_rules: [rule('r1')],
+            sms_opt_outs: [{ tenant_id: 't1', tenant_number: TENANT_NUMBER, contact_number: CONTACT_NUMBER, status: 'opted_out' }]
+        });
+
+        expect(await inbound('hours')).toBeNull();
+        expect(sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('resubscribes an opted-out contact on START', async () => {
+        seed({
+            sms_opt_outs: [{ tenant_id: 't1', tenant_number: TENANT_NUMBER, contact_number: CONTACT_NUMBER, status: 'opted_out' }]
+        });
+
+        expect(await inbound('START')).toEqual({ action: 'opted_in', ruleId: null });
+        expect(supabase.tables.sms_opt_outs[0]).toMatchObject({ status: 'opted_in', opted_in_at: expect.any(String) });
+        expect(sentBodies()).toEqual(['Acme: You have been resubscribed. Reply HELP for help or STOP to unsubscribe.']);
+    });
+
+    it('treats YES from a subscribed contact as an ordinary message', async () => {
+        seed({ sms_auto_reply_rules: [rule('r1', { keywords: ['yes'] })] });
+
+        expect(await inbound('Yes')).toEqual({ action: 'keyword', ruleId: 'r1' });
+        expect(sentBodies()).toEqual(['We are open 9 to 5.']);
+    });
+
+    it('answers HELP with the default help text, even for opted-out contacts', async () => {
+        seed({
+            sms_opt_outs: [{ tenant_id: 't1', tenant_number: TENANT_NUMBER, contact_number: CONTACT_NUMBER, status: 'opted_out' }]
+        });
+
+        expect(await inbound('help')).toEqual({ action: 'help', ruleId: null });
+        expect(sentBodies()).toEqual([
+            `Acme: For help, call ${TENANT_NUMBER}. Msg & data rates may apply. Reply STOP to unsubscribe.`
+        ]);
+    });
+
+    it('lets a HELP keyword rule replace the help text', async () => {
+        seed({ sms_auto_reply_rules: [rule('r-help', { keywords: ['help'], reply_body: 'Acme support: call us any time.' })] });
+
+        expect(await inbound('HELP')).toEqual({ action: 'help', ruleId: 'r-help' });
+        expect(sentBodies()).toEqual(['Acme support: call us any time.']);
+        expect(supabase.tables.sms_logs[0]).toMatchObject({ direction: 'outbound', auto_reply_rule_id: 'r-help' });
+    });
+
+    it('rejects auto-replies on compliance keywords', () => {
+        expect(smsAutoReplyService.validateRule({ type: 'keyword', keywords: ['hours', 'stop.'], replyBody: 'Hi' })).toEqual([
+            { field: 'keywords[1]', message: 'STOP is handled automatically and cannot have an auto-reply' }
+        ]);
+    });
+});
+
+describe('smsAutoReplyService.handleInbound rules', () => {
+    it('matches exact keywords as the whole message and contains keywords as a word', () => {
+        const exact = rule('r1');
+        const contains = rule('r2', { keywords: ['price'], match_type: 'contains' });
+
+        expect(smsAutoReplyService.matchesKeyword(exact, 'Hours?')).toBe(true);
+        expect(smsAutoReplyService.matchesKeyword(exact, 'what are your hours')).toBe(false);
+        expect(smsAutoReplyService.matchesKeyword(contains, 'what is the price, please')).toBe(true);
+        expect(smsAutoReplyService.matchesKeyword(contains, 'priceless')).toBe(false);
+    });
+
+    it('replies with the first matching rule in priority order', async () => {
+        seed({
+            sms_auto_reply_rules: [
+                rule('r-late', { priority: 2, type: 'first_contact', reply_body: 'Thanks for texting Acme.' }),
+                rule('r-hours', { priority: 1 }),
+                rule('r-other-number', { priority: 0, tenant_number: '+15550000002', reply_body: 'Wrong line.' })
+            ]
+        });
+
+        expect(await inbound('hours', true)).toEqual({ action: 'keyword', ruleId: 'r-hours' });
+        expect(sentBodies()).toEqual(['We are open 9 to 5.']);
+    });
+
+    it('greets first contacts and answers after hours', async () => {
+        jest.spyOn(businessHoursService, 'getStatus').mockResolvedValue({ open: false, reason: 'outside_hours' });
+        seed({
+            sms_auto_reply_rules: [
+                rule('r-first', { type: 'first_contact', reply_body: 'Thanks for texting Acme.' }),
+                rule('r-closed', { priority: 2, type: 'after_hours', reply_body: 'We are closed.' })
+            ]
+        });
+
+        expect(await inbound('hello', true)).toEqual({ action: 'first_contact', ruleId: 'r-first' });
+        expect(await inbound('hello again')).toEqual({ action: 'after_hours', ruleId: 'r-closed' });
+        expect(businessHoursService.getStatus).toHaveBeenCalledWith('t1', { departmentId: undefined, did: TENANT_NUMBER });
+    });
+
+    it('does not reply again within the rule\'s cooldown', async () => {
+        seed({ sms_auto_reply_rules: [rule('r1', { cooldown_minutes: 60 })] });
+
+        expect(await inbound('hours')).toEqual({ action: 'keyword', ruleId: 'r1' });
+        expect(await inbound('hours')).toBeNull();
+        expect(sendSMS).toHaveBeenCalledTimes(1);
+    });
+
+    it('replies again once the cooldown has passed, and always without one', async () => {
+        seed({
+            sms_auto_reply_rules: [rule('r1', { cooldown_minutes: 60 })],
+            sms_logs: [{ conversation_id: 'conv1', auto_reply_rule_id: 'r1', sent_at: minutesAgo(61) }]
+        });
+
+        expect(await inbound('hours')).toEqual({ action: 'keyword', ruleId: 'r1' });
+
+        supabase.tables.sms_auto_reply_rules[0].cooldown_minutes = 0;
+        expect(await inbound('hours')).toEqual({ action: 'keyword', ruleId: 'r1' });
+    });
+
+    it('falls through to the next rule while one is cooling down', async () => {
+        seed({
+            sms_auto_reply_rules: [
+                rule('r1'),
+                rule('r2', { priority: 2, keywords: ['hours'], reply_body: 'See acme.example/hours.' })
+            ],
+            sms_logs: [{ conversation_id: 'conv1', auto_reply_rule_id: 'r1', sent_at: minutesAgo(5) }]
+        });
+
+        expect(await inbound('hours')).toEqual({ action: 'keyword', ruleId: 'r2' });
+    });
+});
+
+describe('smsAutoReplyService.handleCallCompleted', () => {
+    const call = (overrides = {}) => ({
+        call_id: 'c1',
+        tenant_id: 't1',
+        direction: 'inbound',
+        did: TENANT_NUMBER,
+        from_number: CONTACT_NUMBER,
+        ...overrides
+    });
+    const missedCall = rule('r-missed', {
+        type: 'missed_call',
+        call_outcomes: ['caller_hung_up'],
+        reply_body: 'Sorry we missed your call to {{tenantNumber}}. {{tenantName}} will call you back.'
+    });
+
+    it('texts back missed callers with the rule\'s variables filled in', async () => {
+        seed({ sms_auto_reply_rules: [missedCall] });
+
+        expect(await smsAutoReplyService.handleCallCompleted(call(), 'caller_hung_up')).toEqual({ action: 'missed_call', ruleId: 'r-missed' });
+        expect(sentBodies()).toEqual([`Sorry we missed your call to ${TENANT_NUMBER}. Acme will call you back.`]);
+    });
+
+    it('skips other outcomes, outbound calls and callers that cannot be texted', async () => {
+        seed({ sms_auto_reply_rules: [missedCall] });
+
+        expect(await smsAutoReplyService.handleCallCompleted(call(), 'voicemail')).toBeNull();
+        expect(await smsAutoReplyService.handleCallCompleted(call({ direction: 'outbound' }), 'caller_hung_up')).toBeNull();
+        expect(await smsAutoReplyService.handleCallCompleted(call({ from_number: 'anonymous' }), 'caller_hung_up')).toBeNull();
+        expect(sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('cools down per caller across the tenant\'s numbers', async () => {
+        seed({
+            sms_auto_reply_rules: [missedCall],
+            sms_logs: [{
+                tenant_id: 't1',
+                conversation_id: 'conv-other-line',
+                to_number: CONTACT_NUMBER,
+                auto_reply_rule_id: 'r-missed',
+                sent_at: minutesAgo(10)
+            }]
+        });
+
+        expect(await smsAutoReplyService.handleCallCompleted(call(), 'caller_hung_up')).toBeNull();
+        expect(sendSMS).not.toHaveBeenCalled();
+    });
+});
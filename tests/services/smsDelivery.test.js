@@ -0,0 +1,206 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const signalwireService = require('../../src/services/signalwire');
+const smsCampaignService = require('../../src/services/smsCampaigns');
+const smsDeliveryService = require('../../src/services/smsDelivery');
+
+const TENANT_NUMBER = '+15550000001';
+const CONTACT_NUMBER = '+15550009999';
+
+const smsLog = (overrides = {}) => ({
+    id: 'log1',
+    tenant_id: 't1',
+    direction: 'outbound',
+    from_number: TENANT_NUMBER,
+    to_number: CONTACT_NUMBER,
+    message_body: 'Your order has shipped.',
+    signalwire_sid: 'SM-first',
+    status: 'sent',
+    retry_count: 0,
+    next_retry_at: null,
+    campaign_id: null,
+    ...overrides
+});
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000).toISOString();
+
+const seed = (tables = {}) => supabase.reset({
+    sms_logs: [smsLog()],
+    sms_status_events: [],
+    sms_opt_outs: [],
+    sms_campaign_recipients: [],
+    ...tables
+});
+
+const callback = (status, overrides = {}) => smsDeliveryService.recordStatus({
+    messageSid: 'SM-first',
+    status,
+    ...overrides
+});
+
+let sendSMS;
+
+beforeEach(() => {
+    sendSMS = jest.spyOn(signalwireService, 'sendSMS').mockResolvedValue({
+        success: true,
+        messageSid: 'SM-retry',
+        status: 'queued'
+    });
+    jest.spyOn(smsCampaignService, 'refreshCounts').mockResolvedValue();
+});
+
+afterEach(() => {
+    delete process.env.SMS_MAX_RETRIES;
+    delete process.env.SMS_RETRY_BASE_SECONDS;
+    jest.restoreAllMocks();
+});
+
+describe('smsDeliveryService.recordStatus', () => {
+    it('moves a message forward and keeps every callback in its history', async () => {
+        seed();
+
+        expect(await callback('delivered')).toEqual({ matched: true, updated: true });
+        expect(await callback('sent')).toEqual({ matched: true, updated: false });
+
+        expect(supabase.tables.sms_logs[0]).toMatchObject({ status: 'delivered', delivered_at: expect.any(String) });
+        expect(supabase.tables.sms_status_events.map(event => event.status)).toEqual(['delivered', 'sent']);
+    });
+
+    it('schedules a retry for transient carrier errors, doubling the wait each time', async () => {
+        process.env.SMS_RETRY_BASE_SECONDS = '30';
+        seed({ sms_logs: [smsLog({ retry_count: 2 })] });
+        const before = Date.now();
+
+        await callback('undelivered', { errorCode: 30003, errorMessage: 'Unreachable handset' });
+
+        const { next_retry_at: nextRetryAt, ...log } = supabase.tables.sms_logs[0];
+        expect(log).toMatchObject({ status: 'undelivered', error_code: '30003', error_message: 'Unreachable handset' });
+        expect(Date.parse(nextRetryAt) - before).toBeGreaterThanOrEqual(120 * 1000);
+        expect(Date.parse(nextRetryAt) - before).toBeLessThan(125 * 1000);
+    });
+
+    it('does not retry permanent errors or messages out of retries', async () => {
+        process.env.SMS_MAX_RETRIES = '2';
+        seed({ sms_logs: [smsLog(), smsLog({ id: 'log2', signalwire_sid: 'SM-second', retry_count: 2 })] });
+
+        await callback('failed', { errorCode: '30007' });
+        await callback('undelivered', { messageSid: 'SM-second', errorCode: '30003' });
+
+        expect(supabase.tables.sms_logs.map(log => log.next_retry_at)).toEqual([null, null]);
+    });
+
+    it('keeps callbacks for earlier attempts without touching the retried message', async () => {
+        seed({
+            sms_logs: [smsLog({ signalwire_sid: 'SM-retry', status: 'queued', retry_count: 1 })],
+            sms_status_events: [{ tenant_id: 't1', sms_log_id: 'log1', message_sid: 'SM-first', status: 'sent' }]
+        });
+
+        expect(await callback('failed', { errorCode: '30003' })).toEqual({ matched: true, updated: false });
+        expect(supabase.tables.sms_logs[0]).toMatchObject({ status: 'queued', next_retry_at: null });
+        expect(supabase.tables.sms_status_events[1]).toMatchObject({ sms_log_id: 'log1', status: 'failed' });
+    });
+});
+
+describe('smsDeliveryService.processRetries', () => {
+    it('resends due messages under a new SID and counts the retry', async () => {
+        seed({
+            sms_logs: [
+                smsLog({ status: 'undelivered', next_retry_at: minutesFromNow(-1) }),
+                smsLog({ id: 'log2', signalwire_sid: 'SM-later', status: 'undelivered', next_retry_at: minutesFromNow(5) }),
+                smsLog({ id: 'log3', signalwire_sid: 'SM-done', status: 'delivered' })
+            ]
+        });
+
+        expect(await smsDeliveryService.processRetries()).toBe(1);
+
+        expect(sendSMS).toHaveBeenCalledTimes(1);
+        expect(sendSMS).toHaveBeenCalledWith({
+            from: TENANT_NUMBER,
+            to: CONTACT_NUMBER,
+            body: 'Your order has shipped.',
+            tenantId: 't1'
+        });
+        expect(supabase.tables.sms_logs[0]).toMatchObject({
+            signalwire_sid: 'SM-retry',
+            status: 'queued',
+            error_code: null,
+            retry_count: 1,
+            next_retry_at: null
+        });
+        expect(supabase.tables.sms_status_events).toEqual([
+            expect.objectContaining({ sms_log_id: 'log1', message_sid: 'SM-retry', status: 'queued' })
+        ]);
+    });
+
+    it('skips recipients who opted out since the first attempt', async () => {
+        seed({
+            sms_logs: [smsLog({ status: 'undelivered', next_retry_at: minutesFromNow(-1) })],
+            sms_opt_outs: [{ tenant_id: 't1', tenant_number: TENANT_NUMBER, contact_number: CONTACT_NUMBER, status: 'opted_out' }]
+        });
+
+        expect(await smsDeliveryService.processRetries()).toBe(0);
+        expect(sendSMS).not.toHaveBeenCalled();
+        expect(supabase.tables.sms_logs[0].next_retry_at).toBeNull();
+    });
+
+    it('schedules another retry when SignalWire rejects the resend, until retries run out', async () => {
+        process.env.SMS_MAX_RETRIES = '2';
+        sendSMS.mockResolvedValue({ success: false, error: 'Service unavailable' });
+        seed({
+            sms_logs: [
+                smsLog({ status: 'undelivered', next_retry_at: minutesFromNow(-2) }),
+                smsLog({ id: 'log2', signalwire_sid: 'SM-second', status: 'undelivered', retry_count: 1, next_retry_at: minutesFromNow(-1) })
+            ]
+        });
+
+        expect(await smsDeliveryService.processRetries()).toBe(0);
+
+        const [first, last] = supabase.tables.sms_logs;
+        expect(first).toMatchObject({ status: 'failed', error_message: 'Service unavailable', retry_count: 1 });
+        expect(Date.parse(first.next_retry_at)).toBeGreaterThan(Date.now());
+        expect(last).toMatchObject({ status: 'failed', retry_count: 2, next_retry_at: null });
+    });
+
+    it('moves a campaign recipient to the retried message and fails it once retries run out', async () => {
+        seed({
+            sms_logs: [smsLog({ campaign_id: 'camp1', status: 'undelivered', next_retry_at: minutesFromNow(-1) })],
+            sms_campaign_recipients: [{ campaign_id: 'camp1', phone_number: CONTACT_NUMBER, message_sid: 'SM-first', status: 'sent' }]
+        });
+
+        await smsDeliveryService.processRetries();
+        expect(supabase.tables.sms_campaign_recipients[0]).toMatchObject({ message_sid: 'SM-retry', status: 'sent' });
+
+        process.env.SMS_MAX_RETRIES = '1';
+        await smsDeliveryService.recordStatus({ messageSid: 'SM-retry', status: 'undelivered', errorCode: '30003' });
+
+        expect(supabase.tables.sms_campaign_recipients[0]).toMatchObject({
+            status: 'failed',
+            error_code: '30003',
+            error: 'Carrier error 30003'
+        });
+        expect(smsCampaignService.refreshCounts).toHaveBeenCalledWith({ id: 'camp1', tenant_id: 't1' });
+    });
+});
+
+describe('smsDeliveryService.matchUnlogged', () => {
+    it('applies callbacks that arrived before their message was logged', async () => {
+        seed({
+            sms_logs: [smsLog({ status: 'queued' })],
+            sms_status_events: [{ id: 'e1', message_sid: 'SM-first', status: 'sent', sms_log_id: null, occurred_at: new Date().toISOString() }]
+        });
+
+        expect(await smsDeliveryService.matchUnlogged()).toBe(1);
+        expect(supabase.tables.sms_status_events[0]).toMatchObject({ tenant_id: 't1', sms_log_id: 'log1' });
+        expect(supabase.tables.sms_logs[0].status).toBe('sent');
+    });
+});
@@ -0,0 +1,76 @@
+const speechMatcher = require('../../src/services/speechMatcher');
+
+const options = {
+    1: { label: 'sales', keywords: ['sales', 'buy'], synonyms: ['purchase'] },
+    2: { label: 'support', keywords: ['support', 'technical help'] },
+    3: { label: 'billing', keywords: ['billing', 'invoice'] }
+};
+
+describe('speechMatcher.normalize', () => {
+    it('lowercases, strips punctuation and collapses whitespace', () => {
+        expect(speechMatcher.normalize('  Sales,   please!  ')).toBe('sales please');
+        expect(speechMatcher.normalize('Press #')).toBe('press #');
+        expect(speechMatcher.normalize(undefined)).toBe('');
+    });
+});
+
+describe('speechMatcher.similarity', () => {
+    it('scores identical strings 1 and unrelated strings near 0', () => {
+        expect(speechMatcher.similarity('billing', 'billing')).toBe(1);
+        expect(speechMatcher.similarity('billing', '')).toBe(0);
+        expect(speechMatcher.similarity('abc', 'xyz')).toBe(0);
+    });
+
+    it('scores one edit against the longer string', () => {
+        expect(speechMatcher.similarity('suport', 'support')).toBeCloseTo(6 / 7);
+    });
+});
+
+describe('speechMatcher.match', () => {
+    it('matches a keyword inside a longer phrase', () => {
+        expect(speechMatcher.match('I have a question about my invoice', options)).toMatchObject({ key: '3', score: 1 });
+    });
+
+    it('matches synonyms and multi-word keywords', () => {
+        expect(speechMatcher.match('I would like to purchase', options).key).toBe('1');
+        expect(speechMatcher.match('I need technical help', options).key).toBe('2');
+    });
+
+    it('matches the spoken form of the option key', () => {
+        expect(speechMatcher.match('press two', options).key).toBe('2');
+        expect(speechMatcher.match('star', { '*': { label: 'operator' } }).key).toBe('*');
+    });
+
+    it('matches misrecognized keywords within the threshold', () => {
+        const result = speechMatcher.match('suport', options);
+
+        expect(result.key).toBe('2');
+        expect(result.score).toBeGreaterThanOrEqual(speechMatcher.DEFAULT_MATCH_THRESHOLD);
+    });
+
+    it('returns the recognizer confidence with the match', () => {
+        expect(speechMatcher.match('sales', options, { confidence: '0.92' }).confidence).toBe(0.92);
+    });
+
+    it('treats low recognizer confidence as unclear', () => {
+        expect(speechMatcher.match('sales', options, { confidence: 0.2 })).toEqual({
+            lowConfidence: true,
+            score: 0,
+            confidence: 0.2
+        });
+    });
+
+    it('treats phrases under the match threshold as unclear', () => {
+        expect(speechMatcher.match('weather forecast', options).lowConfidence).toBe(true);
+        expect(speechMatcher.match('suport', options, { matchThreshold: 0.95 }).lowConfidence).toBe(true);
+    });
+
+    it('treats two options tying for the best score as unclear', () => {
+        expect(speechMatcher.match('sales or billing', options)).toMatchObject({ lowConfidence: true, score: 1 });
+    });
+
+    it('treats empty speech as unclear', () => {
+        expect(speechMatcher.match('  ?! ', options).lowConfidence).toBe(true);
+        expect(speechMatcher.match('sales', {}).lowConfidence).toBe(true);
+    });
+});
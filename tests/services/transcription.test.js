@@ -0,0 +1,120 @@
+jest.mock('../../src/database/connection', () => ({
+    supabase: require('../helpers/fakeSupabase').createFakeSupabase()
+}));
+jest.mock('../../src/utils/logger', () => ({
+    error: jest.fn(),
+    warn: jest.fn(),
+    info: jest.fn(),
+    http: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { supabase } = require('../../src/database/connection');
+const transcriptionService = require('../../src/services/transcription');
+
+const queuedJob = (overrides = {}) => ({
+    id: 'job1',
+    tenant_id: 't1',
+    call_id: 'c1',
+    voicemail_message_id: null,
+    recording_url: 'https://example.signalwire.com/recordings/RE1',
+    recording_sid: 'RE1',
+    status: 'queued',
+    attempts: 0,
+    created_at: '2024-01-01T10:00:00Z',
+    ...overrides
+});
+
+describe('transcriptionService.processQueue', () => {
+    beforeEach(() => {
+        process.env.TRANSCRIPTION_STUB_TEXT = 'Please call me back about my invoice. Thanks.';
+    });
+
+    afterEach(() => {
+        delete process.env.TRANSCRIPTION_PROVIDER;
+        delete process.env.TRANSCRIPTION_STUB_TEXT;
+    });
+
+    it('stores the transcript, summary and intents on the job and the call', async () => {
+        supabase.reset({
+            transcription_jobs: [queuedJob()],
+            call_sessions: [{ call_id: 'c1', tenant_id: 't1', intent_tags: ['sales'] }]
+        });
+
+        expect(await transcriptionService.processQueue()).toBe(1);
+
+        const [job] = supabase.tables.transcription_jobs;
+        const [session] = supabase.tables.call_sessions;
+        expect(job).toMatchObject({ status: 'completed', provider: 'stub', error: null });
+        expect(session.transcript).toBe('Please call me back about my invoice. Thanks.');
+        expect(session.intent_tags).toEqual(['sales', 'billing', 'callback']);
+    });
+
+    it('records a misconfigured provider on the job instead of leaving it processing', async () => {
+        process.env.TRANSCRIPTION_PROVIDER = 'missing';
+        supabase.reset({ transcription_jobs: [queuedJob()] });
+
+        expect(await transcriptionService.processQueue()).toBe(0);
+
+        const [job] = supabase.tables.transcription_jobs;
+        expect(job.status).toBe('queued');
+        expect(job.attempts).toBe(1);
+        expect(job.error).toBe('Unknown transcription provider \'missing\'');
+    });
+
+    it('keeps PIN-protected voicemail transcripts off the call session', async () => {
+        supabase.reset({
+            transcription_jobs: [
+                queuedJob({ voicemail_message_id: 'vm-pin', created_at: '2024-01-01T10:00:00Z' }),
+                queuedJob({ id: 'job2', recording_sid: 'RE2', voicemail_message_id: 'vm-open', created_at: '2024-01-01T11:00:00Z' })
+            ],
+            call_sessions: [{ call_id: 'c1', tenant_id: 't1' }],
+            voicemail_messages: [
+                { id: 'vm-pin', mailbox_id: 'mb-pin' },
+                { id: 'vm-open', mailbox_id: 'mb-open' }
+            ],
+            voicemail_mailboxes: [
+                { id: 'mb-pin', pin_hash: '$2a$04$hash' },
+                { id: 'mb-open', pin_hash: null }
+            ]
+        });
+
+        expect(await transcriptionService.processQueue()).toBe(2);
+
+        const [session] = supabase.tables.call_sessions;
+        const messages = supabase.tables.voicemail_messages;
+        expect(messages.every(message => message.transcript === 'Please call me back about my invoice. Thanks.')).toBe(true);
+        expect(session.transcript).toBe('Please call me back about my invoice. Thanks.');
+        expect(supabase.log.filter(entry => entry.table === 'call_sessions' && entry.action === 'update')).toHaveLength(1);
+    });
+
+    it('counts each claim as an attempt and fails the job on its third run', async () => {
+        process.env.TRANSCRIPTION_PROVIDER = 'missing';
+        supabase.reset({ transcription_jobs: [queuedJob({ attempts: 2 })] });
+
+        await transcriptionService.processQueue();
+
+        expect(supabase.tables.transcription_jobs[0]).toMatchObject({ status: 'failed', attempts: 3 });
+    });
+});
+
+describe('transcriptionService.requeueStale', () => {
+    const staleStart = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+
+    it('requeues abandoned jobs without counting their claim twice', async () => {
+        supabase.reset({
+            transcription_jobs: [
+                queuedJob({ id: 'job1', status: 'processing', attempts: 1, started_at: staleStart }),
+                queuedJob({ id: 'job2', status: 'processing', attempts: 3, started_at: staleStart }),
+                queuedJob({ id: 'job3', status: 'processing', attempts: 1, started_at: new Date().toISOString() })
+            ]
+        });
+
+        expect(await transcriptionService.requeueStale()).toBe(2);
+
+        const [requeued, failed, running] = supabase.tables.transcription_jobs;
+        expect(requeued).toMatchObject({ status: 'queued', attempts: 1 });
+        expect(failed).toMatchObject({ status: 'failed', attempts: 3 });
+        expect(running.status).toBe('processing');
+    });
+});